@@ -0,0 +1,208 @@
+// 🎪 Papir app - middleware, services and routers wired together
+// server.js builds the real dependencies and listens; tests call createApp() with stand-ins.
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const rateLimit = require('express-rate-limit');
+const multer = require('multer');
+
+const { createActivationLogger } = require('./services/activation-logger');
+const { createGeoEnrichment } = require('./services/geo-enrichment');
+const { createBatchService } = require('./services/batch-service');
+const { createAdminAccess } = require('./services/admin-access');
+const { createCustomerAccounts } = require('./services/customer-accounts');
+const { createOwnership } = require('./services/ownership');
+const { createCardLifecycle } = require('./services/card-lifecycle');
+const { createPhysicalClaims } = require('./services/physical-claims');
+const { createManufacturingRuns } = require('./services/manufacturing-runs');
+const { createFulfillment } = require('./services/fulfillment');
+const { createPromotions } = require('./services/promotions');
+const { createOrders } = require('./services/orders');
+const { createRefunds } = require('./services/refunds');
+const { createStripeEvents } = require('./services/stripe-events');
+const { createScanSessions } = require('./services/scan-sessions');
+
+const { createPagesRouter, notFound, PUBLIC_DIR } = require('./routes/pages');
+const { createAdminSessionRouter } = require('./routes/admin-session');
+const { createAdminRouter } = require('./routes/admin');
+const { createCardsRouter } = require('./routes/cards');
+const { createBatchesRouter } = require('./routes/batches');
+const { createStripeWebhookRouter, createPaymentsRouter } = require('./routes/payments');
+const { createAccountRouter } = require('./routes/account');
+const { createQrRouter } = require('./routes/qr');
+const { createPhysicalCardsRouter } = require('./routes/physical-cards');
+const { createFulfillmentRouter } = require('./routes/fulfillment');
+const { createOrdersRouter } = require('./routes/orders');
+const { createPromotionsRouter } = require('./routes/promotions');
+const { createScansRouter } = require('./routes/scans');
+const { createFakesRouter } = require('./routes/fakes');
+
+// storage: repositories from createStorage() (null when unconfigured) | stripe: client, fake or null
+// resend: anything with emails.send | config: loadConfig() | geolocate: async (ip) => location or null
+// geoEnrichment: optional, built from geolocate when not given (tests pass one to wait on it)
+function createApp({ storage, stripe = null, resend, config, geolocate, geoEnrichment = createGeoEnrichment({ geolocate }) }) {
+  const app = express();
+
+  // 🛡️ TRUST RAILWAY PROXY
+  app.set('trust proxy', 1);
+
+  // 🔒 PRODUCTION CSP - Updated for papir.ca domain
+  app.use(helmet({
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"],
+        scriptSrc: [
+          "'self'",
+          "https://cdn.jsdelivr.net",
+          "https://cdnjs.cloudflare.com",
+          "https://unpkg.com",
+          "https://js.stripe.com",
+          "https://*.stripe.com",
+          "'unsafe-inline'",
+          "'unsafe-eval'"
+        ],
+        styleSrc: [
+          "'self'",
+          "https://cdnjs.cloudflare.com",
+          "https://unpkg.com",
+          "https://fonts.googleapis.com",
+          "'unsafe-inline'"
+        ],
+        imgSrc: [
+          "'self'",
+          "data:",
+          "https:",
+          "blob:"
+        ],
+        connectSrc: [
+          "'self'",
+          "http://localhost:3000",
+          "https://papir.ca",
+          "https://papir.up.railway.app",
+          "https://elmhkhvryjzljxskbfps.supabase.co",
+          "https://*.supabase.co",
+          "wss://*.supabase.co",
+          "https://ipinfo.io",
+          "https://ipapi.co",
+          "http://ip-api.com",
+          "https://api.ipify.org",
+          "https://api.stripe.com",
+          "https://cdn.jsdelivr.net"
+        ],
+        fontSrc: [
+          "'self'",
+          "https://cdnjs.cloudflare.com",
+          "https://fonts.gstatic.com",
+          "data:"
+        ],
+        objectSrc: ["'none'"],
+        mediaSrc: ["'self'", "blob:", "https://elmhkhvryjzljxskbfps.supabase.co"],
+        frameSrc: ["'self'", "https://js.stripe.com", "https://*.stripe.com"],
+        workerSrc: ["'self'", "blob:"],
+        childSrc: ["'self'", "blob:"],
+        formAction: ["'self'"],
+        baseUri: ["'self'"],
+        frameAncestors: ["'none'"]
+      }
+    },
+    crossOriginEmbedderPolicy: false,
+    crossOriginResourcePolicy: { policy: "cross-origin" },
+    crossOriginOpenerPolicy: { policy: "unsafe-none" }
+  }));
+
+  // 🌐 CORS Configuration - Allow your domain
+  app.use(cors({
+    origin: ['https://papir.ca', 'https://papir.up.railway.app', 'http://localhost:3000'],
+    credentials: true,
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Papir-Manage-Token', 'X-Papir-Access']
+  }));
+
+  // Shared services, built once per app
+  const activationLogger = createActivationLogger({ storage, geoEnrichment });
+  const cardLifecycle = createCardLifecycle({ storage });
+  const batchService = createBatchService({ storage, activationLogger, cardLifecycle });
+  const adminAccess = createAdminAccess({ storage, config });
+  const customerAccounts = createCustomerAccounts({ storage, resend, config });
+  const ownership = createOwnership({ storage, config, adminAccess, customerAccounts });
+  const physicalClaims = createPhysicalClaims({ storage, config, cardLifecycle, activationLogger, customerAccounts });
+  const manufacturingRuns = createManufacturingRuns({ storage, cardLifecycle, claimPinSecret: config.claimPinSecret });
+  const fulfillment = createFulfillment({ storage, resend });
+  const scanSessions = createScanSessions({ storage, config, geoEnrichment });
+  const promotions = createPromotions({ storage });
+  const orders = createOrders({ storage, stripe, customerAccounts, ownership, cardLifecycle, batchService, activationLogger, fulfillment, promotions });
+  const refunds = createRefunds({ storage, stripe, resend, orders, cardLifecycle, batchService });
+  const stripeEvents = createStripeEvents({ storage, orders, refunds });
+
+  // 📁 Multipart upload middleware (memory storage — no disk writes)
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 50 * 1024 * 1024 } // 50 MB max
+  });
+
+  const ctx = {
+    storage, stripe, resend, config, geolocate, upload, geoEnrichment,
+    activationLogger, cardLifecycle, batchService, adminAccess, customerAccounts, ownership, physicalClaims,
+    manufacturingRuns, fulfillment, scanSessions, promotions, orders, refunds, stripeEvents
+  };
+
+  // Stripe webhook needs the raw body, so it goes before the JSON parser
+  app.use(createStripeWebhookRouter(ctx));
+
+  // ============================================
+  // Standard JSON middleware (after webhook)
+  // ============================================
+  app.use(express.json({ limit: '100mb' }));
+  app.use(express.urlencoded({ extended: true, limit: '100mb' }));
+
+  // 🛡️ Rate Limiting - Simple and working
+  const limiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 200,
+    message: 'Too many requests from this IP, please try again after 15 minutes.'
+  });
+  app.use('/api/', limiter);
+
+  const adminLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: 300,
+    message: 'Admin rate limit reached, please slow down.'
+  });
+  app.use('/api/admin/', adminLimiter);
+
+  const batchLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: 100,
+    message: 'Too many batch requests, please slow down.'
+  });
+  app.use('/api/batches/', batchLimiter);
+
+  // 📁 Serve static files FROM 'public' FOLDER
+  app.use(express.static(PUBLIC_DIR));
+  if (storage?.backend === 'local') {
+    app.use(storage.media.urlPrefix, express.static(storage.media.dir));
+  }
+
+  app.use(createPagesRouter(ctx));
+  // Admin session first: it puts requireAdmin in front of every later /api/admin route
+  app.use(createAdminSessionRouter(ctx));
+  app.use(createAdminRouter(ctx));
+  app.use(createFulfillmentRouter(ctx));
+  app.use(createOrdersRouter(ctx));
+  app.use(createPromotionsRouter(ctx));
+  app.use(createScansRouter(ctx));
+  app.use(createCardsRouter(ctx));
+  app.use(createQrRouter(ctx));
+  app.use(createPhysicalCardsRouter(ctx));
+  app.use(createBatchesRouter(ctx));
+  app.use(createPaymentsRouter(ctx));
+  app.use(createAccountRouter(ctx));
+  if (stripe?.fake || resend?.outbox) app.use(createFakesRouter(ctx));
+
+  // 🚫 404 Handler
+  app.use(notFound);
+
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,25 @@
+// 📍 Fixture geolocation - fixed locations per IP instead of ipinfo.io / ipapi.co / ip-api.com
+// Fixtures map an IP to the object getGeolocationFromIp returns; "*" matches any other IP.
+const fs = require('fs');
+
+// Documentation-range addresses plus a catch-all, so a laptop request still gets a location
+const DEFAULT_FIXTURES = {
+  '203.0.113.10': { city: 'Toronto', region: 'Ontario', country: 'Canada', country_code: 'CA', latitude: 43.6532, longitude: -79.3832, org: 'AS64500 Example Net' },
+  '198.51.100.20': { city: 'Vancouver', region: 'British Columbia', country: 'Canada', country_code: 'CA', latitude: 49.2827, longitude: -123.1207, org: 'AS64501 Example Net' },
+  '192.0.2.30': { city: 'New York', region: 'New York', country: 'United States', country_code: 'US', latitude: 40.7128, longitude: -74.006, org: 'AS64502 Example Net' },
+  '*': { city: 'Montreal', region: 'Quebec', country: 'Canada', country_code: 'CA', latitude: 45.5019, longitude: -73.5674, org: 'AS64503 Local Dev' }
+};
+
+function loadFixtures(file) {
+  if (!file) return DEFAULT_FIXTURES;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function createFixtureGeolocator(fixtures = DEFAULT_FIXTURES) {
+  return async function getGeolocationFromIp(ip) {
+    const location = fixtures[ip] || fixtures['*'];
+    return location ? { ip, ...location } : null;
+  };
+}
+
+module.exports = { createFixtureGeolocator, loadFixtures, DEFAULT_FIXTURES };
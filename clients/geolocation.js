@@ -0,0 +1,97 @@
+// 📍 IP geolocation - ipinfo.io, then ipapi.co, then ip-api.com, 5 seconds each
+const defaultFetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+
+function isPrivateIp(ip) {
+  return !ip || ip === 'unknown' || ip.startsWith('10.') || ip.startsWith('192.168.') || ip === '127.0.0.1';
+}
+
+function createGeolocator({ ipinfoToken = '', fetch = defaultFetch } = {}) {
+  async function fetchJson(url) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 5000);
+    try {
+      const response = await fetch(url, { signal: controller.signal });
+      return response.ok ? await response.json() : null;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+  }
+
+  return async function getGeolocationFromIp(ip) {
+    try {
+      if (isPrivateIp(ip)) {
+        console.log('📍 Skipping geolocation for private IP:', ip);
+        return null;
+      }
+      console.log('📍 Fetching geolocation for IP:', ip);
+
+      // Try ipinfo.io first (most accurate, token optional)
+      try {
+        const url = ipinfoToken
+          ? `https://ipinfo.io/${ip}/json?token=${ipinfoToken}`
+          : `https://ipinfo.io/${ip}/json`;
+        const data = await fetchJson(url);
+        if (data) console.log('📍 ipinfo.io response for', ip, ':', JSON.stringify(data));
+        if (data && data.city && data.country) {
+          const locParts = data.loc ? data.loc.split(',') : [null, null];
+          return {
+            ip: ip,
+            city: data.city,
+            region: data.region,
+            country: data.country_name || data.country,
+            country_code: data.country,
+            latitude: locParts[0] ? parseFloat(locParts[0]) : null,
+            longitude: locParts[1] ? parseFloat(locParts[1]) : null,
+            org: data.org
+          };
+        }
+      } catch (ipinfoError) {
+        console.log('📍 ipinfo.io failed:', ipinfoError.message);
+      }
+
+      try {
+        const data = await fetchJson(`https://ipapi.co/${ip}/json/`);
+        if (data && !data.error) {
+          return {
+            ip: ip,
+            city: data.city,
+            region: data.region,
+            country: data.country_name,
+            country_code: data.country_code,
+            latitude: data.latitude,
+            longitude: data.longitude,
+            org: data.org
+          };
+        }
+      } catch (ipapiError) {
+        console.log('📍 ipapi.co failed:', ipapiError.message);
+      }
+
+      console.log('📍 Trying fallback ip-api.com for IP:', ip);
+      try {
+        const data = await fetchJson(`http://ip-api.com/json/${ip}?fields=status,message,country,countryCode,region,regionName,city,lat,lon,org`);
+        if (data && data.status === 'success') {
+          return {
+            ip: ip,
+            city: data.city,
+            region: data.regionName || data.region,
+            country: data.country,
+            country_code: data.countryCode,
+            latitude: data.lat,
+            longitude: data.lon,
+            org: data.org
+          };
+        }
+      } catch (fallbackError) {
+        console.log('📍 ip-api.com failed:', fallbackError.message);
+      }
+      console.log('📍 All geolocation services failed for IP:', ip);
+      return null;
+    } catch (error) {
+      console.error('📍 Geolocation error:', error.message);
+      return null;
+    }
+  };
+}
+
+module.exports = { createGeolocator, isPrivateIp };
@@ -0,0 +1,57 @@
+// 🔌 External clients - Stripe, email and IP geolocation, picked by config
+//   STRIPE_BACKEND=stripe|fake      fake: in-memory Stripe that signs and POSTs its own webhooks
+//   MAIL_BACKEND=resend|outbox      outbox: keeps emails in memory (GET /fake-mail/outbox)
+//   GEO_BACKEND=ip-apis|fixtures    fixtures: fixed locations per IP (GEO_FIXTURES_FILE to override)
+const { createGeolocator } = require('./geolocation');
+const { createFakeStripe } = require('./stripe-fake');
+const { createOutboxMailer } = require('./outbox-mailer');
+const { createFixtureGeolocator, loadFixtures } = require('./geo-fixtures');
+
+// ============================================
+// 🎫 STRIPE - Optional, won't crash if missing
+// ============================================
+function createStripeClient(config) {
+  if (config.stripeBackend === 'fake') {
+    console.log(`🧪 Using fake Stripe (webhooks → ${config.stripeFakeWebhookUrl})`);
+    return createFakeStripe({ webhookSecret: config.stripeWebhookSecret, webhookUrl: config.stripeFakeWebhookUrl });
+  }
+  try {
+    const stripeModule = require('stripe');
+    if (config.stripeSecretKey) {
+      console.log('✅ Stripe initialized');
+      return stripeModule(config.stripeSecretKey);
+    }
+    console.log('⚠️ Stripe secret key not set - payments disabled');
+  } catch (err) {
+    console.log('⚠️ Stripe module not installed - payments disabled');
+  }
+  return null;
+}
+
+// 📧 Email verification (Resend)
+function createMailer(config) {
+  if (config.mailBackend === 'outbox') {
+    console.log('🧪 Using outbox mailer (emails are kept, not sent)');
+    return createOutboxMailer();
+  }
+  const { Resend } = require('resend');
+  return new Resend(config.resendApiKey);
+}
+
+function createGeolocate(config) {
+  if (config.geoBackend === 'fixtures') {
+    console.log(`🧪 Using fixture geolocation${config.geoFixturesFile ? ` (${config.geoFixturesFile})` : ''}`);
+    return createFixtureGeolocator(loadFixtures(config.geoFixturesFile));
+  }
+  return createGeolocator({ ipinfoToken: config.ipinfoToken });
+}
+
+function createClients(config) {
+  return {
+    stripe: createStripeClient(config),
+    resend: createMailer(config),
+    geolocate: createGeolocate(config)
+  };
+}
+
+module.exports = { createClients, createStripeClient, createMailer, createGeolocate };
@@ -0,0 +1,20 @@
+// 📬 Outbox mailer - a Resend stand-in that keeps every email instead of sending it
+// Same call shape as resend.emails.send(); each message also lands in the console so
+// sign-in codes and links can be read off a laptop with no network.
+function createOutboxMailer() {
+  const messages = [];
+
+  return {
+    outbox: messages,
+    emails: {
+      async send(message) {
+        const id = `email_${messages.length + 1}`;
+        messages.push({ id, ...message, sent_at: new Date().toISOString() });
+        console.log(`📬 Outbox: "${message.subject}" → ${message.to} (${id})`);
+        return { data: { id }, error: null };
+      }
+    }
+  };
+}
+
+module.exports = { createOutboxMailer };
@@ -0,0 +1,55 @@
+// 🧪 Fake Stripe.js - served at /fake-stripe/stripe.js when STRIPE_BACKEND=fake
+// Just enough of window.Stripe for checkout.html: elements().create('card'), mount, on('change')
+// and confirmCardPayment, which asks the server's fake Stripe to pay the intent.
+(function () {
+  function createCardElement() {
+    var handlers = {};
+    var input = document.createElement('input');
+    input.type = 'text';
+    input.inputMode = 'numeric';
+    input.autocomplete = 'cc-number';
+    input.placeholder = 'Test card - 4242 4242 4242 4242 (4000 0000 0000 0002 declines)';
+    input.style.cssText = 'width:100%;border:0;outline:0;font-size:16px;background:transparent;';
+    input.addEventListener('input', function () {
+      var digits = input.value.replace(/\D/g, '');
+      (handlers.change || []).forEach(function (handler) {
+        handler({ complete: digits.length >= 12, empty: digits.length === 0, error: undefined });
+      });
+    });
+
+    return {
+      mount: function (selector) {
+        var target = typeof selector === 'string' ? document.querySelector(selector) : selector;
+        target.innerHTML = '';
+        target.appendChild(input);
+      },
+      on: function (event, handler) {
+        (handlers[event] = handlers[event] || []).push(handler);
+      },
+      number: function () {
+        return input.value;
+      }
+    };
+  }
+
+  window.Stripe = function Stripe(publishableKey) {
+    return {
+      elements: function () {
+        return { create: function () { return createCardElement(); } };
+      },
+      confirmCardPayment: function (clientSecret, data) {
+        var intentId = clientSecret.split('_secret_')[0];
+        var card = data && data.payment_method && data.payment_method.card;
+        return fetch('/fake-stripe/payment_intents/' + encodeURIComponent(intentId) + '/confirm', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ client_secret: clientSecret, card_number: card ? card.number() : '4242424242424242' })
+        })
+          .then(function (response) { return response.json(); })
+          .then(function (result) {
+            return result.success ? { paymentIntent: result.paymentIntent } : { error: { message: result.error } };
+          });
+      }
+    };
+  };
+})();
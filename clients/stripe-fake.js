@@ -0,0 +1,286 @@
+// 🧪 Fake Stripe - the slice of the Stripe client Papir uses, kept in memory
+// Checkout sessions and payment intents are created unpaid; the `fake` controls pay them
+// and emit webhook events signed exactly like Stripe's (Stripe-Signature: t=...,v1=...),
+// so /api/webhook verifies them with the same code path as production.
+const crypto = require('crypto');
+
+const defaultFetch = (...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args));
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+// What the hosted checkout stand-in "collects" when a session asks for a shipping address
+const TEST_SHIPPING = {
+  name: 'Test Buyer',
+  address: { line1: '1 Test Street', line2: null, city: 'Toronto', state: 'ON', postal_code: 'M5V 2T6', country: 'CA' }
+};
+
+function randomId(prefix) {
+  return `${prefix}_fake_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+function stripeError(message, statusCode = 400) {
+  const error = new Error(message);
+  error.type = 'StripeInvalidRequestError';
+  error.statusCode = statusCode;
+  return error;
+}
+
+function signWebhookPayload(payload, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function constructEvent(payload, header, secret) {
+  const body = Buffer.isBuffer(payload) ? payload.toString('utf8') : String(payload);
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = parseInt(parts.t);
+  if (!timestamp || !parts.v1) throw new Error('Unable to extract timestamp and signatures from header');
+
+  const expected = Buffer.from(signWebhookPayload(body, secret, timestamp).split('v1=')[1], 'hex');
+  const actual = Buffer.from(parts.v1, 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new Error('No signatures found matching the expected signature for payload');
+  }
+  if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    throw new Error('Timestamp outside the tolerance zone');
+  }
+  return JSON.parse(body);
+}
+
+// webhookUrl: where emitted events are POSTed (null keeps them in fake.events only)
+function createFakeStripe({ webhookSecret, webhookUrl = null, fetch = defaultFetch } = {}) {
+  const sessions = new Map();
+  const paymentIntents = new Map();
+  const charges = new Map();
+  const events = [];
+
+  async function deliver(entry) {
+    try {
+      const response = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Stripe-Signature': entry.signature },
+        body: entry.payload
+      });
+      entry.delivered = response.ok;
+      console.log(`🧪 Fake Stripe delivered ${entry.event.type} → ${response.status}`);
+    } catch (error) {
+      console.error('🧪 Fake Stripe webhook delivery failed:', error.message);
+    }
+  }
+
+  // Records a signed event and, like Stripe, delivers it after the API call has returned
+  function emit(type, object) {
+    const event = {
+      id: randomId('evt'),
+      object: 'event',
+      type,
+      created: Math.floor(Date.now() / 1000),
+      livemode: false,
+      data: { object: structuredClone(object) }
+    };
+    const payload = JSON.stringify(event);
+    const entry = { event, payload, signature: signWebhookPayload(payload, webhookSecret), delivered: false };
+    events.push(entry);
+    if (webhookUrl) setImmediate(() => deliver(entry));
+    return entry;
+  }
+
+  function find(map, id, kind) {
+    const object = map.get(id);
+    if (!object) throw stripeError(`No such ${kind}: '${id}'`, 404);
+    return object;
+  }
+
+  // A succeeded payment intent's charge, which refunds and disputes are made against
+  function succeed(intent) {
+    const charge = {
+      id: randomId('ch'),
+      object: 'charge',
+      amount: intent.amount,
+      amount_refunded: 0,
+      currency: intent.currency,
+      payment_intent: intent.id,
+      refunded: false,
+      disputed: false
+    };
+    charges.set(charge.id, charge);
+    intent.status = 'succeeded';
+    intent.latest_charge = charge.id;
+  }
+
+  function chargeOf(paymentIntentId) {
+    const intent = find(paymentIntents, paymentIntentId, 'payment_intent');
+    if (!intent.latest_charge) throw stripeError(`PaymentIntent ${paymentIntentId} has no successful charge`);
+    return charges.get(intent.latest_charge);
+  }
+
+  function refund(paymentIntentId, amount, metadata = {}) {
+    const charge = chargeOf(paymentIntentId);
+    const remaining = charge.amount - charge.amount_refunded;
+    const refunded = amount === undefined ? remaining : amount;
+    if (!(refunded > 0) || refunded > remaining) throw stripeError(`Refund amount must be between 1 and ${remaining}`);
+    charge.amount_refunded += refunded;
+    charge.refunded = charge.amount_refunded === charge.amount;
+    const object = {
+      id: randomId('re'),
+      object: 'refund',
+      amount: refunded,
+      currency: charge.currency,
+      charge: charge.id,
+      payment_intent: paymentIntentId,
+      status: 'succeeded',
+      metadata: { ...metadata },
+      created: Math.floor(Date.now() / 1000)
+    };
+    return { refund: object, entry: emit('charge.refunded', charge) };
+  }
+
+  function createPaymentIntent(params = {}) {
+    const id = randomId('pi');
+    const intent = {
+      id,
+      object: 'payment_intent',
+      amount: params.amount,
+      currency: params.currency || 'usd',
+      status: 'requires_payment_method',
+      client_secret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+      receipt_email: params.receipt_email || null,
+      description: params.description || null,
+      metadata: { ...(params.metadata || {}) },
+      latest_charge: null,
+      created: Math.floor(Date.now() / 1000)
+    };
+    paymentIntents.set(id, intent);
+    return intent;
+  }
+
+  const stripe = {
+    checkout: {
+      sessions: {
+        async create(params = {}) {
+          const id = randomId('cs');
+          const lineItems = params.line_items || [];
+          const session = {
+            id,
+            object: 'checkout.session',
+            url: `/fake-stripe/checkout/${id}`,
+            mode: params.mode || 'payment',
+            status: 'open',
+            payment_status: 'unpaid',
+            payment_intent: null,
+            amount_total: lineItems.reduce((sum, item) => sum + (item.price_data?.unit_amount || 0) * (item.quantity || 1), 0),
+            currency: lineItems[0]?.price_data?.currency || 'usd',
+            customer_email: params.customer_email || null,
+            customer_details: params.customer_email ? { email: params.customer_email } : null,
+            metadata: { ...(params.metadata || {}) },
+            payment_intent_data: { metadata: { ...(params.payment_intent_data?.metadata || {}) } },
+            shipping_address_collection: params.shipping_address_collection || null,
+            shipping_details: null,
+            success_url: params.success_url,
+            cancel_url: params.cancel_url
+          };
+          sessions.set(id, session);
+          return structuredClone(session);
+        },
+        async retrieve(id) {
+          return structuredClone(find(sessions, id, 'checkout.session'));
+        }
+      }
+    },
+
+    paymentIntents: {
+      async create(params) {
+        return structuredClone(createPaymentIntent(params));
+      },
+      async retrieve(id) {
+        return structuredClone(find(paymentIntents, id, 'payment_intent'));
+      }
+    },
+
+    refunds: {
+      // Options like { idempotencyKey } are accepted and ignored
+      async create(params = {}) {
+        if (!params.payment_intent) throw stripeError('Missing required param: payment_intent.');
+        return structuredClone(refund(params.payment_intent, params.amount, params.metadata).refund);
+      }
+    },
+
+    webhooks: { constructEvent },
+
+    // Test and dev controls - not part of the Stripe API
+    fake: {
+      events,
+
+      // What a buyer finishing hosted checkout does; returns the URL Stripe would redirect to.
+      // shipping: { name, address } when the session collects one (defaults to a Toronto test address)
+      completeCheckoutSession(id, { email, shipping } = {}) {
+        const session = find(sessions, id, 'checkout.session');
+        if (session.payment_status !== 'paid') {
+          const intent = createPaymentIntent({
+            amount: session.amount_total,
+            currency: session.currency,
+            metadata: session.payment_intent_data.metadata
+          });
+          succeed(intent);
+          session.payment_intent = intent.id;
+          session.payment_status = 'paid';
+          session.status = 'complete';
+          if (email) session.customer_email = email;
+          if (session.shipping_address_collection) session.shipping_details = shipping || TEST_SHIPPING;
+          if (session.customer_email) session.customer_details = { email: session.customer_email };
+          emit('payment_intent.succeeded', intent);
+          emit('checkout.session.completed', session);
+        }
+        return session.success_url.replace('{CHECKOUT_SESSION_ID}', session.id);
+      },
+
+      // What Stripe.js confirmCardPayment does; the 4000 0000 0000 0002 test card declines
+      confirmPaymentIntent(id, { clientSecret, cardNumber } = {}) {
+        const intent = find(paymentIntents, id, 'payment_intent');
+        if (clientSecret !== undefined && clientSecret !== intent.client_secret) {
+          throw stripeError('The client_secret provided does not match the client_secret associated with the PaymentIntent.');
+        }
+        if (String(cardNumber || '').replace(/\s/g, '') === '4000000000000002') {
+          emit('payment_intent.payment_failed', {
+            ...intent,
+            status: 'requires_payment_method',
+            last_payment_error: { code: 'card_declined', message: 'Your card was declined.' }
+          });
+          const error = stripeError('Your card was declined.', 402);
+          error.code = 'card_declined';
+          throw error;
+        }
+        if (intent.status !== 'succeeded') {
+          succeed(intent);
+          emit('payment_intent.succeeded', intent);
+        }
+        return structuredClone(intent);
+      },
+
+      // A refund issued from the Stripe dashboard; amount in cents, the whole charge by default.
+      // Returns the charge.refunded event entry.
+      refundPaymentIntent(id, { amount } = {}) {
+        return refund(id, amount).entry;
+      },
+
+      // A buyer disputing the payment with their bank
+      disputePaymentIntent(id, { reason = 'fraudulent' } = {}) {
+        const charge = chargeOf(id);
+        charge.disputed = true;
+        return emit('charge.dispute.created', {
+          id: randomId('dp'),
+          object: 'dispute',
+          amount: charge.amount,
+          currency: charge.currency,
+          charge: charge.id,
+          payment_intent: id,
+          reason,
+          status: 'needs_response',
+          created: Math.floor(Date.now() / 1000)
+        });
+      }
+    }
+  };
+
+  return stripe;
+}
+
+module.exports = { createFakeStripe, signWebhookPayload, constructEvent };
@@ -1,125 +1,148 @@
+// generate-cards.js - manufacturing runs of physical cards
+//
+//   node generate-cards.js runs create --count 500 --sku PC-A6 [--notes "..."] [--output run.csv]
+//   node generate-cards.js runs list [--status created|voided]
+//   node generate-cards.js runs export <run_id> [--format csv|json|ndjson] [--output file]
+//   node generate-cards.js runs void <run_id> --reason "lost in transit"
+//   node generate-cards.js runs regenerate-pins <run_id> [--output file]
+//   node generate-cards.js runs stats [run_id]
+//
+//   --dry-run   show what create/void would do without writing anything
+//   --local     use the local storage backend (local-data/papir.json) instead of Supabase
+//   --base-url  what the QR URLs point at (PUBLIC_BASE_URL, default https://papir.ca)
+//
+// create inserts dormant physical cards tagged with a new run ID and writes the manufacturer's
+// file (--output, default <run_id>.csv; the format follows the extension). That file is the only
+// place the scratch-off PINs ever appear - export leaves the pin column empty. A lost or leaked
+// file means: void the run, then regenerate-pins, which writes a replacement run with fresh cards.
+// export with no --output prints to stdout. The print-ready PDF is `node print-sheet.js --run <run_id>`.
+//
+// PINs are hashed with CLAIM_PIN_SECRET (or the secret derived from ADMIN_SESSION_SECRET), which
+// must be the server's, so create and regenerate-pins refuse to run without one of them.
 const fs = require('fs');
-const { createClient } = require('@supabase/supabase-js');
+const path = require('path');
 require('dotenv').config();
-
-// Connect to Supabase
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_KEY
-);
-
-// Card ID generator - NO PREFIX (matches your maker.html)
-function generateCardId() {
-  return 'CARD' + Math.random().toString(36).substr(2, 8).toUpperCase();
+const { createStorage } = require('./storage');
+const { createCardLifecycle } = require('./services/card-lifecycle');
+const { createManufacturingRuns, cliRequest, formatExport, EXPORT_FORMATS } = require('./services/manufacturing-runs');
+const { parseArgs, storageEnv } = require('./lib/cli-args');
+const { loadConfig } = require('./lib/config');
+
+const USAGE = 'Usage: node generate-cards.js runs <create|list|export|void|regenerate-pins|stats> [options] (see the top of generate-cards.js)';
+const PIN_COMMANDS = ['create', 'regenerate-pins'];
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
 }
 
-// Configuration
-const BATCH_SIZE = 5; // Change this to however many cards you need
-const OUTPUT_FILE = 'cards_for_manufacturer.csv';
-
-async function generateCards() {
-  console.log('\n🎴 ' + '='.repeat(50));
-  console.log('🎴 GENERATING CARDS FOR MANUFACTURER');
-  console.log('🎴 ' + '='.repeat(50) + '\n');
+function formatFor(args) {
+  if (args.format) return args.format;
+  const extension = args.output ? path.extname(args.output).slice(1).toLowerCase() : '';
+  return EXPORT_FORMATS.includes(extension) ? extension : 'csv';
+}
 
-  // Step 1: Get all existing card IDs from database
-  console.log('📡 Fetching existing cards from database...');
-  const { data: existingCards, error: fetchError } = await supabase
-    .from('cards')
-    .select('card_id');
+function percent(rate) {
+  return `${(rate * 100).toFixed(1)}%`;
+}
 
-  if (fetchError) {
-    console.error('❌ Failed to fetch existing cards:', fetchError);
-    return;
+async function main() {
+  const args = parseArgs(process.argv.slice(2), { flags: ['dry-run', 'local'] });
+  const [group, command, runId] = args._;
+  if (group !== 'runs' || !command) fail(USAGE);
+
+  const dryRun = !!args['dry-run'];
+  const baseUrl = args['base-url'] || process.env.PUBLIC_BASE_URL || 'https://papir.ca';
+  const storage = createStorage(storageEnv(args));
+  if (!storage) fail('Missing Supabase environment variables (or pass --local)');
+  // A made-up secret would issue PINs the server can never match
+  if (PIN_COMMANDS.includes(command) && !dryRun && !process.env.CLAIM_PIN_SECRET && !process.env.ADMIN_SESSION_SECRET) {
+    fail('Set CLAIM_PIN_SECRET (or ADMIN_SESSION_SECRET) to the server\'s value before issuing PINs');
+  }
+  const claimPinSecret = loadConfig().claimPinSecret;
+  const runs = createManufacturingRuns({ storage, cardLifecycle: createCardLifecycle({ storage }), claimPinSecret });
+  const req = cliRequest('generate-cards.js');
+
+  // The manufacturer's file for a run just made, PINs included
+  function writeRunFile(run, cards) {
+    const format = formatFor(args);
+    const output = args.output || `${run.run_id}.${format}`;
+    fs.writeFileSync(output, formatExport(runs.exportRows(run, cards, baseUrl), format, run));
+    console.log(`✅ Run ${run.run_id}: ${cards.length} dormant ${run.sku} cards`);
+    console.log(`📁 Manufacturer file (with PINs - keep it safe): ${output}`);
+    console.log(`🖨️ Print sheet: node print-sheet.js --run ${run.run_id}${args.local ? ' --local' : ''}`);
   }
 
-  // Create Set for quick lookup
-  const existingIds = new Set(existingCards.map(c => c.card_id));
-  console.log(`📊 Found ${existingIds.size} existing cards in database\n`);
-
-  // Step 2: Generate new unique cards
-  const newCards = [];
-  const csvRows = ['Card ID,QR URL (for manufacturer)'];
-  
-  let generated = 0;
-  let attempts = 0;
-  const maxAttempts = BATCH_SIZE * 10;
-
-  console.log(`🎲 Generating ${BATCH_SIZE} unique card IDs...`);
+  switch (command) {
+    case 'create': {
+      const count = Number(args.count);
+      const { run, cards } = await runs.createRun(req, { count, sku: args.sku, notes: args.notes || null, dryRun });
+      if (dryRun) {
+        console.log(`🧪 Dry run: would create ${run.run_id} with ${cards.length} ${run.sku} cards and write ${args.output || `${run.run_id}.${formatFor(args)}`}`);
+        cards.slice(0, 5).forEach(card => console.log(`   ${card.card_id}`));
+        return;
+      }
+      writeRunFile(run, cards);
+      return;
+    }
 
-  while (generated < BATCH_SIZE && attempts < maxAttempts) {
-    attempts++;
-    
-    // Generate a new ID (NO PREFIX)
-    const cardId = generateCardId();
-    
-    // Check if it's unique
-    if (!existingIds.has(cardId)) {
-      // Add to Set to prevent duplicates in this batch
-      existingIds.add(cardId);
-      
-      // Create QR URL for manufacturer - uses the plain ID
-      const qrUrl = `https://papir.ca/viewer.html?card=${cardId}`;
-      
-      // Add to database insert list
-      newCards.push({
-        card_id: cardId,  // No prefix, just the random string
-        message_type: 'pending',
-        message_text: null,
-        media_url: null,
-        file_name: null,
-        file_size: null,
-        file_type: null,
-        status: 'pending',
-        scan_count: 0,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
+    case 'list': {
+      const list = await runs.listRuns({ status: args.status });
+      if (list.length === 0) return console.log('No manufacturing runs yet');
+      list.forEach(run => {
+        console.log(`${run.run_id}  ${run.sku.padEnd(14)} ${String(run.card_count).padStart(6)} cards  ${run.status.padEnd(8)} ${run.created_at}${run.void_reason ? `  (${run.void_reason})` : ''}`);
       });
-      
-      // Add to CSV for manufacturer
-      csvRows.push(`${cardId},${qrUrl}`);
-      
-      generated++;
-      
-      // Show progress
-      if (generated % 10 === 0) {
-        console.log(`   Generated ${generated}/${BATCH_SIZE} (${attempts} attempts)`);
+      return;
+    }
+
+    case 'export': {
+      if (!runId) fail('Which run? node generate-cards.js runs export <run_id>');
+      const { body } = await runs.exportRun(runId, { format: formatFor(args), baseUrl });
+      if (args.output) {
+        fs.writeFileSync(args.output, body);
+        console.log(`📁 Exported ${runId} to ${args.output}`);
+      } else {
+        process.stdout.write(body);
       }
+      return;
     }
-  }
 
-  if (attempts >= maxAttempts) {
-    console.error('❌ Failed to generate enough unique IDs');
-    return;
-  }
+    case 'void': {
+      if (!runId) fail('Which run? node generate-cards.js runs void <run_id> --reason "..."');
+      const result = await runs.voidRun(req, runId, { reason: args.reason, dryRun });
+      const verb = dryRun ? '🧪 Dry run: would void' : '🚫 Voided';
+      console.log(`${verb} ${result.voided.length} dormant cards in ${runId}`);
+      if (result.kept.length > 0) {
+        console.log(`⚠️ ${result.kept.length} cards were already activated and stay live:`);
+        result.kept.forEach(card => console.log(`   ${card.card_id} (${card.status})`));
+      }
+      return;
+    }
 
-  console.log(`\n✅ Generated ${generated} unique card IDs`);
-  console.log(`📁 CSV saved: ${OUTPUT_FILE}`);
-  console.log(`📊 Inserting ${newCards.length} cards into database...`);
+    case 'regenerate-pins': {
+      if (!runId) fail('Which run? node generate-cards.js runs regenerate-pins <run_id>');
+      const { run, cards } = await runs.regeneratePins(req, runId, { dryRun });
+      if (dryRun) {
+        console.log(`🧪 Dry run: would replace ${runId} with ${run.run_id} (${cards.length} ${run.sku} cards, fresh PINs)`);
+        return;
+      }
+      console.log(`🔁 ${runId} replaced by ${run.run_id} - its old card IDs stay void`);
+      writeRunFile(run, cards);
+      return;
+    }
 
-  // Insert into Supabase
-  const { error: insertError } = await supabase
-    .from('cards')
-    .insert(newCards);
+    case 'stats': {
+      const stats = await runs.runStats(runId || null);
+      if (stats.length === 0) return console.log('No manufacturing runs yet');
+      stats.forEach(row => {
+        console.log(`${row.run_id}  ${row.sku.padEnd(14)} printed ${String(row.printed).padStart(6)}  active ${String(row.active).padStart(6)}  pending ${String(row.pending).padStart(6)}  deleted ${String(row.deleted).padStart(6)}  activation ${percent(row.activation_rate).padStart(6)}${row.status === 'voided' ? '  VOID' : ''}`);
+      });
+      return;
+    }
 
-  if (insertError) {
-    console.error('❌ Failed to insert cards:', insertError);
-    return;
+    default:
+      fail(USAGE);
   }
-
-  // Save CSV file
-  fs.writeFileSync(OUTPUT_FILE, csvRows.join('\n'));
-
-  console.log('✅ Cards successfully inserted into database');
-  console.log('\n📋 Sample of generated cards:');
-  newCards.slice(0, 5).forEach(card => {
-    console.log(`   ${card.card_id} → https://papir.ca/viewer.html?card=${card.card_id}`);
-  });
-  
-  console.log('\n🎉 ' + '='.repeat(50));
-  console.log('🎉 DONE! Send the CSV file to your manufacturer');
-  console.log('🎉 ' + '='.repeat(50) + '\n');
 }
 
-// Run the generator
-generateCards();
+main().catch(error => fail(error.message));
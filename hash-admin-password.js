@@ -0,0 +1,12 @@
+// hash-admin-password.js - prints an ADMIN_PASSWORD_HASH value for the server env
+// Usage: node hash-admin-password.js '<password>'
+const { hashPassword } = require('./lib/admin-auth');
+
+const password = process.argv[2];
+if (!password || password.length < 12) {
+  console.error('❌ Usage: node hash-admin-password.js <password> (at least 12 characters)');
+  process.exit(1);
+}
+
+console.log('\n🔐 Add this to your environment (Railway variables or .env):\n');
+console.log(`ADMIN_PASSWORD_HASH=${hashPassword(password)}\n`);
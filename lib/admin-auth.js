@@ -0,0 +1,52 @@
+// 🔐 Admin authentication helpers - password hashing and signed session tokens
+const crypto = require('crypto');
+
+const SCRYPT_KEYLEN = 64;
+
+// Hash a password as "scrypt$<salt>$<hash>" (hex) for ADMIN_PASSWORD_HASH
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  if (!stored || typeof stored !== 'string') return false;
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password || ''), salt, expected.length);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+function hmac(secret, data) {
+  return base64url(crypto.createHmac('sha256', secret).update(data).digest());
+}
+
+// Token format: base64url(JSON payload) + "." + HMAC-SHA256 signature
+function signToken(payload, secret) {
+  const body = base64url(JSON.stringify(payload));
+  return `${body}.${hmac(secret, body)}`;
+}
+
+// Returns the payload, or null if the signature is wrong or the token expired
+function verifyToken(token, secret) {
+  if (!token || typeof token !== 'string') return null;
+  const [body, signature] = token.split('.');
+  if (!body || !signature) return null;
+  const expected = Buffer.from(hmac(secret, body));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(body.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+    if (!payload.exp || payload.exp < Date.now()) return null;
+    return payload;
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = { hashPassword, verifyPassword, signToken, verifyToken };
@@ -0,0 +1,32 @@
+// 🤖 Bot user agents - crawlers, link-preview fetchers and uptime monitors that open card URLs
+// with no person behind them. Their scans are logged and flagged, never counted.
+const KNOWN_BOTS = [
+  ['facebook', /facebookexternalhit|facebookcatalog|meta-externalagent/i],
+  ['twitter', /twitterbot/i],
+  ['slack', /slackbot|slack-imgproxy/i],
+  ['discord', /discordbot/i],
+  ['linkedin', /linkedinbot/i],
+  ['whatsapp', /whatsapp/i],
+  ['telegram', /telegrambot/i],
+  ['skype', /skypeuripreview/i],
+  ['google', /googlebot|google-inspectiontool|googleother|adsbot-google|mediapartners-google/i],
+  ['bing', /bingbot|bingpreview/i],
+  ['apple', /applebot/i],
+  ['uptimerobot', /uptimerobot/i],
+  ['pingdom', /pingdom/i],
+  ['statuscake', /statuscake/i],
+  ['betteruptime', /better ?uptime|betterstack/i],
+  ['headless', /headlesschrome|phantomjs|puppeteer|playwright/i],
+  ['http-client', /^(curl|wget|python-requests|python-urllib|go-http-client|java\/|okhttp|axios|node-fetch|libwww-perl)/i]
+];
+const GENERIC_BOT = /bot\b|crawler|spider|preview|scraper|monitor/i;
+
+// Returns a short name for the bot, or null for what looks like a person's browser
+function detectBot(userAgent) {
+  if (!userAgent || userAgent === 'unknown') return 'no_user_agent';
+  const known = KNOWN_BOTS.find(([, pattern]) => pattern.test(userAgent));
+  if (known) return known[0];
+  return GENERIC_BOT.test(userAgent) ? 'generic' : null;
+}
+
+module.exports = { detectBot };
@@ -0,0 +1,60 @@
+// 🆔 Card IDs - CARD + 8 random characters + 1 check character, e.g. CARD7KQ2M9XHT
+// The alphabet has no 0/O or 1/I, so IDs read back off a printed card unambiguously, and the
+// check character (Luhn mod 32) catches any single wrong character and most swapped neighbours.
+// Shared by the server and the browser (served as /js/card-ids.js, exposed as window.PapirCardIds).
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.PapirCardIds = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const PREFIX = 'CARD';
+  const ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+  const BODY_LENGTH = 8;
+  const CARD_ID_PATTERN = new RegExp(`^${PREFIX}[${ALPHABET}]{${BODY_LENGTH + 1}}$`);
+  // IDs minted before check characters: CARD + up to 8 base-36 characters
+  const LEGACY_PATTERN = /^CARD[0-9A-Z]{1,8}$/;
+
+  function checkCharacter(body) {
+    const n = ALPHABET.length;
+    let sum = 0;
+    let factor = 2;
+    for (let i = body.length - 1; i >= 0; i--) {
+      const addend = factor * ALPHABET.indexOf(body[i]);
+      sum += Math.floor(addend / n) + (addend % n);
+      factor = factor === 2 ? 1 : 2;
+    }
+    return ALPHABET[(n - (sum % n)) % n];
+  }
+
+  // 32 symbols, so each random byte maps onto the alphabet without bias
+  function generateCardId() {
+    const bytes = globalThis.crypto.getRandomValues(new Uint8Array(BODY_LENGTH));
+    const body = Array.from(bytes, byte => ALPHABET[byte % ALPHABET.length]).join('');
+    return PREFIX + body + checkCharacter(body);
+  }
+
+  // Upper-cases and drops spaces and dashes, the way people copy IDs off a card
+  function normalizeCardId(input) {
+    return String(input || '').toUpperCase().replace(/[\s-]/g, '');
+  }
+
+  function isValidCardId(cardId) {
+    if (!CARD_ID_PATTERN.test(cardId)) return false;
+    const body = cardId.slice(PREFIX.length, -1);
+    return checkCharacter(body) === cardId.slice(-1);
+  }
+
+  function isLegacyCardId(cardId) {
+    return LEGACY_PATTERN.test(cardId);
+  }
+
+  // For manual entry: { cardId } when it can be looked up, { error } when it is certainly mistyped
+  function checkCardInput(input) {
+    const cardId = normalizeCardId(input);
+    if (!cardId) return { error: 'Please enter a Card ID' };
+    if (isValidCardId(cardId) || isLegacyCardId(cardId)) return { cardId };
+    if (CARD_ID_PATTERN.test(cardId)) return { error: 'That Card ID has a typo - please check each character' };
+    return { error: 'Card IDs start with CARD followed by 9 letters and numbers' };
+  }
+
+  return { PREFIX, ALPHABET, generateCardId, checkCharacter, normalizeCardId, isValidCardId, isLegacyCardId, checkCardInput };
+});
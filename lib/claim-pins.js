@@ -0,0 +1,40 @@
+// 🔑 Claim PINs - the scratch-off code that proves someone holds a pre-printed card
+// Keyed hashing and constant-time checks, like the email verification codes.
+const crypto = require('crypto');
+
+const PIN_LENGTH = 8;
+const MAX_PIN_ATTEMPTS = 5;
+
+// A fresh PIN for a card's scratch-off panel; only its hash is kept
+function generatePin() {
+  return Array.from({ length: PIN_LENGTH }, () => crypto.randomInt(10)).join('');
+}
+
+// 1234-5678, the way it is printed under the scratch-off
+function formatPin(pin) {
+  const digits = normalizePin(pin);
+  return `${digits.slice(0, 4)}-${digits.slice(4)}`;
+}
+
+// Digits only, so "1234-5678" and "1234 5678" match what was printed
+function normalizePin(pin) {
+  return String(pin === undefined || pin === null ? '' : pin).replace(/\D/g, '');
+}
+
+// HMAC keyed with CLAIM_PIN_SECRET and bound to the card, so a leaked table reverses nothing
+// and one card's hash cannot be replayed against another
+function hashPin(cardId, pin, secret) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${cardId}:${normalizePin(pin)}`)
+    .digest('hex');
+}
+
+function pinMatches(cardId, pin, storedHash, secret) {
+  if (!storedHash || typeof storedHash !== 'string' || normalizePin(pin).length !== PIN_LENGTH) return false;
+  const expected = Buffer.from(storedHash, 'hex');
+  const actual = Buffer.from(hashPin(cardId, pin, secret), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = { generatePin, formatPin, normalizePin, hashPin, pinMatches, PIN_LENGTH, MAX_PIN_ATTEMPTS };
@@ -0,0 +1,30 @@
+// ⌨️ Command-line arguments for the scripts in the repo root
+// parseArgs(['runs', 'create', '--count', '5', '--dry-run'], { flags: ['dry-run'] })
+//   -> { _: ['runs', 'create'], count: '5', 'dry-run': true }
+// --name=value works too; names listed in flags take no value.
+function parseArgs(argv, { flags = [] } = {}) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args._.push(arg);
+      continue;
+    }
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    if (inline !== undefined) args[name] = inline;
+    else if (flags.includes(name)) args[name] = true;
+    else args[name] = argv[++i];
+  }
+  return args;
+}
+
+// --local: the in-process storage backend, kept in a data file so successive commands (and a server
+// started with the same STORAGE_BACKEND=local LOCAL_DATA_FILE) see the same rows
+const LOCAL_DATA_FILE = 'local-data/papir.json';
+
+function storageEnv(args, env = process.env) {
+  if (!args.local) return env;
+  return { ...env, STORAGE_BACKEND: 'local', LOCAL_DATA_FILE: env.LOCAL_DATA_FILE || LOCAL_DATA_FILE };
+}
+
+module.exports = { parseArgs, storageEnv };
@@ -0,0 +1,46 @@
+// 🌐 Client IP behind Railway's proxy chain - first public address in X-Forwarded-For
+function getClientIp(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  const remoteAddress = req.socket.remoteAddress;
+  const ip = req.ip;
+  console.log('IP Debug:', { forwarded, remoteAddress, ip, trustProxy: req.app.get('trust proxy') });
+
+  if (forwarded) {
+    const ips = forwarded.split(',').map(s => s.trim().replace('::ffff:', ''));
+    // Find first non-internal IP in the chain
+    for (const candidate of ips) {
+      if (candidate &&
+          candidate !== 'unknown' &&
+          !candidate.startsWith('10.') &&
+          !candidate.startsWith('192.168.') &&
+          !candidate.match(/^172\.(1[6-9]|2[0-9]|3[01])\./) &&
+          !candidate.startsWith('127.') &&
+          candidate !== '::1' &&
+          candidate !== 'localhost') {
+        console.log('Using forwarded IP:', candidate);
+        return candidate;
+      }
+    }
+    // Fallback to last IP in chain (closest to client)
+    const lastIp = ips[ips.length - 1];
+    console.log('Using last forwarded IP (fallback):', lastIp);
+    return lastIp;
+  }
+  if (remoteAddress && remoteAddress !== '::1' && remoteAddress !== '::ffff:127.0.0.1') {
+    const cleanIp = remoteAddress.replace('::ffff:', '');
+    console.log('Using remoteAddress:', cleanIp);
+    return cleanIp;
+  }
+  if (ip && ip !== '::1' && ip !== '::ffff:127.0.0.1') {
+    const cleanIp = ip.replace('::ffff:', '');
+    console.log('Using req.ip:', cleanIp);
+    return cleanIp;
+  }
+  return 'unknown';
+}
+
+function getUserAgent(req) {
+  return req.headers['user-agent'] || 'unknown';
+}
+
+module.exports = { getClientIp, getUserAgent };
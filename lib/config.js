@@ -0,0 +1,53 @@
+// ⚙️ Runtime configuration read from the environment
+// Secrets that are not set are derived from ADMIN_SESSION_SECRET, which itself
+// falls back to a random per-process value (sessions then die on restart).
+const crypto = require('crypto');
+
+function deriveSecret(base, purpose) {
+  return crypto.createHmac('sha256', base).update(purpose).digest('hex');
+}
+
+function loadConfig(env = process.env) {
+  let adminSessionSecret = env.ADMIN_SESSION_SECRET;
+  if (!adminSessionSecret) {
+    adminSessionSecret = crypto.randomBytes(32).toString('hex');
+    console.log('⚠️ ADMIN_SESSION_SECRET not set - admin sessions will not survive a restart');
+  }
+  if (!env.ADMIN_PASSWORD_HASH) {
+    console.log('⚠️ ADMIN_PASSWORD_HASH not set - bootstrap owner login disabled (run: node hash-admin-password.js <password>)');
+  }
+
+  const stripeBackend = env.STRIPE_BACKEND || 'stripe';
+  const fakeStripe = stripeBackend === 'fake';
+
+  return {
+    port: env.PORT || 3000,
+    nodeEnv: env.NODE_ENV || 'production',
+
+    // Bootstrap owner account so the first named admin users can be created
+    adminUsername: env.ADMIN_USERNAME || 'papiradmin',
+    adminPasswordHash: env.ADMIN_PASSWORD_HASH || null,
+    adminSessionTtlMs: (parseInt(env.ADMIN_SESSION_TTL_HOURS) || 8) * 60 * 60 * 1000,
+    adminSessionSecret,
+
+    customerAccessSecret: env.CUSTOMER_ACCESS_SECRET || deriveSecret(adminSessionSecret, 'customer-access'),
+    customerSessionSecret: env.CUSTOMER_SESSION_SECRET || deriveSecret(adminSessionSecret, 'customer-session'),
+    customerSessionTtlMs: (parseInt(env.CUSTOMER_SESSION_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000,
+    verificationCodeSecret: env.VERIFICATION_CODE_SECRET || deriveSecret(adminSessionSecret, 'verification-code'),
+    claimPinSecret: env.CLAIM_PIN_SECRET || deriveSecret(adminSessionSecret, 'claim-pin'),
+
+    // External clients - the non-default backends are local stand-ins for offline work (see clients/)
+    stripeBackend: stripeBackend,
+    stripeSecretKey: env.STRIPE_SECRET_KEY || null,
+    stripePublishableKey: env.STRIPE_PUBLISHABLE_KEY || (fakeStripe ? 'pk_test_fake' : null),
+    stripeWebhookSecret: env.STRIPE_WEBHOOK_SECRET || (fakeStripe ? 'whsec_fake_local' : null),
+    stripeFakeWebhookUrl: env.STRIPE_FAKE_WEBHOOK_URL || `http://localhost:${env.PORT || 3000}/api/webhook`,
+    mailBackend: env.MAIL_BACKEND || 'resend',
+    resendApiKey: env.RESEND_API_KEY || null,
+    geoBackend: env.GEO_BACKEND || 'ip-apis',
+    geoFixturesFile: env.GEO_FIXTURES_FILE || null,
+    ipinfoToken: env.IPINFO_TOKEN || ''
+  };
+}
+
+module.exports = { loadConfig };
@@ -0,0 +1,27 @@
+// 🔑 Management tokens for cards and batches - issued once, only the SHA-256 hash is stored
+const crypto = require('crypto');
+
+function hashManageToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function issueManageToken() {
+  const token = 'pmt_' + crypto.randomBytes(24).toString('base64url');
+  return { token, hash: hashManageToken(token) };
+}
+
+function manageTokenMatches(token, storedHash) {
+  if (!token || !storedHash) return false;
+  const expected = Buffer.from(storedHash, 'hex');
+  const actual = Buffer.from(hashManageToken(token), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// Never hand token hashes back to browsers
+function withoutSecrets(row) {
+  if (!row) return row;
+  const { manage_token_hash, claim_pin_hash, ...rest } = row;
+  return rest;
+}
+
+module.exports = { hashManageToken, issueManageToken, manageTokenMatches, withoutSecrets };
@@ -0,0 +1,24 @@
+// 🗃️ LRU cache with a time to live per entry
+// A Map iterates in insertion order, so re-inserting on every hit keeps the least recently used key first.
+function createTtlCache({ maxEntries = 1000, ttlMs, now = () => Date.now() }) {
+  const entries = new Map();
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    entries.delete(key);
+    if (entry.expiresAt <= now()) return undefined;
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  function set(key, value, entryTtlMs = ttlMs) {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: now() + entryTtlMs });
+    while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+  }
+
+  return { get, set, get size() { return entries.size; } };
+}
+
+module.exports = { createTtlCache };
@@ -0,0 +1,33 @@
+// 🔢 Email verification codes - keyed hashing, constant-time checks and lockout timing
+const crypto = require('crypto');
+
+const LOCKOUT_BASE_MS = 15 * 60 * 1000;
+const LOCKOUT_MAX_MS = 24 * 60 * 60 * 1000;
+
+function generateCode() {
+  return crypto.randomInt(100000, 1000000).toString();
+}
+
+// HMAC rather than a plain hash: a 6-digit code has only a million values,
+// so an unkeyed hash would be reversed instantly if the table leaked
+function hashCode(email, code, secret) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${String(email).toLowerCase().trim()}:${String(code).trim()}`)
+    .digest('hex');
+}
+
+function codeMatches(email, code, storedHash, secret) {
+  if (!storedHash || typeof storedHash !== 'string' || code === undefined || code === null) return false;
+  const expected = Buffer.from(storedHash, 'hex');
+  const actual = Buffer.from(hashCode(email, code, secret), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// 15 min for the first lockout, doubling each time, capped at 24 hours
+function lockoutDuration(lockoutCount) {
+  const exponent = Math.max(0, (parseInt(lockoutCount) || 1) - 1);
+  return Math.min(LOCKOUT_BASE_MS * Math.pow(2, exponent), LOCKOUT_MAX_MS);
+}
+
+module.exports = { generateCode, hashCode, codeMatches, lockoutDuration, LOCKOUT_BASE_MS, LOCKOUT_MAX_MS };
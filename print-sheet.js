@@ -0,0 +1,78 @@
+// print-sheet.js - writes the imposed QR print PDF for a manufacturing run, a batch or a CSV
+// Usage: node print-sheet.js --run <run_id> [options]
+//        node print-sheet.js --batch <batch_id> [options]
+//        node print-sheet.js --csv <run_id>.csv [options]
+// Options: --paper letter|a4  --columns 3  --rows 4  --bleed 3 (mm)  --no-marks  --skip 0
+//          --logo  --ecc M  --out <file.pdf>  --base-url https://papir.ca  --local (see generate-cards.js)
+const fs = require('fs');
+require('dotenv').config();
+const { createStorage } = require('./storage');
+const { renderPrintSheet, parsePrintOptions } = require('./services/print-sheet');
+const { parseArgs, storageEnv } = require('./lib/cli-args');
+
+// First column of a generate-cards.js CSV, header row skipped
+function readCsvCards(file) {
+  return fs.readFileSync(file, 'utf8').split(/\r?\n/).slice(1)
+    .map(line => line.split(',')[0].trim())
+    .filter(Boolean)
+    .map(cardId => ({ card_id: cardId }));
+}
+
+function openStorage(args) {
+  const storage = createStorage(storageEnv(args));
+  if (!storage) throw new Error('Missing Supabase environment variables (or pass --local)');
+  return storage;
+}
+
+// Voided cards are left out; the run's other cards print whatever their status
+async function loadRunCards(storage, runId) {
+  const run = await storage.runs.get(runId);
+  if (!run) throw new Error(`Run not found: ${runId}`);
+  const cards = await storage.cards.listByRun(runId, { columns: 'card_id, status' });
+  return {
+    title: `${run.run_id} (${run.sku})`,
+    subtitle: run.status === 'voided' ? `VOID: ${run.void_reason}` : run.notes,
+    cards: cards.filter(card => card.status !== 'deleted')
+  };
+}
+
+async function loadBatchCards(storage, batchId) {
+  const batch = await storage.batches.get(batchId);
+  if (!batch) throw new Error(`Batch not found: ${batchId}`);
+  const cards = await storage.cards.listByBatch(batchId, { columns: 'card_id, status', excludeStatus: 'processed', templates: false });
+  return {
+    title: batch.batch_name ? `${batch.batch_name} (${batchId})` : batchId,
+    cards: cards.filter(card => card.status !== 'deleted')
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2), { flags: ['no-marks', 'logo', 'local'] });
+  if (!args.run && !args.batch && !args.csv) {
+    console.error('❌ Usage: node print-sheet.js --run <run_id> | --batch <batch_id> | --csv <file> [--paper letter|a4] [--columns N] [--rows N] [--bleed mm] [--no-marks] [--skip N] [--logo] [--out file.pdf]');
+    process.exit(1);
+  }
+
+  const options = parsePrintOptions({ ...args, marks: args['no-marks'] ? '0' : undefined, logo: args.logo ? '1' : undefined });
+  let source;
+  if (args.run) source = await loadRunCards(openStorage(args), args.run);
+  else if (args.batch) source = await loadBatchCards(openStorage(args), args.batch);
+  else source = { title: args.csv, cards: readCsvCards(args.csv) };
+  const out = args.out || `papir-${(args.run || args.batch || 'run').replace(/[^\w-]/g, '_')}-print.pdf`;
+
+  console.log(`🖨️ Imposing ${source.cards.length} cards on ${options.paper} (${options.columns} x ${options.rows})...`);
+  const pdf = await renderPrintSheet({
+    title: source.title,
+    subtitle: source.subtitle,
+    cards: source.cards,
+    baseUrl: args['base-url'] || process.env.PUBLIC_BASE_URL || 'https://papir.ca',
+    options
+  });
+  fs.writeFileSync(out, pdf);
+  console.log(`✅ Print sheet saved: ${out}`);
+}
+
+main().catch(error => {
+  console.error('❌ Print sheet failed:', error.message);
+  process.exit(1);
+});
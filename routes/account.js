@@ -0,0 +1,192 @@
+// 👤 Customer account API - magic-link sign-in, My Cards, order migration
+const express = require('express');
+const { hashManageToken, withoutSecrets } = require('../lib/manage-tokens');
+const { BATCH_OWNERSHIP_FIELDS } = require('../services/ownership');
+
+function createAccountRouter({ storage, customerAccounts, ownership, batchService }) {
+  const router = express.Router();
+  const { requireCustomer, consumeVerificationCode, findPurchasesForEmail, accountSummary } = customerAccounts;
+
+  router.post('/api/account/magic-link', async (req, res) => {
+    try {
+      const { email } = req.body;
+      if (!email || !email.includes('@')) {
+        return res.status(400).json({ success: false, error: 'Valid email required' });
+      }
+      if (!storage) return res.status(503).json({ success: false, error: 'Database unavailable' });
+      const result = await customerAccounts.sendLoginEmail(req, email.toLowerCase().trim());
+      res.status(result.status).json(result.body);
+    } catch (error) {
+      console.error('Magic link error:', error);
+      res.status(500).json({ success: false, error: 'Server error' });
+    }
+  });
+
+  // The link in the email lands here, then redirects to My Cards
+  router.get('/api/account/verify', async (req, res) => {
+    try {
+      const token = String(req.query.token || '');
+      if (!token || !storage) return res.redirect('/batch-manager?login=invalid');
+      const link = await customerAccounts.consumeLoginLink(req, token);
+      if (!link) return res.redirect('/batch-manager?login=expired');
+
+      const { customer } = await customerAccounts.signIn(req, res, link.email);
+      console.log(`👤 Customer signed in via magic link: ${customer.email}`);
+      res.redirect('/batch-manager?login=ok');
+    } catch (error) {
+      console.error('Magic link verify error:', error);
+      res.redirect('/batch-manager?login=error');
+    }
+  });
+
+  // Same sign-in with the 6-digit code from the email
+  router.post('/api/account/verify-code', async (req, res) => {
+    try {
+      const { email, code } = req.body;
+      if (!email || !code) return res.status(400).json({ success: false, error: 'Email and code required' });
+      if (!storage) return res.status(503).json({ success: false, error: 'Database unavailable' });
+      const normalizedEmail = email.toLowerCase().trim();
+      const check = await consumeVerificationCode(req, normalizedEmail, String(code).trim());
+      if (!check.ok) return res.status(check.status).json(check.body);
+      await customerAccounts.signIn(req, res, normalizedEmail);
+      res.json({ success: true, account: await accountSummary(req.customer) });
+    } catch (error) {
+      console.error('Verify code error:', error);
+      res.status(500).json({ success: false, error: 'Server error' });
+    }
+  });
+
+  router.get('/api/account/me', requireCustomer, async (req, res) => {
+    try {
+      res.json({ success: true, account: await accountSummary(req.customer) });
+    } catch (error) {
+      console.error('Account lookup error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/api/account/logout', async (req, res) => {
+    try {
+      await customerAccounts.endSession(req, res);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Logout error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // One-time import of the orders batch-manager.html kept in localStorage (papir_orders).
+  // An order is attached only if the browser holds its management token or it was paid
+  // with the signed-in email.
+  router.post('/api/account/migrate-orders', requireCustomer, async (req, res) => {
+    try {
+      const { orders, manage_tokens } = req.body || {};
+      if (!Array.isArray(orders)) return res.status(400).json({ success: false, error: 'orders array required' });
+      const tokens = manage_tokens && typeof manage_tokens === 'object' ? manage_tokens : {};
+      const customer = req.customer;
+      const emailPurchases = await findPurchasesForEmail(customer.email, customer.id);
+      const emailBatchIds = new Set(emailPurchases.batches.map(b => b.batch_id));
+      const emailCardIds = new Set(emailPurchases.cards.map(c => c.card_id));
+      const migrated = [];
+      const skipped = [];
+
+      for (const order of orders.slice(0, 200)) {
+        const id = order && typeof order.id === 'string' ? order.id : null;
+        if (!id) continue;
+        const tokenHash = tokens[id] ? hashManageToken(tokens[id]) : null;
+
+        if (order.type === 'batch') {
+          const batch = await storage.batches.get(id, BATCH_OWNERSHIP_FIELDS);
+          if (!batch) { skipped.push({ id, reason: 'not_found' }); continue; }
+          if (batch.customer_id && batch.customer_id !== customer.id) { skipped.push({ id, reason: 'owned_by_another_account' }); continue; }
+          const proven = batch.customer_id === customer.id || emailBatchIds.has(id) ||
+            (tokenHash && batch.manage_token_hash === tokenHash);
+          if (!proven) { skipped.push({ id, reason: 'ownership_not_proven' }); continue; }
+          if (!batch.customer_id) {
+            await storage.batches.claimForCustomer([id], customer.id);
+            await batchService.recordEvent(req, id, 'claimed_by_customer', {
+              metadata: { customer_id: customer.id, source: 'localStorage_migration' }
+            });
+          }
+          migrated.push({ id, type: 'batch' });
+        } else {
+          const card = await storage.cards.get(id, 'card_id, batch_id, manage_token_hash, customer_id');
+          if (!card) { skipped.push({ id, reason: 'not_found' }); continue; }
+          if (card.customer_id && card.customer_id !== customer.id) { skipped.push({ id, reason: 'owned_by_another_account' }); continue; }
+          const proven = card.customer_id === customer.id || emailCardIds.has(id) ||
+            (tokenHash && card.manage_token_hash === tokenHash);
+          if (!proven) { skipped.push({ id, reason: 'ownership_not_proven' }); continue; }
+          if (!card.customer_id) {
+            await storage.cards.claimForCustomer([id], customer.id);
+          }
+          migrated.push({ id, type: 'single' });
+        }
+      }
+
+      console.log(`👤 Migrated ${migrated.length} local orders for ${customer.email} (${skipped.length} skipped)`);
+      res.json({ success: true, migrated, skipped, account: await accountSummary(customer) });
+    } catch (error) {
+      console.error('Migrate orders error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // ============================================
+  // EMAIL VERIFICATION CODE SYSTEM (kept for older clients - same email as the magic link)
+  // ============================================
+
+  router.post('/api/send-verification-code', async (req, res) => {
+    try {
+      const { email } = req.body;
+      if (!email || !email.includes('@')) {
+        return res.status(400).json({ error: 'Valid email required' });
+      }
+      const result = await customerAccounts.sendLoginEmail(req, email.toLowerCase().trim());
+      if (result.body.success) result.body.message = 'Code sent';
+      res.status(result.status).json(result.body);
+    } catch (err) {
+      console.error('Send code error:', err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  router.post('/api/verify-code-and-find-batches', async (req, res) => {
+    try {
+      const { email, code } = req.body;
+      if (!email || !code) {
+        return res.status(400).json({ error: 'Email and code required' });
+      }
+
+      const normalizedEmail = email.toLowerCase().trim();
+
+      const check = await consumeVerificationCode(req, normalizedEmail, String(code).trim());
+      if (!check.ok) {
+        return res.status(check.status).json(check.body);
+      }
+
+      // A verified code also signs the customer in
+      const { purchases } = await customerAccounts.signIn(req, res, normalizedEmail);
+
+      // Proof of email ownership grants management access to what that email paid for
+      const access = ownership.signCustomerAccess({
+        email: normalizedEmail,
+        batches: purchases.batches.map(b => b.batch_id),
+        cards: purchases.cards.map(c => c.card_id)
+      });
+
+      res.json({
+        success: true,
+        batches: purchases.batches.map(withoutSecrets),
+        access_token: access.token,
+        access_expires_at: access.expires_at
+      });
+    } catch (err) {
+      console.error('Verify error:', err);
+      res.status(500).json({ error: 'Server error' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAccountRouter };
@@ -0,0 +1,66 @@
+// 🔐 Admin login and session - everything mounted after this router under /api/admin is authenticated
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { getClientIp } = require('../lib/client-ip');
+
+function createAdminSessionRouter({ storage, adminAccess }) {
+  const router = express.Router();
+
+  const adminLoginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    message: { success: false, error: 'Too many login attempts, please try again after 15 minutes.' }
+  });
+
+  router.post('/api/admin/login', adminLoginLimiter, async (req, res) => {
+    try {
+      const username = String(req.body?.username || '').trim().toLowerCase();
+      const password = req.body?.password;
+      const clientIp = getClientIp(req);
+
+      const account = await adminAccess.checkCredentials(username, password);
+      if (!account) {
+        console.log(`🔐 Failed admin login for "${username}" from ${clientIp}`);
+        return res.status(401).json({ success: false, error: 'Invalid credentials' });
+      }
+
+      const { token, expiresAt } = adminAccess.issueSession(account);
+      if (account.src === 'db') {
+        await storage.adminUsers.update(account.sub, { last_login_at: new Date().toISOString(), last_login_ip: clientIp });
+      }
+      console.log(`🔐 Admin login: ${account.sub} (${account.role}) from ${clientIp}`);
+      res.json({
+        success: true,
+        token,
+        username: account.sub,
+        role: account.role,
+        expires_at: new Date(expiresAt).toISOString()
+      });
+    } catch (error) {
+      console.error('💥 Admin login error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  });
+
+  // Everything below /api/admin (except login above) needs a valid session
+  router.use('/api/admin', adminAccess.requireAdmin);
+
+  router.post('/api/admin/logout', (req, res) => {
+    adminAccess.revokeSession(req.admin);
+    console.log(`🔐 Admin logout: ${req.admin.sub}`);
+    res.json({ success: true });
+  });
+
+  router.get('/api/admin/session', (req, res) => {
+    res.json({
+      success: true,
+      username: req.admin.sub,
+      role: req.admin.role,
+      expires_at: new Date(req.admin.exp).toISOString()
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createAdminSessionRouter };
@@ -0,0 +1,616 @@
+// 🛠️ Admin API - analytics, bulk actions, support tools, admin users and audit log
+// Mounted after the admin session router, so every /api/admin route already has req.admin.
+const express = require('express');
+const adminAuth = require('../lib/admin-auth');
+const { withoutSecrets } = require('../lib/manage-tokens');
+const { ADMIN_ROLES } = require('../services/admin-access');
+const { formatExport } = require('../services/manufacturing-runs');
+const { baseUrlOf } = require('../services/qr');
+
+// Admin user rows without the password hash
+function publicAdminUser(user) {
+  if (!user) return null;
+  const { password_hash, ...rest } = user;
+  return rest;
+}
+
+function createAdminRouter({ storage, resend, adminAccess, customerAccounts, activationLogger, cardLifecycle, physicalClaims, manufacturingRuns }) {
+  const router = express.Router();
+  const { requireAdmin, requireRole, recordAdminAudit } = adminAccess;
+
+  // ============================================
+  // ADMIN ENDPOINTS - Add these to fix 404 errors
+  // ============================================
+  router.get('/api/admin/cards-all-details', requireRole('support'), async (req, res) => {
+    try {
+      if (!storage) return res.status(503).json({ error: 'Database unavailable' });
+
+      // Fetch all cards
+      const cards = await storage.cards.list();
+
+      // Fetch all activations with location data
+      const activations = await storage.activations.list();
+
+      // Fetch all scan logs with location data
+      const scans = await storage.scans.list();
+
+      // Group by card_id for O(n) merge, with location_data fallback
+      const actMap = {};
+      (activations || []).forEach(a => {
+        // Fallback: if flat columns are null, extract from location_data JSONB
+        const loc = a.location_data || {};
+        if (!a.city && loc.city) a.city = loc.city;
+        if (!a.country && loc.country) a.country = loc.country;
+        if (!a.region && loc.region) a.region = loc.region;
+        if (!a.latitude && loc.latitude) a.latitude = loc.latitude;
+        if (!a.longitude && loc.longitude) a.longitude = loc.longitude;
+        if (!actMap[a.card_id]) actMap[a.card_id] = [];
+        actMap[a.card_id].push(a);
+      });
+
+      const scanMap = {};
+      (scans || []).forEach(s => {
+        if (!scanMap[s.card_id]) scanMap[s.card_id] = [];
+        scanMap[s.card_id].push(s);
+      });
+
+      // Merge histories into each card
+      const enrichedCards = (cards || []).map(card => ({
+        ...withoutSecrets(card),
+        activation_history: actMap[card.card_id] || [],
+        scan_history: scanMap[card.card_id] || []
+      }));
+
+      res.json({ success: true, cards: enrichedCards });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/api/admin/abandoned', requireRole('support'), async (req, res) => {
+    try {
+      const days = parseInt(req.query.days) || 30;
+      const cutoff = new Date(); cutoff.setDate(cutoff.getDate() - days);
+      const data = await storage.cards.list({ status: 'draft', createdBefore: cutoff.toISOString() });
+      res.json({ success: true, abandoned: data });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/api/scan-logs', requireAdmin, async (req, res) => {
+    try {
+      const days = parseInt(req.query.days) || 7;
+      const cutoff = new Date(); cutoff.setDate(cutoff.getDate() - days);
+      // ?all=1 includes the bot and duplicate scans that don't count
+      const data = await storage.scans.list({ since: cutoff.toISOString(), countedOnly: req.query.all !== '1' });
+      res.json({ success: true, logs: data });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/api/admin/all-locations', async (req, res) => {
+    try {
+      const days = parseInt(req.query.days) || 90;
+      const cutoff = new Date(); cutoff.setDate(cutoff.getDate() - days);
+
+      // Query 1: all card_activations in range (fetch all, filter in JS with location_data fallback)
+      const actLocs = await storage.activations.list({
+        columns: 'city, country, region, activated_at, location_data',
+        since: cutoff.toISOString()
+      });
+
+      // Query 2: all scan_logs in range (fetch all, filter in JS with location_data fallback)
+      const scanLocs = await storage.scans.list({
+        columns: 'city, country, region, scanned_at, location_data',
+        since: cutoff.toISOString(),
+        countedOnly: true
+      });
+
+      const allLocations = [];
+
+      // Merge card_activations with location_data fallback
+      (actLocs || []).forEach(loc => {
+        const locData = loc.location_data || {};
+        const city = loc.city || locData.city || null;
+        const country = loc.country || locData.country || null;
+        const region = loc.region || locData.region || null;
+        if (city || country) {
+          allLocations.push({ city, country, region });
+        }
+      });
+
+      // Merge scan_logs with location_data fallback
+      (scanLocs || []).forEach(loc => {
+        const locData = loc.location_data || {};
+        const city = loc.city || locData.city || null;
+        const country = loc.country || locData.country || null;
+        const region = loc.region || locData.region || null;
+        if (city || country) {
+          allLocations.push({ city, country, region });
+        }
+      });
+
+      const cities = {};
+      const countries = {};
+      allLocations.forEach(loc => {
+        if (loc.city) cities[loc.city] = (cities[loc.city] || 0) + 1;
+        if (loc.country) countries[loc.country] = (countries[loc.country] || 0) + 1;
+      });
+
+      const topLocations = Object.entries(cities)
+        .map(([city, count]) => ({ city, count }))
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 10);
+
+      const stats = {
+        totalCities: Object.keys(cities).length,
+        totalCountries: Object.keys(countries).length,
+        totalLocated: allLocations.length
+      };
+
+      res.json({ success: true, stats, topLocations });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/api/admin/performance', async (req, res) => {
+    try {
+      const startTime = Date.now();
+      const active = await storage.cards.count({ status: 'active' });
+      const responseTime = Date.now() - startTime;
+      const total = await storage.cards.count();
+      const scans = await storage.scans.count();
+      res.json({ 
+        success: true, 
+        api_response_time: responseTime + 'ms',
+        active_cards: active || 0,
+        db_size: (total || 0) + ' cards',
+        rate_limit_usage: (scans || 0) + '/200'
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/api/admin/activity', async (req, res) => {
+    try {
+      const recentCards = await storage.cards.list({ columns: 'card_id, created_at, status, created_by_ip', limit: 20 });
+      const recentActivations = await storage.activations.list({ columns: 'card_id, activated_at, activated_by_ip, activation_source', limit: 20 });
+
+      const activities = [];
+      (recentActivations || []).forEach(act => {
+        activities.push({
+          type: 'activation',
+          time: act.activated_at,
+          card_id: act.card_id,
+          description: `activated via ${act.activation_source || 'viewer'}`,
+          ip: act.activated_by_ip
+        });
+      });
+      (recentCards || []).forEach(card => {
+        activities.push({
+          type: 'scan',
+          time: card.created_at,
+          card_id: card.card_id,
+          description: `created (${card.status})`,
+          ip: card.created_by_ip
+        });
+      });
+
+      activities.sort((a, b) => new Date(b.time) - new Date(a.time));
+
+      res.json({ success: true, activities: activities.slice(0, 20) });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // ============================================
+  // ADMIN BULK ACTIONS
+  // ============================================
+
+  router.post('/api/admin/bulk-delete', requireRole('owner'), async (req, res) => {
+    try {
+      const { card_ids } = req.body;
+      if (!card_ids || !Array.isArray(card_ids) || card_ids.length === 0) {
+        return res.status(400).json({ success: false, error: 'No card_ids provided' });
+      }
+      const { before, changed, skipped } = await cardLifecycle.transitionMany(req, card_ids, 'deleted', { reason: 'admin_bulk_delete' });
+      await recordAdminAudit(req, {
+        action: 'bulk_delete',
+        card_ids: changed.map(c => c.card_id),
+        before: before,
+        after: changed,
+        metadata: { requested: card_ids.length, skipped }
+      });
+      res.json({ success: true, count: changed.length, skipped });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/api/admin/bulk-activate', requireRole('owner'), async (req, res) => {
+    try {
+      const { card_ids } = req.body;
+      if (!card_ids || !Array.isArray(card_ids) || card_ids.length === 0) {
+        return res.status(400).json({ success: false, error: 'No card_ids provided' });
+      }
+      const { before, changed, skipped } = await cardLifecycle.transitionMany(req, card_ids, 'active', { reason: 'admin_bulk_activate' });
+      const activatedIds = changed.map(c => c.card_id);
+      await recordAdminAudit(req, {
+        action: 'bulk_activate',
+        card_ids: activatedIds,
+        before: before,
+        after: changed,
+        metadata: { requested: card_ids.length, skipped }
+      });
+
+      await activationLogger.record(req, activatedIds, { source: 'admin_bulk_activate' });
+
+      res.json({ success: true, count: changed.length, skipped });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Pending cards past their activation deadline (undated ones after 30 days)
+  router.post('/api/admin/expire-cards', requireRole('owner'), async (req, res) => {
+    try {
+      const { before, changed, cutoff } = await physicalClaims.expireOverdue(req);
+      await recordAdminAudit(req, {
+        action: 'expire_cards',
+        card_ids: changed.map(c => c.card_id),
+        before: before,
+        after: changed,
+        metadata: { cutoff: cutoff.toISOString() }
+      });
+      res.json({ success: true, count: changed.length });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/api/admin/export-all', requireRole('support'), async (req, res) => {
+    try {
+      const cards = await storage.cards.list();
+      const headers = ['card_id', 'status', 'message_type', 'message_text', 'media_url', 'scan_count', 'created_at', 'created_by_ip'];
+      let csv = headers.join(',') + '\n';
+      cards.forEach(card => {
+        const row = headers.map(h => {
+          const val = card[h] || '';
+          return '"' + String(val).replace(/"/g, '""') + '"';
+        });
+        csv += row.join(',') + '\n';
+      });
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename=papir-export.csv');
+      res.send(csv);
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // ============================================
+  // ADMIN SUPPORT TOOLS (support role and up)
+  // ============================================
+
+  // Full batch lookup for support - includes template cards, events and payments
+  router.get('/api/admin/batches/:batch_id', requireRole('support'), async (req, res) => {
+    try {
+      const { batch_id } = req.params;
+      const batch = await storage.batches.get(batch_id);
+      if (!batch) return res.status(404).json({ success: false, error: 'Batch not found' });
+
+      const cards = await storage.cards.listByBatch(batch_id);
+      const events = await storage.events.listForBatch(batch_id);
+      const payments = await storage.payments.listForBatch(batch_id);
+
+      res.json({ success: true, batch: withoutSecrets(batch), cards: cards.map(withoutSecrets), events, payments });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Every status change of one card, oldest first
+  router.get('/api/admin/cards/:card_id/transitions', requireRole('support'), async (req, res) => {
+    try {
+      const transitions = await cardLifecycle.history(req.params.card_id);
+      res.json({ success: true, card_id: req.params.card_id, transitions });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // Resend an e-card's viewer link to its recipient
+  router.post('/api/admin/cards/:card_id/resend', requireRole('support'), async (req, res) => {
+    try {
+      const { card_id } = req.params;
+      const card = await storage.cards.get(card_id, 'card_id, status, card_type, delivery_method, recipient_contact, delivery_status');
+      if (!card) return res.status(404).json({ success: false, error: 'Card not found' });
+      if (card.status !== 'active') {
+        return res.status(400).json({ success: false, error: `Card is not active (status: ${card.status})` });
+      }
+      const recipient = (req.body?.email || card.recipient_contact || '').trim().toLowerCase();
+      if (!recipient.includes('@')) {
+        return res.status(400).json({ success: false, error: 'No recipient email on this card' });
+      }
+
+      const viewerUrl = `${req.protocol}://${req.get('host')}/viewer.html?card=${card_id}`;
+      const { error: emailError } = await resend.emails.send({
+        from: 'Papir <noreply@papir.ca>',
+        to: recipient,
+        subject: 'You received a Papir card',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; color: #333;">
+            <h2 style="color: #BCAE83;">Someone sent you a Papir card</h2>
+            <p>Open your card here:</p>
+            <p><a href="${viewerUrl}" style="color: #BCAE83;">${viewerUrl}</a></p>
+          </div>
+        `
+      });
+      if (emailError) {
+        console.error('Resend email error:', emailError);
+        return res.status(502).json({ success: false, error: 'Email delivery failed' });
+      }
+
+      await storage.cards.update(card_id, { delivery_status: 'sent', recipient_contact: recipient, updated_at: new Date().toISOString() });
+      await recordAdminAudit(req, {
+        action: 'card_resend',
+        card_ids: [card_id],
+        before: { delivery_status: card.delivery_status, recipient_contact: card.recipient_contact },
+        after: { delivery_status: 'sent', recipient_contact: recipient }
+      });
+      res.json({ success: true, sent_to: recipient });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // ============================================
+  // ADMIN USERS & AUDIT LOG (owner only)
+  // ============================================
+
+  router.get('/api/admin/users', requireRole('owner'), async (req, res) => {
+    try {
+      const users = await storage.adminUsers.list('username, role, disabled, created_at, created_by, last_login_at, last_login_ip');
+      res.json({ success: true, users, roles: ADMIN_ROLES });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/api/admin/users', requireRole('owner'), async (req, res) => {
+    try {
+      const username = String(req.body?.username || '').trim().toLowerCase();
+      const { password, role } = req.body || {};
+      if (!/^[a-z0-9._-]{3,40}$/.test(username)) {
+        return res.status(400).json({ success: false, error: 'Username must be 3-40 characters (a-z, 0-9, . _ -)' });
+      }
+      if (typeof password !== 'string' || password.length < 12) {
+        return res.status(400).json({ success: false, error: 'Password must be at least 12 characters' });
+      }
+      if (!ADMIN_ROLES.includes(role)) {
+        return res.status(400).json({ success: false, error: 'Invalid role', roles: ADMIN_ROLES });
+      }
+      let data;
+      try {
+        data = await storage.adminUsers.create({
+          username,
+          password_hash: adminAuth.hashPassword(password),
+          role,
+          disabled: false,
+          created_by: req.admin.sub,
+          created_at: new Date().toISOString()
+        });
+      } catch (error) {
+        if (error.code === '23505') return res.status(409).json({ success: false, error: 'Username already exists' });
+        throw error;
+      }
+      await recordAdminAudit(req, {
+        action: 'admin_user_create',
+        after: publicAdminUser(data),
+        metadata: { username }
+      });
+      res.status(201).json({ success: true, user: publicAdminUser(data) });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.put('/api/admin/users/:username', requireRole('owner'), async (req, res) => {
+    try {
+      const username = req.params.username.toLowerCase();
+      const { role, disabled, password } = req.body || {};
+      const before = await adminAccess.findAdminUser(username);
+      if (!before) return res.status(404).json({ success: false, error: 'Admin user not found' });
+
+      const updates = { updated_at: new Date().toISOString() };
+      if (role !== undefined) {
+        if (!ADMIN_ROLES.includes(role)) {
+          return res.status(400).json({ success: false, error: 'Invalid role', roles: ADMIN_ROLES });
+        }
+        updates.role = role;
+      }
+      if (disabled !== undefined) updates.disabled = disabled === true;
+      if (password !== undefined) {
+        if (typeof password !== 'string' || password.length < 12) {
+          return res.status(400).json({ success: false, error: 'Password must be at least 12 characters' });
+        }
+        updates.password_hash = adminAuth.hashPassword(password);
+      }
+      if (username === req.admin.sub && (updates.disabled || (updates.role && updates.role !== 'owner'))) {
+        return res.status(400).json({ success: false, error: 'You cannot disable or demote your own account' });
+      }
+
+      const data = await storage.adminUsers.update(username, updates);
+      adminAccess.forgetUser(username);
+      await recordAdminAudit(req, {
+        action: 'admin_user_update',
+        before: publicAdminUser(before),
+        after: publicAdminUser(data),
+        metadata: { username, password_changed: password !== undefined }
+      });
+      res.json({ success: true, user: publicAdminUser(data) });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/api/admin/audit-log', requireRole('owner'), async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+      const { entries, total } = await storage.auditLog.list({
+        actor: req.query.actor,
+        action: req.query.action,
+        cardId: req.query.card_id,
+        since: req.query.since ? new Date(req.query.since).toISOString() : undefined,
+        limit,
+        offset
+      });
+      res.json({ success: true, entries, total, limit, offset });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // 🔒 Verification code lockouts (email and IP) for support follow-up
+  router.get('/api/admin/verification-lockouts', requireRole('support'), async (req, res) => {
+    try {
+      const days = Math.min(parseInt(req.query.days) || 7, 90);
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+      const rows = await storage.lockouts.listSince(since);
+      const now = new Date();
+      const lockouts = rows.map(row => ({ ...row, active: new Date(row.locked_until) > now }));
+      res.json({ success: true, lockouts, days });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // 🚩 Refused activation attempts - unknown card IDs typed into viewer.html / activation.html
+  router.get('/api/admin/suspicious-activations', requireRole('support'), async (req, res) => {
+    try {
+      const days = Math.min(parseInt(req.query.days) || 7, 90);
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+      const attempts = await storage.suspiciousActivations.listSince(since);
+      res.json({ success: true, attempts, days });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/api/admin/verification-lockouts/unlock', requireRole('support'), async (req, res) => {
+    try {
+      const { email, ip_address } = req.body || {};
+      if (!email && !ip_address) return res.status(400).json({ success: false, error: 'email or ip_address required' });
+      let before = null;
+      if (email) {
+        const normalizedEmail = String(email).toLowerCase().trim();
+        before = await storage.codes.get(normalizedEmail, 'email, failed_attempts, lockout_count, locked_until');
+        // No code row means nothing to unlock - the email never asked for a code
+        if (before) await storage.codes.update(normalizedEmail, { failed_attempts: 0, lockout_count: 0, locked_until: null });
+      }
+      if (ip_address) {
+        before = { ...(before || {}), ip: customerAccounts.unlockIp(ip_address) };
+      }
+      await recordAdminAudit(req, {
+        action: 'verification_unlock',
+        before,
+        metadata: { email: email || null, ip_address: ip_address || null }
+      });
+      res.json({ success: true });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // New scratch-off PINs for a voided run - answers with the replacement run's manufacturer CSV,
+  // the only copy of the new PINs
+  router.post('/api/admin/runs/:run_id/regenerate-pins', requireRole('support'), async (req, res) => {
+    try {
+      const { run_id } = req.params;
+      const { run, cards } = await manufacturingRuns.regeneratePins(req, run_id);
+      await recordAdminAudit(req, {
+        action: 'run_pins_regenerated',
+        metadata: { run_id, replacement_run_id: run.run_id, card_count: cards.length }
+      });
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename=${run.run_id}.csv`);
+      res.send(formatExport(manufacturingRuns.exportRows(run, cards, baseUrlOf(req)), 'csv', run));
+    } catch (error) {
+      res.status(error.status || 500).json({ success: false, error: error.message, code: error.code });
+    }
+  });
+
+  // ============================================
+  // Find batches by email - support lookup only (customers verify their email below)
+  // ============================================
+  router.post('/api/find-my-batches', requireAdmin, requireRole('support'), async (req, res) => {
+    try {
+      const { email } = req.body;
+      if (!email || !email.includes('@')) {
+        return res.status(400).json({ success: false, error: 'Valid email required' });
+      }
+
+      const normalizedEmail = email.toLowerCase().trim();
+
+      const payments = await storage.payments.listByEmail(normalizedEmail, {
+        columns: 'batch_id, quantity, created_at, status, metadata',
+        batchesOnly: true
+      });
+
+      if (payments.length === 0) {
+        return res.json({ success: true, batches: [] });
+      }
+
+      const paymentBatchIds = [...new Set(payments.map(p => p.batch_id))];
+      let batches = await storage.batches.listByIds(paymentBatchIds, 'batch_id, cards_created, total_cards_purchased, created_at');
+
+      if (batches.length === 0) {
+        console.log('No direct batch matches for:', normalizedEmail);
+        const paymentTimes = payments.map(p => new Date(p.created_at));
+        const earliestPayment = new Date(Math.min(...paymentTimes));
+        const latestPayment = new Date(Math.max(...paymentTimes));
+        const timeBuffer = 5 * 60 * 1000;
+
+        const nearbyBatches = await storage.batches.listCreatedBetween(
+          new Date(earliestPayment - timeBuffer).toISOString(),
+          new Date(latestPayment + timeBuffer).toISOString()
+        ).catch(() => []);
+
+        if (nearbyBatches.length > 0) {
+          batches = nearbyBatches.filter(b => {
+            return payments.some(p => {
+              const qtyMatch = Math.abs((p.quantity || 0) - (b.cards_created || 0)) <= 2;
+              const timeMatch = Math.abs(new Date(p.created_at) - new Date(b.created_at)) < timeBuffer;
+              return qtyMatch && timeMatch;
+            });
+          });
+        }
+      }
+
+      res.json({ success: true, batches: (batches || []).map(withoutSecrets) });
+
+    } catch (error) {
+      console.error('Find batches error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get('/api/admin/payments', requireRole('owner'), async (req, res) => {
+    try {
+      res.json({ success: true, payments: await storage.payments.list() });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
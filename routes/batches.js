@@ -0,0 +1,233 @@
+// 📦 Batches - create, add cards, read, and the template-to-batch activation
+const express = require('express');
+const { issueManageToken, withoutSecrets } = require('../lib/manage-tokens');
+const { denyOwnership, BATCH_OWNERSHIP_FIELDS } = require('../services/ownership');
+const { getClientIp } = require('../lib/client-ip');
+const pricing = require('../services/pricing');
+const salesTax = require('../services/sales-tax');
+const { renderPrintSheet, parsePrintOptions } = require('../services/print-sheet');
+const { baseUrlOf } = require('../services/qr');
+
+function createBatchesRouter({ storage, customerAccounts, ownership, orders, promotions, geoEnrichment }) {
+  const router = express.Router();
+  const { canManageBatch } = ownership;
+
+  // ============================================
+  // POST Create batch record (from customize.html)
+  // ============================================
+  router.post('/api/batches', async (req, res) => {
+    try {
+      const { batch_id, batch_name, total_cards_purchased, cards_created, max_cards_allowed, status, unit_price, total_amount, template_card_id, customer_email } = req.body;
+      if (!storage) return res.status(503).json({ success: false, error: 'Database unavailable' });
+
+      const finalBatchId = batch_id || ('BATCH-' + Date.now());
+      const issued = issueManageToken();
+      try {
+        await storage.batches.create({
+          batch_id: finalBatchId,
+          batch_name: batch_name || 'New Batch',
+          total_cards_purchased: total_cards_purchased || 0,
+          cards_created: cards_created || 0,
+          max_cards_allowed: max_cards_allowed || total_cards_purchased || 0,
+          status: status || 'pending_payment',
+          unit_price: unit_price || pricing.centsToDollars(pricing.UNIT_PRICE_CENTS),
+          total_amount: total_amount || 0,
+          template_card_id: template_card_id || null,
+          customer_email: customer_email || null,
+          manage_token_hash: issued.hash,
+          customer_id: (await customerAccounts.getCustomerSession(req))?.id || null,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        });
+      } catch (error) {
+        if (error.code === '23505') return res.status(409).json({ success: false, error: 'Batch already exists' });
+        throw error;
+      }
+      res.json({ success: true, batch_id: finalBatchId, manage_token: issued.token });
+    } catch (err) {
+      console.error('Create batch error:', err);
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  // ============================================
+  // 💲 Price an order - the same quote checkout charges
+  // ============================================
+  // Body: quantity, plus card_id or batch_id for a saved design, or template_id + addons/media_type before saving;
+  // promo_code (and email, for codes limited per email) to price a discount; currency (usd|cad, else
+  // by the buyer's location) and billing_address ({ country, region }) to price it with sales tax
+  router.post('/api/batches/calculate-price', async (req, res) => {
+    try {
+      const body = req.body || {};
+      const currency = await pricing.resolveCurrency(body.currency, () => geoEnrichment.locate(getClientIp(req)));
+      // Only whoever manages a batch is priced at the address it was billed to; anyone else sends their own
+      const batch = body.batch_id ? await storage.batches.get(body.batch_id, BATCH_OWNERSHIP_FIELDS) : null;
+      const managesBatch = !!batch && await canManageBatch(req, batch);
+      const billingAddress = await salesTax.billingAddressFor(storage, {
+        billingAddress: body.billing_address,
+        batchId: managesBatch ? body.batch_id : null,
+        required: !!batch && !managesBatch
+      });
+      const quote = pricing.withTax(await promotions.apply(await pricing.quoteOrder(storage, {
+        quantity: body.quantity,
+        cardId: body.card_id,
+        batchId: body.batch_id,
+        templateId: body.template_id,
+        addons: pricing.addonsFromRequest(body),
+        currency
+      }), { code: body.promo_code, email: body.email }), billingAddress);
+      res.json({ success: true, quote });
+    } catch (err) {
+      if (err.status === 400) return res.status(400).json({ success: false, error: err.message, code: err.code });
+      console.error('Calculate price error:', err);
+      res.status(500).json({ success: false, error: err.message });
+    }
+  });
+
+  // ============================================
+  // Add More Cards to Existing Batch
+  // ============================================
+  // The cards come from the paid add_cards order (see services/orders.js); batch-manager.html calls
+  // this after paying to get them, and to fulfill the order itself if the webhook is still on its way.
+  router.post('/api/batches/:batch_id/add-cards', async (req, res) => {
+    try {
+      const { batch_id } = req.params;
+      const { payment_intent_id } = req.body;
+
+      console.log(`🟡 Add cards request: batch=${batch_id}, payment=${payment_intent_id}`);
+
+      const batch = await storage.batches.get(batch_id);
+
+      if (!batch) {
+        console.error('🔴 Batch not found:', batch_id);
+        return res.status(404).json({ success: false, error: 'Batch not found' });
+      }
+      if (!(await canManageBatch(req, batch))) {
+        return denyOwnership(res);
+      }
+      if (!payment_intent_id) {
+        return res.status(400).json({ success: false, error: 'payment_intent_id required' });
+      }
+
+      const order = await storage.orders.findByPayment({ paymentIntentId: payment_intent_id });
+      if (!order || order.kind !== 'add_cards' || order.batch_id !== batch_id) {
+        return res.status(404).json({ success: false, error: 'No order to add cards to this batch for that payment' });
+      }
+      const confirmed = await orders.confirm(req, order);
+      if (confirmed.status === 'created') {
+        return res.status(402).json({ success: false, error: 'Payment not completed' });
+      }
+
+      const updated = await storage.batches.get(batch_id, 'batch_id, cards_created, max_cards_allowed');
+      const added = new Set(confirmed.card_ids || []);
+      const cards = (await storage.cards.listByBatch(batch_id, { columns: 'card_id, batch_order' })).filter(c => added.has(c.card_id));
+      res.json({
+        success: true,
+        message: `Added ${confirmed.quantity} cards`,
+        order_id: confirmed.order_id,
+        new_total: updated.cards_created,
+        new_max: updated.max_cards_allowed,
+        cards: cards.map(c => ({ card_id: c.card_id, batch_order: c.batch_order })).sort((a, b) => a.batch_order - b.batch_order)
+      });
+
+    } catch (error) {
+      console.error('🔴 Add cards error:', error);
+      res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+  });
+
+  // ============================================
+  // Get batch details (excludes template cards)
+  // ============================================
+  router.get('/api/batches/:batch_id', async (req, res) => {
+    try {
+      const { batch_id } = req.params;
+      console.log(`🔍 Fetching batch: ${batch_id}`);
+
+      if (!storage) {
+        return res.status(503).json({ success: false, error: 'Database unavailable' });
+      }
+
+      const batch = await storage.batches.get(batch_id);
+      if (!batch) {
+        return res.status(404).json({ success: false, error: 'Batch not found' });
+      }
+      if (!(await canManageBatch(req, batch))) {
+        return denyOwnership(res);
+      }
+
+      const cards = await storage.cards.listByBatch(batch_id, {
+        columns: 'card_id, batch_order, status, message_type, created_at, scan_count',
+        excludeStatus: 'processed',
+        templates: false
+      });
+      const events = await storage.events.listForBatch(batch_id);
+
+      res.json({
+        success: true,
+        batch: withoutSecrets(batch),
+        cards,
+        events
+      });
+
+    } catch (error) {
+      console.error('Error fetching batch:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // ============================================
+  // 🖨️ Print sheet - imposed PDF of the batch's QR codes (see services/print-sheet.js for options)
+  // ============================================
+  router.get('/api/batches/:batch_id/print-sheet.pdf', async (req, res) => {
+    try {
+      const { batch_id } = req.params;
+      if (!storage) {
+        return res.status(503).json({ success: false, error: 'Database unavailable' });
+      }
+
+      const batch = await storage.batches.get(batch_id);
+      if (!batch) {
+        return res.status(404).json({ success: false, error: 'Batch not found' });
+      }
+      if (!(await canManageBatch(req, batch))) {
+        return denyOwnership(res);
+      }
+
+      const options = parsePrintOptions(req.query);
+      const cards = (await storage.cards.listByBatch(batch_id, {
+        columns: 'card_id, batch_order, status',
+        excludeStatus: 'processed',
+        templates: false
+      })).filter(card => card.status !== 'deleted');
+
+      const pdf = await renderPrintSheet({
+        title: batch.batch_name ? `${batch.batch_name} (${batch_id})` : batch_id,
+        cards,
+        baseUrl: baseUrlOf(req),
+        options
+      });
+      console.log(`🖨️ Print sheet for ${batch_id}: ${cards.length} cards`);
+      res.type('application/pdf')
+        .set('Content-Disposition', `attachment; filename="papir-${batch_id.replace(/[^\w-]/g, '_')}-print.pdf"`)
+        .send(pdf);
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      console.error('Error building print sheet:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // ============================================
+  // HALLMARK FLOW: retired - paid batches are built by their order's fulfillment (services/orders.js)
+  // ============================================
+  router.post('/api/batch/create-from-template', (req, res) => {
+    res.status(410).json({ success: false, error: 'Batches are created when their payment is confirmed; use /api/activate-after-payment to check on one' });
+  });
+
+  return router;
+}
+
+module.exports = { createBatchesRouter };
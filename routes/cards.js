@@ -0,0 +1,595 @@
+// 🎨 Cards - save, upload media, read, delete, activate, scans and opens
+const express = require('express');
+const { getClientIp, getUserAgent } = require('../lib/client-ip');
+const { issueManageToken, withoutSecrets } = require('../lib/manage-tokens');
+const { denyOwnership, BATCH_OWNERSHIP_FIELDS } = require('../services/ownership');
+const cardFactory = require('../services/card-factory');
+const { savedCardStatus, canTransition } = require('../services/card-lifecycle');
+const { isValidCardId } = require('../lib/card-ids');
+const { baseUrlOf, cardViewerUrl } = require('../services/qr');
+const { isUnclaimedStock, claimUrl } = require('../services/physical-claims');
+
+// Orders whose cards may go live; a refunded order's cards stay off
+const PAID_ORDER_STATUSES = ['paid', 'fulfilled'];
+
+function createCardsRouter({ storage, upload, adminAccess, customerAccounts, ownership, activationLogger, cardLifecycle, batchService, scanSessions }) {
+  const router = express.Router();
+  const { requireAdmin, requireRole } = adminAccess;
+  const { canManageBatch, canManageCard } = ownership;
+  const { getCustomerSession } = customerAccounts;
+
+  // ============================================
+  // 🎨 SAVE CARD - UPDATED to include overlay_url
+  // ============================================
+  router.post('/api/cards', async (req, res) => {
+    try {
+      const { 
+        card_id, 
+        message_type, 
+        message_text, 
+        media_url, 
+        file_name, 
+        file_size, 
+        file_type, 
+        batch_id, 
+        batch_order,
+        card_type = 'ecard',
+        delivery_method,
+        recipient_contact,
+        // NEW FIELDS:
+        video_url,
+        audio_url,
+        overlay_url,
+        has_video_overlay,
+        has_audio_overlay,
+        payment_intent_id,
+        template_config
+      } = req.body;
+
+      console.log(`📨 Saving card: ${card_id}, Type: ${message_type}, Card Type: ${card_type}`);
+      const clientIp = getClientIp(req);
+
+      if (!card_id || !message_type) {
+        return res.status(400).json({ 
+          success: false,
+          error: 'Missing required fields',
+          required: ['card_id', 'message_type']
+        });
+      }
+      if (!storage) {
+        return res.status(503).json({ 
+          success: false,
+          error: 'Database service temporarily unavailable'
+        });
+      }
+
+      const existingCard = await storage.cards.get(card_id, 'card_id, card_type, batch_id, manage_token_hash, customer_id');
+      if (existingCard && !(await canManageCard(req, existingCard))) {
+        return denyOwnership(res);
+      }
+
+      // Attaching a card to a batch that already exists needs that batch's token
+      if (batch_id && batch_id !== existingCard?.batch_id) {
+        const targetBatch = await storage.batches.get(batch_id, BATCH_OWNERSHIP_FIELDS);
+        if (targetBatch && !(await canManageBatch(req, targetBatch))) {
+          return denyOwnership(res);
+        }
+      }
+
+      let result;
+      let manageToken = null;
+      let manageScope = null;
+      if (existingCard) {
+        console.log(`🔄 Updating existing card: ${card_id}`);
+        const updateData = {
+          message_type: message_type.trim(),
+          message_text: message_text ? message_text.trim() : null,
+          media_url: media_url || null,
+          overlay_url: overlay_url || null,
+          file_name: file_name || null,
+          file_size: file_size || null,
+          file_type: file_type || null,
+          updated_by_ip: clientIp,
+          updated_at: new Date().toISOString(),
+          // Include new fields if provided
+          video_url: video_url || null,
+          audio_url: audio_url || null,
+          has_video_overlay: has_video_overlay === true,
+          has_audio_overlay: has_audio_overlay === true,
+          payment_intent_id: payment_intent_id || null,
+        template_config: template_config || null
+        };
+        if (batch_id) updateData.batch_id = batch_id;
+        if (batch_order) updateData.batch_order = batch_order;
+        if (existingCard.card_type === 'ecard' || card_type === 'ecard') {
+          updateData.card_type = 'ecard';
+          if (delivery_method) updateData.delivery_method = delivery_method;
+          if (recipient_contact) updateData.recipient_contact = recipient_contact;
+        }
+        [result] = await storage.cards.update(card_id, updateData);
+      } else {
+        console.log(`🆕 Creating new ${card_type} card: ${card_id}`);
+        if (!isValidCardId(card_id.trim())) {
+          return res.status(400).json({ success: false, error: 'Invalid card_id (generate one with /js/card-ids.js)' });
+        }
+        let initialStatus;
+        try {
+          initialStatus = savedCardStatus(card_type, req.body.status);
+        } catch (error) {
+          return res.status(error.status).json({ success: false, error: error.message });
+        }
+        const cardRecord = {
+          card_id: card_id.trim(),
+          message_type: message_type.trim(),
+          message_text: message_text ? message_text.trim() : null,
+          media_url: media_url || null,
+          overlay_url: overlay_url || null,
+          file_name: file_name || null,
+          file_size: file_size || null,
+          file_type: file_type || null,
+          scan_count: 0,
+          ...initialStatus,
+          card_type: card_type,
+          is_batch_template: req.body.is_batch_template || false,
+          quantity: req.body.quantity || null,
+          activation_deadline: card_type === 'physical' ? cardFactory.activationDeadline() : null,
+          delivery_method: card_type === 'ecard' ? delivery_method : null,
+          recipient_contact: card_type === 'ecard' ? recipient_contact : null,
+          delivery_status: card_type === 'ecard' ? 'pending' : null,
+          created_by_ip: clientIp,
+          updated_by_ip: clientIp,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+          // NEW FIELDS:
+          video_url: video_url || null,
+          audio_url: audio_url || null,
+          has_video_overlay: has_video_overlay === true,
+          has_audio_overlay: has_audio_overlay === true,
+          payment_intent_id: payment_intent_id || null,
+        template_config: template_config || null
+        };
+        if (batch_id) cardRecord.batch_id = batch_id;
+        if (batch_order) cardRecord.batch_order = batch_order;
+        if (!batch_id) {
+          const issued = issueManageToken();
+          const customer = await getCustomerSession(req);
+          if (customer) cardRecord.customer_id = customer.id;
+          cardRecord.manage_token_hash = issued.hash;
+          manageToken = issued.token;
+          manageScope = 'card';
+        }
+        [result] = await cardLifecycle.createCards(req, [cardRecord], { reason: 'saved' });
+      }
+
+      // 2. BATCH HANDLING - ONLY save template, DON'T create batch cards yet
+      // (Batch cards created after payment via activate-after-payment)
+      if (req.body.is_batch_template && batch_id && req.body.quantity > 1) {
+        const quantity = parseInt(req.body.quantity) || 2;
+        const batchId = batch_id;
+
+        console.log(`📝 Batch template saved: ${batchId} for ${quantity} cards (cards created after payment)`);
+
+        // Just ensure batch row exists for reference (no cards_created yet)
+        try {
+          if (!(await storage.batches.exists(batchId))) {
+            const issued = issueManageToken();
+            await storage.batches.create({
+              batch_id: batchId,
+              max_cards_allowed: quantity,
+              cards_created: 0, // Will be updated after payment
+              batch_type: 'ecard',
+              manage_token_hash: issued.hash,
+              customer_id: (await getCustomerSession(req))?.id || null,
+              created_by_ip: clientIp,
+              created_at: new Date().toISOString(),
+              updated_at: new Date().toISOString()
+            });
+            manageToken = issued.token;
+            manageScope = 'batch';
+            console.log(`✅ Created batch row: ${batchId}`);
+          }
+        } catch (e) {
+          console.error('Batch row error:', e);
+        }
+      }
+
+      console.log(`✅ Card saved: ${card_id} (Type: ${result.card_type})`);
+      const viewerUrl = cardViewerUrl(baseUrlOf(req), card_id);
+      const qrCodeUrl = `${baseUrlOf(req)}/api/cards/${encodeURIComponent(card_id)}/qr.png?size=300`;
+      res.status(201).json({ 
+        success: true, 
+        message: card_type === 'ecard' ? 'E-Card saved! Complete payment to activate.' : 'Physical card saved (dormant until manufactured)',
+        card: withoutSecrets(result),
+        manage_token: manageToken,
+        manage_scope: manageScope,
+        urls: {
+          viewer: viewerUrl,
+          qrCode: qrCodeUrl
+        }
+      });
+    } catch (error) {
+      console.error('💥 Unexpected error:', error);
+      res.status(500).json({ 
+        success: false,
+        error: 'Internal server error',
+        message: 'Please try again later'
+      });
+    }
+  });
+
+  // 🖼️ Upload Media Files to Supabase Storage - MULTIPART FORM DATA
+  router.post('/api/upload-media', upload.single('file'), async (req, res) => {
+    try {
+      const { fileName, fileType, cardId } = req.body;
+      const file = req.file;
+      console.log(`📤 Uploading media: ${fileName} for ${cardId} (type: ${fileType || 'not provided'})`);
+      if (!file || !fileName || !cardId) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'Missing required fields: file, fileName, cardId' 
+        });
+      }
+      const allowedTypes = {
+        'image': ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/jpg'],
+        'video': ['video/mp4', 'video/webm', 'video/quicktime', 'video/mov'],
+        'audio': ['audio/mpeg', 'audio/wav', 'audio/mp3', 'audio/mp4', 'audio/ogg']
+      };
+      let fileCategory = null;
+      if (fileType) {
+        if (fileType.startsWith('image/')) fileCategory = 'image';
+        else if (fileType.startsWith('video/')) fileCategory = 'video';
+        else if (fileType.startsWith('audio/')) fileCategory = 'audio';
+      }
+      if (!fileCategory) {
+        const ext = fileName.split('.').pop().toLowerCase();
+        if (['jpg', 'jpeg', 'png', 'gif', 'webp'].includes(ext)) fileCategory = 'image';
+        else if (['mp4', 'webm', 'mov', 'quicktime'].includes(ext)) fileCategory = 'video';
+        else if (['mp3', 'wav', 'ogg', 'm4a'].includes(ext)) fileCategory = 'audio';
+      }
+      if (!fileCategory) {
+        return res.status(400).json({ 
+          success: false, 
+          error: 'Could not determine file type' 
+        });
+      }
+      if (fileType && !allowedTypes[fileCategory].includes(fileType)) {
+        return res.status(400).json({ 
+          success: false, 
+          error: `File type ${fileType} not allowed for ${fileCategory} uploads` 
+        });
+      }
+      if (!storage) {
+        return res.status(503).json({ 
+          success: false,
+          error: 'Database service temporarily unavailable'
+        });
+      }
+      // Derive MIME type from extension if frontend didn't send fileType
+      let finalFileType = fileType;
+      if (!finalFileType) {
+        const ext = fileName.split('.').pop().toLowerCase();
+        const mimeMap = {
+          'jpg': 'image/jpeg', 'jpeg': 'image/jpeg', 'png': 'image/png',
+          'gif': 'image/gif', 'webp': 'image/webp',
+          'mp4': 'video/mp4', 'webm': 'video/webm', 'mov': 'video/quicktime',
+          'mp3': 'audio/mpeg', 'wav': 'audio/wav', 'ogg': 'audio/ogg', 'm4a': 'audio/mp4'
+        };
+        finalFileType = mimeMap[ext] || 'application/octet-stream';
+        console.log(`📤 Derived fileType from extension: ${finalFileType}`);
+      }
+      const buffer = file.buffer;
+      const fileSize = buffer.length;
+      if (fileSize < 100) {
+        console.error('❌ Buffer too small');
+        return res.status(400).json({ 
+          success: false, 
+          error: 'File data too small' 
+        });
+      }
+      const safeFileName = fileName.replace(/[^a-zA-Z0-9._-]/g, '_');
+      const filePath = `${cardId}/${Date.now()}_${safeFileName}`;
+      console.log(`📤 Uploading to ${storage.media.backend} media storage, path: ${filePath}, type: ${finalFileType}`);
+      let publicUrl;
+      try {
+        publicUrl = await storage.media.upload(filePath, buffer, {
+          contentType: finalFileType,
+          upsert: true
+        });
+      } catch (error) {
+        console.error('❌ Media upload error:', error);
+        return res.status(500).json({ 
+          success: false, 
+          error: 'Storage upload failed: ' + error.message,
+          details: error.message,
+          hint: 'Check that the bucket exists in Supabase and RLS policies allow uploads'
+        });
+      }
+      console.log(`✅ Media uploaded: ${publicUrl}`);
+      res.json({ 
+        success: true, 
+        url: publicUrl,
+        path: filePath,
+        file_name: fileName,
+        file_size: fileSize,
+        file_type: finalFileType,
+        message: 'File uploaded successfully'
+      });
+    } catch (error) {
+      console.error('💥 Upload media error:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  });
+
+  // 📖 Get Card by ID (BLOCK DRAFT)
+  router.get('/api/cards/:card_id', async (req, res) => {
+    try {
+      const { card_id } = req.params;
+      console.log(`🔍 Retrieving card: ${card_id}`);
+      if (!storage) {
+        return res.status(503).json({ 
+          success: false,
+          error: 'Database service temporarily unavailable'
+        });
+      }
+      let data;
+      try {
+        data = await storage.cards.get(card_id);
+      } catch (error) {
+        return res.status(500).json({ 
+          success: false,
+          error: 'Database query failed',
+          details: error.message
+        });
+      }
+      if (!data) {
+        return res.status(404).json({ 
+          success: false,
+          error: 'Card not found'
+        });
+      }
+      if (data.status === 'draft') {
+        return res.status(403).json({ 
+          success: false, 
+          error: 'Card not yet activated', 
+          message: 'Please complete payment to view this card' 
+        });
+      }
+      if (data.status === 'refunded') {
+        return res.status(410).json({
+          success: false,
+          error: 'Card no longer available',
+          unavailable: true,
+          message: 'This card was refunded and can no longer be viewed'
+        });
+      }
+      if (isUnclaimedStock(data)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Card not yet claimed',
+          claim_required: true,
+          claim_url: claimUrl(card_id)
+        });
+      }
+      res.json({ 
+        success: true, 
+        card: withoutSecrets(data),
+        viewerUrl: `${req.protocol}://${req.get('host')}/viewer.html?card=${card_id}`
+      });
+    } catch (error) {
+      console.error('💥 Error retrieving card:', error);
+      res.status(500).json({ 
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  });
+
+  // 📊 Get All Cards (admin only - buyers list their own cards through batches)
+  router.get('/api/cards', requireAdmin, requireRole('support'), async (req, res) => {
+    try {
+      console.log(`📋 Getting all cards`);
+      if (!storage) {
+        return res.status(503).json({ 
+          success: false,
+          error: 'Database service temporarily unavailable'
+        });
+      }
+      let data;
+      try {
+        data = await storage.cards.list();
+      } catch (error) {
+        console.error('❌ Database error:', error);
+        return res.status(500).json({ 
+          success: false,
+          error: 'Database query failed',
+          details: error.message
+        });
+      }
+      res.json({ 
+        success: true, 
+        cards: data.map(withoutSecrets),
+        count: data ? data.length : 0
+      });
+    } catch (error) {
+      console.error('💥 Error getting cards:', error);
+      res.status(500).json({ 
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  });
+
+  // 🗑️ Delete Card - log only on actual removal from batch
+  router.delete('/api/cards/:card_id', async (req, res) => {
+    try {
+      const { card_id } = req.params;
+      console.log(`🗑️ Deleting card: ${card_id}`);
+      if (!storage) {
+        return res.status(503).json({ 
+          success: false,
+          error: 'Database service temporarily unavailable'
+        });
+      }
+      const cardInfo = await storage.cards.get(card_id, 'card_id, batch_id, status, manage_token_hash, customer_id');
+      if (!cardInfo) {
+        return res.status(404).json({ success: false, error: 'Card not found' });
+      }
+      if (!(await canManageCard(req, cardInfo))) {
+        return denyOwnership(res);
+      }
+      const batchId = cardInfo?.batch_id;
+      const wasAlreadyDeleted = cardInfo?.status === 'deleted';
+      if (wasAlreadyDeleted) {
+        return res.json({ 
+          success: true, 
+          message: `Card ${card_id} already deleted`,
+          no_change: true
+        });
+      }
+      try {
+        await cardLifecycle.transition(req, cardInfo, 'deleted', { reason: 'owner_deleted' });
+      } catch (error) {
+        console.error('❌ Delete error:', error);
+        return res.status(error.status || 500).json({ 
+          success: false,
+          error: 'Delete failed',
+          details: error.message
+        });
+      }
+      if (batchId) {
+        await batchService.removeCard(req, batchId, card_id);
+      }
+      res.json({ 
+        success: true, 
+        message: `Card ${card_id} deleted`,
+        was_in_batch: !!batchId
+      });
+    } catch (error) {
+      console.error('💥 Delete error:', error);
+      res.status(500).json({ 
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  });
+
+  // 🎟️ Activate Card - WITH SOURCE PARAMETER SUPPORT AND GEOLOCATION
+  async function hasPaidOrder(cardId, batchId) {
+    const orders = await Promise.all([
+      storage.orders.latestFor({ cardId }),
+      batchId ? storage.orders.latestFor({ batchId }) : null
+    ]);
+    return orders.some(order => order && PAID_ORDER_STATUSES.includes(order.status));
+  }
+
+  router.post('/api/activate-card', async (req, res) => {
+    try {
+      const { card_id, source } = req.body;
+      const clientIp = getClientIp(req);
+      console.log(`🎟️ Activating card: ${card_id} from IP: ${clientIp} with source: ${source || 'not provided'}`);
+      if (!card_id) {
+        return res.status(400).json({ success: false, error: 'card_id required' });
+      }
+      if (!storage) {
+        console.error('❌ storage not initialized');
+        return res.status(503).json({ success: false, error: 'Database unavailable' });
+      }
+      let card;
+      try {
+        card = await storage.cards.get(card_id, 'status, batch_id, message_type');
+      } catch (fetchError) {
+        console.error('❌ Fetch error:', fetchError);
+        return res.json({ success: false, error: 'Database error: ' + fetchError.message });
+      }
+      // Unknown IDs are never turned into cards - physical stock is inserted by a manufacturing run
+      if (!card) {
+        console.log(`🚫 Card ${card_id} not found - activation refused`);
+        await activationLogger.recordSuspicious(req, card_id, { reason: 'unknown_card', source: source || 'viewer' });
+        return res.status(404).json({ success: false, error: 'Card not found' });
+      }
+      console.log(`📊 Current card status: ${card.status}`);
+      // Blank physical stock is claimed with its PIN and the buyer's design, not by scanning it
+      if (isUnclaimedStock(card)) {
+        return res.status(409).json({ success: false, error: 'This card has not been claimed yet', claim_required: true, claim_url: claimUrl(card_id) });
+      }
+      if (card.status === 'active') {
+        // Log the view even if already active (for tracking)
+        await activationLogger.record(req, card_id, { source: source || 'viewer' });
+        return res.json({ success: true, already_active: true, message: 'Card already active, view logged' });
+      }
+      if (!canTransition(card.status, 'active')) {
+        await activationLogger.recordSuspicious(req, card_id, { reason: 'not_activatable', cardStatus: card.status, source: source || 'viewer' });
+        return res.json({ success: false, error: `Card cannot be activated (status: ${card.status})` });
+      }
+      // A saved draft or printed card only goes live once an order for it (or its batch) is paid;
+      // run stock goes through the claim above
+      if (!(await hasPaidOrder(card_id, card.batch_id))) {
+        console.log(`🚫 Card ${card_id} has no paid order - activation refused`);
+        await activationLogger.recordSuspicious(req, card_id, { reason: 'unpaid_card', cardStatus: card.status, source: source || 'viewer' });
+        return res.status(402).json({ success: false, error: 'This card has not been paid for', code: 'card_unpaid' });
+      }
+      const activated = await cardLifecycle.transition(req, { card_id, status: card.status }, 'active', {
+        reason: 'activated_on_scan',
+        metadata: { source: source || 'viewer' }
+      });
+      if (!activated) {
+        return res.json({ success: false, error: 'Card status changed, please try again' });
+      }
+      await activationLogger.record(req, card_id, { source: source || 'viewer' });
+      console.log(`✅ Card ${card_id} activated successfully (logged to activations table with source: ${source || 'viewer'})`);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('💥 Activation error details:', error);
+      res.json({ success: false, error: 'Server error: ' + error.message });
+    }
+  });
+
+  // 🔢 Old viewer pages still post here - same as POST /api/scans/opened, so a raw POST
+  // counts at most once per scan session instead of once per call
+  router.post('/api/increment-scan', async (req, res) => {
+    try {
+      const { card_id } = req.body || {};
+      if (!storage) {
+        return res.status(503).json({ 
+          success: false,
+          error: 'Database service temporarily unavailable'
+        });
+      }
+      const card = card_id ? await storage.cards.get(card_id, 'card_id, scan_count') : null;
+      if (!card) {
+        return res.json({ success: false, error: 'Card not found' });
+      }
+      const { counted, count } = await scanSessions.opened(req, res, card_id);
+      res.json({ success: true, counted, count: counted ? count : card.scan_count || 0 });
+    } catch (error) {
+      console.error('💥 Increment error:', error);
+      res.json({ success: false, error: error.message });
+    }
+  });
+
+  // 📊 Track E-Card Opens
+  router.post('/api/cards/:card_id/track', async (req, res) => {
+    try {
+      const { card_id } = req.params;
+      const { event } = req.body;
+      if (event === 'ecard_opened') {
+        await storage.cards.update(card_id, {
+          opened_at: new Date().toISOString(),
+          delivery_status: 'opened'
+        });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Tracking error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createCardsRouter };
@@ -0,0 +1,53 @@
+// 🧪 Local fakes - the browser-facing half of the fake Stripe and the outbox mailer
+// Only mounted when STRIPE_BACKEND=fake or MAIL_BACKEND=outbox (see clients/index.js).
+const path = require('path');
+const express = require('express');
+
+const FAKE_STRIPE_JS = path.join(__dirname, '..', 'clients', 'stripe-fake-browser.js');
+
+function createFakesRouter({ stripe, resend }) {
+  const router = express.Router();
+
+  if (stripe?.fake) {
+    // Stand-in for https://js.stripe.com/v3/
+    router.get('/fake-stripe/stripe.js', (req, res) => {
+      res.type('application/javascript').sendFile(FAKE_STRIPE_JS);
+    });
+
+    // What Stripe.js confirmCardPayment talks to
+    router.post('/fake-stripe/payment_intents/:id/confirm', (req, res) => {
+      try {
+        const paymentIntent = stripe.fake.confirmPaymentIntent(req.params.id, {
+          clientSecret: req.body.client_secret,
+          cardNumber: req.body.card_number
+        });
+        res.json({ success: true, paymentIntent });
+      } catch (error) {
+        res.status(error.statusCode || 400).json({ success: false, error: error.message, code: error.code });
+      }
+    });
+
+    // Hosted checkout page stand-in - pays straight away and returns to success_url
+    router.get('/fake-stripe/checkout/:id', (req, res) => {
+      try {
+        res.redirect(stripe.fake.completeCheckoutSession(req.params.id));
+      } catch (error) {
+        res.status(error.statusCode || 400).send(error.message);
+      }
+    });
+  }
+
+  if (resend?.outbox) {
+    router.get('/fake-mail/outbox', (req, res) => {
+      const to = req.query.to ? String(req.query.to).toLowerCase() : null;
+      const messages = to
+        ? resend.outbox.filter(message => [].concat(message.to).some(address => address.toLowerCase() === to))
+        : resend.outbox;
+      res.json({ success: true, messages });
+    });
+  }
+
+  return router;
+}
+
+module.exports = { createFakesRouter };
@@ -0,0 +1,69 @@
+// 📦 Fulfillment admin - physical card orders through printing and shipping (see services/fulfillment.js)
+// Mounted after the admin session router, so every route here already has req.admin.
+const express = require('express');
+
+function createFulfillmentRouter({ storage, adminAccess, fulfillment }) {
+  const router = express.Router();
+  const { requireRole, recordAdminAudit } = adminAccess;
+
+  function sendError(res, error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('💥 Fulfillment error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+
+  router.get('/api/admin/fulfillments', requireRole('support'), async (req, res) => {
+    try {
+      if (!storage) return res.status(503).json({ success: false, error: 'Database unavailable' });
+      const fulfillments = await fulfillment.listOrders({ status: req.query.status || undefined });
+      res.json({ success: true, fulfillments });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.get('/api/admin/fulfillments/:fulfillment_id', requireRole('support'), async (req, res) => {
+    try {
+      res.json({ success: true, ...(await fulfillment.getOrder(req.params.fulfillment_id)) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Body: { status, carrier?, tracking_number?, note? } - shipped needs carrier and tracking_number
+  router.post('/api/admin/fulfillments/:fulfillment_id/status', requireRole('support'), async (req, res) => {
+    try {
+      const { fulfillment_id } = req.params;
+      const { status, carrier, tracking_number, note } = req.body || {};
+      const updated = await fulfillment.advance(req, fulfillment_id, status, { carrier, trackingNumber: tracking_number, note });
+      await recordAdminAudit(req, {
+        action: 'fulfillment_status',
+        after: { status: updated.status, carrier: updated.carrier, tracking_number: updated.tracking_number },
+        metadata: { fulfillment_id, note: note || null }
+      });
+      res.json({ success: true, fulfillment: updated });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // The printer's status file as { csv: "fulfillment_id,status,carrier,tracking_number,note\n..." }
+  router.post('/api/admin/fulfillments/printer-csv', requireRole('support'), async (req, res) => {
+    try {
+      const result = await fulfillment.applyPrinterCsv(req, req.body?.csv);
+      await recordAdminAudit(req, {
+        action: 'fulfillment_csv',
+        metadata: { applied: result.applied.length, skipped: result.skipped.length, errors: result.errors.length }
+      });
+      res.json({ success: true, ...result });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createFulfillmentRouter };
@@ -0,0 +1,115 @@
+// 🧾 Orders admin - every purchase with its line items and fulfillment (see services/orders.js),
+// revenue by currency and tax jurisdiction, and the Stripe webhook events behind them
+// (see services/stripe-events.js)
+// Mounted after the admin session router, so every route here already has req.admin.
+const express = require('express');
+const { withoutSecrets } = require('../lib/manage-tokens');
+
+function createOrdersRouter({ storage, adminAccess, orders, refunds, stripeEvents }) {
+  const router = express.Router();
+  const { requireRole, recordAdminAudit } = adminAccess;
+
+  function sendError(res, error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('💥 Orders error:', error);
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+
+  router.get('/api/admin/orders', requireRole('support'), async (req, res) => {
+    try {
+      if (!storage) return res.status(503).json({ success: false, error: 'Database unavailable' });
+      const list = await orders.listOrders({ status: req.query.status || undefined });
+      res.json({ success: true, orders: list.map(withoutSecrets) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.get('/api/admin/orders/:order_id', requireRole('support'), async (req, res) => {
+    try {
+      const { order, items } = await orders.getOrder(req.params.order_id);
+      res.json({ success: true, order: withoutSecrets(order), items });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Checks a stuck order with Stripe and runs its fulfillment again
+  router.post('/api/admin/orders/:order_id/confirm', requireRole('owner'), async (req, res) => {
+    try {
+      const { order } = await orders.getOrder(req.params.order_id);
+      const confirmed = await orders.confirm(req, order);
+      await recordAdminAudit(req, {
+        action: 'order_confirm',
+        before: { status: order.status },
+        after: { status: confirmed.status },
+        metadata: { order_id: order.order_id }
+      });
+      res.json({ success: true, order: withoutSecrets(confirmed) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Body: cards - how many of the order's cards to refund; leave it out to refund the whole order
+  router.post('/api/admin/orders/:order_id/refund', requireRole('owner'), async (req, res) => {
+    try {
+      const { order, refund } = await refunds.refundOrder(req, req.params.order_id, { cards: req.body?.cards });
+      await recordAdminAudit(req, {
+        action: 'order_refund',
+        card_ids: refund.card_ids,
+        after: { status: order.status, amount_refunded: order.amount_refunded, cards_refunded: order.cards_refunded },
+        metadata: { order_id: order.order_id, refund_id: refund.refund_id, amount: refund.amount, cards: refund.cards }
+      });
+      res.json({ success: true, order: withoutSecrets(order), refund });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Revenue over the last `days` days by currency and tax jurisdiction (cents, in each currency).
+  // Payment figures are the owner's, like /api/admin/payments.
+  router.get('/api/admin/revenue', requireRole('owner'), async (req, res) => {
+    try {
+      if (!storage) return res.status(503).json({ success: false, error: 'Database unavailable' });
+      const days = Math.min(parseInt(req.query.days) || 30, 3650);
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+      res.json({ success: true, days, ...(await orders.revenueReport({ since })) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.get('/api/admin/stripe-events', requireRole('support'), async (req, res) => {
+    try {
+      if (!storage) return res.status(503).json({ success: false, error: 'Database unavailable' });
+      const events = await stripeEvents.listEvents({ status: req.query.status || undefined, type: req.query.type || undefined });
+      // The payload can be large; the list shows what happened, the event page in Stripe the rest
+      res.json({ success: true, events: events.map(({ payload, ...event }) => event) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Runs a failed event again from the payload stored when it arrived
+  router.post('/api/admin/stripe-events/:event_id/retry', requireRole('support'), async (req, res) => {
+    try {
+      const event = await stripeEvents.retry(req, req.params.event_id);
+      await recordAdminAudit(req, {
+        action: 'stripe_event_retry',
+        after: { status: event.status, attempts: event.attempts },
+        metadata: { event_id: event.event_id, type: event.type, order_id: event.order_id }
+      });
+      const { payload, ...rest } = event;
+      res.json({ success: true, event: rest });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createOrdersRouter };
@@ -0,0 +1,173 @@
+// 🏠 Pages, health check and the 404 handler
+const path = require('path');
+const express = require('express');
+
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const CARD_IDS_JS = path.join(__dirname, '..', 'lib', 'card-ids.js');
+
+function createPagesRouter({ storage, config }) {
+  const router = express.Router();
+
+  // 🏠 Marketing landing page
+  router.get('/', (req, res) => {
+    console.log('Serving marketing page from:', path.join(PUBLIC_DIR, 'index.html'));
+    res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
+  });
+
+  // The server's card ID rules, for pages that mint IDs or check typed ones
+  router.get('/js/card-ids.js', (req, res) => {
+    res.type('application/javascript').sendFile(CARD_IDS_JS);
+  });
+
+  // 📱 App dashboard (your tools)
+  router.get('/app', (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'dashboard.html'));
+  });
+
+  // Batch management page for customers
+  router.get('/batch-manager', (req, res) => {
+    res.sendFile(path.join(PUBLIC_DIR, 'batch-manager.html'));
+  });
+
+  // Admin UI - the page itself is static, every /api/admin/* call is authenticated
+  router.get('/admin', (req, res) => {
+    res.redirect('/admin-login.html');
+  });
+
+  // 🩺 Enhanced Health Check
+  router.get('/api/health', (req, res) => {
+    const protocol = req.protocol;
+    const host = req.get('host');
+    const baseUrl = `${protocol}://${host}`;
+    res.json({
+      status: '✅ FULLY OPERATIONAL',
+      message: 'Papir Business Server is running perfectly!',
+      time: new Date().toISOString(),
+      version: '3.0.0',
+      server: {
+        url: baseUrl,
+        domain: 'papir.ca',
+        environment: config.nodeEnv
+      },
+      endpoints: {
+        home: `${baseUrl}/`,
+        dashboard: `${baseUrl}/app`,
+        viewer: `${baseUrl}/viewer.html`,
+        batchManager: `${baseUrl}/batch-manager`,
+        saveCard: `POST ${baseUrl}/api/cards`,
+        getCard: `GET ${baseUrl}/api/cards/:id`,
+        uploadMedia: `POST ${baseUrl}/api/upload-media`,
+        scan: `GET ${baseUrl}/c/:card_id`,
+        scanOpened: `POST ${baseUrl}/api/scans/opened`,
+        incrementScan: `POST ${baseUrl}/api/increment-scan`,
+        scanLogs: `GET ${baseUrl}/api/scan-logs`,
+        adminCard: `GET ${baseUrl}/api/admin/cards/:id`,
+        abandonedCards: `GET ${baseUrl}/api/admin/abandoned`,
+        geolocation: `GET ${baseUrl}/api/admin/geolocation/:card_id`,
+        mismatchAlerts: `GET ${baseUrl}/api/admin/mismatch-alerts`,
+        allLocations: `GET ${baseUrl}/api/admin/all-locations`,
+        batches: `POST ${baseUrl}/api/admin/batches`,
+        getBatch: `GET ${baseUrl}/api/batches/:batch_id`,
+        addToBatch: `POST ${baseUrl}/api/batches/:batch_id/add`,
+        calculateBatchPrice: `POST ${baseUrl}/api/batches/calculate-price`,
+        deleteBatch: `POST ${baseUrl}/api/admin/batches/:batch_id/delete`,
+        expireCards: `POST ${baseUrl}/api/admin/expire-cards`,
+        performance: `GET ${baseUrl}/api/admin/performance`,
+        activity: `GET ${baseUrl}/api/admin/activity`,
+        exportAll: `GET ${baseUrl}/api/admin/export-all`,
+        bulkDelete: `POST ${baseUrl}/api/admin/bulk-delete`,
+        bulkActivate: `POST ${baseUrl}/api/admin/bulk-activate`,
+        cardsAllDetails: `GET ${baseUrl}/api/admin/cards-all-details`,
+        adminLogin: `POST ${baseUrl}/api/admin/login`,
+        adminUsers: `GET ${baseUrl}/api/admin/users`,
+        auditLog: `GET ${baseUrl}/api/admin/audit-log`,
+        verificationLockouts: `GET ${baseUrl}/api/admin/verification-lockouts`,
+        accountMagicLink: `POST ${baseUrl}/api/account/magic-link`,
+        accountMe: `GET ${baseUrl}/api/account/me`,
+        accountMigrateOrders: `POST ${baseUrl}/api/account/migrate-orders`,
+        sendECard: `POST ${baseUrl}/api/cards/:id/send`,
+        physicalCardStatus: `GET ${baseUrl}/api/physical-cards/:id`,
+        activatePhysicalCard: `POST ${baseUrl}/api/physical-cards/:id/activate`,
+        stripeKey: `GET ${baseUrl}/api/stripe-key`,
+        checkoutCurrency: `GET ${baseUrl}/api/checkout/currency`,
+        createPaymentIntent: `POST ${baseUrl}/api/create-payment-intent`,
+        adminPayments: `GET ${baseUrl}/api/admin/payments`,
+        fulfillments: `GET ${baseUrl}/api/admin/fulfillments`,
+        fulfillmentStatus: `POST ${baseUrl}/api/admin/fulfillments/:fulfillment_id/status`,
+        printerCsv: `POST ${baseUrl}/api/admin/fulfillments/printer-csv`,
+        orders: `GET ${baseUrl}/api/admin/orders`,
+        orderDetail: `GET ${baseUrl}/api/admin/orders/:order_id`,
+        orderConfirm: `POST ${baseUrl}/api/admin/orders/:order_id/confirm`,
+        orderRefund: `POST ${baseUrl}/api/admin/orders/:order_id/refund`,
+        revenue: `GET ${baseUrl}/api/admin/revenue`,
+        promoCodes: `GET ${baseUrl}/api/admin/promo-codes`,
+        promoCodeCreate: `POST ${baseUrl}/api/admin/promo-codes`,
+        promoCodeActive: `POST ${baseUrl}/api/admin/promo-codes/:code/active`,
+        promoCodeRedemptions: `GET ${baseUrl}/api/admin/promo-codes/:code/redemptions`,
+        stripeEvents: `GET ${baseUrl}/api/admin/stripe-events`,
+        stripeEventRetry: `POST ${baseUrl}/api/admin/stripe-events/:event_id/retry`,
+        createCheckoutSession: `POST ${baseUrl}/api/create-checkout-session`,
+        activateAfterPayment: `POST ${baseUrl}/api/activate-after-payment`,
+        findMyBatches: `POST ${baseUrl}/api/find-my-batches`,
+        addCardsToBatch: `POST ${baseUrl}/api/batches/:batch_id/add-cards`
+      },
+      database: storage ? `✅ Connected (${storage.backend})` : '❌ Disconnected'
+    });
+  });
+
+  return router;
+}
+
+// 🚫 404 Handler
+function notFound(req, res) {
+  const protocol = req.protocol;
+  const host = req.get('host');
+  const baseUrl = `${protocol}://${host}`;
+  res.status(404).json({ 
+    success: false,
+    error: 'Endpoint not found',
+    path: req.path,
+    availableEndpoints: [
+      `${baseUrl}/`,
+      `${baseUrl}/app`,
+      `${baseUrl}/viewer.html`,
+      `${baseUrl}/c/:card_id`,
+      `${baseUrl}/batch-manager`,
+      `${baseUrl}/api/health`,
+      `${baseUrl}/api/cards`,
+      `${baseUrl}/api/cards/:id`,
+      `${baseUrl}/api/upload-media`,
+      `${baseUrl}/api/activate-card`,
+      `${baseUrl}/api/increment-scan`,
+      `${baseUrl}/api/scan-logs`,
+      `${baseUrl}/api/admin/cards/:id`,
+      `${baseUrl}/api/admin/abandoned`,
+      `${baseUrl}/api/admin/geolocation/:id`,
+      `${baseUrl}/api/admin/mismatch-alerts`,
+      `${baseUrl}/api/admin/all-locations`,
+      `${baseUrl}/api/admin/performance`,
+      `${baseUrl}/api/admin/activity`,
+      `${baseUrl}/api/admin/export-all`,
+      `${baseUrl}/api/admin/bulk-delete`,
+      `${baseUrl}/api/admin/bulk-activate`,
+      `${baseUrl}/api/admin/cards-all-details`,
+      `${baseUrl}/api/batches/:id`,
+      `${baseUrl}/api/batches/:id/add-cards`,
+      `${baseUrl}/api/batches/:id/add`,
+      `${baseUrl}/api/batches/calculate-price`,
+      `${baseUrl}/api/admin/batches`,
+      `${baseUrl}/api/admin/batches/:id/delete`,
+      `${baseUrl}/api/admin/expire-cards`,
+      `${baseUrl}/api/cards/:id/send`,
+      `${baseUrl}/api/physical-cards/:id/activate`,
+      `${baseUrl}/api/stripe-key`,
+      `${baseUrl}/api/create-payment-intent`,
+      `${baseUrl}/api/admin/payments`,
+      `${baseUrl}/api/create-checkout-session`,
+      `${baseUrl}/api/activate-after-payment`,
+      `${baseUrl}/api/find-my-batches`
+    ]
+  });
+}
+
+module.exports = { createPagesRouter, notFound, PUBLIC_DIR };
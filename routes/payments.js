@@ -0,0 +1,388 @@
+// 💳 Payments - Stripe webhook, checkout, activation after payment, payment intents
+const express = require('express');
+const { getClientIp } = require('../lib/client-ip');
+const { denyOwnership, BATCH_OWNERSHIP_FIELDS } = require('../services/ownership');
+const pricing = require('../services/pricing');
+const salesTax = require('../services/sales-tax');
+const { parseShippingAddress, SHIP_TO_COUNTRIES } = require('../services/fulfillment');
+const { orderKind } = require('../services/orders');
+
+// Mounted before express.json() - Stripe signs the raw body
+function createStripeWebhookRouter({ stripe, config, stripeEvents }) {
+  const router = express.Router();
+
+  // Webhook handler - Gracefully handles missing secret and missing module
+  router.post('/api/webhook', express.raw({type: 'application/json'}), async (req, res) => {
+    if (!stripe) return res.status(503).send('Stripe not configured');
+    if (!config.stripeWebhookSecret) {
+      console.log('⚠️ Webhook: STRIPE_WEBHOOK_SECRET not set - skipping');
+      return res.status(503).json({ error: 'Webhook secret not configured - safe to ignore for testing' });
+    }
+    const sig = req.headers['stripe-signature'];
+    let event;
+    try {
+      event = stripe.webhooks.constructEvent(req.body, sig, config.stripeWebhookSecret);
+    } catch (err) {
+      console.error('Webhook error:', err.message);
+      return res.status(400).send(`Webhook Error: ${err.message}`);
+    }
+    try {
+      // Stored by event ID first: a redelivered event that was already handled does nothing
+      const { handled } = await stripeEvents.receive(req, event);
+      if (!handled) return res.json({ received: true, duplicate: true });
+    } catch (error) {
+      // Any non-2xx makes Stripe retry the event
+      if (error.code === 'event_in_progress') return res.status(409).json({ received: true, error: error.message });
+      console.error('Webhook handling error:', error.message);
+      return res.status(500).json({ received: true, error: 'Event handling failed' });
+    }
+    res.json({received: true});
+  });
+
+  return router;
+}
+
+function createPaymentsRouter({ storage, stripe, config, ownership, orders, promotions, geoEnrichment }) {
+  const router = express.Router();
+  const { canManageBatch, canManageCard } = ownership;
+
+  // Explicit currency from the checkout toggle, else the one for where the buyer is
+  function checkoutCurrency(req, requested) {
+    return pricing.resolveCurrency(requested, () => geoEnrichment.locate(getClientIp(req)));
+  }
+
+  // Like calculate-price: only whoever manages a batch is taxed at the address it was billed to
+  async function billingAddressFor(req, { billingAddress, shippingAddress, batchId }) {
+    const batch = batchId ? await storage.batches.get(batchId, BATCH_OWNERSHIP_FIELDS) : null;
+    const managesBatch = !!batch && await canManageBatch(req, batch);
+    return salesTax.billingAddressFor(storage, { billingAddress, shippingAddress, batchId: managesBatch ? batchId : null });
+  }
+
+  // ============================================
+  // Stripe Checkout Session
+  // ============================================
+  router.post('/api/create-checkout-session', async (req, res) => {
+    if (!stripe) {
+      return res.status(503).json({ error: 'Stripe not configured' });
+    }
+
+    try {
+      const body = req.body;
+      // A card order has no batch, whatever batch_id came with it
+      const batchId = body.card_id ? null : body.batch_id || null;
+      const successUrl = `${req.protocol}://${req.get('host')}/success.html`;
+      const cancelUrl = `${req.protocol}://${req.get('host')}/customize.html`;
+
+      // Amounts are always priced here - a client-supplied items array used to set its own prices
+      if (!body.quantity || body.items) {
+        return res.status(400).json({
+          error: 'Invalid request format. Provide quantity (number); prices are set by the server.',
+          received: Object.keys(body)
+        });
+      }
+
+      let quote;
+      let billingAddress;
+      try {
+        billingAddress = await billingAddressFor(req, { billingAddress: body.billing_address, batchId });
+        quote = pricing.withTax(await promotions.apply(await pricing.quoteOrder(storage, {
+          quantity: body.quantity,
+          cardId: body.card_id,
+          batchId,
+          templateId: body.template_id || body.template?.id,
+          addons: pricing.addonsFromRequest(body),
+          currency: await checkoutCurrency(req, body.currency)
+        }), { code: body.promo_code, email: body.customer_email }), billingAddress);
+      } catch (error) {
+        if (error.status === 400) return res.status(400).json({ error: error.message, code: error.code });
+        throw error;
+      }
+      const qty = quote.quantity;
+      const isBatch = body.is_batch === true || qty > 1;
+      const isPhysical = body.card_type === 'physical';
+      const product = isPhysical ? 'Printed Card' : 'E-Card';
+
+      // Stripe has no negative line items, so a discount is taken off the lines it charges.
+      // Sales tax goes as its own lines, so the Stripe receipt shows it.
+      const line_items = pricing.chargedLines(quote).map(line => ({
+        price_data: {
+          currency: quote.currency,
+          product_data: line.code === 'cards'
+            ? {
+              name: `${isBatch ? `Batch of ${qty} ${product}s` : `Single ${product}`}${quote.discountAmount ? ` (promo ${quote.promoCode})` : ''}`,
+              description: body.message_text ? body.message_text.substring(0, 100) : 'Custom Papir Card',
+            }
+            : { name: line.description },
+          unit_amount: line.amount,
+        },
+        quantity: 1,
+      }));
+
+      // Limit metadata size
+      let safeMediaUrl = body.media_url || '';
+      if (safeMediaUrl && safeMediaUrl.length > 400) {
+        safeMediaUrl = '';
+      }
+
+      const kind = orderKind({ cardId: body.card_id, batchId, mode: body.mode });
+      const { order, manageToken } = await orders.open(req, {
+        kind,
+        channel: 'checkout_session',
+        quote,
+        cardType: isPhysical ? 'physical' : 'ecard',
+        cardId: body.card_id || null,
+        batchId,
+        customerEmail: body.customer_email && body.customer_email.includes('@') ? body.customer_email : null,
+        billingAddress,
+        // Cards are built from this once the session is paid
+        design: kind === 'design' ? {
+          is_batch: isBatch,
+          template_id: quote.templateId || 'custom',
+          message_text: body.message_text ? body.message_text.substring(0, 500) : '',
+          media_url: safeMediaUrl,
+          media_type: body.media_type || 'image',
+          source: body.source || 'customize'
+        } : null
+      });
+
+      const metadata = {
+        order_id: order.order_id,
+        quantity: qty.toString(),
+        is_batch: isBatch ? 'true' : 'false',
+        template_id: quote.templateId || 'custom',
+        addons: quote.addons.join(','),
+        promo_code: quote.promoCode || '',
+        amount_total: quote.totalAmount.toString(),
+        tax_amount: quote.taxAmount.toString(),
+        tax_jurisdiction: quote.taxJurisdiction,
+        message_text: body.message_text ? body.message_text.substring(0, 500) : '',
+        media_url: safeMediaUrl,
+        media_type: body.media_type || 'image',
+        source: body.source || 'customize',
+        is_template_design: body.is_template_design ? 'true' : 'false',
+        card_type: isPhysical ? 'physical' : 'ecard',
+        batch_id: order.batch_id || ''
+      };
+
+      const sessionConfig = {
+        payment_method_types: ['card'],
+        line_items: line_items,
+        mode: 'payment',
+        success_url: `${successUrl}?session_id={CHECKOUT_SESSION_ID}`,
+        cancel_url: cancelUrl,
+        metadata: metadata,
+        // The payment intent Stripe makes for the session points back at the order too
+        payment_intent_data: { metadata: { order_id: order.order_id } }
+      };
+
+      if (body.customer_email && body.customer_email.includes('@')) {
+        sessionConfig.customer_email = body.customer_email;
+      }
+      // Stripe collects the shipping address for printed cards
+      if (metadata.card_type === 'physical') {
+        sessionConfig.shipping_address_collection = { allowed_countries: SHIP_TO_COUNTRIES };
+      }
+
+      const session = await stripe.checkout.sessions.create(sessionConfig);
+      await orders.attachPayment(order, { sessionId: session.id });
+      res.json({ id: session.id, url: session.url, order_id: order.order_id, manage_token: manageToken });
+
+    } catch (error) {
+      // orders.open refuses paying into a batch the caller doesn't manage, and promo codes whose last use went meanwhile
+      if (error.code === 'not_batch_owner') return denyOwnership(res);
+      if (error.status === 400) return res.status(400).json({ error: error.message, code: error.code });
+      console.error('Stripe session error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ============================================
+  // Activate after payment - success.html asking how the order went
+  // ============================================
+  // Cards are made by the order's fulfillment (see services/orders.js), normally from the webhook.
+  // This only confirms the order: if the webhook hasn't arrived yet, the server asks Stripe itself.
+  router.post('/api/activate-after-payment', async (req, res) => {
+    try {
+      const { session_id, card_id, batch_id } = req.body;
+
+      if (!session_id && !card_id && !batch_id) {
+        return res.status(400).json({
+          error: 'No session_id, card_id, or batch_id provided'
+        });
+      }
+      if (!storage) return res.status(503).json({ error: 'Database not configured' });
+
+      let order;
+      if (session_id) {
+        order = await storage.orders.findByPayment({ sessionId: session_id });
+      } else if (card_id) {
+        const existingCard = await storage.cards.get(card_id, 'card_id, status, batch_id, manage_token_hash, customer_id');
+        if (!existingCard) return res.status(404).json({ error: 'Card not found' });
+        if (!(await canManageCard(req, existingCard))) return denyOwnership(res);
+        order = await storage.orders.latestFor({ cardId: card_id });
+      } else {
+        order = await storage.orders.latestFor({ batchId: batch_id });
+        // A batch bought without a saved design only exists once fulfilled; until then the order's token stands in
+        const ownedBatch = await storage.batches.get(batch_id, BATCH_OWNERSHIP_FIELDS)
+          || (order && { batch_id, manage_token_hash: order.manage_token_hash, customer_id: order.customer_id, customer_email: order.customer_email });
+        if (!(await canManageBatch(req, ownedBatch))) return denyOwnership(res);
+      }
+      if (!order) return res.status(404).json({ error: 'No order found for this payment' });
+
+      if (!stripe && order.status === 'created') return res.status(503).json({ error: 'Stripe not configured' });
+      const confirmed = await orders.confirm(req, order);
+      if (confirmed.status === 'created') {
+        return res.status(402).json({ error: 'Payment not completed', order_id: confirmed.order_id });
+      }
+      res.json({ success: true, ...orders.summary(confirmed), receipt: await orders.receipt(confirmed) });
+    } catch (error) {
+      console.error('Activation error:', error);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  // ============================================
+  // GET Stripe session details (for success.html)
+  // ============================================
+  router.get('/api/get-session', async (req, res) => {
+    try {
+      const { session_id } = req.query;
+      if (!session_id) return res.status(400).json({ error: 'Missing session_id' });
+      if (!stripe) return res.status(503).json({ error: 'Stripe not configured' });
+
+      const session = await stripe.checkout.sessions.retrieve(session_id);
+      res.json({
+        payment_intent_id: session.payment_intent,
+        customer_email: session.customer_details?.email || ''
+      });
+    } catch (err) {
+      console.error('Get session error:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // ============================================
+  // STRIPE PAYMENT ENDPOINTS
+  // ============================================
+  router.get('/api/stripe-key', (req, res) => {
+    if (!config.stripePublishableKey) {
+      return res.status(503).json({ success: false, error: 'Stripe not configured' });
+    }
+    // The fake Stripe ships its own Stripe.js so checkout works without js.stripe.com
+    const jsUrl = stripe?.fake ? '/fake-stripe/stripe.js' : undefined;
+    res.json({ success: true, publishableKey: config.stripePublishableKey, jsUrl });
+  });
+
+  // The currency checkout.html starts its toggle on, from where the buyer is
+  router.get('/api/checkout/currency', async (req, res) => {
+    try {
+      const location = await geoEnrichment.locate(getClientIp(req));
+      const country = location?.country_code || null;
+      res.json({ success: true, currency: pricing.currencyForCountry(country), country, currencies: pricing.CURRENCIES });
+    } catch (error) {
+      console.error('Checkout currency error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post('/api/create-payment-intent', async (req, res) => {
+    if (!stripe) {
+      return res.status(503).json({ success: false, error: 'Stripe not configured' });
+    }
+    try {
+      const { email, card_id } = req.body;
+      // checkout.html sends the card ID as batchId for single cards; a card order has no batch
+      const batchId = card_id ? null : req.body.batchId || null;
+      const cardType = req.body.card_type === 'physical' ? 'physical' : 'ecard';
+      let shippingAddress = null;
+      let billingAddress;
+      let quote;
+      try {
+        if (cardType === 'physical') shippingAddress = parseShippingAddress(req.body.shipping_address);
+        billingAddress = await billingAddressFor(req, { billingAddress: req.body.billing_address, shippingAddress, batchId });
+        quote = pricing.withTax(await promotions.apply(await pricing.quoteOrder(storage, {
+          quantity: req.body.quantity,
+          cardId: card_id,
+          batchId,
+          templateId: req.body.template_id,
+          addons: pricing.addonsFromRequest(req.body),
+          currency: await checkoutCurrency(req, req.body.currency)
+        }), { code: req.body.promo_code, email }), billingAddress);
+      } catch (error) {
+        if (error.status !== 400) throw error;
+        return res.status(400).json({ success: false, error: error.message, code: error.code });
+      }
+      const { quantity, unitPrice, totalAmount } = quote;
+      const { order, manageToken } = await orders.open(req, {
+        kind: orderKind({ cardId: card_id, batchId, mode: req.body.mode }),
+        channel: 'payment_intent',
+        quote,
+        cardType,
+        cardId: card_id || null,
+        batchId,
+        customerEmail: email || null,
+        shippingAddress,
+        billingAddress
+      });
+      const paymentIntent = await stripe.paymentIntents.create({
+        amount: totalAmount,
+        currency: quote.currency,
+        receipt_email: email,
+        // Payment intent receipts have no line items; the description carries them, tax included
+        description: `Papir ${pricing.describeLines(quote)}`,
+        metadata: {
+          order_id: order.order_id,
+          quantity: quantity.toString(),
+          template_id: quote.templateId || '',
+          addons: quote.addons.join(','),
+          promo_code: quote.promoCode || '',
+          tax_amount: quote.taxAmount.toString(),
+          tax_jurisdiction: quote.taxJurisdiction,
+          batch_id: order.batch_id || '',
+          card_id: card_id || '',
+          card_type: cardType
+        },
+        automatic_payment_methods: { enabled: true },
+      });
+      await orders.attachPayment(order, { paymentIntentId: paymentIntent.id });
+      await storage.payments.create({
+        order_id: order.order_id,
+        stripe_payment_intent_id: paymentIntent.id,
+        batch_id: order.batch_id,
+        card_id: card_id || null,
+        card_type: cardType,
+        quantity: quantity,
+        amount_total: totalAmount,
+        currency: quote.currency,
+        tax_amount: quote.taxAmount,
+        tax_jurisdiction: quote.taxJurisdiction,
+        tax_lines: quote.taxes,
+        status: 'pending',
+        customer_email: email,
+        shipping_address: shippingAddress,
+        billing_address: billingAddress,
+        metadata: { unit_price: unitPrice, lines: quote.lines }
+      }).catch(e => console.error('Payment record error:', e));
+      res.json({
+        success: true,
+        clientSecret: paymentIntent.client_secret,
+        amount: totalAmount,
+        currency: quote.currency,
+        discount: quote.discountAmount || 0,
+        tax: quote.taxAmount,
+        quantity: quantity,
+        order_id: order.order_id,
+        manage_token: manageToken
+      });
+    } catch (error) {
+      if (error.code === 'not_batch_owner') return denyOwnership(res);
+      if (error.status === 400) return res.status(400).json({ success: false, error: error.message, code: error.code });
+      console.error('Stripe error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createStripeWebhookRouter, createPaymentsRouter };
@@ -0,0 +1,52 @@
+// 📮 Physical cards - the claim flow for pre-printed cards (see services/physical-claims.js)
+const express = require('express');
+const { withoutSecrets } = require('../lib/manage-tokens');
+const { baseUrlOf, cardViewerUrl } = require('../services/qr');
+
+function createPhysicalCardsRouter({ storage, physicalClaims }) {
+  const router = express.Router();
+
+  function sendClaimError(res, error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('💥 Claim error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+
+  // Whether the card can be claimed and whether it needs a PIN - read by the editor in claim mode
+  router.get('/api/physical-cards/:card_id', async (req, res) => {
+    try {
+      if (!storage) return res.status(503).json({ success: false, error: 'Database unavailable' });
+      res.json({ success: true, ...(await physicalClaims.claimStatus(req.params.card_id)) });
+    } catch (error) {
+      sendClaimError(res, error);
+    }
+  });
+
+  // ============================================
+  // 📮 CLAIM - PIN + the buyer's design, activates the card
+  // ============================================
+  router.post('/api/physical-cards/:card_id/activate', async (req, res) => {
+    try {
+      const { card_id } = req.params;
+      if (!storage) return res.status(503).json({ success: false, error: 'Database unavailable' });
+      const { pin, terms_accepted, ...design } = req.body || {};
+      const { card, manageToken } = await physicalClaims.claim(req, card_id, { pin, design, termsAccepted: terms_accepted });
+      console.log(`📮 Physical card claimed: ${card_id}`);
+      res.json({
+        success: true,
+        card: withoutSecrets(card),
+        manage_token: manageToken,
+        manage_scope: 'card',
+        viewerUrl: cardViewerUrl(baseUrlOf(req), card_id)
+      });
+    } catch (error) {
+      sendClaimError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createPhysicalCardsRouter };
@@ -0,0 +1,62 @@
+// 🏷️ Promotions admin - promo codes and how they did (see services/promotions.js)
+// Mounted after the admin session router, so every route here already has req.admin.
+const express = require('express');
+
+function createPromotionsRouter({ storage, adminAccess, promotions }) {
+  const router = express.Router();
+  const { requireRole, recordAdminAudit } = adminAccess;
+
+  function sendError(res, error) {
+    if (error.status && error.status < 500) {
+      return res.status(error.status).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('💥 Promotions error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+
+  // Every code with its paid uses, discount given and revenue - owner-only, like the revenue report
+  router.get('/api/admin/promo-codes', requireRole('owner'), async (req, res) => {
+    try {
+      if (!storage) return res.status(503).json({ success: false, error: 'Database unavailable' });
+      res.json({ success: true, promo_codes: await promotions.report() });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Body: code, discount_type (percent|fixed), discount_value (percent, or cents), and optionally
+  // description, template_ids, categories, min_quantity, max_redemptions, max_per_email, starts_at, expires_at
+  router.post('/api/admin/promo-codes', requireRole('owner'), async (req, res) => {
+    try {
+      const promo = await promotions.createCode(req, req.body || {});
+      await recordAdminAudit(req, { action: 'promo_code_create', after: promo, metadata: { code: promo.code } });
+      res.status(201).json({ success: true, promo_code: promo });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Body: { active } - a code can be switched off and back on, never deleted
+  router.post('/api/admin/promo-codes/:code/active', requireRole('owner'), async (req, res) => {
+    try {
+      const promo = await promotions.setActive(req.params.code, req.body?.active);
+      await recordAdminAudit(req, { action: 'promo_code_active', after: { active: promo.active }, metadata: { code: promo.code } });
+      res.json({ success: true, promo_code: promo });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Each order that used the code, with the buyer's email and what they paid
+  router.get('/api/admin/promo-codes/:code/redemptions', requireRole('owner'), async (req, res) => {
+    try {
+      res.json({ success: true, ...(await promotions.redemptionsFor(req.params.code)) });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createPromotionsRouter };
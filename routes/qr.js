@@ -0,0 +1,55 @@
+// 🔳 QR codes - card QR codes and the generic generator behind qr.html, rendered locally
+// ?size=&margin=&ecc=&fg=&bg=&logo=1 - see services/qr.js for the ranges
+const express = require('express');
+const { renderQr, parseQrOptions, baseUrlOf, cardScanUrl } = require('../services/qr');
+
+function createQrRouter({ storage }) {
+  const router = express.Router();
+
+  async function sendQr(res, data, format, query) {
+    const { body, contentType } = await renderQr(data, format, parseQrOptions(query));
+    // Same input, same image - let browsers and the CDN keep it
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.type(contentType).send(body);
+  }
+
+  function sendQrError(res, error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('💥 QR render error:', error);
+    res.status(500).json({ success: false, error: 'Failed to render QR code' });
+  }
+
+  // ============================================
+  // 🔳 CARD QR - points at the card's scan URL
+  // ============================================
+  router.get('/api/cards/:card_id/qr.:format', async (req, res) => {
+    try {
+      const { card_id, format } = req.params;
+      if (!storage) {
+        return res.status(503).json({ success: false, error: 'Database service temporarily unavailable' });
+      }
+      const card = await storage.cards.get(card_id);
+      if (!card) {
+        return res.status(404).json({ success: false, error: 'Card not found' });
+      }
+      await sendQr(res, cardScanUrl(baseUrlOf(req), card_id), format, req.query);
+    } catch (error) {
+      sendQrError(res, error);
+    }
+  });
+
+  // 🔳 Any text or URL (qr.html) - ?data=
+  router.get('/api/qr.:format', async (req, res) => {
+    try {
+      await sendQr(res, typeof req.query.data === 'string' ? req.query.data : '', req.params.format, req.query);
+    } catch (error) {
+      sendQrError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createQrRouter };
@@ -0,0 +1,52 @@
+// 📱 Scans - the short URL printed in QR codes, and the viewer's "opened" report (see services/scan-sessions.js)
+const express = require('express');
+const { normalizeCardId } = require('../lib/card-ids');
+
+function createScansRouter({ storage, scanSessions }) {
+  const router = express.Router();
+
+  function viewerPath(cardId) {
+    return `/viewer.html?card=${encodeURIComponent(cardId)}`;
+  }
+
+  // ============================================
+  // 📱 SCAN - /c/:card_id logs the scan, then redirects to the viewer
+  // ============================================
+  router.get('/c/:card_id', async (req, res) => {
+    const cardId = normalizeCardId(req.params.card_id);
+    // Not cacheable: every scan has to reach us to be counted
+    res.set('Cache-Control', 'no-store');
+    try {
+      // Unknown IDs still land on the viewer, which says the card was not found - they just aren't counted
+      const card = storage ? await storage.cards.get(cardId, 'card_id') : null;
+      if (card) {
+        const { counted, count } = await scanSessions.scan(req, res, cardId);
+        if (counted) console.log(`📱 Scan: ${cardId} (${count} scans)`);
+      }
+    } catch (error) {
+      // A failed log must never stop someone seeing their card
+      console.error('❌ Failed to log scan:', error);
+    }
+    res.redirect(302, viewerPath(cardId));
+  });
+
+  // 👀 The viewer showed the card - counted only if it wasn't reached through /c/
+  router.post('/api/scans/opened', async (req, res) => {
+    try {
+      const cardId = normalizeCardId(req.body?.card_id);
+      if (!cardId) return res.status(400).json({ success: false, error: 'card_id required' });
+      if (!storage) return res.status(503).json({ success: false, error: 'Database service temporarily unavailable' });
+      const card = await storage.cards.get(cardId, 'card_id');
+      if (!card) return res.status(404).json({ success: false, error: 'Card not found' });
+      const { counted } = await scanSessions.opened(req, res, cardId);
+      res.json({ success: true, counted });
+    } catch (error) {
+      console.error('💥 Scan open error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createScansRouter };
@@ -0,0 +1,69 @@
+// 📝 Activation logger - one card_activations row per card, with the activator's IP and location,
+// and one suspicious_activations row per refused attempt. Logging never fails the request that triggered it.
+// Location columns start empty and are backfilled by geoEnrichment once the lookup finishes.
+const { getClientIp, getUserAgent } = require('../lib/client-ip');
+
+function locationColumns(locationData) {
+  return {
+    location_data: locationData,
+    city: locationData?.city || null,
+    country: locationData?.country || null,
+    region: locationData?.region || null,
+    latitude: locationData?.latitude || null,
+    longitude: locationData?.longitude || null
+  };
+}
+
+function createActivationLogger({ storage, geoEnrichment }) {
+  // metadata may be an object or a function of (cardId, index)
+  async function record(req, cardIds, { source, metadata = null, at = new Date() } = {}) {
+    const ids = Array.isArray(cardIds) ? cardIds : [cardIds];
+    if (!storage || ids.length === 0) return;
+    const clientIp = getClientIp(req);
+    try {
+      const rows = ids.map((cardId, index) => ({
+        card_id: cardId,
+        activated_at: at.toISOString(),
+        activated_by_ip: clientIp,
+        terms_accepted_at: at.toISOString(),
+        terms_accepted_ip: clientIp,
+        user_agent: getUserAgent(req),
+        activation_source: source,
+        metadata: typeof metadata === 'function' ? metadata(cardId, index) : metadata
+      }));
+      const inserted = await storage.activations.record(rows);
+      geoEnrichment.enrich(clientIp, location => storage.activations.setLocation(inserted.map(row => row.id), locationColumns(location)));
+    } catch (error) {
+      console.error('❌ Failed to log activation:', error);
+      console.error('❌ Activation insert details:', { card_ids: ids, clientIp, source });
+    }
+  }
+
+  // reason: 'unknown_card' | 'not_activatable' | 'unpaid_card' (or a claim reason); cardStatus is the refused card's status, if it exists
+  async function recordSuspicious(req, cardId, { reason, cardStatus = null, source = null } = {}) {
+    if (!storage) return;
+    const clientIp = getClientIp(req);
+    try {
+      const attempt = await storage.suspiciousActivations.record({
+        card_id: cardId ? String(cardId).slice(0, 100) : null,
+        reason: reason,
+        card_status: cardStatus,
+        source: source,
+        ip_address: clientIp,
+        user_agent: getUserAgent(req),
+        created_at: new Date().toISOString()
+      });
+      geoEnrichment.enrich(clientIp, location => {
+        const { location_data, city, country, region } = locationColumns(location);
+        return storage.suspiciousActivations.setLocation(attempt.id, { location_data, city, country, region });
+      });
+      console.log(`🚩 Suspicious activation (${reason}): ${cardId} from ${clientIp}`);
+    } catch (error) {
+      console.error('❌ Failed to log suspicious activation:', error);
+    }
+  }
+
+  return { record, recordSuspicious };
+}
+
+module.exports = { createActivationLogger, locationColumns };
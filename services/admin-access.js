@@ -0,0 +1,169 @@
+// 🔐 Admin access - named users with roles, signed session tokens, audit trail
+// Named accounts live in the admin_users table. The env credentials in config are a
+// bootstrap owner account so the first real users can be created.
+const crypto = require('crypto');
+const adminAuth = require('../lib/admin-auth');
+const { getClientIp, getUserAgent } = require('../lib/client-ip');
+
+// viewer: read-only analytics | support: card/batch lookup, resend | owner: everything
+const ADMIN_ROLES = ['viewer', 'support', 'owner'];
+const ADMIN_USER_CACHE_MS = 60 * 1000;
+
+// Compared against when the username is unknown, so lookups take the same time
+const DUMMY_PASSWORD_HASH = adminAuth.hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function hasRole(role, minRole) {
+  return ADMIN_ROLES.indexOf(role) >= ADMIN_ROLES.indexOf(minRole);
+}
+
+function createAdminAccess({ storage, config }) {
+  // Session IDs revoked by logout, kept until their token would have expired anyway
+  const revokedSessions = new Map();
+  // Short cache of admin_users rows so a disabled user or role change applies within a minute
+  const userCache = new Map();
+
+  function pruneRevokedSessions() {
+    const now = Date.now();
+    for (const [sid, exp] of revokedSessions) {
+      if (exp < now) revokedSessions.delete(sid);
+    }
+  }
+
+  async function findAdminUser(username) {
+    if (!storage || !username) return null;
+    try {
+      return await storage.adminUsers.get(username);
+    } catch (error) {
+      console.error('❌ Admin user lookup error:', error);
+      return null;
+    }
+  }
+
+  async function getCachedAdminUser(username) {
+    const cached = userCache.get(username);
+    if (cached && Date.now() - cached.fetchedAt < ADMIN_USER_CACHE_MS) return cached.user;
+    const user = await findAdminUser(username);
+    userCache.set(username, { user, fetchedAt: Date.now() });
+    return user;
+  }
+
+  async function getAdminSession(req) {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+    const session = adminAuth.verifyToken(token, config.adminSessionSecret);
+    if (!session || revokedSessions.has(session.sid)) return null;
+    if (session.src === 'db') {
+      const user = await getCachedAdminUser(session.sub);
+      if (!user || user.disabled) return null;
+      session.role = user.role;
+    }
+    return session;
+  }
+
+  async function requireAdmin(req, res, next) {
+    try {
+      const session = await getAdminSession(req);
+      if (!session) {
+        return res.status(401).json({ success: false, error: 'Admin authentication required' });
+      }
+      req.admin = session;
+      next();
+    } catch (error) {
+      console.error('💥 Admin auth error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+
+  // Allows the given role and every role above it
+  function requireRole(minRole) {
+    return (req, res, next) => {
+      if (!req.admin || !hasRole(req.admin.role, minRole)) {
+        return res.status(403).json({ success: false, error: `Requires ${minRole} role` });
+      }
+      next();
+    };
+  }
+
+  async function isSupportAdmin(req) {
+    const session = await getAdminSession(req);
+    return !!session && hasRole(session.role, 'support');
+  }
+
+  // Returns { sub, role, src } for valid credentials, otherwise null
+  async function checkCredentials(username, password) {
+    const user = await findAdminUser(username);
+    if (user) {
+      if (adminAuth.verifyPassword(password, user.password_hash) && !user.disabled) {
+        return { sub: user.username, role: user.role, src: 'db' };
+      }
+      return null;
+    }
+    if (config.adminPasswordHash && username === config.adminUsername.toLowerCase()) {
+      return adminAuth.verifyPassword(password, config.adminPasswordHash)
+        ? { sub: config.adminUsername, role: 'owner', src: 'env' }
+        : null;
+    }
+    adminAuth.verifyPassword(password, DUMMY_PASSWORD_HASH);
+    return null;
+  }
+
+  function issueSession(account) {
+    const expiresAt = Date.now() + config.adminSessionTtlMs;
+    const token = adminAuth.signToken({
+      sid: crypto.randomUUID(),
+      ...account,
+      iat: Date.now(),
+      exp: expiresAt
+    }, config.adminSessionSecret);
+    return { token, expiresAt };
+  }
+
+  function revokeSession(session) {
+    pruneRevokedSessions();
+    revokedSessions.set(session.sid, session.exp);
+  }
+
+  function forgetUser(username) {
+    userCache.delete(username);
+  }
+
+  // Append-only audit trail for every mutating admin action
+  async function recordAdminAudit(req, { action, card_ids = [], before = null, after = null, metadata = {} }) {
+    const entry = {
+      actor: req.admin?.sub || 'unknown',
+      actor_role: req.admin?.role || null,
+      action: action,
+      ip_address: getClientIp(req),
+      user_agent: getUserAgent(req),
+      card_ids: card_ids,
+      before_state: before,
+      after_state: after,
+      metadata: metadata,
+      created_at: new Date().toISOString()
+    };
+    if (!storage) {
+      console.error('❌ Audit log skipped (no database):', entry);
+      return;
+    }
+    try {
+      await storage.auditLog.append(entry);
+    } catch (error) {
+      console.error('❌ Failed to write audit log:', error, entry);
+    }
+  }
+
+  return {
+    findAdminUser,
+    getAdminSession,
+    requireAdmin,
+    requireRole,
+    isSupportAdmin,
+    checkCredentials,
+    issueSession,
+    revokeSession,
+    forgetUser,
+    recordAdminAudit
+  };
+}
+
+module.exports = { createAdminAccess, ADMIN_ROLES, hasRole };
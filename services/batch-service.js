@@ -0,0 +1,148 @@
+// 📦 Batch service - turning paid templates into card batches, adding cards, batch history
+const { getClientIp, getUserAgent } = require('../lib/client-ip');
+const cardFactory = require('./card-factory');
+
+function createBatchService({ storage, activationLogger, cardLifecycle }) {
+  // batch_events is history only - a failed write is logged, not raised
+  async function recordEvent(req, batchId, eventType, { quantity = 0, cardId = null, metadata = {}, at = new Date() } = {}) {
+    try {
+      await storage.events.record({
+        batch_id: batchId,
+        event_type: eventType,
+        quantity: quantity,
+        card_id: cardId,
+        timestamp: at.toISOString(),
+        ip_address: getClientIp(req),
+        user_agent: getUserAgent(req),
+        metadata: metadata
+      });
+    } catch (error) {
+      console.error('Batch event log error:', error);
+    }
+  }
+
+  // Creates the batch row or brings an existing one up to `quantity` cards
+  async function saveBatchCounts(req, batchId, quantity, extra = {}) {
+    const now = new Date().toISOString();
+    const counts = {
+      cards_created: quantity,
+      total_cards_purchased: quantity,
+      max_cards_allowed: quantity,
+      ...extra
+    };
+    if (await storage.batches.exists(batchId)) {
+      await storage.batches.update(batchId, { ...counts, status: 'active', updated_by_ip: getClientIp(req), updated_at: now });
+    } else {
+      await storage.batches.create({ batch_id: batchId, batch_type: 'ecard', ...counts, created_by_ip: getClientIp(req), created_at: now, updated_at: now });
+    }
+  }
+
+  // After payment: the draft template becomes card #1 and is cloned into cards 2..quantity.
+  // Returns null when the batch has no draft template (never saved, or already activated).
+  async function activateTemplate(req, batchId, { quantity, source, batchFields = {} } = {}) {
+    const template = await storage.cards.findDraftTemplate(batchId);
+    if (!template) return null;
+
+    const total = parseInt(quantity) || template.quantity || 2;
+    const now = new Date();
+    // The template's draft -> active move claims the batch, so a concurrent activation stops here
+    const activated = await cardLifecycle.transition(req, template, 'active', {
+      reason: 'batch_paid',
+      patch: { is_batch_template: false, terms_accepted: true, batch_order: 1 },
+      metadata: { batch_id: batchId, source },
+      at: now
+    });
+    if (!activated) return null;
+    const clones = cardFactory.cloneCards(template, { batchId, firstOrder: 2, count: total - 1, clientIp: getClientIp(req), now });
+    await cardLifecycle.createCards(req, clones, { reason: 'batch_paid', metadata: { batch_id: batchId, template_card_id: template.card_id }, at: now, freshIds: true });
+    await saveBatchCounts(req, batchId, total, batchFields);
+
+    const cardIds = [template.card_id, ...clones.map(c => c.card_id)];
+    await recordEvent(req, batchId, 'batch_paid_and_created', {
+      quantity: total,
+      cardId: template.card_id,
+      at: now,
+      metadata: { template_card_id: template.card_id, total_cards: total, source, payment_completed: true }
+    });
+    await activationLogger.record(req, cardIds, {
+      source,
+      at: now,
+      metadata: (cardId) => ({ batch_id: batchId, quantity: total, template_card_id: template.card_id, was_template: cardId === template.card_id })
+    });
+    return { template, quantity: total, cardIds };
+  }
+
+  // Adds `quantity` cards copying the batch's first active card.
+  // Throws if the batch has no active card to copy.
+  async function addCards(req, batch, quantity, { paymentIntentId = null } = {}) {
+    const batchId = batch.batch_id;
+    const sourceCards = await storage.cards.listByBatch(batchId, { columns: cardFactory.DESIGN_FIELDS, status: 'active' });
+    if (!sourceCards.length) {
+      const error = new Error('No active cards in batch');
+      error.status = 400;
+      throw error;
+    }
+
+    const now = new Date();
+    const startOrder = (await storage.cards.maxBatchOrder(batchId)) + 1;
+    const newCards = cardFactory.cloneCards(sourceCards[0], { batchId, firstOrder: startOrder, count: quantity, clientIp: getClientIp(req), now });
+    await cardLifecycle.createCards(req, newCards, { reason: 'batch_add_on', metadata: { batch_id: batchId, payment_intent_id: paymentIntentId }, at: now, freshIds: true });
+    console.log(`🟢 Inserted ${newCards.length} cards`);
+
+    const newTotal = (batch.cards_created || 0) + quantity;
+    const newMax = (batch.max_cards_allowed || 0) + quantity;
+    console.log(`🟡 Updating batch: cards_created ${batch.cards_created} → ${newTotal}, max_cards_allowed ${batch.max_cards_allowed} → ${newMax}`);
+    const updated = await storage.batches.update(batchId, {
+      cards_created: newTotal,
+      total_cards_purchased: newTotal,
+      max_cards_allowed: newMax,
+      updated_at: now.toISOString()
+    });
+    if (updated.length === 0) throw new Error('Batch update affected 0 rows');
+
+    await recordEvent(req, batchId, 'cards_added_via_payment', {
+      quantity,
+      at: now,
+      metadata: {
+        payment_intent_id: paymentIntentId,
+        previous_count: batch.cards_created,
+        new_count: newTotal,
+        previous_max: batch.max_cards_allowed,
+        new_max: newMax,
+        card_ids: newCards.map(c => c.card_id)
+      }
+    });
+    await activationLogger.record(req, newCards.map(c => c.card_id), {
+      source: 'batch_manager_add_on',
+      at: now,
+      metadata: (cardId, index) => ({
+        batch_id: batchId,
+        batch_order: newCards[index].batch_order,
+        payment_intent_id: paymentIntentId,
+        added_via: 'inline_payment'
+      })
+    });
+    return { cards: newCards, newTotal, newMax };
+  }
+
+  // Recounts after a card leaves the batch
+  async function removeCard(req, batchId, cardId) {
+    const remaining = await storage.cards.listByBatch(batchId, { columns: 'card_id', excludeStatus: 'deleted' });
+    const newCount = remaining.length;
+    await storage.batches.update(batchId, {
+      cards_created: newCount,
+      total_cards_purchased: newCount,
+      updated_at: new Date().toISOString()
+    });
+    console.log(`📝 Logging batch event: card removed from ${batchId}`);
+    await recordEvent(req, batchId, 'card_removed', {
+      quantity: 1,
+      cardId,
+      metadata: { deleted_card: cardId, previous_count: newCount + 1, new_count: newCount }
+    });
+  }
+
+  return { recordEvent, saveBatchCounts, activateTemplate, addCards, removeCard };
+}
+
+module.exports = { createBatchService };
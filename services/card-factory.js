@@ -0,0 +1,53 @@
+// 🏭 Card factory - builds card rows so every flow creates cards the same way
+const { generateCardId } = require('../lib/card-ids');
+
+const CARD_VALIDITY_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Design columns copied from a template or sibling card into new batch cards
+const DESIGN_FIELDS = 'message_type, message_text, media_url, overlay_url, video_url, audio_url, has_video_overlay, has_audio_overlay, file_name, file_size, file_type, template_config';
+
+function activationDeadline(from = new Date()) {
+  return new Date(from.getTime() + CARD_VALIDITY_MS).toISOString();
+}
+
+// An active e-card in a batch carrying the source card's design
+function cloneCard(source, { batchId, batchOrder, clientIp, now = new Date() }) {
+  return {
+    card_id: generateCardId(),
+    batch_id: batchId,
+    batch_order: batchOrder,
+    message_type: source.message_type,
+    message_text: source.message_text,
+    media_url: source.media_url,
+    overlay_url: source.overlay_url || null,
+    video_url: source.video_url || null,
+    audio_url: source.audio_url || null,
+    has_video_overlay: source.has_video_overlay || false,
+    has_audio_overlay: source.has_audio_overlay || false,
+    file_name: source.file_name,
+    file_size: source.file_size,
+    file_type: source.file_type,
+    template_config: source.template_config || null,
+    status: 'active',
+    card_type: 'ecard',
+    is_batch_template: false,
+    terms_accepted: true,
+    physical_card_status: null,
+    created_by_ip: clientIp,
+    updated_by_ip: clientIp,
+    created_at: now.toISOString(),
+    updated_at: now.toISOString(),
+    activation_deadline: activationDeadline(now)
+  };
+}
+
+// `count` clones numbered from firstOrder
+function cloneCards(source, { batchId, firstOrder, count, clientIp, now = new Date() }) {
+  const cards = [];
+  for (let i = 0; i < count; i++) {
+    cards.push(cloneCard(source, { batchId, batchOrder: firstOrder + i, clientIp, now }));
+  }
+  return cards;
+}
+
+module.exports = { DESIGN_FIELDS, generateCardId, activationDeadline, cloneCard, cloneCards };
@@ -0,0 +1,180 @@
+// 🔀 Card lifecycle - the legal card statuses, and the only code that writes cards.status
+//
+//   draft ───paid────▶ active ───▶ deleted
+//   pending ─scanned─▶ active
+//   active, pending ─refund─▶ refunded ───▶ deleted
+//   draft, pending, processed ───▶ deleted
+//
+// draft: e-card saved at checkout, not paid for yet. pending: physical card, dormant until activated.
+// refunded: paid for and then refunded; the viewer shows it as no longer available.
+// processed: legacy rows from the old batch flow, which can only be deleted. deleted is final.
+// Every change, creation included, is written to card_status_transitions with a reason.
+const { getClientIp, getUserAgent } = require('../lib/client-ip');
+const { generateCardId } = require('../lib/card-ids');
+
+const CARD_STATES = ['draft', 'pending', 'active', 'refunded', 'deleted', 'processed'];
+
+const TRANSITIONS = {
+  draft: ['active', 'deleted'],
+  pending: ['active', 'refunded', 'deleted'],
+  active: ['refunded', 'deleted'],
+  refunded: ['deleted'],
+  processed: ['deleted'],
+  deleted: []
+};
+
+// Buyers save draft e-cards and pending physical cards; only server flows that took payment create active ones
+const SAVED_STATES = ['draft', 'pending'];
+const INITIAL_STATES = ['draft', 'pending', 'active'];
+const MAX_ID_ATTEMPTS = 5;
+
+function lifecycleError(message, code, status = 409) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+function assertTransition(from, to) {
+  if (!CARD_STATES.includes(to)) throw lifecycleError(`Unknown card status "${to}"`, 'unknown_status', 400);
+  if (!canTransition(from, to)) throw lifecycleError(`Card cannot go from ${from} to ${to}`, 'illegal_transition');
+}
+
+// Status columns for a card a buyer saves; physical cards stay dormant until they go active
+function savedCardStatus(cardType, requested) {
+  const status = requested || (cardType === 'physical' ? 'pending' : 'draft');
+  if (!SAVED_STATES.includes(status)) {
+    throw lifecycleError(`New cards start as ${SAVED_STATES.join(' or ')}, not "${status}"`, 'illegal_initial_status', 400);
+  }
+  return { status, physical_card_status: cardType === 'physical' ? 'dormant' : null };
+}
+
+// Scripts run by hand name themselves in req.actor (see cliRequest in services/manufacturing-runs.js)
+function actorOf(req) {
+  if (req.actor) return req.actor;
+  if (req.admin?.sub) return `admin:${req.admin.sub}`;
+  if (req.customer?.id) return `customer:${req.customer.id}`;
+  return null;
+}
+
+function createCardLifecycle({ storage }) {
+  // Transition history is written after the status change - a failed write is logged, not raised
+  async function recordTransitions(req, changes, { reason, metadata = null, at }) {
+    if (changes.length === 0) return;
+    try {
+      const actor = actorOf(req);
+      const ipAddress = getClientIp(req);
+      const userAgent = getUserAgent(req);
+      await storage.cardTransitions.record(changes.map(change => ({
+        card_id: change.card_id,
+        from_status: change.from,
+        to_status: change.to,
+        reason: reason,
+        actor: actor,
+        ip_address: ipAddress,
+        user_agent: userAgent,
+        metadata: metadata,
+        created_at: at.toISOString()
+      })));
+    } catch (error) {
+      console.error('❌ Failed to record card transition:', error, { reason, cards: changes.map(c => c.card_id) });
+    }
+  }
+
+  // Inserts new cards in their starting status. Returns the inserted rows.
+  // freshIds: the card_ids were generated here, so a collision redraws them (on the records
+  // themselves) and retries. The rows go in as one insert - a collision leaves nothing behind.
+  // rekey(record) recomputes anything derived from a redrawn card_id.
+  async function createCards(req, records, { reason, metadata = null, at = new Date(), freshIds = false, rekey = null } = {}) {
+    for (const record of records) {
+      if (!INITIAL_STATES.includes(record.status)) {
+        throw lifecycleError(`Cards cannot be created as "${record.status}"`, 'illegal_initial_status', 400);
+      }
+    }
+    let created;
+    for (let attempt = 1; !created; attempt++) {
+      try {
+        created = await storage.cards.createMany(records);
+      } catch (error) {
+        if (!freshIds || error.code !== '23505' || attempt >= MAX_ID_ATTEMPTS) throw error;
+        console.log(`🔁 Card ID collision, drawing new IDs (attempt ${attempt + 1})`);
+        records.forEach(record => {
+          record.card_id = generateCardId();
+          if (rekey) rekey(record);
+        });
+      }
+    }
+    await recordTransitions(req, created.map(card => ({ card_id: card.card_id, from: null, to: card.status })), { reason, metadata, at });
+    return created;
+  }
+
+  // Moves one card ({ card_id, status } as last read) to `to`. Throws on an illegal move.
+  // Returns the updated row, or null if the card's status changed since it was read.
+  async function transition(req, card, to, { reason, patch = {}, metadata = null, at = new Date() } = {}) {
+    assertTransition(card.status, to);
+    const [updated] = await storage.cards.update(card.card_id, {
+      ...patch,
+      status: to,
+      ...(to === 'active' ? { physical_card_status: null } : {}),
+      updated_by_ip: getClientIp(req),
+      updated_at: at.toISOString()
+    }, { whereStatus: card.status });
+    if (!updated) return null;
+    await recordTransitions(req, [{ card_id: card.card_id, from: card.status, to }], { reason, metadata, at });
+    return updated;
+  }
+
+  // Moves every card that may legally go to `to`; the rest are skipped with the reason why.
+  // Returns { before, changed, skipped } - before/changed cover the moved cards only.
+  async function transitionMany(req, cardIds, to, { reason, patch = {}, metadata = null, at = new Date() } = {}) {
+    if (!CARD_STATES.includes(to)) throw lifecycleError(`Unknown card status "${to}"`, 'unknown_status', 400);
+    const columns = 'card_id, status, batch_id';
+    const cards = await storage.cards.listByIds(cardIds, { columns });
+    const found = new Set(cards.map(c => c.card_id));
+    const skipped = cardIds.filter(id => !found.has(id)).map(id => ({ card_id: id, error: 'Card not found' }));
+
+    const byStatus = {};
+    for (const card of cards) {
+      if (canTransition(card.status, to)) {
+        (byStatus[card.status] = byStatus[card.status] || []).push(card.card_id);
+      } else {
+        skipped.push({ card_id: card.card_id, status: card.status, error: `Card cannot go from ${card.status} to ${to}` });
+      }
+    }
+
+    const changed = [];
+    const changes = [];
+    for (const [from, ids] of Object.entries(byStatus)) {
+      const rows = await storage.cards.updateMany(ids, {
+        ...patch,
+        status: to,
+        ...(to === 'active' ? { physical_card_status: null } : {}),
+        updated_by_ip: getClientIp(req),
+        updated_at: at.toISOString()
+      }, { whereStatus: from, columns });
+      changed.push(...rows);
+      changes.push(...rows.map(row => ({ card_id: row.card_id, from, to })));
+    }
+    await recordTransitions(req, changes, { reason, metadata, at });
+
+    const changedIds = new Set(changed.map(c => c.card_id));
+    for (const card of cards) {
+      if (canTransition(card.status, to) && !changedIds.has(card.card_id)) {
+        skipped.push({ card_id: card.card_id, status: card.status, error: 'Card status changed during the update' });
+      }
+    }
+    return { before: cards.filter(c => changedIds.has(c.card_id)), changed, skipped };
+  }
+
+  function history(cardId) {
+    return storage.cardTransitions.listForCard(cardId);
+  }
+
+  return { createCards, transition, transitionMany, history };
+}
+
+module.exports = { createCardLifecycle, canTransition, assertTransition, savedCardStatus, actorOf, CARD_STATES, TRANSITIONS };
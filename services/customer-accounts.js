@@ -0,0 +1,390 @@
+// 👤 Customer accounts - email magic link + session cookie
+// Buyers sign in with a one-time link (or the 6-digit code in the same email).
+// The session is an HMAC-signed cookie whose session ID is checked against
+// customer_sessions, so logout revokes it server-side.
+const crypto = require('crypto');
+const adminAuth = require('../lib/admin-auth');
+const verificationCodes = require('../lib/verification-codes');
+const { getClientIp, getUserAgent } = require('../lib/client-ip');
+const { hashManageToken, withoutSecrets } = require('../lib/manage-tokens');
+
+const CUSTOMER_SESSION_COOKIE = 'papir_session';
+const CUSTOMER_SESSION_CACHE_MS = 60 * 1000;
+const MAGIC_LINK_TTL_MS = 15 * 60 * 1000;
+const LOGIN_EMAILS_PER_HOUR = 3;
+// What counts as having bought something
+const PAID_ORDER_STATUSES = ['paid', 'fulfilled'];
+const PAID_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+
+// Verification codes are stored as an HMAC of email + code, never in plaintext
+const MAX_CODE_ATTEMPTS = 5;        // wrong guesses before the code is burned and the email locked
+const MAX_IP_CODE_ATTEMPTS = 20;    // wrong guesses per IP per hour, across all emails
+const IP_ATTEMPT_WINDOW_MS = 60 * 60 * 1000;
+
+function parseCookies(req) {
+  const cookies = {};
+  (req.headers.cookie || '').split(';').forEach(part => {
+    const index = part.indexOf('=');
+    if (index < 0) return;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (e) {
+      cookies[name] = part.slice(index + 1).trim();
+    }
+  });
+  return cookies;
+}
+
+function customerOwnsBatch(customer, batch) {
+  if (!customer || !batch) return false;
+  if (batch.customer_id) return batch.customer_id === customer.id;
+  return !!batch.customer_email && batch.customer_email.toLowerCase() === customer.email;
+}
+
+function lockedOutBody(lockedUntil) {
+  return {
+    success: false,
+    error: 'Too many incorrect codes. Please try again later.',
+    locked_until: new Date(lockedUntil).toISOString()
+  };
+}
+
+function renderLoginEmail({ code, link }) {
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; color: #333;">
+      <h2 style="color: #BCAE83;">Sign in to Papir</h2>
+      <p>Click the button below to open My Cards. The link works once and expires in 15 minutes.</p>
+      <p style="text-align: center; margin: 30px 0;">
+        <a href="${link}" style="background: #BCAE83; color: #1a1a2e; padding: 14px 28px; border-radius: 8px; text-decoration: none; font-weight: bold;">Sign in to My Cards</a>
+      </p>
+      <p>Or enter this code on the page you came from:</p>
+      <div style="background: #f5f5f5; padding: 20px; text-align: center; font-size: 32px; font-weight: bold; letter-spacing: 8px; border-radius: 8px; margin: 20px 0;">
+        ${code}
+      </div>
+      <p>The code expires in 10 minutes.</p>
+      <p style="color: #999; font-size: 12px; margin-top: 30px;">If you didn't request this, please ignore this email.</p>
+    </div>
+  `;
+}
+
+function createCustomerAccounts({ storage, resend, config }) {
+  const sessionCache = new Map();
+  const ipCodeFailures = new Map();
+
+  function cookieOptions() {
+    return {
+      httpOnly: true,
+      secure: config.nodeEnv !== 'development',
+      sameSite: 'lax',
+      path: '/'
+    };
+  }
+
+  async function getCustomerSession(req) {
+    if (req.customer !== undefined) return req.customer;
+    req.customer = null;
+    const payload = adminAuth.verifyToken(parseCookies(req)[CUSTOMER_SESSION_COOKIE], config.customerSessionSecret);
+    if (!payload || !storage) return null;
+
+    const cached = sessionCache.get(payload.sid);
+    let sessionRow = cached && Date.now() - cached.fetchedAt < CUSTOMER_SESSION_CACHE_MS ? cached.row : undefined;
+    if (sessionRow === undefined) {
+      sessionRow = (await storage.customers.getSession(payload.sid, 'sid, customer_id, revoked_at, expires_at')) || null;
+      sessionCache.set(payload.sid, { row: sessionRow, fetchedAt: Date.now() });
+    }
+    if (!sessionRow || sessionRow.revoked_at || new Date(sessionRow.expires_at) < new Date()) return null;
+
+    req.customer = { sid: payload.sid, id: payload.sub, email: payload.email };
+    return req.customer;
+  }
+
+  async function requireCustomer(req, res, next) {
+    try {
+      const customer = await getCustomerSession(req);
+      if (!customer) {
+        return res.status(401).json({ success: false, error: 'Please sign in to continue' });
+      }
+      next();
+    } catch (error) {
+      console.error('💥 Customer auth error:', error);
+      res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+
+  async function findOrCreateCustomer(email) {
+    const existing = await storage.customers.getByEmail(email);
+    if (existing) return existing;
+    const created = await storage.customers.create({ email, created_at: new Date().toISOString() });
+    console.log(`👤 New customer account: ${email}`);
+    return created;
+  }
+
+  async function startSession(req, res, customer) {
+    const sid = crypto.randomUUID();
+    const expiresAt = Date.now() + config.customerSessionTtlMs;
+    await storage.customers.createSession({
+      sid,
+      customer_id: customer.id,
+      created_at: new Date().toISOString(),
+      expires_at: new Date(expiresAt).toISOString(),
+      ip_address: getClientIp(req),
+      user_agent: getUserAgent(req)
+    });
+    await storage.customers.touchLogin(customer.id);
+    const token = adminAuth.signToken({ sid, sub: customer.id, email: customer.email, exp: expiresAt }, config.customerSessionSecret);
+    res.cookie(CUSTOMER_SESSION_COOKIE, token, { ...cookieOptions(), maxAge: config.customerSessionTtlMs });
+    req.customer = { sid, id: customer.id, email: customer.email };
+  }
+
+  async function endSession(req, res) {
+    const customer = await getCustomerSession(req);
+    if (customer) {
+      await storage.customers.revokeSession(customer.sid);
+      sessionCache.delete(customer.sid);
+    }
+    res.clearCookie(CUSTOMER_SESSION_COOKIE, cookieOptions());
+  }
+
+  // Everything this email paid for: batches and single cards, via paid orders and completed payments.
+  // Unpaid ones name whatever the buyer typed, so they count for nothing.
+  async function findPurchasesForEmail(email, customerId) {
+    const batchIds = new Set();
+    const cardIds = new Set();
+
+    const orders = await storage.orders.listByEmail(email, { statuses: PAID_ORDER_STATUSES, columns: 'batch_id, card_id, card_ids' });
+    orders.forEach(o => {
+      if (o.batch_id) batchIds.add(o.batch_id);
+      else (o.card_ids || [o.card_id]).filter(Boolean).forEach(cardId => cardIds.add(cardId));
+    });
+    const payments = await storage.payments.listByEmail(email, { columns: 'batch_id, card_id', statuses: PAID_PAYMENT_STATUSES });
+    payments.forEach(p => {
+      if (p.batch_id) batchIds.add(p.batch_id);
+      else if (p.card_id) cardIds.add(p.card_id);
+    });
+
+    if (customerId) {
+      const ownedBatches = await storage.batches.listByCustomer(customerId).catch(() => []);
+      ownedBatches.forEach(b => batchIds.add(b.batch_id));
+      const ownedCards = await storage.cards.listSinglesByCustomer(customerId).catch(() => []);
+      ownedCards.forEach(c => cardIds.add(c.card_id));
+    }
+
+    let batches = await storage.batches.listByIds(Array.from(batchIds)).catch(error => {
+      console.error('Batch fetch error:', error);
+      return [];
+    });
+
+    let cards = await storage.cards.listByIds(Array.from(cardIds), {
+      columns: 'card_id, status, message_type, media_url, scan_count, created_at, customer_id',
+      excludeStatus: 'deleted'
+    }).catch(error => {
+      console.error('Card fetch error:', error);
+      return [];
+    });
+
+    // Batches another account already claimed are not this customer's
+    batches = batches.filter(b => !b.customer_id || !customerId || b.customer_id === customerId);
+    cards = cards.filter(c => !c.customer_id || !customerId || c.customer_id === customerId);
+    return { batches, cards };
+  }
+
+  // Link unclaimed purchases made with this email to the customer account
+  async function claimPurchasesForCustomer(customer, purchases) {
+    const batchIds = purchases.batches.filter(b => !b.customer_id).map(b => b.batch_id);
+    const cardIds = purchases.cards.filter(c => !c.customer_id).map(c => c.card_id);
+    await storage.batches.claimForCustomer(batchIds, customer.id);
+    await storage.cards.claimForCustomer(cardIds, customer.id);
+  }
+
+  // Sign-in after a verified link or code: account, claimed purchases, session cookie
+  async function signIn(req, res, email) {
+    const customer = await findOrCreateCustomer(email);
+    const purchases = await findPurchasesForEmail(customer.email, customer.id);
+    await claimPurchasesForCustomer(customer, purchases);
+    await startSession(req, res, customer);
+    return { customer, purchases };
+  }
+
+  // Sends one email with a magic link and a 6-digit code. Returns { status, body }.
+  async function sendLoginEmail(req, email) {
+    const existingCode = await storage.codes.get(email, 'locked_until');
+    if (existingCode?.locked_until && new Date(existingCode.locked_until) > new Date()) {
+      return { status: 429, body: lockedOutBody(existingCode.locked_until) };
+    }
+
+    const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    const recentLinks = await storage.customers.countLoginLinksSince(email, oneHourAgo);
+    if (recentLinks >= LOGIN_EMAILS_PER_HOUR) {
+      return { status: 429, body: { error: 'Too many requests. Please try again in an hour.' } };
+    }
+
+    const linkToken = crypto.randomBytes(32).toString('base64url');
+    try {
+      await storage.customers.createLoginLink({
+        token_hash: hashManageToken(linkToken),
+        email,
+        expires_at: new Date(Date.now() + MAGIC_LINK_TTL_MS).toISOString(),
+        created_at: new Date().toISOString(),
+        created_ip: getClientIp(req)
+      });
+    } catch (linkError) {
+      console.error('Login link insert error:', linkError);
+      return { status: 500, body: { error: 'Server error' } };
+    }
+
+    const code = verificationCodes.generateCode();
+    // lockout_count and locked_until are left out so a new code can't reset a lockout
+    try {
+      await storage.codes.save(email, {
+        code_hash: verificationCodes.hashCode(email, code, config.verificationCodeSecret),
+        failed_attempts: 0,
+        expires_at: new Date(Date.now() + 10 * 60 * 1000).toISOString(),
+        created_at: new Date().toISOString()
+      });
+    } catch (upsertError) {
+      console.error('Upsert error:', upsertError);
+      return { status: 500, body: { error: 'Server error' } };
+    }
+
+    const link = `${req.protocol}://${req.get('host')}/api/account/verify?token=${linkToken}`;
+    const { error: emailError } = await resend.emails.send({
+      from: 'Papir <noreply@papir.ca>',
+      to: email,
+      subject: 'Your Papir sign-in link',
+      html: renderLoginEmail({ code, link })
+    });
+    if (emailError) {
+      console.error('Email error:', emailError);
+      return { status: 500, body: { error: 'Server error' } };
+    }
+    return { status: 200, body: { success: true, message: 'Sign-in link sent' } };
+  }
+
+  // Returns the customer row for a valid, unused link token, marking it used; otherwise null
+  async function consumeLoginLink(req, token) {
+    const link = await storage.customers.getLoginLink(hashManageToken(token));
+    if (!link || link.used_at || new Date(link.expires_at) < new Date()) return null;
+    // Mark used first; the used_at filter makes a concurrent second click a no-op
+    if (!(await storage.customers.consumeLoginLink(link.token_hash, getClientIp(req)))) return null;
+    return link;
+  }
+
+  async function recordVerificationLockout(req, { scope, email = null, failedAttempts, lockoutCount, lockedUntil }) {
+    console.log(`🔒 Verification lockout (${scope}): ${email || getClientIp(req)} until ${new Date(lockedUntil).toISOString()}`);
+    await storage.lockouts.record({
+      scope,
+      email,
+      ip_address: getClientIp(req),
+      user_agent: getUserAgent(req),
+      failed_attempts: failedAttempts,
+      lockout_count: lockoutCount,
+      locked_until: new Date(lockedUntil).toISOString(),
+      created_at: new Date().toISOString()
+    }).catch(error => console.error('Lockout log error:', error));
+  }
+
+  // Per-IP failures are kept in memory; the window resets an hour after the first miss
+  async function registerIpCodeFailure(req) {
+    const ip = getClientIp(req);
+    const now = Date.now();
+    let state = ipCodeFailures.get(ip);
+    if (!state || now - state.windowStart > IP_ATTEMPT_WINDOW_MS) {
+      state = { failures: 0, lockouts: state ? state.lockouts : 0, windowStart: now, lockedUntil: state ? state.lockedUntil : 0 };
+    }
+    state.failures += 1;
+    if (state.failures >= MAX_IP_CODE_ATTEMPTS) {
+      state.lockouts += 1;
+      state.lockedUntil = now + verificationCodes.lockoutDuration(state.lockouts);
+      await recordVerificationLockout(req, { scope: 'ip', failedAttempts: state.failures, lockoutCount: state.lockouts, lockedUntil: state.lockedUntil });
+      state.failures = 0;
+      state.windowStart = now;
+    }
+    ipCodeFailures.set(ip, state);
+  }
+
+  // Checks a code against its stored hash and consumes it on success.
+  // Returns { ok: true } or { ok: false, status, body }.
+  async function consumeVerificationCode(req, email, code) {
+    const ipState = ipCodeFailures.get(getClientIp(req));
+    if (ipState && ipState.lockedUntil > Date.now()) {
+      return { ok: false, status: 429, body: lockedOutBody(ipState.lockedUntil) };
+    }
+
+    const record = await storage.codes.get(email);
+
+    if (record?.locked_until && new Date(record.locked_until) > new Date()) {
+      return { ok: false, status: 429, body: lockedOutBody(record.locked_until) };
+    }
+
+    const invalid = { ok: false, status: 401, body: { success: false, error: 'Invalid or expired code' } };
+    if (!record || !record.code_hash || new Date(record.expires_at) < new Date()) {
+      await registerIpCodeFailure(req);
+      return invalid;
+    }
+
+    if (verificationCodes.codeMatches(email, code, record.code_hash, config.verificationCodeSecret)) {
+      await storage.codes.remove(email);
+      return { ok: true };
+    }
+
+    // Counted in the database so parallel guesses can't overwrite each other's misses. The guess that
+    // reaches MAX_CODE_ATTEMPTS burns the code (the buyer has to request a new one) and locks the email.
+    const counted = await storage.codes.recordWrongCode(email, {
+      codeHash: record.code_hash,
+      maxAttempts: MAX_CODE_ATTEMPTS,
+      now: new Date(),
+      lockBaseMs: verificationCodes.LOCKOUT_BASE_MS,
+      lockMaxMs: verificationCodes.LOCKOUT_MAX_MS
+    });
+    if (counted?.failed_attempts === MAX_CODE_ATTEMPTS) {
+      await recordVerificationLockout(req, {
+        scope: 'email',
+        email,
+        failedAttempts: counted.failed_attempts,
+        lockoutCount: counted.lockout_count,
+        lockedUntil: new Date(counted.locked_until).getTime()
+      });
+    }
+    await registerIpCodeFailure(req);
+
+    // Also when a parallel guess burned the code first
+    const lockedUntil = counted ? counted.locked_until : (await storage.codes.get(email, 'locked_until'))?.locked_until;
+    if (lockedUntil && new Date(lockedUntil) > new Date()) return { ok: false, status: 429, body: lockedOutBody(lockedUntil) };
+    return invalid;
+  }
+
+  // Clears an IP's in-memory code failures; returns the state it had
+  function unlockIp(ip) {
+    const state = ipCodeFailures.get(ip) || null;
+    ipCodeFailures.delete(ip);
+    return state;
+  }
+
+  async function accountSummary(customer) {
+    const purchases = await findPurchasesForEmail(customer.email, customer.id);
+    return {
+      email: customer.email,
+      batches: purchases.batches.map(withoutSecrets),
+      cards: purchases.cards
+    };
+  }
+
+  return {
+    getCustomerSession,
+    requireCustomer,
+    findOrCreateCustomer,
+    startSession,
+    endSession,
+    signIn,
+    findPurchasesForEmail,
+    claimPurchasesForCustomer,
+    sendLoginEmail,
+    consumeLoginLink,
+    consumeVerificationCode,
+    unlockIp,
+    accountSummary
+  };
+}
+
+module.exports = { createCustomerAccounts, customerOwnsBatch, parseCookies, CUSTOMER_SESSION_COOKIE };
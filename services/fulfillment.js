@@ -0,0 +1,309 @@
+// 📦 Fulfillment - getting paid physical card orders printed and to the customer
+//
+//   ordered ─▶ sent_to_printer ─▶ printed ─▶ shipped ─▶ delivered
+//                                              └──────────┴──▶ returned
+//
+// One fulfillment per paid physical order, carrying the shipping address captured at checkout.
+// Steps come from the admin panel or from the CSV the printer sends back; a step may skip ahead
+// (the printer often reports "shipped" straight after "sent_to_printer") but never goes back.
+// Each step is written to fulfillment_events, copied onto the order's cards as physical_card_status
+// and emailed to the customer.
+const crypto = require('crypto');
+const { ALPHABET } = require('../lib/card-ids');
+
+const FULFILLMENT_STATES = ['ordered', 'sent_to_printer', 'printed', 'shipped', 'delivered', 'returned'];
+const FORWARD = ['ordered', 'sent_to_printer', 'printed', 'shipped', 'delivered'];
+const SHIP_TO_COUNTRIES = ['CA', 'US'];
+const POSTAL_CODES = {
+  CA: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/,
+  US: /^\d{5}(-\d{4})?$/
+};
+const TRACKING_URLS = {
+  canada_post: n => `https://www.canadapost-postescanada.ca/track-reperage/en#/search?searchFor=${n}`,
+  purolator: n => `https://www.purolator.com/en/shipping/tracker?pin=${n}`,
+  ups: n => `https://www.ups.com/track?tracknum=${n}`,
+  fedex: n => `https://www.fedex.com/fedextrack/?trknbr=${n}`,
+  usps: n => `https://tools.usps.com/go/TrackConfirmAction?tLabels=${n}`
+};
+const CSV_COLUMNS = ['fulfillment_id', 'status', 'carrier', 'tracking_number', 'note'];
+
+const EMAILS = {
+  ordered: { subject: 'We received your Papir card order', line: 'Thanks for your order! We are getting your cards ready for printing.' },
+  sent_to_printer: { subject: 'Your Papir cards are at the printer', line: 'Your cards have been sent to our printer.' },
+  printed: { subject: 'Your Papir cards are printed', line: 'Your cards are printed and will ship soon.' },
+  shipped: { subject: 'Your Papir cards have shipped', line: 'Your cards are on their way.' },
+  delivered: { subject: 'Your Papir cards were delivered', line: 'Your cards have been delivered. Enjoy!' },
+  returned: { subject: 'Your Papir cards were returned to us', line: 'Your package came back to us. Reply to this email and we will sort out a new delivery.' }
+};
+
+function fulfillmentError(message, code, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function canAdvance(from, to) {
+  if (to === 'returned') return from === 'shipped' || from === 'delivered';
+  return FORWARD.includes(from) && FORWARD.indexOf(to) > FORWARD.indexOf(from);
+}
+
+// FUL-20261019-7KQ2, like run IDs
+function generateFulfillmentId(at = new Date()) {
+  const day = at.toISOString().slice(0, 10).replace(/-/g, '');
+  const suffix = Array.from(crypto.randomBytes(4), byte => ALPHABET[byte % ALPHABET.length]).join('');
+  return `FUL-${day}-${suffix}`;
+}
+
+// "Canada Post" -> canada_post
+function normalizeCarrier(carrier) {
+  return String(carrier || '').trim().toLowerCase().replace(/[\s-]+/g, '_') || null;
+}
+
+function trackingUrl(carrier, trackingNumber) {
+  const build = TRACKING_URLS[normalizeCarrier(carrier)];
+  return build && trackingNumber ? build(encodeURIComponent(trackingNumber)) : null;
+}
+
+// { name, line1, line2, city, region, postal_code, country } from what the checkout form sent
+function parseShippingAddress(input) {
+  if (!input || typeof input !== 'object') throw fulfillmentError('A shipping address is required for printed cards', 'invalid_address');
+  const field = name => String(input[name] || '').trim();
+  const address = {
+    name: field('name'),
+    line1: field('line1'),
+    line2: field('line2') || null,
+    city: field('city'),
+    region: field('region').toUpperCase(),
+    postal_code: field('postal_code').toUpperCase(),
+    country: field('country').toUpperCase()
+  };
+  const missing = ['name', 'line1', 'city', 'region', 'postal_code', 'country'].filter(name => !address[name]);
+  if (missing.length) throw fulfillmentError(`Shipping address is missing ${missing.join(', ')}`, 'invalid_address');
+  if (!SHIP_TO_COUNTRIES.includes(address.country)) {
+    throw fulfillmentError(`We ship to ${SHIP_TO_COUNTRIES.join(' and ')} only`, 'invalid_address');
+  }
+  if (!POSTAL_CODES[address.country].test(address.postal_code)) {
+    throw fulfillmentError(`"${address.postal_code}" is not a valid postal code for ${address.country}`, 'invalid_address');
+  }
+  // Canada Post wants "A1A 1A1" on the label
+  if (address.country === 'CA') address.postal_code = `${address.postal_code.replace(' ', '').slice(0, 3)} ${address.postal_code.replace(' ', '').slice(3)}`;
+  return address;
+}
+
+// Stripe Checkout's collected shipping_details ({ name, address: { line1, state, ... } })
+function fromStripeShipping(details) {
+  if (!details?.address) return null;
+  return parseShippingAddress({ ...details.address, name: details.name, region: details.address.state });
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+function formatAddress(address) {
+  return [address.name, address.line1, address.line2, `${address.city}, ${address.region} ${address.postal_code}`, address.country]
+    .filter(Boolean).map(escapeHtml).join('<br>');
+}
+
+function renderStatusEmail(fulfillment) {
+  const { line } = EMAILS[fulfillment.status];
+  const link = trackingUrl(fulfillment.carrier, fulfillment.tracking_number);
+  const tracking = fulfillment.status === 'shipped' && fulfillment.tracking_number ? `
+      <p>Carrier: <strong>${escapeHtml(fulfillment.carrier)}</strong><br>
+      Tracking number: <strong>${escapeHtml(fulfillment.tracking_number)}</strong></p>
+      ${link ? `<p style="text-align: center; margin: 30px 0;"><a href="${link}" style="background: #BCAE83; color: #1a1a2e; padding: 14px 28px; border-radius: 8px; text-decoration: none; font-weight: bold;">Track your package</a></p>` : ''}` : '';
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; color: #333;">
+      <h2 style="color: #BCAE83;">${EMAILS[fulfillment.status].subject}</h2>
+      <p>${line}</p>
+      ${tracking}
+      <p style="color: #666;">Order <strong>${fulfillment.fulfillment_id}</strong> · ${fulfillment.quantity} card${fulfillment.quantity === 1 ? '' : 's'}</p>
+      <p style="color: #666;">Shipping to:<br>${formatAddress(fulfillment.shipping_address)}</p>
+    </div>
+  `;
+}
+
+// Splits the printer's CSV into objects keyed by its header row; handles quoted cells
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell); cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  const [header = [], ...body] = rows.filter(r => r.some(value => value.trim()));
+  const columns = header.map(name => name.trim().toLowerCase());
+  return body.map(values => Object.fromEntries(columns.map((name, index) => [name, (values[index] || '').trim()])));
+}
+
+function createFulfillment({ storage, resend }) {
+  // The cards an order prints are physical and carry its status as their physical_card_status.
+  // Batch cards made after the order opened pick it up at the next step.
+  async function mirrorOnCards(fulfillment) {
+    const cardIds = fulfillment.card_id ? [fulfillment.card_id]
+      : fulfillment.batch_id ? (await storage.cards.listByBatch(fulfillment.batch_id, { columns: 'card_id' })).map(c => c.card_id)
+      : [];
+    await storage.cards.updateMany(cardIds, { card_type: 'physical', physical_card_status: fulfillment.status }, { columns: 'card_id' });
+  }
+
+  // Email failures are logged; the step has happened either way
+  async function notifyCustomer(fulfillment) {
+    if (!fulfillment.customer_email) return;
+    try {
+      const { error } = await resend.emails.send({
+        from: 'Papir <noreply@papir.ca>',
+        to: fulfillment.customer_email,
+        subject: EMAILS[fulfillment.status].subject,
+        html: renderStatusEmail(fulfillment)
+      });
+      if (error) console.error(`❌ Fulfillment email for ${fulfillment.fulfillment_id} failed:`, error);
+    } catch (error) {
+      console.error(`❌ Fulfillment email for ${fulfillment.fulfillment_id} failed:`, error.message);
+    }
+  }
+
+  function recordEvent(req, fulfillment, from, { source, note = null }) {
+    return storage.fulfillmentEvents.record({
+      fulfillment_id: fulfillment.fulfillment_id,
+      from_status: from,
+      to_status: fulfillment.status,
+      source,
+      actor: req.admin?.sub ? `admin:${req.admin.sub}` : null,
+      carrier: fulfillment.carrier || null,
+      tracking_number: fulfillment.tracking_number || null,
+      note
+    }).catch(error => console.error('❌ Failed to record fulfillment event:', error));
+  }
+
+  // Opens the order for a paid physical purchase. One per Stripe payment: a second call for the
+  // same payment returns the order already made. Returns the fulfillment row.
+  async function createOrder(req, { cardId = null, batchId = null, quantity = 1, customerEmail = null, shippingAddress, paymentIntentId = null, sessionId = null, at = new Date() }) {
+    if (paymentIntentId || sessionId) {
+      const existing = await storage.fulfillments.findByPayment({ paymentIntentId, sessionId });
+      if (existing) return existing;
+    }
+    const fulfillment = await storage.fulfillments.create({
+      fulfillment_id: generateFulfillmentId(at),
+      status: 'ordered',
+      card_id: cardId,
+      batch_id: batchId,
+      quantity,
+      customer_email: customerEmail,
+      shipping_address: parseShippingAddress(shippingAddress),
+      stripe_payment_intent_id: paymentIntentId,
+      stripe_session_id: sessionId,
+      created_at: at.toISOString(),
+      updated_at: at.toISOString()
+    });
+    await recordEvent(req, fulfillment, null, { source: 'checkout' });
+    await mirrorOnCards(fulfillment);
+    console.log(`📦 Fulfillment ${fulfillment.fulfillment_id} opened (${quantity} cards)`);
+    await notifyCustomer(fulfillment);
+    return fulfillment;
+  }
+
+  // Moves an order to `to`. shipped needs carrier and trackingNumber.
+  // source: 'admin' or 'printer_csv'. Returns the updated row.
+  async function advance(req, fulfillmentId, to, { carrier, trackingNumber, note = null, source = 'admin', at = new Date() } = {}) {
+    if (!FULFILLMENT_STATES.includes(to)) {
+      throw fulfillmentError(`status must be one of ${FULFILLMENT_STATES.join(', ')}`, 'unknown_status');
+    }
+    const fulfillment = await storage.fulfillments.get(fulfillmentId);
+    if (!fulfillment) throw fulfillmentError(`Order not found: ${fulfillmentId}`, 'fulfillment_not_found', 404);
+    if (!canAdvance(fulfillment.status, to)) {
+      throw fulfillmentError(`Order ${fulfillmentId} cannot go from ${fulfillment.status} to ${to}`, 'illegal_transition', 409);
+    }
+
+    const patch = { status: to, updated_at: at.toISOString() };
+    if (to === 'shipped') {
+      if (!carrier || !trackingNumber) throw fulfillmentError('Shipping needs a carrier and a tracking number', 'tracking_required');
+      patch.carrier = normalizeCarrier(carrier);
+      patch.tracking_number = String(trackingNumber).trim();
+      patch.shipped_at = at.toISOString();
+    }
+    if (to === 'delivered') patch.delivered_at = at.toISOString();
+    if (to === 'returned') patch.returned_at = at.toISOString();
+
+    const [updated] = await storage.fulfillments.update(fulfillmentId, patch, { whereStatus: fulfillment.status });
+    if (!updated) throw fulfillmentError(`Order ${fulfillmentId} changed meanwhile, please reload`, 'status_changed', 409);
+    await recordEvent(req, updated, fulfillment.status, { source, note });
+    await mirrorOnCards(updated);
+    console.log(`📦 Fulfillment ${fulfillmentId}: ${fulfillment.status} -> ${to} (${source})`);
+    await notifyCustomer(updated);
+    return updated;
+  }
+
+  // Applies the printer's status file (fulfillment_id,status,carrier,tracking_number,note).
+  // Each row stands alone: a bad row is reported and the rest still apply. A row repeating an
+  // order's current status is skipped, so re-uploading a file is harmless.
+  // Returns { applied: [{ line, fulfillment_id, status }], skipped, errors: [{ line, fulfillment_id, error }] }
+  async function applyPrinterCsv(req, text) {
+    const rows = parseCsv(String(text || ''));
+    if (rows.length === 0 || !('fulfillment_id' in rows[0]) || !('status' in rows[0])) {
+      throw fulfillmentError(`The CSV needs a header row with ${CSV_COLUMNS.join(',')}`, 'invalid_csv');
+    }
+    const result = { applied: [], skipped: [], errors: [] };
+    for (const [index, row] of rows.entries()) {
+      const line = index + 2;
+      const status = row.status.toLowerCase().replace(/\s+/g, '_');
+      try {
+        const current = await storage.fulfillments.get(row.fulfillment_id, 'status');
+        if (current && current.status === status) {
+          result.skipped.push({ line, fulfillment_id: row.fulfillment_id, status });
+          continue;
+        }
+        await advance(req, row.fulfillment_id, status, {
+          carrier: row.carrier,
+          trackingNumber: row.tracking_number,
+          note: row.note || null,
+          source: 'printer_csv'
+        });
+        result.applied.push({ line, fulfillment_id: row.fulfillment_id, status });
+      } catch (error) {
+        if (!error.status || error.status >= 500) throw error;
+        result.errors.push({ line, fulfillment_id: row.fulfillment_id, error: error.message });
+      }
+    }
+    return result;
+  }
+
+  async function getOrder(fulfillmentId) {
+    const fulfillment = await storage.fulfillments.get(fulfillmentId);
+    if (!fulfillment) throw fulfillmentError(`Order not found: ${fulfillmentId}`, 'fulfillment_not_found', 404);
+    const events = await storage.fulfillmentEvents.listFor(fulfillmentId);
+    return { fulfillment, events, tracking_url: trackingUrl(fulfillment.carrier, fulfillment.tracking_number) };
+  }
+
+  function listOrders({ status } = {}) {
+    return storage.fulfillments.list({ status });
+  }
+
+  return { createOrder, advance, applyPrinterCsv, getOrder, listOrders };
+}
+
+module.exports = {
+  createFulfillment,
+  parseShippingAddress,
+  fromStripeShipping,
+  trackingUrl,
+  canAdvance,
+  FULFILLMENT_STATES,
+  SHIP_TO_COUNTRIES
+};
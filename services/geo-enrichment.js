@@ -0,0 +1,108 @@
+// 📍 Geo enrichment - IP locations filled in after the response instead of during it
+// Scan, activation and refused-activation rows are written with empty location columns and
+// enrich(ip, apply) queues the lookup; apply(location) backfills the rows once it is known.
+// Lookups share an LRU/TTL cache keyed by IP, concurrent requests for one IP share a single
+// lookup, and a lookup that comes back empty is retried with backoff before it is cached as a miss.
+// locate(ip) is the one lookup a request waits on (the currency checkout prices in), from the same cache.
+const { isPrivateIp } = require('../clients/geolocation');
+const { createTtlCache } = require('../lib/ttl-cache');
+
+const CACHE_SIZE = 5000;
+const CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+const MISS_TTL_MS = 10 * 60 * 1000;
+const RETRY_DELAYS_MS = [2000, 10000];
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createGeoEnrichment({ geolocate, cacheSize = CACHE_SIZE, cacheTtlMs = CACHE_TTL_MS, retryDelaysMs = RETRY_DELAYS_MS }) {
+  const cache = createTtlCache({ maxEntries: cacheSize, ttlMs: cacheTtlMs });
+  const waiting = new Map();     // ip -> apply callbacks for the lookup in flight
+  let inFlight = 0;
+  let idleWaiters = [];
+
+  async function lookup(ip) {
+    for (let attempt = 0; ; attempt++) {
+      let location = null;
+      try {
+        location = await geolocate(ip);
+      } catch (error) {
+        console.error('📍 Geolocation error:', error.message);
+      }
+      if (location || attempt >= retryDelaysMs.length) return location || null;
+      await wait(retryDelaysMs[attempt]);
+    }
+  }
+
+  async function applyAll(ip, appliers, location) {
+    for (const apply of appliers) {
+      try {
+        await apply(location);
+      } catch (error) {
+        console.error(`❌ Failed to backfill location for ${ip}:`, error.message);
+      }
+    }
+  }
+
+  async function track(work) {
+    inFlight++;
+    try {
+      // Yield first so the response that queued this goes out before any lookup starts
+      await new Promise(resolve => setImmediate(resolve));
+      await work();
+    } finally {
+      inFlight--;
+      if (inFlight === 0) {
+        idleWaiters.forEach(resolve => resolve());
+        idleWaiters = [];
+      }
+    }
+  }
+
+  // Queues apply(location) for this IP; it is never called for private IPs or when no location is found
+  function enrich(ip, apply) {
+    if (isPrivateIp(ip)) return;
+    const cached = cache.get(ip);
+    if (cached !== undefined) {
+      if (cached) track(() => applyAll(ip, [apply], cached));
+      return;
+    }
+    if (waiting.has(ip)) {
+      waiting.get(ip).push(apply);
+      return;
+    }
+    waiting.set(ip, [apply]);
+    track(async () => {
+      const location = await lookup(ip);
+      cache.set(ip, location, location ? cacheTtlMs : MISS_TTL_MS);
+      const appliers = waiting.get(ip);
+      waiting.delete(ip);
+      if (location) await applyAll(ip, appliers, location);
+    });
+  }
+
+  // The location for this IP now, or null; a single attempt, cached like the backfill's lookups
+  async function locate(ip) {
+    if (isPrivateIp(ip)) return null;
+    const cached = cache.get(ip);
+    if (cached !== undefined) return cached;
+    let location = null;
+    try {
+      location = await geolocate(ip);
+    } catch (error) {
+      console.error('📍 Geolocation error:', error.message);
+    }
+    cache.set(ip, location || null, location ? cacheTtlMs : MISS_TTL_MS);
+    return location || null;
+  }
+
+  // Resolves once every queued lookup and backfill has finished (tests and graceful shutdown)
+  function idle() {
+    return inFlight === 0 ? Promise.resolve() : new Promise(resolve => idleWaiters.push(resolve));
+  }
+
+  return { enrich, locate, idle, cache };
+}
+
+module.exports = { createGeoEnrichment };
@@ -0,0 +1,227 @@
+// 🏭 Manufacturing runs - physical cards printed in one go, tagged with the run that made them
+// A run inserts dormant physical cards (pending, claimable until their activation_deadline) through
+// the card lifecycle. Voiding a run - a shipment lost on the way - deletes the cards nobody has
+// activated yet, so they can never go live.
+// Every card gets a scratch-off PIN. Only its hash is stored: the PINs appear once, in the file
+// written when the run is created. If that file is lost or leaks, void the run and regenerate.
+const crypto = require('crypto');
+const os = require('os');
+const { generateCardId, ALPHABET } = require('../lib/card-ids');
+const { savedCardStatus, actorOf } = require('./card-lifecycle');
+const { activationDeadline } = require('./card-factory');
+const { cardScanUrl } = require('./qr');
+const { generatePin, formatPin, hashPin } = require('../lib/claim-pins');
+
+const MAX_RUN_SIZE = 10000;
+// Cards go in a chunk at a time so one insert never carries the whole run
+const INSERT_CHUNK = 500;
+const SKU_PATTERN = /^[A-Z0-9][A-Z0-9-]{1,31}$/;
+const EXPORT_FORMATS = ['csv', 'json', 'ndjson'];
+const EXPORT_COLUMNS = ['card_id', 'run_id', 'sku', 'status', 'pin', 'qr_url'];
+
+function runError(message, code, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+// RUN-20261019-7KQ2: the day it was made plus 4 random characters
+function generateRunId(at = new Date()) {
+  const day = at.toISOString().slice(0, 10).replace(/-/g, '');
+  const suffix = Array.from(crypto.randomBytes(4), byte => ALPHABET[byte % ALPHABET.length]).join('');
+  return `RUN-${day}-${suffix}`;
+}
+
+// What the lifecycle and the IP helpers expect of a request, for scripts run by hand
+function cliRequest(script) {
+  return {
+    headers: { 'user-agent': script },
+    socket: {},
+    app: { get: () => false },
+    actor: `cli:${os.userInfo().username}`
+  };
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// rows: [{ card_id, run_id, sku, status, pin, qr_url }]
+function formatExport(rows, format, run = null) {
+  if (format === 'json') return JSON.stringify({ run, cards: rows }, null, 2) + '\n';
+  if (format === 'ndjson') return rows.map(row => JSON.stringify(row)).join('\n') + (rows.length ? '\n' : '');
+  return [EXPORT_COLUMNS.join(','), ...rows.map(row => EXPORT_COLUMNS.map(column => csvCell(row[column])).join(','))].join('\n') + '\n';
+}
+
+// claimPinSecret: the server's config.claimPinSecret, or the PINs will never match
+function createManufacturingRuns({ storage, cardLifecycle, claimPinSecret }) {
+  // pin is only known for cards just created; later exports leave the column empty
+  function exportRows(run, cards, baseUrl) {
+    return cards.map(card => ({
+      card_id: card.card_id,
+      run_id: run.run_id,
+      sku: run.sku,
+      status: card.status,
+      pin: card.pin ? formatPin(card.pin) : '',
+      qr_url: cardScanUrl(baseUrl, card.card_id)
+    }));
+  }
+
+  async function requireRun(runId) {
+    const run = await storage.runs.get(runId);
+    if (!run) throw runError(`Run not found: ${runId}`, 'run_not_found', 404);
+    return run;
+  }
+
+  // Returns { run, cards } with each card's plain PIN. dryRun: builds the same rows without writing anything.
+  async function createRun(req, { count, sku, notes = null, replacesRunId = null, dryRun = false, at = new Date() }) {
+    if (!Number.isInteger(count) || count < 1 || count > MAX_RUN_SIZE) {
+      throw runError(`count must be a whole number from 1 to ${MAX_RUN_SIZE}`, 'invalid_count');
+    }
+    const normalizedSku = String(sku || '').trim().toUpperCase();
+    if (!SKU_PATTERN.test(normalizedSku)) {
+      throw runError('sku must be 2-32 letters, digits or dashes, e.g. PC-A6-MATTE', 'invalid_sku');
+    }
+    if (!claimPinSecret) throw runError('No claim PIN secret configured', 'pin_secret_missing', 500);
+
+    const run = {
+      run_id: generateRunId(at),
+      sku: normalizedSku,
+      card_count: count,
+      status: 'created',
+      notes,
+      replaces_run_id: replacesRunId,
+      created_by: actorOf(req),
+      created_at: at.toISOString()
+    };
+    const { status, physical_card_status } = savedCardStatus('physical');
+    // The hash is bound to the card_id, so a redrawn ID needs a new hash (see createCards)
+    const pins = new Map();
+    const rekey = record => { record.claim_pin_hash = hashPin(record.card_id, pins.get(record), claimPinSecret); };
+    const records = Array.from({ length: count }, () => {
+      const record = {
+        card_id: generateCardId(),
+        card_type: 'physical',
+        message_type: 'pending',
+        status,
+        physical_card_status,
+        run_id: run.run_id,
+        activation_deadline: activationDeadline(at),
+        scan_count: 0,
+        created_at: run.created_at,
+        updated_at: run.created_at
+      };
+      pins.set(record, generatePin());
+      rekey(record);
+      return record;
+    });
+    if (dryRun) return { run, cards: records.map(record => ({ ...record, pin: pins.get(record) })), dryRun: true };
+
+    await storage.runs.create(run);
+    const cards = [];
+    try {
+      for (let i = 0; i < records.length; i += INSERT_CHUNK) {
+        cards.push(...await cardLifecycle.createCards(req, records.slice(i, i + INSERT_CHUNK), {
+          reason: 'manufacturing_run',
+          metadata: { run_id: run.run_id, sku: run.sku },
+          at,
+          freshIds: true,
+          rekey
+        }));
+      }
+    } catch (error) {
+      // Half a run is worse than none: take back what went in and mark the run void
+      console.error(`❌ Run ${run.run_id} failed after ${cards.length} cards, voiding it:`, error.message);
+      await voidRun(req, run.run_id, { reason: `Creation failed: ${error.message}` }).catch(voidError => {
+        console.error(`❌ Could not void run ${run.run_id}:`, voidError);
+      });
+      throw error;
+    }
+    const pinOf = new Map(records.map(record => [record.card_id, pins.get(record)]));
+    return { run, cards: cards.map(card => ({ ...card, pin: pinOf.get(card.card_id) })) };
+  }
+
+  function listRuns({ status } = {}) {
+    return storage.runs.list({ status });
+  }
+
+  // Returns { run, body } in csv, json or ndjson
+  async function exportRun(runId, { format = 'csv', baseUrl }) {
+    if (!EXPORT_FORMATS.includes(format)) throw runError(`format must be one of ${EXPORT_FORMATS.join(', ')}`, 'invalid_format');
+    const run = await requireRun(runId);
+    const cards = await storage.cards.listByRun(runId, { columns: 'card_id, status' });
+    return { run, body: formatExport(exportRows(run, cards, baseUrl), format, run) };
+  }
+
+  // Deletes the run's dormant cards; cards already activated are reported, not touched.
+  // Returns { run, voided: [card_id], kept: [{ card_id, status }] }
+  async function voidRun(req, runId, { reason, dryRun = false, at = new Date() } = {}) {
+    if (!reason) throw runError('A reason is needed to void a run', 'reason_required');
+    const run = await requireRun(runId);
+    if (run.status === 'voided') throw runError(`Run ${runId} is already void`, 'run_voided', 409);
+
+    const cards = await storage.cards.listByRun(runId, { columns: 'card_id, status' });
+    const pending = cards.filter(card => card.status === 'pending').map(card => card.card_id);
+    const kept = cards.filter(card => card.status !== 'pending' && card.status !== 'deleted')
+      .map(card => ({ card_id: card.card_id, status: card.status }));
+    if (dryRun) return { run, voided: pending, kept, dryRun: true };
+
+    const voided = [];
+    for (let i = 0; i < pending.length; i += INSERT_CHUNK) {
+      const result = await cardLifecycle.transitionMany(req, pending.slice(i, i + INSERT_CHUNK), 'deleted', {
+        reason: 'run_voided',
+        patch: { physical_card_status: 'voided' },
+        metadata: { run_id: runId, void_reason: reason },
+        at
+      });
+      voided.push(...result.changed.map(card => card.card_id));
+      kept.push(...result.skipped.map(card => ({ card_id: card.card_id, status: card.status })));
+    }
+    const [updated] = await storage.runs.update(runId, { status: 'voided', voided_at: at.toISOString(), void_reason: reason });
+    return { run: updated || run, voided, kept };
+  }
+
+  // Fresh PINs for a voided run. Its cards are deleted for good, so the PINs come on fresh cards:
+  // a replacement run with the same SKU and one card per voided card, pointing back at the old run.
+  // Returns { run, cards } like createRun.
+  async function regeneratePins(req, runId, { dryRun = false, at = new Date() } = {}) {
+    const run = await requireRun(runId);
+    if (run.status !== 'voided') throw runError(`Run ${runId} is not void - void it before regenerating its PINs`, 'run_not_voided', 409);
+    const replacement = (await storage.runs.list({ columns: 'run_id, replaces_run_id' })).find(r => r.replaces_run_id === runId);
+    if (replacement) throw runError(`Run ${runId} was already replaced by ${replacement.run_id}`, 'run_replaced', 409);
+
+    const cards = await storage.cards.listByRun(runId, { columns: 'physical_card_status' });
+    const count = cards.filter(card => card.physical_card_status === 'voided').length;
+    if (count === 0) throw runError(`Run ${runId} has no voided cards to replace`, 'nothing_to_replace', 409);
+    return createRun(req, { count, sku: run.sku, notes: `Replaces ${runId}: ${run.void_reason}`, replacesRunId: runId, dryRun, at });
+  }
+
+  // Activation rate per run: activated cards over cards printed. runId narrows it to one run.
+  async function runStats(runId = null) {
+    const runs = runId ? [await requireRun(runId)] : await storage.runs.list();
+    const stats = [];
+    for (const run of runs) {
+      const cards = await storage.cards.listByRun(run.run_id, { columns: 'status' });
+      const counts = { pending: 0, active: 0, deleted: 0 };
+      cards.forEach(card => { counts[card.status] = (counts[card.status] || 0) + 1; });
+      stats.push({
+        run_id: run.run_id,
+        sku: run.sku,
+        status: run.status,
+        created_at: run.created_at,
+        printed: cards.length,
+        pending: counts.pending,
+        active: counts.active,
+        deleted: counts.deleted,
+        activation_rate: cards.length ? counts.active / cards.length : 0
+      });
+    }
+    return stats;
+  }
+
+  return { createRun, listRuns, exportRun, exportRows, voidRun, regeneratePins, runStats };
+}
+
+module.exports = { createManufacturingRuns, cliRequest, formatExport, generateRunId, EXPORT_FORMATS, MAX_RUN_SIZE };
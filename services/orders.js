@@ -0,0 +1,493 @@
+// 🧾 Orders - one per purchase, whichever Stripe path takes the money
+//
+//   created ─▶ paid ─▶ fulfilled
+//               └────────┴──▶ refunded
+//
+// Declined attempts, partial refunds and disputes are recorded on the order without changing its
+// status (see services/stripe-events.js for the webhook events that report them, and
+// services/refunds.js for refunds support makes).
+//
+// create-payment-intent and create-checkout-session open the order with the priced line items from
+// services/pricing.js before the buyer pays. It moves to paid only on a verified Stripe payment: the
+// webhook, or the server asking Stripe itself when success.html gets there first. Fulfillment runs
+// on the server straight after, so closing the tab once the payment went through still gets the cards.
+// What fulfillment does depends on the order's kind:
+//   card       the saved draft card becomes active
+//   batch      the saved batch template becomes the batch (or a bare batch row, if none was saved)
+//   add_cards  more cards copying an existing batch
+//   design     cards built from the design a checkout session carried
+// Printed cards also get their fulfillment (print and ship) order.
+const crypto = require('crypto');
+const { ALPHABET } = require('../lib/card-ids');
+const { getClientIp } = require('../lib/client-ip');
+const { issueManageToken } = require('../lib/manage-tokens');
+const cardFactory = require('./card-factory');
+const { fromStripeShipping } = require('./fulfillment');
+const { BATCH_OWNERSHIP_FIELDS } = require('./ownership');
+const { taxIn } = require('./sales-tax');
+
+const ORDER_STATES = ['created', 'paid', 'fulfilled', 'refunded'];
+const ORDER_KINDS = ['card', 'batch', 'add_cards', 'design'];
+
+function orderError(message, code, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+// ORD-20261019-7KQ2, like fulfillment IDs
+function generateOrderId(at = new Date()) {
+  const day = at.toISOString().slice(0, 10).replace(/-/g, '');
+  const suffix = Array.from(crypto.randomBytes(4), byte => ALPHABET[byte % ALPHABET.length]).join('');
+  return `ORD-${day}-${suffix}`;
+}
+
+// What a buyer is paying for, from what checkout was given
+function orderKind({ cardId, batchId, mode }) {
+  if (cardId) return 'card';
+  if (batchId) return mode === 'add_to_existing' ? 'add_cards' : 'batch';
+  return 'design';
+}
+
+function createOrders({ storage, stripe, customerAccounts, ownership, cardLifecycle, batchService, activationLogger, fulfillment, promotions }) {
+  // Writes the order and its line items. Orders that create new cards or batches get a manage token,
+  // returned once here for the buyer to keep, like the ones customize.html gets for saved designs.
+  // Naming a batch that already exists takes the right to manage it (a 403 otherwise), whatever the kind.
+  async function open(req, { kind, channel, quote, cardType = 'ecard', cardId = null, batchId = null, customerEmail = null, shippingAddress = null, billingAddress = null, design = null, at = new Date() }) {
+    if (!ORDER_KINDS.includes(kind)) throw orderError(`Unknown order kind "${kind}"`, 'unknown_kind');
+    const batch = batchId ? await storage.batches.get(batchId, BATCH_OWNERSHIP_FIELDS) : null;
+    if (batch && !(await ownership.canManageBatch(req, batch))) {
+      throw orderError('Not authorized to add cards to this batch', 'not_batch_owner', 403);
+    }
+    const createsBatch = kind === 'batch' && !batch;
+    const issued = kind === 'design' || createsBatch ? issueManageToken() : null;
+    const customer = await customerAccounts.getCustomerSession(req);
+    const order = await storage.orders.create({
+      order_id: generateOrderId(at),
+      status: 'created',
+      kind,
+      channel,
+      card_type: cardType,
+      card_id: cardId,
+      batch_id: batchId,
+      quantity: quote.quantity,
+      currency: quote.currency,
+      amount_total: quote.totalAmount,
+      amount_refunded: 0,
+      cards_refunded: 0,
+      promo_code: quote.promoCode || null,
+      discount_amount: quote.discountAmount || 0,
+      tax_amount: quote.taxAmount || 0,
+      tax_jurisdiction: quote.taxJurisdiction || null,
+      customer_email: customerEmail,
+      customer_id: customer?.id || null,
+      manage_token_hash: issued ? issued.hash : null,
+      shipping_address: shippingAddress,
+      billing_address: billingAddress,
+      design,
+      created_at: at.toISOString(),
+      updated_at: at.toISOString()
+    });
+    await storage.orderItems.record(quote.lines.map(line => ({
+      order_id: order.order_id,
+      code: line.code,
+      description: line.description,
+      amount: line.amount,
+      created_at: at.toISOString()
+    })));
+    if (quote.promoCode) await promotions.reserve(order, quote, at);
+    console.log(`🧾 Order ${order.order_id} opened (${kind}, ${quote.quantity} cards, ${quote.totalAmount} ${quote.currency})`);
+    return { order, manageToken: issued ? issued.token : null };
+  }
+
+  // Links the Stripe object made for the order, once Stripe has given it an ID
+  async function attachPayment(order, { paymentIntentId = null, sessionId = null }) {
+    const [updated] = await storage.orders.update(order.order_id, {
+      stripe_payment_intent_id: paymentIntentId,
+      stripe_session_id: sessionId
+    });
+    return updated || order;
+  }
+
+  // The order behind a Stripe payment: by the order_id in its metadata, or by the Stripe IDs
+  async function findForPayment({ orderId, paymentIntentId, sessionId }) {
+    if (orderId) {
+      const order = await storage.orders.get(orderId);
+      if (order) return order;
+    }
+    if (paymentIntentId) {
+      const order = await storage.orders.findByPayment({ paymentIntentId });
+      if (order) return order;
+    }
+    return sessionId ? storage.orders.findByPayment({ sessionId }) : null;
+  }
+
+  // Asks Stripe whether the order was paid. Returns null while it isn't, or when the amount is wrong.
+  async function verifyPayment(order) {
+    if (order.channel === 'checkout_session') {
+      if (!order.stripe_session_id) return null;
+      const session = await stripe.checkout.sessions.retrieve(order.stripe_session_id);
+      if (session.payment_status !== 'paid') return null;
+      if (session.amount_total !== order.amount_total) return flagAmountMismatch(order, session.amount_total);
+      return {
+        paymentIntentId: session.payment_intent || null,
+        customerEmail: session.customer_details?.email || session.customer_email || null,
+        shipping: session.shipping_details || session.collected_information?.shipping_details || null
+      };
+    }
+    if (!order.stripe_payment_intent_id) return null;
+    const intent = await stripe.paymentIntents.retrieve(order.stripe_payment_intent_id);
+    if (intent.status !== 'succeeded') return null;
+    const received = intent.amount_received ?? intent.amount;
+    if (received !== order.amount_total) return flagAmountMismatch(order, received);
+    return { paymentIntentId: intent.id, customerEmail: intent.receipt_email || null, shipping: null };
+  }
+
+  // Stripe took a different amount than the order is for: the order stays unpaid, nothing is
+  // fulfilled, and review_reason puts it in front of an admin. Returns null, like an unpaid payment.
+  async function flagAmountMismatch(order, received) {
+    const reason = `Stripe took ${received} ${order.currency}, the order is for ${order.amount_total}`;
+    console.error(`❌ Order ${order.order_id}: ${reason}`);
+    if (order.review_reason !== reason) {
+      await storage.orders.update(order.order_id, { review_reason: reason }, { whereStatus: 'created' });
+    }
+    return null;
+  }
+
+  async function markPaid(order, payment, at = new Date()) {
+    const patch = { status: 'paid', paid_at: at.toISOString(), stripe_payment_intent_id: payment.paymentIntentId || order.stripe_payment_intent_id };
+    if (!order.customer_email && payment.customerEmail) patch.customer_email = payment.customerEmail;
+    if (payment.shipping && !order.shipping_address) patch.shipping_address = fromStripeShipping(payment.shipping);
+    const [updated] = await storage.orders.update(order.order_id, patch, { whereStatus: 'created' });
+    if (updated) {
+      console.log(`💰 Order ${order.order_id} paid`);
+      if (updated.stripe_payment_intent_id) await storage.payments.markCompletedByIntent(updated.stripe_payment_intent_id);
+      if (updated.promo_code) await promotions.redeem(updated);
+      return updated;
+    }
+    // Someone else marked it first
+    return storage.orders.get(order.order_id);
+  }
+
+  // Fulfillment for each kind; each returns { cardIds, batchId }. Kinds that make cards pick up from
+  // the ones an earlier attempt kept on the order (see keepCards) instead of making more.
+
+  // Keeps the cards an attempt made on the order as soon as they exist, so a retry after a later
+  // step failed carries on with them
+  async function keepCards(order, { cardIds, batchId }) {
+    await storage.orders.update(order.order_id, { card_ids: cardIds, batch_id: batchId || order.batch_id }, { whereStatus: 'paid' });
+  }
+
+  function keptCards(order) {
+    return order.card_ids ? { cardIds: order.card_ids, batchId: order.batch_id } : null;
+  }
+
+  async function fulfillCard(req, order) {
+    const card = await storage.cards.get(order.card_id, 'card_id, status, batch_id');
+    if (!card) throw orderError(`Card ${order.card_id} not found`, 'card_not_found', 404);
+    // Pending physical cards stay dormant until claimed; only saved e-card drafts go live on payment
+    if (card.status === 'draft') {
+      const activated = await cardLifecycle.transition(req, card, 'active', {
+        reason: 'paid_order',
+        patch: { terms_accepted: true },
+        metadata: { order_id: order.order_id }
+      });
+      if (activated) {
+        await activationLogger.record(req, card.card_id, {
+          source: 'order_paid',
+          metadata: { order_id: order.order_id, payment_intent_id: order.stripe_payment_intent_id }
+        });
+      }
+    }
+    return { cardIds: [card.card_id], batchId: null };
+  }
+
+  async function fulfillBatch(req, order) {
+    const kept = keptCards(order);
+    if (kept) return kept;
+    const activated = await batchService.activateTemplate(req, order.batch_id, { quantity: order.quantity, source: 'order_paid' });
+    if (activated) return { cardIds: activated.cardIds, batchId: order.batch_id };
+    // Nothing saved to build from: the batch is bought now and designed later
+    if (!(await storage.batches.exists(order.batch_id))) {
+      const now = new Date().toISOString();
+      await storage.batches.create({
+        batch_id: order.batch_id,
+        batch_type: order.card_type,
+        total_cards_purchased: order.quantity,
+        cards_created: 0,
+        max_cards_allowed: order.quantity,
+        customer_email: order.customer_email,
+        customer_id: order.customer_id,
+        manage_token_hash: order.manage_token_hash,
+        created_at: now,
+        updated_at: now
+      });
+    }
+    return { cardIds: [], batchId: order.batch_id };
+  }
+
+  async function fulfillAddCards(req, order) {
+    const kept = keptCards(order);
+    if (kept) return kept;
+    const batch = await storage.batches.get(order.batch_id);
+    if (!batch) throw orderError(`Batch ${order.batch_id} not found`, 'batch_not_found', 404);
+    const { cards } = await batchService.addCards(req, batch, order.quantity, { paymentIntentId: order.stripe_payment_intent_id });
+    return { cardIds: cards.map(c => c.card_id), batchId: order.batch_id };
+  }
+
+  async function fulfillDesign(req, order) {
+    const kept = keptCards(order);
+    if (kept) {
+      if (kept.batchId) await createDesignBatch(req, order, kept);
+      return kept;
+    }
+    const design = order.design || {};
+    const quantity = order.quantity;
+    const isBatch = design.is_batch === true || quantity > 1;
+    const batchId = isBatch ? `batch_${Date.now()}_${crypto.randomBytes(4).toString('hex')}` : null;
+    const clientIp = getClientIp(req);
+    const now = new Date();
+
+    const cardsToCreate = [];
+    for (let i = 0; i < quantity; i++) {
+      const cardRecord = {
+        card_id: cardFactory.generateCardId(),
+        status: 'active',
+        card_type: order.card_type,
+        template_id: design.template_id || 'custom',
+        message_type: design.media_type === 'video' ? 'video' : (design.media_url ? 'image' : 'text'),
+        message_text: design.message_text || 'Custom designed card',
+        media_url: design.media_url || null,
+        preview_image_url: design.media_url || null,
+        sender_email: order.customer_email || null,
+        stripe_session_id: order.stripe_session_id,
+        payment_intent_id: order.stripe_payment_intent_id,
+        terms_accepted: true,
+        created_by_ip: clientIp,
+        updated_by_ip: clientIp,
+        created_at: now.toISOString(),
+        updated_at: now.toISOString(),
+        activation_deadline: cardFactory.activationDeadline(now),
+        has_video_overlay: false,
+        has_audio_overlay: false,
+        template_config: null
+      };
+      if (isBatch) {
+        cardRecord.batch_id = batchId;
+        cardRecord.batch_order = i + 1;
+        cardRecord.is_batch_template = false;
+      } else {
+        cardRecord.manage_token_hash = order.manage_token_hash;
+        cardRecord.customer_id = order.customer_id;
+      }
+      cardsToCreate.push(cardRecord);
+    }
+
+    const createdCards = await cardLifecycle.createCards(req, cardsToCreate, {
+      reason: 'paid_checkout',
+      metadata: { order_id: order.order_id, stripe_session_id: order.stripe_session_id, batch_id: batchId },
+      at: now,
+      freshIds: true
+    });
+    const cardIds = createdCards.map(c => c.card_id);
+    await keepCards(order, { cardIds, batchId });
+    console.log(`✅ Created ${createdCards.length} cards for ${order.order_id}`);
+
+    await activationLogger.record(req, cardIds, {
+      source: design.source === 'customize' ? 'customize_checkout' : 'stripe_checkout',
+      at: now,
+      metadata: (cardId, index) => ({
+        batch_id: createdCards[index].batch_id,
+        batch_order: createdCards[index].batch_order,
+        order_id: order.order_id,
+        stripe_session_id: order.stripe_session_id,
+        payment_intent_id: order.stripe_payment_intent_id,
+        template_id: design.template_id
+      })
+    });
+    if (isBatch) await createDesignBatch(req, order, { cardIds, batchId, at: now });
+    return { cardIds, batchId };
+  }
+
+  // The batch row for a design order's cards, unless an earlier attempt already made it
+  async function createDesignBatch(req, order, { cardIds, batchId, at = new Date() }) {
+    if (await storage.batches.exists(batchId)) return;
+    const design = order.design || {};
+    await storage.batches.create({
+      batch_id: batchId,
+      batch_type: order.card_type,
+      cards_created: cardIds.length,
+      total_cards_purchased: cardIds.length,
+      max_cards_allowed: cardIds.length,
+      customer_email: order.customer_email,
+      manage_token_hash: order.manage_token_hash,
+      customer_id: order.customer_id,
+      created_by_ip: getClientIp(req),
+      created_at: at.toISOString(),
+      updated_at: at.toISOString()
+    });
+    await batchService.recordEvent(req, batchId, 'batch_paid_and_created', {
+      quantity: cardIds.length,
+      at,
+      metadata: { order_id: order.order_id, stripe_session_id: order.stripe_session_id, template_id: design.template_id, source: design.source, cards: cardIds }
+    });
+  }
+
+  const FULFILL = { card: fulfillCard, batch: fulfillBatch, add_cards: fulfillAddCards, design: fulfillDesign };
+
+  // Runs the order's fulfillment once. A failure is kept on the order and thrown, and the order stays
+  // paid so the next attempt (Stripe retrying the webhook, or success.html) can run it again.
+  async function fulfill(req, order) {
+    const [claimed] = await storage.orders.claimFulfillment(order.order_id);
+    if (!claimed) return storage.orders.get(order.order_id);
+    try {
+      const { cardIds, batchId } = await FULFILL[claimed.kind](req, claimed);
+      await keepCards(claimed, { cardIds, batchId });
+      let fulfillmentId = null;
+      if (claimed.card_type === 'physical') {
+        if (!claimed.shipping_address) throw orderError(`Printed order ${claimed.order_id} has no shipping address`, 'no_shipping_address');
+        const printOrder = await fulfillment.createOrder(req, {
+          cardId: batchId ? null : cardIds[0],
+          batchId,
+          quantity: claimed.quantity,
+          customerEmail: claimed.customer_email,
+          shippingAddress: claimed.shipping_address,
+          paymentIntentId: claimed.stripe_payment_intent_id,
+          sessionId: claimed.stripe_session_id
+        });
+        fulfillmentId = printOrder.fulfillment_id;
+      }
+      const [done] = await storage.orders.update(claimed.order_id, {
+        status: 'fulfilled',
+        fulfilled_at: new Date().toISOString(),
+        card_ids: cardIds,
+        batch_id: batchId || claimed.batch_id,
+        fulfillment_id: fulfillmentId,
+        fulfillment_error: null
+      }, { whereStatus: 'paid' });
+      console.log(`📦 Order ${claimed.order_id} fulfilled (${cardIds.length} cards)`);
+      return done || storage.orders.get(claimed.order_id);
+    } catch (error) {
+      console.error(`❌ Fulfilling order ${claimed.order_id} failed:`, error.message);
+      await storage.orders.update(claimed.order_id, { fulfillment_started_at: null, fulfillment_error: error.message })
+        .catch(updateError => console.error('❌ Could not record the fulfillment error:', updateError));
+      throw error;
+    }
+  }
+
+  // Brings an order as far as its payment allows: checks with Stripe while it is still created,
+  // then fulfills it once paid. Safe to call any number of times; returns the order as it now is.
+  async function confirm(req, order) {
+    let current = order;
+    if (current.status === 'created') {
+      const payment = await verifyPayment(current);
+      if (!payment) return current;
+      current = await markPaid(current, payment);
+    }
+    if (current.status === 'paid') current = await fulfill(req, current);
+    return current;
+  }
+
+  // A declined card while the order still waits for payment, kept for admin; the buyer can try another card
+  async function recordPaymentFailure(order, message) {
+    const [updated] = await storage.orders.update(order.order_id, { payment_error: message }, { whereStatus: 'created' });
+    console.log(`⚠️ Order ${order.order_id} payment failed: ${message}`);
+    return updated || order;
+  }
+
+  // Stripe reports the charge's refunded total, so applying the same report twice changes nothing.
+  // A fully refunded order becomes refunded; a partial refund stays on the order as amount_refunded.
+  async function recordRefund(order, { amountRefunded, full }, at = new Date()) {
+    const patch = { amount_refunded: amountRefunded };
+    if (full && order.status !== 'refunded') Object.assign(patch, { status: 'refunded', refunded_at: at.toISOString() });
+    const [updated] = await storage.orders.update(order.order_id, patch);
+    if (order.stripe_payment_intent_id) await storage.payments.markRefundedByIntent(order.stripe_payment_intent_id, { full });
+    console.log(`↩️ Order ${order.order_id} refunded ${amountRefunded} of ${order.amount_total}${full ? ' (full)' : ''}`);
+    return updated || order;
+  }
+
+  async function recordDispute(order, { disputeId, status, reason }, at = new Date()) {
+    const [updated] = await storage.orders.update(order.order_id, {
+      dispute_id: disputeId,
+      dispute_status: status,
+      dispute_reason: reason,
+      disputed_at: order.dispute_id === disputeId && order.disputed_at ? order.disputed_at : at.toISOString()
+    });
+    console.error(`🚨 Order ${order.order_id} disputed (${reason}), respond in the Stripe dashboard`);
+    return updated || order;
+  }
+
+  // What success.html and batch-manager.html show once the order went through
+  function summary(order) {
+    const cardIds = order.card_ids || [];
+    const isBatch = order.kind !== 'card' && !!order.batch_id;
+    return {
+      order_id: order.order_id,
+      status: order.status,
+      is_batch: isBatch,
+      card_id: isBatch ? null : (order.card_id || cardIds[0] || null),
+      batch_id: isBatch ? order.batch_id : null,
+      card_ids: cardIds,
+      cards_created: order.kind === 'batch' || order.kind === 'card' ? order.quantity : cardIds.length,
+      template_name: order.design?.template_id || null,
+      fulfillment_id: order.fulfillment_id || null
+    };
+  }
+
+  // What success.html shows as the receipt: the order's lines as charged, tax included
+  async function receipt(order) {
+    const items = await storage.orderItems.listFor(order.order_id);
+    return {
+      currency: order.currency,
+      lines: items.map(({ code, description, amount }) => ({ code, description, amount })),
+      tax_amount: order.tax_amount || 0,
+      tax_jurisdiction: order.tax_jurisdiction || null,
+      amount_total: order.amount_total
+    };
+  }
+
+  // Money taken since `since`, by currency and by currency and tax jurisdiction. Amounts are cents in
+  // their own currency; refunds give back their share of the tax, and revenue is what is left after both.
+  async function revenueReport({ since } = {}) {
+    const paid = await storage.orders.listPaid({ since, columns: 'order_id, currency, amount_total, amount_refunded, tax_amount, tax_jurisdiction' });
+    const groups = { byCurrency: new Map(), byJurisdiction: new Map() };
+    const add = (map, key, fields, order) => {
+      const row = map.get(key) || { ...fields, orders: 0, gross: 0, tax: 0, refunded: 0, tax_refunded: 0 };
+      row.orders += 1;
+      row.gross += order.amount_total;
+      row.tax += order.tax_amount || 0;
+      row.refunded += order.amount_refunded || 0;
+      row.tax_refunded += taxIn(order, order.amount_refunded || 0);
+      map.set(key, row);
+    };
+    for (const order of paid) {
+      const jurisdiction = order.tax_jurisdiction || 'unknown';
+      add(groups.byCurrency, order.currency, { currency: order.currency }, order);
+      add(groups.byJurisdiction, `${order.currency} ${jurisdiction}`, { currency: order.currency, tax_jurisdiction: jurisdiction }, order);
+    }
+    const finish = map => [...map.values()]
+      .map(row => ({ ...row, tax_net: row.tax - row.tax_refunded, revenue: row.gross - row.refunded - (row.tax - row.tax_refunded) }))
+      .sort((a, b) => b.gross - a.gross);
+    return { since: since || null, by_currency: finish(groups.byCurrency), by_jurisdiction: finish(groups.byJurisdiction) };
+  }
+
+  async function getOrder(orderId) {
+    const order = await storage.orders.get(orderId);
+    if (!order) throw orderError(`Order not found: ${orderId}`, 'order_not_found', 404);
+    const items = await storage.orderItems.listFor(orderId);
+    return { order, items };
+  }
+
+  function listOrders({ status } = {}) {
+    return storage.orders.list({ status });
+  }
+
+  return {
+    open, attachPayment, findForPayment, confirm, fulfill,
+    recordPaymentFailure, recordRefund, recordDispute,
+    summary, receipt, getOrder, listOrders, revenueReport
+  };
+}
+
+module.exports = { createOrders, generateOrderId, orderKind, ORDER_STATES, ORDER_KINDS };
@@ -0,0 +1,63 @@
+// 🔑 Ownership - who may manage a card or batch
+// A management token is issued once when a card or batch is created and only its
+// SHA-256 hash is stored. Clients send it back as X-Papir-Manage-Token. Buyers who
+// lost it can prove their email and get a signed access grant (X-Papir-Access)
+// listing the batches and cards they paid for. Signed-in customers and support
+// admins also pass.
+const adminAuth = require('../lib/admin-auth');
+const { manageTokenMatches } = require('../lib/manage-tokens');
+const { customerOwnsBatch } = require('./customer-accounts');
+
+const CUSTOMER_ACCESS_TTL_MS = 24 * 60 * 60 * 1000;
+const BATCH_OWNERSHIP_FIELDS = 'batch_id, manage_token_hash, customer_id, customer_email';
+
+function denyOwnership(res) {
+  return res.status(403).json({
+    success: false,
+    error: 'Not authorized to manage this card or batch',
+    hint: 'Send the management token issued at purchase, or verify your email under My Cards'
+  });
+}
+
+function createOwnership({ storage, config, adminAccess, customerAccounts }) {
+  function signCustomerAccess({ email, batches = [], cards = [] }) {
+    const expiresAt = Date.now() + CUSTOMER_ACCESS_TTL_MS;
+    const token = adminAuth.signToken({ email, batches, cards, exp: expiresAt }, config.customerAccessSecret);
+    return { token, expires_at: new Date(expiresAt).toISOString() };
+  }
+
+  function getCustomerAccess(req) {
+    return adminAuth.verifyToken(req.headers['x-papir-access'], config.customerAccessSecret);
+  }
+
+  function presentedToken(req) {
+    return req.headers['x-papir-manage-token'];
+  }
+
+  async function canManageBatch(req, batch) {
+    if (!batch) return false;
+    if (manageTokenMatches(presentedToken(req), batch.manage_token_hash)) return true;
+    const access = getCustomerAccess(req);
+    if (access && (access.batches || []).includes(batch.batch_id)) return true;
+    if (customerOwnsBatch(await customerAccounts.getCustomerSession(req), batch)) return true;
+    return adminAccess.isSupportAdmin(req);
+  }
+
+  async function canManageCard(req, card) {
+    if (!card) return false;
+    if (manageTokenMatches(presentedToken(req), card.manage_token_hash)) return true;
+    const access = getCustomerAccess(req);
+    if (access && (access.cards || []).includes(card.card_id)) return true;
+    const customer = await customerAccounts.getCustomerSession(req);
+    if (customer && card.customer_id && card.customer_id === customer.id) return true;
+    if (card.batch_id) {
+      const batch = await storage.batches.get(card.batch_id, BATCH_OWNERSHIP_FIELDS);
+      if (batch && await canManageBatch(req, batch)) return true;
+    }
+    return adminAccess.isSupportAdmin(req);
+  }
+
+  return { signCustomerAccess, getCustomerAccess, canManageBatch, canManageCard };
+}
+
+module.exports = { createOwnership, denyOwnership, BATCH_OWNERSHIP_FIELDS };
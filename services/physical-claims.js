@@ -0,0 +1,170 @@
+// 📮 Physical card claims - turning a pre-printed card into the buyer's own card
+// Manufactured stock sits in pending with message_type 'pending' and no design. Whoever holds the
+// card scans it, proves it with the scratch-off PIN, and saves their media and message in the
+// editor; the card then goes pending -> active. Unclaimed cards expire at their activation_deadline.
+const { issueManageToken } = require('../lib/manage-tokens');
+const { pinMatches, MAX_PIN_ATTEMPTS } = require('../lib/claim-pins');
+const { LOCKOUT_BASE_MS, LOCKOUT_MAX_MS } = require('../lib/verification-codes');
+
+// Pending cards without a deadline (saved before deadlines existed) expire this long after creation
+const UNDATED_PENDING_TTL_DAYS = 30;
+
+// What a claim may set - the same design fields the editor sends to POST /api/cards
+const DESIGN_FIELDS = ['message_type', 'message_text', 'media_url', 'overlay_url', 'video_url', 'audio_url',
+  'has_video_overlay', 'has_audio_overlay', 'file_name', 'file_size', 'file_type', 'template_config'];
+const MESSAGE_TYPES = ['text', 'image', 'video', 'audio'];
+
+function claimError(message, code, status) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function isUnclaimedStock(card) {
+  return !!card && card.status === 'pending' && card.message_type === 'pending';
+}
+
+function claimUrl(cardId) {
+  return `/maker.html?claim=${encodeURIComponent(cardId)}`;
+}
+
+function pickDesign(body = {}) {
+  const design = {};
+  DESIGN_FIELDS.forEach(field => {
+    if (body[field] !== undefined) design[field] = body[field];
+  });
+  if (!MESSAGE_TYPES.includes(design.message_type)) {
+    throw claimError(`message_type must be one of ${MESSAGE_TYPES.join(', ')}`, 'invalid_design', 400);
+  }
+  if (design.message_type === 'text' && !String(design.message_text || '').trim()) {
+    throw claimError('Write a message for your card', 'invalid_design', 400);
+  }
+  if (design.message_type !== 'text' && !design.media_url) {
+    throw claimError(`Upload your ${design.message_type} before activating`, 'invalid_design', 400);
+  }
+  if (typeof design.message_text === 'string') design.message_text = design.message_text.trim();
+  design.has_video_overlay = design.has_video_overlay === true;
+  design.has_audio_overlay = design.has_audio_overlay === true;
+  return design;
+}
+
+function createPhysicalClaims({ storage, config, cardLifecycle, activationLogger, customerAccounts }) {
+  function deadlinePassed(card, now) {
+    return !!card.activation_deadline && new Date(card.activation_deadline) <= now;
+  }
+
+  async function expire(req, card, now) {
+    await cardLifecycle.transition(req, card, 'deleted', {
+      reason: 'claim_deadline_passed',
+      patch: { physical_card_status: 'expired' },
+      metadata: { activation_deadline: card.activation_deadline },
+      at: now
+    });
+  }
+
+  // What the claim page needs before asking for the PIN
+  async function claimStatus(cardId, now = new Date()) {
+    const card = await storage.cards.get(cardId, 'card_id, status, message_type, activation_deadline, claim_pin_hash, claim_locked_until');
+    if (!card) throw claimError('Card not found', 'card_not_found', 404);
+    const claimable = isUnclaimedStock(card) && !!card.claim_pin_hash && !deadlinePassed(card, now);
+    return {
+      card_id: card.card_id,
+      claimable,
+      status: card.status,
+      pin_required: true,
+      activation_deadline: card.activation_deadline || null,
+      locked_until: card.claim_locked_until && new Date(card.claim_locked_until) > now ? card.claim_locked_until : null
+    };
+  }
+
+  // Counts a wrong PIN; every MAX_PIN_ATTEMPTS in a row locks the card for a growing while.
+  // Counted in the database so parallel guesses can't overwrite each other's misses
+  async function recordWrongPin(req, card, now) {
+    const counted = await storage.cards.recordWrongClaimPin(card.card_id, {
+      maxAttempts: MAX_PIN_ATTEMPTS,
+      now,
+      lockBaseMs: LOCKOUT_BASE_MS,
+      lockMaxMs: LOCKOUT_MAX_MS
+    });
+    await activationLogger.recordSuspicious(req, card.card_id, { reason: 'wrong_pin', cardStatus: card.status, source: 'claim' });
+    const lockedUntil = counted && counted.claim_locked_until;
+    return lockedUntil && new Date(lockedUntil) > now ? lockedUntil : null;
+  }
+
+  // Checks possession and the design, then activates the card with it.
+  // Returns { card, manageToken }. Throws with status/code for every refusal.
+  async function claim(req, cardId, { pin, design: body, termsAccepted }, now = new Date()) {
+    const card = await storage.cards.get(cardId);
+    if (!card) {
+      await activationLogger.recordSuspicious(req, cardId, { reason: 'unknown_card', source: 'claim' });
+      throw claimError('Card not found', 'card_not_found', 404);
+    }
+    if (!isUnclaimedStock(card)) {
+      await activationLogger.recordSuspicious(req, cardId, { reason: 'not_claimable', cardStatus: card.status, source: 'claim' });
+      throw claimError(card.status === 'active' ? 'This card has already been claimed' : `Card cannot be claimed (status: ${card.status})`, 'not_claimable', 409);
+    }
+    if (deadlinePassed(card, now)) {
+      await expire(req, card, now);
+      throw claimError('The activation deadline for this card has passed', 'claim_expired', 410);
+    }
+    if (card.claim_locked_until && new Date(card.claim_locked_until) > now) {
+      throw claimError('Too many wrong PINs - try again later', 'claim_locked', 429);
+    }
+    // Stock made before PINs has nothing to check against - support replaces it
+    if (!card.claim_pin_hash) throw claimError('This card has no PIN on record - please contact support', 'pin_not_issued', 409);
+    if (!pin) throw claimError('Enter the PIN from the scratch-off panel', 'pin_required', 400);
+    if (!pinMatches(card.card_id, pin, card.claim_pin_hash, config.claimPinSecret)) {
+      const lockedUntil = await recordWrongPin(req, card, now);
+      throw claimError(lockedUntil ? 'Too many wrong PINs - try again later' : 'That PIN does not match this card', lockedUntil ? 'claim_locked' : 'wrong_pin', lockedUntil ? 429 : 401);
+    }
+    if (termsAccepted !== true) throw claimError('Please accept the Terms of Service', 'terms_required', 400);
+    const design = pickDesign(body);
+
+    const issued = issueManageToken();
+    const customer = customerAccounts ? await customerAccounts.getCustomerSession(req) : null;
+    const activated = await cardLifecycle.transition(req, card, 'active', {
+      reason: 'claimed',
+      patch: {
+        ...design,
+        card_type: 'physical',
+        terms_accepted: true,
+        manage_token_hash: issued.hash,
+        customer_id: card.customer_id || customer?.id || null,
+        claimed_at: now.toISOString(),
+        claim_failed_attempts: 0,
+        claim_locked_until: null
+      },
+      metadata: { run_id: card.run_id || null },
+      at: now
+    });
+    if (!activated) throw claimError('This card was claimed a moment ago', 'not_claimable', 409);
+    await activationLogger.record(req, card.card_id, { source: 'claim' });
+    return { card: activated, manageToken: issued.token };
+  }
+
+  // Pending cards past their activation_deadline, and undated ones older than 30 days, are deleted.
+  // Returns { before, changed } across both groups.
+  async function expireOverdue(req, now = new Date()) {
+    const cutoff = new Date(now.getTime() - UNDATED_PENDING_TTL_DAYS * 24 * 60 * 60 * 1000);
+    const overdue = await storage.cards.list({ columns: 'card_id', status: 'pending', deadlineBefore: now.toISOString() });
+    const undated = await storage.cards.list({ columns: 'card_id', status: 'pending', withoutDeadline: true, createdBefore: cutoff.toISOString() });
+
+    const past = await cardLifecycle.transitionMany(req, overdue.map(c => c.card_id), 'deleted', {
+      reason: 'claim_deadline_passed',
+      patch: { physical_card_status: 'expired' },
+      metadata: { now: now.toISOString() },
+      at: now
+    });
+    const stale = await cardLifecycle.transitionMany(req, undated.map(c => c.card_id), 'deleted', {
+      reason: 'expired_unactivated',
+      metadata: { cutoff: cutoff.toISOString() },
+      at: now
+    });
+    return { before: [...past.before, ...stale.before], changed: [...past.changed, ...stale.changed], cutoff };
+  }
+
+  return { claimStatus, claim, expireOverdue };
+}
+
+module.exports = { createPhysicalClaims, isUnclaimedStock, claimUrl };
@@ -0,0 +1,262 @@
+// 💲 Pricing - single source for card prices (all amounts in cents, in USD or CAD)
+// Every total a customer sees (POST /api/batches/calculate-price) and every amount sent to Stripe
+// (checkout sessions and payment intents) comes from quote() below, less any promo code discount
+// (withDiscount, applied by services/promotions.js), plus sales tax (withTax, see services/sales-tax.js).
+const salesTax = require('./sales-tax');
+
+const CURRENCIES = ['usd', 'cad'];
+const DEFAULT_CURRENCY = 'usd';
+const UNIT_PRICE_CENTS = 299;
+
+// Bundle totals per currency; quantities between tiers pay the per-card price of the tier below
+const TIER_TOTALS_CENTS = {
+  usd: { 1: 299, 5: 1199, 10: 1999, 25: 4499 },
+  cad: { 1: 399, 5: 1599, 10: 2699, 25: 5999 }
+};
+
+// Single-card price (USD) of templates that don't sell at UNIT_PRICE_CENTS; the difference is added to every card
+const TEMPLATE_PRICES_CENTS = {};
+
+// Per-card add-ons (USD), set by what the design carries. Both are included in the card price for now.
+const ADDON_PRICES_CENTS = { video: 0, audio: 0 };
+
+// Template premiums and add-ons are set in USD; CAD orders pay them at this rate, rounded to the cent
+const EXTRAS_RATES = { usd: 1, cad: 1.35 };
+
+// Template ids start with their category (wedding-floral is a wedding template), except these
+const TEMPLATE_CATEGORY_ALIASES = { congrats: 'congratulations' };
+
+// Stripe's smallest charge; discounts never take an order below it
+const MIN_CHARGE_CENTS = 50;
+
+function invalidOrder(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// 'CAD' -> 'cad'; no currency means DEFAULT_CURRENCY
+function normalizeCurrency(currency) {
+  if (!currency) return DEFAULT_CURRENCY;
+  const code = String(currency).trim().toLowerCase();
+  if (!CURRENCIES.includes(code)) throw invalidOrder(`Prices are in ${CURRENCIES.join(' or ').toUpperCase()}`);
+  return code;
+}
+
+// What a buyer in this country (ISO code, from their location) is shown prices in
+function currencyForCountry(countryCode) {
+  return String(countryCode || '').toUpperCase() === 'CA' ? 'cad' : DEFAULT_CURRENCY;
+}
+
+// The currency a checkout is priced in: the buyer's choice, else the one for where they are.
+// locate() resolves to their IP location (or null).
+async function resolveCurrency(requested, locate) {
+  if (requested) return normalizeCurrency(requested);
+  const location = await locate();
+  return currencyForCountry(location?.country_code);
+}
+
+function quoteQuantity(quantity, currency = DEFAULT_CURRENCY) {
+  const qty = parseInt(quantity);
+  if (!qty || qty < 1) throw invalidOrder('Invalid quantity');
+  const totals = TIER_TOTALS_CENTS[normalizeCurrency(currency)];
+  if (totals[qty]) {
+    return { quantity: qty, unitPrice: Math.round(totals[qty] / qty), totalAmount: totals[qty] };
+  }
+  const tiers = Object.keys(totals).map(Number).sort((a, b) => b - a);
+  let unitPrice = totals[1];
+  for (const tier of tiers) {
+    if (qty >= tier) {
+      unitPrice = Math.round(totals[tier] / tier);
+      break;
+    }
+  }
+  return { quantity: qty, unitPrice, totalAmount: unitPrice * qty };
+}
+
+function templatePriceCents(templateId) {
+  return TEMPLATE_PRICES_CENTS[templateId] ?? UNIT_PRICE_CENTS;
+}
+
+function categoryOfTemplate(templateId) {
+  if (!templateId) return null;
+  const prefix = String(templateId).split('-')[0].toLowerCase();
+  return TEMPLATE_CATEGORY_ALIASES[prefix] || prefix;
+}
+
+function normalizeAddons(addons) {
+  const list = [...new Set(addons || [])];
+  const unknown = list.find(addon => !(addon in ADDON_PRICES_CENTS));
+  if (unknown) throw invalidOrder(`Unknown add-on: ${unknown}`);
+  return list.sort();
+}
+
+// The full price of an order: the bundle tier, the template's premium and each add-on, one line each.
+// Lines are whole amounts (not unit x quantity) so tier totals like 10 for $19.99 survive the trip to Stripe.
+function quote({ quantity, templateId = null, templateCategory = null, addons = [], currency = DEFAULT_CURRENCY } = {}) {
+  const code = normalizeCurrency(currency);
+  const base = quoteQuantity(quantity, code);
+  const qty = base.quantity;
+  const chosen = normalizeAddons(addons);
+  const extra = usdCents => Math.round(usdCents * EXTRAS_RATES[code]);
+  const lines = [{ code: 'cards', description: qty === 1 ? '1 card' : `${qty} cards`, amount: base.totalAmount }];
+
+  const premium = extra(templatePriceCents(templateId) - UNIT_PRICE_CENTS);
+  if (premium > 0) lines.push({ code: 'template', description: `Template ${templateId} (x${qty})`, amount: premium * qty });
+  for (const addon of chosen) {
+    if (ADDON_PRICES_CENTS[addon] > 0) {
+      lines.push({ code: addon, description: `${addon[0].toUpperCase()}${addon.slice(1)} (x${qty})`, amount: extra(ADDON_PRICES_CENTS[addon]) * qty });
+    }
+  }
+
+  const totalAmount = lines.reduce((sum, line) => sum + line.amount, 0);
+  return {
+    quantity: qty,
+    templateId: templateId || null,
+    templateCategory: templateCategory || categoryOfTemplate(templateId),
+    addons: chosen,
+    lines,
+    unitPrice: Math.round(totalAmount / qty),
+    totalAmount,
+    currency: code
+  };
+}
+
+// A promo code's discount (in cents) as its own negative line; the total never drops below MIN_CHARGE_CENTS
+function withDiscount(priced, { code, amount }) {
+  const discount = Math.min(amount, Math.max(0, priced.totalAmount - MIN_CHARGE_CENTS));
+  if (discount <= 0) return { ...priced, promoCode: code, discountAmount: 0 };
+  const totalAmount = priced.totalAmount - discount;
+  return {
+    ...priced,
+    lines: [...priced.lines, { code: 'discount', description: `Promo code ${code}`, amount: -discount }],
+    unitPrice: Math.round(totalAmount / priced.quantity),
+    totalAmount,
+    promoCode: code,
+    discountAmount: discount
+  };
+}
+
+// Sales tax on the (discounted) total as one line per tax; totalAmount is then what gets charged.
+// No billing address yet (a price shown before checkout) leaves the quote untaxed, taxJurisdiction null.
+function withTax(priced, billingAddress) {
+  const { jurisdiction, taxes } = billingAddress ? salesTax.taxesFor(priced.totalAmount, billingAddress) : { jurisdiction: null, taxes: [] };
+  const taxAmount = taxes.reduce((sum, tax) => sum + tax.amount, 0);
+  return {
+    ...priced,
+    lines: [...priced.lines, ...taxes.map(tax => ({
+      code: `tax_${tax.code}`,
+      description: `${tax.name} ${+(tax.rate * 100).toFixed(3)}% (${jurisdiction})`,
+      amount: tax.amount
+    }))],
+    subtotalAmount: priced.totalAmount,
+    taxAmount,
+    taxes,
+    taxJurisdiction: jurisdiction,
+    totalAmount: priced.totalAmount + taxAmount
+  };
+}
+
+// The lines as Stripe can charge them: no negative amounts, so a discount comes off the lines in order
+function chargedLines(priced) {
+  let discount = -priced.lines.filter(line => line.amount < 0).reduce((sum, line) => sum + line.amount, 0);
+  return priced.lines.filter(line => line.amount > 0).map(line => {
+    const off = Math.min(discount, line.amount);
+    discount -= off;
+    return { ...line, amount: line.amount - off };
+  }).filter(line => line.amount > 0);
+}
+
+// What a stored card's design costs extra for: its template (saved in template_config) and its media
+function designOfCard(card) {
+  if (!card) return null;
+  let templateId = null;
+  let templateCategory = null;
+  try {
+    const config = typeof card.template_config === 'string' ? JSON.parse(card.template_config) : card.template_config;
+    templateId = config?.id || null;
+    templateCategory = config?.category || null;
+  } catch (error) {
+    // Not every card came from a template
+  }
+  const addons = [];
+  if (card.has_video_overlay || card.message_type === 'video') addons.push('video');
+  if (card.has_audio_overlay || card.message_type === 'audio') addons.push('audio');
+  return { templateId, templateCategory, addons };
+}
+
+// The design behind a checkout: the card itself, or the batch's template card. Null if neither is stored yet.
+async function loadDesign(storage, { cardId, batchId } = {}) {
+  if (!storage) return null;
+  if (cardId) {
+    const card = await storage.cards.get(cardId, 'card_id, template_config, message_type, has_video_overlay, has_audio_overlay');
+    if (card) return designOfCard(card);
+  }
+  if (batchId) {
+    const batch = await storage.batches.get(batchId, 'batch_id, template_card_id');
+    if (batch?.template_card_id) return loadDesign(storage, { cardId: batch.template_card_id });
+  }
+  return null;
+}
+
+// Add-ons named by a client that hasn't saved its design yet (customize.html before checkout)
+function addonsFromRequest(body) {
+  if (Array.isArray(body.addons)) return body.addons;
+  if (body.media_type === 'video') return ['video'];
+  if (body.media_type === 'audio') return ['audio'];
+  return [];
+}
+
+// Quote for a checkout: a stored design always wins over what the client says it contains
+async function quoteOrder(storage, { quantity, cardId, batchId, templateId, addons, currency }) {
+  const design = await loadDesign(storage, { cardId, batchId });
+  return quote({
+    quantity,
+    templateId: design ? design.templateId : templateId,
+    templateCategory: design ? design.templateCategory : null,
+    addons: design ? design.addons : addons,
+    currency
+  });
+}
+
+function centsToDollars(cents) {
+  return Math.round(cents) / 100;
+}
+
+// 1234, 'cad' -> "$12.34 CAD"
+function formatAmount(cents, currency = DEFAULT_CURRENCY) {
+  return `${cents < 0 ? '-' : ''}$${(Math.abs(cents) / 100).toFixed(2)} ${String(currency).toUpperCase()}`;
+}
+
+// Every line and the total on one line, for receipts that can't list items (payment intents)
+function describeLines(priced) {
+  return [...priced.lines, { description: 'Total', amount: priced.totalAmount }]
+    .map(line => `${line.description}: ${formatAmount(line.amount, priced.currency)}`)
+    .join(' · ');
+}
+
+module.exports = {
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  UNIT_PRICE_CENTS,
+  TIER_TOTALS_CENTS,
+  TEMPLATE_PRICES_CENTS,
+  ADDON_PRICES_CENTS,
+  MIN_CHARGE_CENTS,
+  normalizeCurrency,
+  currencyForCountry,
+  resolveCurrency,
+  quoteQuantity,
+  quote,
+  categoryOfTemplate,
+  withDiscount,
+  withTax,
+  chargedLines,
+  designOfCard,
+  loadDesign,
+  addonsFromRequest,
+  quoteOrder,
+  centsToDollars,
+  formatAmount,
+  describeLines
+};
@@ -0,0 +1,204 @@
+// 🖨️ Print sheets - imposed PDFs of card QR codes for the manufacturer
+// A cover sheet lists the run, then each sheet tiles vector QR codes with the card ID printed
+// underneath. Every position is a trim box with bleed around it (gutters are twice the bleed),
+// and crop marks sit in the page margin on each trim line.
+const PDFDocument = require('pdfkit');
+const { parseQrOptions, drawQrOnPdf, collectPdf, cardScanUrl } = require('./qr');
+
+const MM = 72 / 25.4;
+const PAPER = {
+  letter: { label: 'Letter (8.5 x 11 in)', width: 612, height: 792 },
+  a4: { label: 'A4 (210 x 297 mm)', width: 595.28, height: 841.89 }
+};
+const LIMITS = { columns: [1, 6], rows: [1, 8], bleed: [0, 6] };
+const DEFAULTS = { paper: 'letter', columns: 3, rows: 4, bleed: 3, marks: true, skip: 0 };
+
+// Room for the crop marks around the grid
+const PAGE_MARGIN = 12 * MM;
+const MARK_OFFSET = 2 * MM;
+const MAX_CARDS = 5000;
+
+function printError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function parseNumber(value, name, [min, max], fallback, { integer = true } = {}) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || (integer && !Number.isInteger(number)) || number < min || number > max) {
+    throw printError(`${name} must be a ${integer ? 'whole ' : ''}number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+// ?paper=letter|a4&columns=3&rows=4&bleed=3 (mm)&marks=0&skip=2 plus the QR options (ecc, fg, bg, logo, margin)
+// skip leaves the first positions of the first sheet empty, for part-used stock
+function parsePrintOptions(query = {}) {
+  const paper = (query.paper || DEFAULTS.paper).toLowerCase();
+  if (!PAPER[paper]) throw printError(`paper must be one of ${Object.keys(PAPER).join(', ')}`);
+  const columns = parseNumber(query.columns, 'columns', LIMITS.columns, DEFAULTS.columns);
+  const rows = parseNumber(query.rows, 'rows', LIMITS.rows, DEFAULTS.rows);
+  const { ecc, fg, bg, logo, margin } = parseQrOptions({ ecc: query.ecc, fg: query.fg, bg: query.bg, logo: query.logo, margin: query.margin });
+  return {
+    paper,
+    columns,
+    rows,
+    bleed: parseNumber(query.bleed, 'bleed', LIMITS.bleed, DEFAULTS.bleed, { integer: false }),
+    marks: !(query.marks === '0' || query.marks === 'false'),
+    skip: parseNumber(query.skip, 'skip', [0, columns * rows - 1], DEFAULTS.skip),
+    qr: { ecc, fg, bg, logo, margin }
+  };
+}
+
+// Trim boxes (points) for every position on a sheet, row by row
+function gridCells(options) {
+  const { width, height } = PAPER[options.paper];
+  const gutter = options.bleed * 2 * MM;
+  const cellWidth = (width - PAGE_MARGIN * 2 - gutter * (options.columns - 1)) / options.columns;
+  const cellHeight = (height - PAGE_MARGIN * 2 - gutter * (options.rows - 1)) / options.rows;
+  const cells = [];
+  for (let row = 0; row < options.rows; row++) {
+    for (let column = 0; column < options.columns; column++) {
+      cells.push({
+        row: row + 1,
+        column: column + 1,
+        x: PAGE_MARGIN + column * (cellWidth + gutter),
+        y: PAGE_MARGIN + row * (cellHeight + gutter),
+        width: cellWidth,
+        height: cellHeight
+      });
+    }
+  }
+  return cells;
+}
+
+// Sheet and position for each card, after the skipped positions
+function impose(cards, options) {
+  const perSheet = options.columns * options.rows;
+  return cards.map((card, index) => {
+    const slot = index + options.skip;
+    return { card, sheet: Math.floor(slot / perSheet) + 1, position: slot % perSheet };
+  });
+}
+
+function drawCell(doc, cell, card, options) {
+  const bleed = options.bleed * MM;
+  if (options.qr.bg) {
+    doc.rect(cell.x - bleed, cell.y - bleed, cell.width + bleed * 2, cell.height + bleed * 2).fill(options.qr.bg);
+  }
+  const padding = Math.min(cell.width, cell.height) * 0.08;
+  const fontSize = Math.min(11, cell.width / 9);
+  const labelHeight = fontSize * 1.6;
+  const qrSize = Math.min(cell.width - padding * 2, cell.height - padding * 2 - labelHeight);
+  const top = cell.y + (cell.height - qrSize - labelHeight) / 2;
+  drawQrOnPdf(doc, card.url, { x: cell.x + (cell.width - qrSize) / 2, y: top, size: qrSize }, { ...options.qr, bg: null });
+  doc.font('Courier-Bold').fontSize(fontSize).fillColor(options.qr.fg)
+    .text(card.card_id, cell.x, top + qrSize + fontSize * 0.4, { width: cell.width, align: 'center', lineBreak: false });
+}
+
+// Short hairlines in the margin, lined up with every trim edge and kept clear of the bleed
+function drawCropMarks(doc, cells, options) {
+  const { width, height } = PAPER[options.paper];
+  const clearance = options.bleed * MM + MARK_OFFSET;
+  const length = Math.max(2 * MM, PAGE_MARGIN - clearance - 1 * MM);
+  const gridTop = PAGE_MARGIN;
+  const gridBottom = height - PAGE_MARGIN;
+  const gridLeft = PAGE_MARGIN;
+  const gridRight = width - PAGE_MARGIN;
+  const xs = new Set();
+  const ys = new Set();
+  cells.forEach(cell => {
+    xs.add(cell.x).add(cell.x + cell.width);
+    ys.add(cell.y).add(cell.y + cell.height);
+  });
+
+  doc.save().lineWidth(0.25).strokeColor('#000000');
+  xs.forEach(x => {
+    doc.moveTo(x, gridTop - clearance - length).lineTo(x, gridTop - clearance);
+    doc.moveTo(x, gridBottom + clearance).lineTo(x, gridBottom + clearance + length);
+  });
+  ys.forEach(y => {
+    doc.moveTo(gridLeft - clearance - length, y).lineTo(gridLeft - clearance, y);
+    doc.moveTo(gridRight + clearance, y).lineTo(gridRight + clearance + length, y);
+  });
+  doc.stroke().restore();
+}
+
+function drawCover(doc, { title, subtitle, placements, sheets, options, generatedAt }) {
+  const { width, height } = PAPER[options.paper];
+  const left = 54;
+  doc.font('Helvetica-Bold').fontSize(20).fillColor('#000000').text('Papir print run', left, 54);
+  doc.font('Helvetica').fontSize(12).text(title, left, doc.y + 4);
+  if (subtitle) doc.fontSize(9).fillColor('#555555').text(subtitle, left, doc.y + 2);
+
+  const details = [
+    ['Cards', String(placements.length)],
+    ['Sheets', `${sheets}, after the cover`],
+    ['Paper', PAPER[options.paper].label],
+    ['Grid', `${options.columns} x ${options.rows} (${options.columns * options.rows} per sheet${options.skip ? `, first ${options.skip} skipped` : ''})`],
+    ['Bleed', `${options.bleed} mm`],
+    ['Crop marks', options.marks ? 'Yes' : 'No'],
+    ['QR', `Error correction ${options.qr.ecc}${options.qr.logo ? ', Papir logo' : ''}, quiet zone ${options.qr.margin} modules`],
+    ['QR encodes', placements.length ? placements[0].card.url : '-'],
+    ['Generated', generatedAt.toISOString()]
+  ];
+  let y = doc.y + 16;
+  doc.fontSize(10).fillColor('#000000');
+  details.forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').text(label, left, y, { width: 90 });
+    doc.font('Helvetica').text(value, left + 95, y, { width: width - left * 2 - 95 });
+    y = doc.y + 4;
+  });
+
+  // The run listing, continued on extra pages for big runs
+  const columnsX = [left, left + 50, left + 200, left + 260, left + 320];
+  const header = ['#', 'Card ID', 'Sheet', 'Row', 'Column'];
+  const lineHeight = 13;
+  const drawHeader = at => {
+    doc.font('Helvetica-Bold').fontSize(9);
+    header.forEach((text, i) => doc.text(text, columnsX[i], at, { lineBreak: false }));
+    return at + lineHeight + 2;
+  };
+  y = drawHeader(y + 16);
+  const cellsPerSheet = gridCells(options);
+  placements.forEach((placement, index) => {
+    if (y > height - 54) {
+      doc.addPage();
+      doc.font('Helvetica-Bold').fontSize(12).text('Run listing (continued)', left, 54);
+      y = drawHeader(doc.y + 10);
+    }
+    const cell = cellsPerSheet[placement.position];
+    doc.font('Courier').fontSize(9);
+    [String(index + 1), placement.card.card_id, String(placement.sheet), String(cell.row), String(cell.column)]
+      .forEach((text, i) => doc.text(text, columnsX[i], y, { lineBreak: false }));
+    y += lineHeight;
+  });
+}
+
+// cards: [{ card_id }] in print order. Resolves with the PDF as a Buffer.
+async function renderPrintSheet({ title, subtitle = null, cards, baseUrl, options, generatedAt = new Date() }) {
+  if (cards.length === 0) throw printError('There are no cards to print');
+  if (cards.length > MAX_CARDS) throw printError(`A print run is limited to ${MAX_CARDS} cards`);
+  const withUrls = cards.map(card => ({ card_id: card.card_id, url: cardScanUrl(baseUrl, card.card_id) }));
+  const placements = impose(withUrls, options);
+  const sheets = placements[placements.length - 1].sheet;
+  const cells = gridCells(options);
+  const { width, height } = PAPER[options.paper];
+
+  const doc = new PDFDocument({ size: [width, height], margin: 0, autoFirstPage: false, info: { Title: `Papir print run - ${title}`, Producer: 'Papir' } });
+  const done = collectPdf(doc);
+  doc.addPage();
+  drawCover(doc, { title, subtitle, placements, sheets, options, generatedAt });
+
+  for (let sheet = 1; sheet <= sheets; sheet++) {
+    doc.addPage();
+    placements.filter(p => p.sheet === sheet).forEach(p => drawCell(doc, cells[p.position], p.card, options));
+    if (options.marks) drawCropMarks(doc, cells, options);
+  }
+  doc.end();
+  return done;
+}
+
+module.exports = { renderPrintSheet, parsePrintOptions, PAPER };
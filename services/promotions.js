@@ -0,0 +1,209 @@
+// 🏷️ Promotions - promo codes, checked and priced on the server
+//
+// A buyer types a code on checkout.html and it travels with the order as promo_code. calculate-price,
+// create-payment-intent and create-checkout-session all price it through apply() below, so the
+// discount shown is the discount charged. Opening the order reserves a use of the code: a pending
+// redemption, made in the database only while the code's limits have room. It holds its use for
+// PROMO_HOLD_MS, and for good once the order is paid. An order paid after its hold ran out still gets
+// its discount, so a limit can be passed by the orders that were that slow to pay.
+const pricing = require('./pricing');
+
+const DISCOUNT_TYPES = ['percent', 'fixed'];
+const PROMO_HOLD_MS = 30 * 60 * 1000;
+const LIMIT_ERRORS = {
+  promo_exhausted: 'This promo code has been used up',
+  promo_email_limit: 'You have already used this promo code'
+};
+const CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+function promoError(message, code, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function normalizeEmail(email) {
+  return email ? String(email).trim().toLowerCase() : null;
+}
+
+// Cents off this quote, before pricing.withDiscount keeps the minimum charge
+function discountFor(promo, quote) {
+  if (promo.discount_type === 'percent') return Math.round(quote.totalAmount * promo.discount_value / 100);
+  return Math.min(promo.discount_value, quote.totalAmount);
+}
+
+// Cents off are in one currency (codes saved before there was a choice are USD); percent codes fit any
+function currencyOf(promo) {
+  return promo.discount_type === 'fixed' ? promo.currency || pricing.DEFAULT_CURRENCY : null;
+}
+
+// The code's own rules; throws with the reason it doesn't apply to this quote
+function checkRules(promo, quote, at) {
+  if (!promo.active) throw promoError('This promo code is no longer active', 'promo_inactive');
+  if (currencyOf(promo) && currencyOf(promo) !== quote.currency) {
+    throw promoError(`This promo code is for orders in ${currencyOf(promo).toUpperCase()}`, 'promo_currency');
+  }
+  if (promo.starts_at && new Date(promo.starts_at) > at) throw promoError('This promo code is not active yet', 'promo_not_started');
+  if (promo.expires_at && new Date(promo.expires_at) <= at) throw promoError('This promo code has expired', 'promo_expired');
+  if (quote.quantity < (promo.min_quantity || 1)) {
+    throw promoError(`This promo code needs at least ${promo.min_quantity} cards`, 'promo_min_quantity');
+  }
+  if (promo.template_ids?.length && !promo.template_ids.includes(quote.templateId)) {
+    throw promoError('This promo code does not apply to this template', 'promo_template');
+  }
+  if (promo.categories?.length && !promo.categories.includes(quote.templateCategory)) {
+    throw promoError('This promo code does not apply to this kind of card', 'promo_category');
+  }
+}
+
+// A promo_codes row from the admin form; throws a 400 naming the first bad field
+function parsePromoCode(body = {}) {
+  const code = normalizeCode(body.code);
+  if (!CODE_PATTERN.test(code)) throw promoError('Codes are 3-32 letters, digits, - or _', 'invalid_code');
+  const type = body.discount_type;
+  if (!DISCOUNT_TYPES.includes(type)) throw promoError('discount_type must be percent or fixed', 'invalid_discount');
+  const value = Number(body.discount_value);
+  if (!Number.isInteger(value) || value < 1 || (type === 'percent' && value > 100)) {
+    throw promoError(type === 'percent' ? 'A percent discount is 1 to 100' : 'A fixed discount is a whole number of cents', 'invalid_discount');
+  }
+  const currency = String(body.currency || pricing.DEFAULT_CURRENCY).trim().toLowerCase();
+  if (type === 'fixed' && !pricing.CURRENCIES.includes(currency)) {
+    throw promoError(`currency must be ${pricing.CURRENCIES.join(' or ').toUpperCase()}`, 'invalid_currency');
+  }
+
+  const list = (field) => {
+    const values = (Array.isArray(body[field]) ? body[field] : String(body[field] || '').split(','))
+      .map(item => String(item).trim().toLowerCase())
+      .filter(Boolean);
+    return values.length ? [...new Set(values)] : null;
+  };
+  const count = (field) => {
+    if (body[field] === undefined || body[field] === null || body[field] === '') return null;
+    const number = Number(body[field]);
+    if (!Number.isInteger(number) || number < 1) throw promoError(`${field} must be a whole number of at least 1`, 'invalid_limit');
+    return number;
+  };
+  const date = (field) => {
+    if (!body[field]) return null;
+    const parsed = new Date(body[field]);
+    if (isNaN(parsed)) throw promoError(`${field} is not a date`, 'invalid_date');
+    return parsed.toISOString();
+  };
+
+  const startsAt = date('starts_at');
+  const expiresAt = date('expires_at');
+  if (startsAt && expiresAt && expiresAt <= startsAt) throw promoError('expires_at must be after starts_at', 'invalid_date');
+  return {
+    code,
+    description: body.description ? String(body.description).slice(0, 200) : null,
+    discount_type: type,
+    discount_value: value,
+    currency: type === 'fixed' ? currency : null,
+    template_ids: list('template_ids'),
+    categories: list('categories'),
+    min_quantity: count('min_quantity') || 1,
+    max_redemptions: count('max_redemptions'),
+    max_per_email: count('max_per_email'),
+    starts_at: startsAt,
+    expires_at: expiresAt,
+    active: body.active !== false
+  };
+}
+
+// Pending redemptions made since then still hold their use of the code
+function holdStart(at) {
+  return new Date(at.getTime() - PROMO_HOLD_MS).toISOString();
+}
+
+function createPromotions({ storage }) {
+  // The quote with the code's discount, or the quote as it was when no code was given.
+  // Throws a 400 (with a promo_* code) when the code doesn't apply.
+  async function apply(quote, { code, email, at = new Date() } = {}) {
+    const normalized = normalizeCode(code);
+    if (!normalized) return quote;
+    const promo = await storage.promoCodes.get(normalized);
+    if (!promo) throw promoError('Unknown promo code', 'promo_not_found');
+    checkRules(promo, quote, at);
+    const holdSince = holdStart(at);
+    if (promo.max_redemptions && (await storage.promoRedemptions.countHeld(promo.code, { holdSince })) >= promo.max_redemptions) {
+      throw promoError(LIMIT_ERRORS.promo_exhausted, 'promo_exhausted');
+    }
+    if (promo.max_per_email) {
+      const customerEmail = normalizeEmail(email);
+      if (!customerEmail) throw promoError('Enter your email to use this promo code', 'promo_email_required');
+      if ((await storage.promoRedemptions.countHeld(promo.code, { customerEmail, holdSince })) >= promo.max_per_email) {
+        throw promoError(LIMIT_ERRORS.promo_email_limit, 'promo_email_limit');
+      }
+    }
+    return pricing.withDiscount(quote, { code: promo.code, amount: discountFor(promo, quote) });
+  }
+
+  // Called by orders.open for an order priced with a code. Throws a 400 when another order took
+  // the code's last use (or this email's) since apply() priced it.
+  async function reserve(order, quote, at = new Date()) {
+    const refused = await storage.promoRedemptions.reserve({
+      code: quote.promoCode,
+      order_id: order.order_id,
+      customer_email: normalizeEmail(order.customer_email),
+      discount_amount: quote.discountAmount,
+      amount_total: quote.totalAmount,
+      currency: quote.currency,
+      created_at: at.toISOString()
+    }, { holdSince: holdStart(at) });
+    if (refused) throw promoError(LIMIT_ERRORS[refused] || 'Unknown promo code', refused);
+  }
+
+  // Called once the order is paid; from here on it counts against the code's limits
+  function redeem(order) {
+    return storage.promoRedemptions.markRedeemed(order.order_id, { customerEmail: normalizeEmail(order.customer_email) });
+  }
+
+  async function createCode(req, body) {
+    const now = new Date().toISOString();
+    try {
+      return await storage.promoCodes.create({ ...parsePromoCode(body), created_by: req.admin?.sub || null, created_at: now, updated_at: now });
+    } catch (error) {
+      if (error.code === '23505') throw promoError('That code already exists', 'code_taken', 409);
+      throw error;
+    }
+  }
+
+  async function setActive(code, active) {
+    const [updated] = await storage.promoCodes.update(normalizeCode(code), { active: active === true });
+    if (!updated) throw promoError(`Promo code not found: ${code}`, 'promo_not_found', 404);
+    return updated;
+  }
+
+  // Every code with what it did: paid uses, discount given, and revenue net of refunds
+  async function report() {
+    const [codes, redemptions] = await Promise.all([storage.promoCodes.list(), storage.promoRedemptions.list({ status: 'redeemed' })]);
+    const orders = await storage.orders.listByIds(redemptions.map(r => r.order_id), 'order_id, amount_total, amount_refunded, currency');
+    const ordersById = new Map(orders.map(order => [order.order_id, order]));
+    const totals = new Map();
+    for (const redemption of redemptions) {
+      const order = ordersById.get(redemption.order_id) || {};
+      const stats = totals.get(redemption.code) || { redemptions: 0, discount_total: 0, revenue_total: 0, refunded_total: 0 };
+      stats.redemptions += 1;
+      stats.discount_total += redemption.discount_amount;
+      stats.revenue_total += (order.amount_total ?? redemption.amount_total) - (order.amount_refunded || 0);
+      stats.refunded_total += order.amount_refunded || 0;
+      totals.set(redemption.code, stats);
+    }
+    return codes.map(code => ({ ...code, ...(totals.get(code.code) || { redemptions: 0, discount_total: 0, revenue_total: 0, refunded_total: 0 }) }));
+  }
+
+  async function redemptionsFor(code) {
+    const promo = await storage.promoCodes.get(normalizeCode(code));
+    if (!promo) throw promoError(`Promo code not found: ${code}`, 'promo_not_found', 404);
+    return { promo, redemptions: await storage.promoRedemptions.list({ code: promo.code }) };
+  }
+
+  return { apply, reserve, redeem, createCode, setActive, report, redemptionsFor };
+}
+
+module.exports = { createPromotions, parsePromoCode, normalizeCode, PROMO_HOLD_MS };
@@ -0,0 +1,203 @@
+// 🔳 QR codes - rendered here as SVG, PNG or PDF instead of calling api.qrserver.com
+// One SVG drawing feeds the PNG (rasterised by resvg) and the PDF is drawn as vectors with pdfkit,
+// so every format has the same modules, quiet zone and optional centred Papir mark.
+const fs = require('fs');
+const path = require('path');
+const QRCode = require('qrcode');
+
+const FORMATS = ['png', 'svg', 'pdf'];
+const CONTENT_TYPES = { png: 'image/png', svg: 'image/svg+xml', pdf: 'application/pdf' };
+const ERROR_CORRECTION_LEVELS = ['L', 'M', 'Q', 'H'];
+const MAX_DATA_LENGTH = 1000;
+
+const DEFAULTS = { size: 300, margin: 4, ecc: 'M', fg: '#000000', bg: '#ffffff', logo: false };
+const LIMITS = { size: [64, 2048], margin: [0, 16] };
+
+// The logo covers about a quarter of the code's width, which error correction level H absorbs
+const LOGO_FRACTION = 0.24;
+
+// The visible mark in favicon.svg (the "Primary" group), drawn in the foreground colour
+const LOGO_FILE = path.join(__dirname, '..', 'public', 'favicon.svg');
+const LOGO_VIEWBOX = 248.4;
+let logoPaths = null;
+function getLogoPaths() {
+  if (!logoPaths) {
+    const source = fs.readFileSync(LOGO_FILE, 'utf8');
+    const primary = source.slice(source.indexOf('<g id="Primary">'));
+    logoPaths = [...primary.matchAll(/\sd="([^"]+)"/g)].map(match => match[1].replace(/\s+/g, ' '));
+  }
+  return logoPaths;
+}
+
+function qrError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function parseIntInRange(value, name, [min, max], fallback) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw qrError(`${name} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+function parseColor(value, name, fallback, { allowTransparent = false } = {}) {
+  if (value === undefined || value === '') return fallback;
+  if (allowTransparent && value === 'transparent') return null;
+  const hex = String(value).replace(/^#/, '');
+  if (!/^([0-9a-f]{3}|[0-9a-f]{6})$/i.test(hex)) throw qrError(`${name} must be a hex colour like 1a1a2e`);
+  const full = hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex;
+  return `#${full.toLowerCase()}`;
+}
+
+// Query string -> render options. Throws (status 400) on out-of-range values.
+// ?size=300&margin=4&ecc=M&fg=000000&bg=ffffff|transparent&logo=1
+function parseQrOptions(query = {}) {
+  const logo = query.logo === '1' || query.logo === 'true';
+  const ecc = query.ecc ? String(query.ecc).toUpperCase() : (logo ? 'H' : DEFAULTS.ecc);
+  if (!ERROR_CORRECTION_LEVELS.includes(ecc)) throw qrError(`ecc must be one of ${ERROR_CORRECTION_LEVELS.join(', ')}`);
+  if (logo && (ecc === 'L' || ecc === 'M')) throw qrError('logo needs ecc Q or H so the covered modules can be recovered');
+  return {
+    size: parseIntInRange(query.size, 'size', LIMITS.size, DEFAULTS.size),
+    margin: parseIntInRange(query.margin, 'margin', LIMITS.margin, DEFAULTS.margin),
+    ecc,
+    fg: parseColor(query.fg, 'fg', DEFAULTS.fg),
+    bg: parseColor(query.bg, 'bg', DEFAULTS.bg, { allowTransparent: true }),
+    logo
+  };
+}
+
+// Module grid plus the square left clear for the logo (null without one), in module units
+function layout(data, { ecc, margin, logo }) {
+  if (!data || data.length > MAX_DATA_LENGTH) throw qrError(`QR data must be 1 to ${MAX_DATA_LENGTH} characters`);
+  const { modules } = QRCode.create(data, { errorCorrectionLevel: ecc });
+  const count = modules.size;
+  let hole = null;
+  if (logo) {
+    // Same parity as the grid so the hole sits exactly in the middle
+    let side = Math.floor(count * LOGO_FRACTION);
+    if ((count - side) % 2 !== 0) side += 1;
+    const start = (count - side) / 2;
+    hole = { start, end: start + side, side };
+  }
+  const isDark = (x, y) => {
+    if (hole && x >= hole.start && x < hole.end && y >= hole.start && y < hole.end) return false;
+    return modules.get(y, x) === 1;
+  };
+  return { count, total: count + margin * 2, margin, isDark, hole };
+}
+
+// Horizontal runs of dark modules: [x, y, length] in module units, margin included
+function darkRuns({ count, margin, isDark }) {
+  const runs = [];
+  for (let y = 0; y < count; y++) {
+    let x = 0;
+    while (x < count) {
+      if (!isDark(x, y)) { x++; continue; }
+      const start = x;
+      while (x < count && isDark(x, y)) x++;
+      runs.push([start + margin, y + margin, x - start]);
+    }
+  }
+  return runs;
+}
+
+// Where the mark goes inside the hole: a 1-module pad on each side
+function logoBox(grid) {
+  const inset = 1;
+  const side = grid.hole.side - inset * 2;
+  return { x: grid.margin + grid.hole.start + inset, y: grid.margin + grid.hole.start + inset, side, scale: side / LOGO_VIEWBOX };
+}
+
+function renderSvg(data, options) {
+  const grid = layout(data, options);
+  const { total } = grid;
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${options.size}" height="${options.size}" viewBox="0 0 ${total} ${total}" shape-rendering="crispEdges">`
+  ];
+  if (options.bg) parts.push(`<rect width="${total}" height="${total}" fill="${options.bg}"/>`);
+  const d = darkRuns(grid).map(([x, y, length]) => `M${x} ${y}h${length}v1h-${length}z`).join('');
+  parts.push(`<path fill="${options.fg}" d="${d}"/>`);
+  if (grid.hole) {
+    const box = logoBox(grid);
+    parts.push(`<g transform="translate(${box.x} ${box.y}) scale(${box.scale.toFixed(5)})" shape-rendering="geometricPrecision" fill="${options.fg}">`);
+    getLogoPaths().forEach(pathData => parts.push(`<path d="${pathData}"/>`));
+    parts.push('</g>');
+  }
+  parts.push('</svg>');
+  return parts.join('');
+}
+
+function renderPng(data, options) {
+  const { Resvg } = require('@resvg/resvg-js');
+  const svg = renderSvg(data, options);
+  return new Resvg(svg, { fitTo: { mode: 'width', value: options.size } }).render().asPng();
+}
+
+// Draws a QR code as vectors into an open pdfkit document, `size` points square at (x, y)
+function drawQrOnPdf(doc, data, { x = 0, y = 0, size }, options) {
+  const grid = layout(data, options);
+  const unit = size / grid.total;
+  doc.save();
+  doc.translate(x, y);
+  if (options.bg) doc.rect(0, 0, size, size).fill(options.bg);
+  darkRuns(grid).forEach(([left, top, length]) => doc.rect(left * unit, top * unit, length * unit, unit));
+  doc.fill(options.fg);
+  if (grid.hole) {
+    const box = logoBox(grid);
+    doc.translate(box.x * unit, box.y * unit).scale(box.scale * unit);
+    getLogoPaths().forEach(pathData => doc.path(pathData).fill(options.fg));
+  }
+  doc.restore();
+}
+
+// Size is in points for PDF (72 per inch), so ?size=216 prints a 3 inch code
+function renderPdf(data, options) {
+  const PDFDocument = require('pdfkit');
+  // Lay out first so bad data throws before a document is started
+  layout(data, options);
+  const doc = new PDFDocument({ size: [options.size, options.size], margin: 0, info: { Title: 'Papir QR code', Producer: 'Papir' } });
+  const done = collectPdf(doc);
+  drawQrOnPdf(doc, data, { size: options.size }, options);
+  doc.end();
+  return done;
+}
+
+// Resolves with the finished document once doc.end() has been called
+function collectPdf(doc) {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  return new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+}
+
+// Returns { body, contentType }
+async function renderQr(data, format, options = DEFAULTS) {
+  if (!FORMATS.includes(format)) throw qrError(`format must be one of ${FORMATS.join(', ')}`);
+  let body;
+  if (format === 'svg') body = renderSvg(data, options);
+  else if (format === 'png') body = renderPng(data, options);
+  else body = await renderPdf(data, options);
+  return { body, contentType: CONTENT_TYPES[format] };
+}
+
+function baseUrlOf(req) {
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+// The card's page, for links in emails and API responses
+function cardViewerUrl(baseUrl, cardId) {
+  return `${baseUrl}/viewer.html?card=${encodeURIComponent(cardId)}`;
+}
+
+// What a card's QR code points at - /c/ logs the scan and redirects to the viewer (routes/scans.js)
+function cardScanUrl(baseUrl, cardId) {
+  return `${baseUrl}/c/${encodeURIComponent(cardId)}`;
+}
+
+module.exports = { renderQr, parseQrOptions, drawQrOnPdf, collectPdf, baseUrlOf, cardViewerUrl, cardScanUrl, FORMATS, MAX_DATA_LENGTH };
@@ -0,0 +1,161 @@
+// ↩️ Refunds - money back through Stripe, and the cards it paid for taken out of use
+//
+// Support refunds a whole order, or some of its cards by count. The refund goes through Stripe first;
+// then the refunded cards move to refunded (the viewer shows them as no longer available), the batch
+// gives up those cards and their allowance, a cards_refunded batch event is written and the buyer
+// gets a confirmation email. A full refund made in the Stripe dashboard does the same for the cards
+// still in use once its charge.refunded webhook arrives (see services/stripe-events.js).
+const { formatAmount } = require('./pricing');
+const { taxIn } = require('./sales-tax');
+
+const REFUNDABLE_STATES = ['paid', 'fulfilled'];
+
+function refundError(message, code, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+// What refunding `cards` of the order gives back: their share of the total, or all that is left
+// once the last cards go, so rounding never leaves cents behind
+function refundAmount(order, cards) {
+  const remainingCards = order.quantity - (order.cards_refunded || 0);
+  const remainingAmount = order.amount_total - (order.amount_refunded || 0);
+  if (cards >= remainingCards) return remainingAmount;
+  return Math.min(remainingAmount, Math.round(order.amount_total * cards / order.quantity));
+}
+
+function renderRefundEmail(order, { amount, cards }) {
+  const all = (order.cards_refunded || 0) >= order.quantity;
+  const tax = taxIn(order, amount);
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; color: #333;">
+      <h2 style="color: #BCAE83;">Your Papir refund</h2>
+      <p>We refunded <strong>${formatAmount(amount, order.currency)}</strong>${tax ? ` (including ${formatAmount(tax, order.currency)} ${order.tax_jurisdiction} sales tax)` : ''} for ${cards} card${cards === 1 ? '' : 's'} from your order.
+      It can take 5-10 business days to show on your statement.</p>
+      <p>${all ? 'The cards from this order' : 'The refunded cards'} can no longer be viewed.</p>
+      <p style="color: #666;">Order <strong>${order.order_id}</strong></p>
+    </div>
+  `;
+}
+
+function createRefunds({ storage, stripe, resend, orders, cardLifecycle, batchService }) {
+  // The order's cards still in use, in the order they get refunded: never-scanned cards first,
+  // then the most recently numbered
+  async function liveCards(order) {
+    const ids = order.card_ids || [];
+    if (ids.length === 0) return [];
+    const cards = await storage.cards.listByIds(ids, { columns: 'card_id, status, batch_order, scan_count' });
+    return cards
+      .filter(card => card.status === 'active' || card.status === 'pending')
+      .sort((a, b) => ((a.scan_count || 0) > 0) - ((b.scan_count || 0) > 0) || (b.batch_order || 0) - (a.batch_order || 0));
+  }
+
+  // Takes `count` of the order's cards out of use and the batch's counts down with them.
+  // Returns the IDs of the cards now refunded.
+  async function retireCards(req, order, count, { amount, refundId, source }) {
+    const picked = (await liveCards(order)).slice(0, count).map(card => card.card_id);
+    const metadata = { order_id: order.order_id, refund_id: refundId };
+    const { changed } = picked.length
+      ? await cardLifecycle.transitionMany(req, picked, 'refunded', { reason: 'order_refunded', metadata })
+      : { changed: [] };
+    const cardIds = changed.map(card => card.card_id);
+
+    const batch = order.batch_id ? await storage.batches.get(order.batch_id, 'batch_id, cards_created, max_cards_allowed') : null;
+    if (batch) {
+      await storage.batches.update(batch.batch_id, {
+        cards_created: Math.max(0, (batch.cards_created || 0) - cardIds.length),
+        max_cards_allowed: Math.max(0, (batch.max_cards_allowed || 0) - count),
+        updated_at: new Date().toISOString()
+      });
+      await batchService.recordEvent(req, batch.batch_id, 'cards_refunded', {
+        quantity: count,
+        metadata: { ...metadata, amount, currency: order.currency, card_ids: cardIds, source }
+      });
+    }
+    return cardIds;
+  }
+
+  // Email failures are logged; the refund has happened either way
+  async function notifyCustomer(order, refund) {
+    if (!order.customer_email) return;
+    try {
+      const { error } = await resend.emails.send({
+        from: 'Papir <noreply@papir.ca>',
+        to: order.customer_email,
+        subject: 'Your Papir refund',
+        html: renderRefundEmail(order, refund)
+      });
+      if (error) console.error(`❌ Refund email for ${order.order_id} failed:`, error);
+    } catch (error) {
+      console.error(`❌ Refund email for ${order.order_id} failed:`, error.message);
+    }
+  }
+
+  // cards: how many of the order's cards to refund (all that are left when not given)
+  async function refundOrder(req, orderId, { cards } = {}) {
+    const { order } = await orders.getOrder(orderId);
+    if (!REFUNDABLE_STATES.includes(order.status)) {
+      throw refundError(`Order ${orderId} is ${order.status} and can't be refunded`, 'not_refundable', 409);
+    }
+    if (!order.stripe_payment_intent_id) throw refundError(`Order ${orderId} has no Stripe payment`, 'no_payment', 409);
+
+    const refunded = order.cards_refunded || 0;
+    const remaining = order.quantity - refunded;
+    const count = cards === undefined || cards === null || cards === '' ? remaining : Number(cards);
+    if (!Number.isInteger(count) || count < 1 || count > remaining) {
+      throw refundError(`Refund between 1 and ${remaining} cards`, 'invalid_card_count');
+    }
+    const amount = refundAmount(order, count);
+
+    // Counting the cards as refunded before Stripe is asked means two refunds at once can't both take them
+    const [reserved] = await storage.orders.update(orderId, { cards_refunded: refunded + count }, { whereStatus: order.status, whereCardsRefunded: refunded });
+    if (!reserved) throw refundError(`Order ${orderId} changed while refunding, try again`, 'order_changed', 409);
+
+    let refund = null;
+    if (amount > 0) {
+      try {
+        refund = await stripe.refunds.create({
+          payment_intent: order.stripe_payment_intent_id,
+          amount,
+          metadata: { order_id: orderId, cards: String(count) }
+        }, { idempotencyKey: `refund-${orderId}-${refunded + count}` });
+      } catch (error) {
+        await storage.orders.update(orderId, { cards_refunded: refunded }, { whereCardsRefunded: refunded + count })
+          .catch(updateError => console.error('❌ Could not undo the refund count:', updateError));
+        throw refundError(`Stripe refused the refund: ${error.message}`, 'stripe_refund_failed', 502);
+      }
+    }
+
+    const cardIds = await retireCards(req, order, count, { amount, refundId: refund?.id || null, source: 'admin' });
+    const updated = await orders.recordRefund(reserved, {
+      amountRefunded: (order.amount_refunded || 0) + amount,
+      full: refunded + count === order.quantity
+    });
+    await notifyCustomer(updated, { amount, cards: count });
+    console.log(`↩️ Refunded ${count} cards (${amount} ${order.currency}) from ${orderId}`);
+    return { order: updated, refund: { refund_id: refund?.id || null, amount, cards: count, card_ids: cardIds } };
+  }
+
+  // charge.refunded: Stripe reports the total refunded so far. A full refund also takes the cards
+  // still in use out; a partial one made in the dashboard can't say which cards, so it is only recorded.
+  async function applyStripeRefund(req, order, charge) {
+    const full = charge.refunded === true;
+    const updated = await orders.recordRefund(order, { amountRefunded: charge.amount_refunded, full });
+    const refunded = order.cards_refunded || 0;
+    const left = order.quantity - refunded;
+    if (!full || left <= 0) return updated;
+
+    const [reserved] = await storage.orders.update(order.order_id, { cards_refunded: order.quantity }, { whereCardsRefunded: refunded });
+    if (!reserved) return storage.orders.get(order.order_id);
+    const amount = charge.amount_refunded - (order.amount_refunded || 0);
+    await retireCards(req, order, left, { amount, refundId: null, source: 'stripe' });
+    await notifyCustomer(reserved, { amount, cards: left });
+    return reserved;
+  }
+
+  return { refundOrder, applyStripeRefund };
+}
+
+module.exports = { createRefunds, refundAmount };
@@ -0,0 +1,79 @@
+// 🍁 Sales tax - GST/HST/PST by province, from the buyer's billing address
+// Canadian buyers pay the taxes of their province on the order after any promo discount; buyers
+// elsewhere pay none. Each tax is its own quote line (see pricing.withTax), so it reaches Stripe,
+// the order's items and the payment record as charged. A tax jurisdiction is "CA-ON" for a
+// province, or just the country outside Canada.
+const GST = { code: 'gst', name: 'GST', rate: 0.05 };
+const hst = rate => ({ code: 'hst', name: 'HST', rate });
+const pst = (rate, name = 'PST') => ({ code: 'pst', name, rate });
+
+// Rates as of 2026 (Nova Scotia's HST went to 14% in April 2025)
+const PROVINCE_TAXES = {
+  AB: [GST],
+  BC: [GST, pst(0.07)],
+  MB: [GST, pst(0.07, 'RST')],
+  NB: [hst(0.15)],
+  NL: [hst(0.15)],
+  NS: [hst(0.14)],
+  NT: [GST],
+  NU: [GST],
+  ON: [hst(0.13)],
+  PE: [hst(0.15)],
+  QC: [GST, pst(0.09975, 'QST')],
+  SK: [GST, pst(0.06)],
+  YT: [GST]
+};
+
+function taxError(message, code) {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = code;
+  return error;
+}
+
+// { country, region, postal_code } from what checkout sent; region is the province for Canada
+function parseBillingAddress(input) {
+  if (!input || typeof input !== 'object') throw taxError('A billing address is required', 'billing_address_required');
+  const address = {
+    country: String(input.country || '').trim().toUpperCase(),
+    region: String(input.region || input.state || '').trim().toUpperCase() || null,
+    postal_code: String(input.postal_code || '').trim().toUpperCase() || null
+  };
+  if (!/^[A-Z]{2}$/.test(address.country)) throw taxError('Billing country must be a two-letter country code', 'invalid_billing_address');
+  if (address.country === 'CA' && !PROVINCE_TAXES[address.region]) {
+    throw taxError('Choose the province of your billing address', 'invalid_billing_address');
+  }
+  return address;
+}
+
+function jurisdictionOf(address) {
+  return address.country === 'CA' ? `CA-${address.region}` : address.country;
+}
+
+// The taxes on `amount` cents billed to `address`, each rounded to the cent
+function taxesFor(amount, address) {
+  const rates = address.country === 'CA' ? PROVINCE_TAXES[address.region] : [];
+  return {
+    jurisdiction: jurisdictionOf(address),
+    taxes: rates.map(tax => ({ ...tax, amount: Math.round(amount * tax.rate) }))
+  };
+}
+
+// The sales tax inside `amount` of an order's total (a refund gives back its share of the tax)
+function taxIn(order, amount) {
+  return order.amount_total ? Math.round((order.tax_amount || 0) * amount / order.amount_total) : 0;
+}
+
+// The address an order is taxed at: the one checkout sent, else the printed cards' shipping address,
+// else (for cards added to a batch) the one the batch's last order was billed to.
+// Null when there is none and it isn't required (a price shown before checkout asks for one).
+async function billingAddressFor(storage, { billingAddress, shippingAddress, batchId, required = true }) {
+  if (billingAddress) return parseBillingAddress(billingAddress);
+  if (shippingAddress) return parseBillingAddress(shippingAddress);
+  const previous = batchId && storage ? await storage.orders.latestFor({ batchId }) : null;
+  if (previous?.billing_address) return previous.billing_address;
+  if (!required) return null;
+  throw taxError('A billing address is required', 'billing_address_required');
+}
+
+module.exports = { PROVINCE_TAXES, parseBillingAddress, jurisdictionOf, taxesFor, taxIn, billingAddressFor };
@@ -0,0 +1,103 @@
+// 📱 Scan sessions - scans counted on the server, not by viewer.html
+// A printed QR points at /c/:card_id. That request logs the scan (user agent, referrer, location),
+// bumps the card's scan_count and hands the browser a scan-session cookie before redirecting to
+// the viewer. The viewer then only reports that the session was opened; it never counts anything.
+// Every scan is logged, but bots and repeats from the same IP + user agent inside DEDUP_WINDOW_MS
+// are flagged instead of counted (see 012_scan_counting.sql).
+const crypto = require('crypto');
+const { getClientIp, getUserAgent } = require('../lib/client-ip');
+const { detectBot } = require('../lib/bot-agents');
+const { parseCookies } = require('./customer-accounts');
+const { locationColumns } = require('./activation-logger');
+
+const SCAN_SESSION_COOKIE = 'papir_scan';
+const SCAN_SESSION_TTL_MS = 30 * 60 * 1000;
+const DEDUP_WINDOW_MS = 30 * 60 * 1000;
+
+function newScanSessionId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// Same phone on the same network; hashed so the log can be matched without keeping another copy of both
+function scanFingerprint(ip, userAgent) {
+  return crypto.createHash('sha256').update(`${ip}|${userAgent}`).digest('hex').slice(0, 32);
+}
+
+function createScanSessions({ storage, config, geoEnrichment }) {
+  function cookieOptions() {
+    return {
+      httpOnly: true,
+      secure: config.nodeEnv !== 'development',
+      sameSite: 'lax',
+      path: '/',
+      maxAge: SCAN_SESSION_TTL_MS
+    };
+  }
+
+  // Logs one scan and returns { scanSessionId, counted, count }. counted is false for bots and
+  // duplicates; count is the card's total_scans after this scan (null if nothing was added).
+  async function recordScan(req, cardId, { source }) {
+    const now = new Date();
+    const clientIp = getClientIp(req);
+    const userAgent = getUserAgent(req);
+    const fingerprint = scanFingerprint(clientIp, userAgent);
+    const botName = detectBot(userAgent);
+    const last = botName ? null : await storage.scans.lastCounted(cardId, fingerprint);
+    const isDuplicate = !!last && now - new Date(last.scanned_at) < DEDUP_WINDOW_MS;
+    const isUnique = !botName && !last;
+
+    const scanSessionId = newScanSessionId();
+    await storage.scans.record({
+      card_id: cardId,
+      scan_session_id: scanSessionId,
+      source: source,
+      ip_address: clientIp,
+      user_agent: userAgent,
+      referrer: req.get('referer') ? req.get('referer').slice(0, 500) : null,
+      fingerprint: fingerprint,
+      is_bot: !!botName,
+      bot_name: botName,
+      is_duplicate: isDuplicate,
+      is_unique: isUnique,
+      scanned_at: now.toISOString()
+    });
+    // Bots are located too - knowing where the preview fetchers come from is half the point of logging them
+    geoEnrichment.enrich(clientIp, location => {
+      const { location_data, city, country, region } = locationColumns(location);
+      return storage.scans.setLocation(scanSessionId, { location_data, city, country, region });
+    });
+    if (botName || isDuplicate) {
+      console.log(`🤖 Scan of ${cardId} not counted (${botName ? `bot: ${botName}` : 'duplicate'})`);
+      return { scanSessionId, counted: false, count: null };
+    }
+    const counters = await storage.cards.incrementScans(cardId, { unique: isUnique });
+    return { scanSessionId, counted: true, count: counters ? counters.total_scans : null };
+  }
+
+  // GET /c/:card_id - the scan itself
+  async function scan(req, res, cardId) {
+    const scanned = await recordScan(req, cardId, { source: 'redirect' });
+    res.cookie(SCAN_SESSION_COOKIE, scanned.scanSessionId, cookieOptions());
+    return scanned;
+  }
+
+  // The viewer showed the card. With this card's scan session, the scan was already counted at
+  // /c/ and only opened_at is set. Without one (an old viewer.html QR, or a shared link) the open
+  // is the scan, so it is logged here and gets its own session - a reload then counts nothing.
+  async function opened(req, res, cardId) {
+    const sessionId = parseCookies(req)[SCAN_SESSION_COOKIE];
+    const session = sessionId ? await storage.scans.getBySession(sessionId, 'scan_session_id, card_id, opened_at') : null;
+    if (session && session.card_id === cardId) {
+      if (!session.opened_at) await storage.scans.markOpened(sessionId, new Date().toISOString());
+      return { counted: false, scanSessionId: sessionId };
+    }
+    const scanned = await recordScan(req, cardId, { source: 'viewer' });
+    await storage.scans.markOpened(scanned.scanSessionId, new Date().toISOString());
+    res.cookie(SCAN_SESSION_COOKIE, scanned.scanSessionId, cookieOptions());
+    return scanned;
+  }
+
+  return { scan, opened };
+}
+
+module.exports = { createScanSessions, scanFingerprint, SCAN_SESSION_COOKIE, DEDUP_WINDOW_MS };
@@ -0,0 +1,153 @@
+// 📨 Stripe events - what /api/webhook does with each verified event
+//
+// Every event is stored by its Stripe event ID before it is handled, so a redelivery of an event
+// that was already handled is answered straight away and nothing runs twice:
+//
+//   received ─▶ processing ─▶ processed | ignored
+//                  └──▶ failed ─▶ processing (Stripe retrying, or a support admin)
+//
+// A failed event keeps its error and makes the webhook answer 500, so Stripe retries it too.
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+function eventError(message, code, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function createStripeEvents({ storage, orders, refunds }) {
+  // Each handler gets the event's data.object and returns the order it touched (or null)
+  const HANDLERS = {
+    async 'payment_intent.succeeded'(req, paymentIntent) {
+      const order = await orders.findForPayment({ orderId: paymentIntent.metadata?.order_id, paymentIntentId: paymentIntent.id });
+      if (!order) {
+        // Payments started before orders existed
+        await storage.payments.markCompletedByIntent(paymentIntent.id);
+        console.error(`❌ Webhook: no order for payment ${paymentIntent.id}`);
+        return null;
+      }
+      // Confirming checks the payment with Stripe, marks the order paid and fulfills it
+      return orders.confirm(req, order);
+    },
+
+    // Hosted checkout also sends payment_intent.succeeded; whichever arrives first does the work.
+    // This one brings the shipping address and email the buyer entered on Stripe's page.
+    async 'checkout.session.completed'(req, session) {
+      const order = await orders.findForPayment({ orderId: session.metadata?.order_id, sessionId: session.id });
+      if (!order) {
+        console.error(`❌ Webhook: no order for checkout session ${session.id}`);
+        return null;
+      }
+      return orders.confirm(req, order);
+    },
+
+    async 'payment_intent.payment_failed'(req, paymentIntent) {
+      await storage.payments.markFailedByIntent(paymentIntent.id);
+      const order = await orders.findForPayment({ orderId: paymentIntent.metadata?.order_id, paymentIntentId: paymentIntent.id });
+      if (!order) return null;
+      return orders.recordPaymentFailure(order, paymentIntent.last_payment_error?.message || 'Payment failed');
+    },
+
+    async 'charge.refunded'(req, charge) {
+      const order = charge.payment_intent ? await orders.findForPayment({ paymentIntentId: charge.payment_intent }) : null;
+      if (!order) {
+        console.error(`❌ Webhook: no order for refunded charge ${charge.id}`);
+        return null;
+      }
+      return refunds.applyStripeRefund(req, order, charge);
+    },
+
+    async 'charge.dispute.created'(req, dispute) {
+      const order = dispute.payment_intent ? await orders.findForPayment({ paymentIntentId: dispute.payment_intent }) : null;
+      if (!order) {
+        console.error(`❌ Webhook: no order for disputed charge ${dispute.charge}`);
+        return null;
+      }
+      return orders.recordDispute(order, { disputeId: dispute.id, status: dispute.status, reason: dispute.reason });
+    }
+  };
+
+  // Stores the event the first time it arrives; returns the stored row either way
+  async function record(event, at = new Date()) {
+    try {
+      return await storage.stripeEvents.create({
+        event_id: event.id,
+        type: event.type,
+        livemode: event.livemode === true,
+        status: 'received',
+        attempts: 0,
+        payload: event,
+        stripe_created_at: event.created ? new Date(event.created * 1000).toISOString() : null,
+        received_at: at.toISOString(),
+        updated_at: at.toISOString()
+      });
+    } catch (error) {
+      if (error.code !== '23505') throw error;
+      return storage.stripeEvents.get(event.id);
+    }
+  }
+
+  // Runs the event's handler if this call gets to claim it. Returns { event, handled }; handled is
+  // false when it was already done or another process is on it. Throws the handler's error.
+  async function handle(req, eventId, at = new Date()) {
+    const [claimed] = await storage.stripeEvents.claim(eventId, { at, staleBefore: new Date(at.getTime() - STALE_CLAIM_MS) });
+    if (!claimed) return { event: await storage.stripeEvents.get(eventId), handled: false };
+
+    const attempts = (claimed.attempts || 0) + 1;
+    const handler = HANDLERS[claimed.type];
+    if (!handler) {
+      const [ignored] = await storage.stripeEvents.update(eventId, { status: 'ignored', attempts, processed_at: new Date().toISOString() });
+      return { event: ignored, handled: true };
+    }
+    try {
+      const order = await handler(req, claimed.payload.data.object);
+      const [processed] = await storage.stripeEvents.update(eventId, {
+        status: 'processed',
+        attempts,
+        last_error: null,
+        order_id: order?.order_id || null,
+        processed_at: new Date().toISOString()
+      });
+      console.log(`📨 Stripe event ${eventId} (${claimed.type}) processed`);
+      return { event: processed, handled: true };
+    } catch (error) {
+      console.error(`❌ Stripe event ${eventId} (${claimed.type}) failed:`, error.message);
+      await storage.stripeEvents.update(eventId, { status: 'failed', attempts, last_error: error.message })
+        .catch(updateError => console.error('❌ Could not record the event failure:', updateError));
+      throw error;
+    }
+  }
+
+  // A verified event from /api/webhook. Only a finished event is a duplicate: one another delivery
+  // is still working on throws a 409, so Stripe delivers it again in case that attempt fails.
+  async function receive(req, event) {
+    const stored = await record(event);
+    if (stored.status === 'processed' || stored.status === 'ignored') {
+      console.log(`📨 Stripe event ${event.id} (${event.type}) already handled`);
+      return { event: stored, handled: false };
+    }
+    const result = await handle(req, stored.event_id);
+    if (!result.handled && result.event.status !== 'processed' && result.event.status !== 'ignored') {
+      throw eventError(`Stripe event ${event.id} is still being handled`, 'event_in_progress', 409);
+    }
+    return result;
+  }
+
+  // Admin running a failed event again, from the payload stored when it arrived
+  async function retry(req, eventId) {
+    const stored = await storage.stripeEvents.get(eventId);
+    if (!stored) throw eventError(`Stripe event not found: ${eventId}`, 'event_not_found', 404);
+    const result = await handle(req, eventId);
+    if (!result.handled) throw eventError(`Stripe event ${eventId} is ${result.event.status}, only failed events can be retried`, 'event_not_retryable', 409);
+    return result.event;
+  }
+
+  function listEvents({ status, type } = {}) {
+    return storage.stripeEvents.list({ status, type });
+  }
+
+  return { receive, retry, listEvents };
+}
+
+module.exports = { createStripeEvents };
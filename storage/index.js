@@ -0,0 +1,88 @@
+// 🗄️ Storage layer - repositories over Supabase or an in-process local backend
+//
+//   STORAGE_BACKEND=supabase (default)  SUPABASE_URL + SUPABASE_SERVICE_KEY, media in SUPABASE_STORAGE_BUCKET
+//   STORAGE_BACKEND=local               in-memory tables (persisted to LOCAL_DATA_FILE if set),
+//                                       media written to LOCAL_MEDIA_DIR and served from /local-media
+const path = require('path');
+const { MemoryClient } = require('./memory-client');
+const { createSupabaseMedia, createLocalMedia } = require('./media');
+const { createCardsRepository } = require('./repositories/cards');
+const { createBatchesRepository } = require('./repositories/batches');
+const { createEventsRepository } = require('./repositories/events');
+const { createActivationsRepository } = require('./repositories/activations');
+const { createScansRepository } = require('./repositories/scans');
+const { createPaymentsRepository } = require('./repositories/payments');
+const { createCodesRepository } = require('./repositories/codes');
+const { createAdminUsersRepository, createAuditLogRepository } = require('./repositories/admin');
+const { createCustomersRepository } = require('./repositories/customers');
+const { createLockoutsRepository } = require('./repositories/lockouts');
+const { createCardTransitionsRepository } = require('./repositories/transitions');
+const { createSuspiciousActivationsRepository } = require('./repositories/suspicious');
+const { createRunsRepository } = require('./repositories/runs');
+const { createFulfillmentsRepository, createFulfillmentEventsRepository } = require('./repositories/fulfillments');
+const { createOrdersRepository, createOrderItemsRepository } = require('./repositories/orders');
+const { createStripeEventsRepository } = require('./repositories/stripe-events');
+const { createPromoCodesRepository, createPromoRedemptionsRepository } = require('./repositories/promotions');
+
+function buildRepositories(db, media, backend) {
+  return {
+    backend,
+    media,
+    cards: createCardsRepository(db),
+    cardTransitions: createCardTransitionsRepository(db),
+    batches: createBatchesRepository(db),
+    runs: createRunsRepository(db),
+    events: createEventsRepository(db),
+    activations: createActivationsRepository(db),
+    suspiciousActivations: createSuspiciousActivationsRepository(db),
+    scans: createScansRepository(db),
+    payments: createPaymentsRepository(db),
+    orders: createOrdersRepository(db),
+    orderItems: createOrderItemsRepository(db),
+    stripeEvents: createStripeEventsRepository(db),
+    promoCodes: createPromoCodesRepository(db),
+    promoRedemptions: createPromoRedemptionsRepository(db),
+    fulfillments: createFulfillmentsRepository(db),
+    fulfillmentEvents: createFulfillmentEventsRepository(db),
+    codes: createCodesRepository(db),
+    adminUsers: createAdminUsersRepository(db),
+    auditLog: createAuditLogRepository(db),
+    customers: createCustomersRepository(db),
+    lockouts: createLockoutsRepository(db)
+  };
+}
+
+function createLocalStorage({ dataFile = null, mediaDir = path.join(process.cwd(), 'local-data', 'media') } = {}) {
+  return buildRepositories(new MemoryClient({ dataFile }), createLocalMedia(mediaDir), 'local');
+}
+
+function createSupabaseStorage({ url, key, bucket = 'cards-media' }) {
+  const { createClient } = require('@supabase/supabase-js');
+  const client = createClient(url, key, {
+    auth: {
+      autoRefreshToken: false,
+      persistSession: false
+    }
+  });
+  return buildRepositories(client, createSupabaseMedia(client, bucket), 'supabase');
+}
+
+// Returns null when the Supabase backend is selected but not configured
+function createStorage(env = process.env) {
+  const backend = (env.STORAGE_BACKEND || 'supabase').toLowerCase();
+  if (backend === 'local') {
+    return createLocalStorage({
+      dataFile: env.LOCAL_DATA_FILE || null,
+      mediaDir: env.LOCAL_MEDIA_DIR || undefined
+    });
+  }
+  if (backend !== 'supabase') throw new Error(`Unknown STORAGE_BACKEND "${env.STORAGE_BACKEND}" (use supabase or local)`);
+  if (!env.SUPABASE_URL || !env.SUPABASE_SERVICE_KEY) return null;
+  return createSupabaseStorage({
+    url: env.SUPABASE_URL,
+    key: env.SUPABASE_SERVICE_KEY,
+    bucket: env.SUPABASE_STORAGE_BUCKET || 'cards-media'
+  });
+}
+
+module.exports = { createStorage, createLocalStorage, createSupabaseStorage };
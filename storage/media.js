@@ -0,0 +1,45 @@
+// 🖼️ Media storage - Supabase Storage bucket or a local directory served by Express
+const fs = require('fs');
+const path = require('path');
+
+function createSupabaseMedia(client, bucket) {
+  return {
+    backend: 'supabase',
+    bucket,
+    async upload(filePath, buffer, { contentType, upsert = false } = {}) {
+      const { error } = await client.storage.from(bucket).upload(filePath, buffer, { contentType, upsert });
+      if (error) throw error;
+      return this.publicUrl(filePath);
+    },
+    publicUrl(filePath) {
+      return client.storage.from(bucket).getPublicUrl(filePath).data.publicUrl;
+    }
+  };
+}
+
+// Files land in `dir` and are served from `urlPrefix` (see server.js)
+function createLocalMedia(dir, urlPrefix = '/local-media') {
+  const root = path.resolve(dir);
+  function resolveInside(filePath) {
+    const target = path.resolve(root, filePath);
+    if (!target.startsWith(root + path.sep)) throw new Error(`Invalid media path: ${filePath}`);
+    return target;
+  }
+  return {
+    backend: 'local',
+    dir: root,
+    urlPrefix,
+    async upload(filePath, buffer, { upsert = false } = {}) {
+      const target = resolveInside(filePath);
+      if (!upsert && fs.existsSync(target)) throw new Error('The resource already exists');
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, buffer);
+      return this.publicUrl(filePath);
+    },
+    publicUrl(filePath) {
+      return `${urlPrefix}/${filePath.split('/').map(encodeURIComponent).join('/')}`;
+    }
+  };
+}
+
+module.exports = { createSupabaseMedia, createLocalMedia };
@@ -0,0 +1,357 @@
+// 🧪 In-process stand-in for the Supabase query builder
+// Implements the subset of PostgREST calls the repositories use (filters, order,
+// range, single/maybeSingle, insert/update/upsert/delete, exact counts, rpc) over plain
+// arrays, optionally persisted to a JSON file between restarts.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Unique columns enforced like the Postgres constraints (error code 23505)
+const UNIQUE_KEYS = {
+  cards: ['card_id'],
+  batches: ['batch_id'],
+  manufacturing_runs: ['run_id'],
+  fulfillments: ['fulfillment_id', 'stripe_payment_intent_id', 'stripe_session_id'],
+  orders: ['order_id', 'stripe_payment_intent_id', 'stripe_session_id'],
+  stripe_events: ['event_id'],
+  promo_codes: ['code'],
+  promo_redemptions: ['order_id'],
+  scan_logs: ['scan_session_id'],
+  admin_users: ['username'],
+  customers: ['email'],
+  customer_sessions: ['sid'],
+  customer_login_links: ['token_hash'],
+  verification_codes: ['email']
+};
+
+// Postgres functions from supabase/migrations, run against the same in-memory tables
+const FUNCTIONS = {
+  // 012_scan_counting.sql
+  increment_card_scans(client, { p_card_id, p_unique }) {
+    const card = client.rows('cards').find(row => row.card_id === p_card_id);
+    if (!card) return [];
+    card.total_scans = (card.total_scans || 0) + 1;
+    card.unique_scans = (card.unique_scans || 0) + (p_unique ? 1 : 0);
+    card.scan_count = card.total_scans;
+    return [{ total_scans: card.total_scans, unique_scans: card.unique_scans }];
+  },
+
+  // 020_claim_pin_attempts.sql
+  record_wrong_claim_pin(client, { p_card_id, p_max_attempts, p_now, p_lock_base_ms, p_lock_max_ms }) {
+    const card = client.rows('cards').find(row => row.card_id === p_card_id && row.status === 'pending');
+    if (!card) return [];
+    const attempts = (card.claim_failed_attempts || 0) + 1;
+    if (attempts >= p_max_attempts) {
+      const lockMs = Math.min(p_lock_base_ms * Math.pow(2, card.claim_lockout_count || 0), p_lock_max_ms);
+      card.claim_failed_attempts = 0;
+      card.claim_lockout_count = (card.claim_lockout_count || 0) + 1;
+      card.claim_locked_until = new Date(new Date(p_now).getTime() + lockMs).toISOString();
+    } else {
+      card.claim_failed_attempts = attempts;
+    }
+    return [{ claim_failed_attempts: card.claim_failed_attempts, claim_lockout_count: card.claim_lockout_count, claim_locked_until: card.claim_locked_until || null }];
+  },
+
+  // 021_verification_code_attempts.sql
+  record_wrong_verification_code(client, { p_email, p_code_hash, p_max_attempts, p_now, p_lock_base_ms, p_lock_max_ms }) {
+    const record = client.rows('verification_codes').find(row => row.email === p_email && row.code_hash === p_code_hash);
+    if (!record || !p_code_hash) return [];
+    record.failed_attempts = (record.failed_attempts || 0) + 1;
+    if (record.failed_attempts >= p_max_attempts) {
+      const lockMs = Math.min(p_lock_base_ms * Math.pow(2, record.lockout_count || 0), p_lock_max_ms);
+      record.code_hash = null;
+      record.lockout_count = (record.lockout_count || 0) + 1;
+      record.locked_until = new Date(new Date(p_now).getTime() + lockMs).toISOString();
+    }
+    return [{ failed_attempts: record.failed_attempts, lockout_count: record.lockout_count, locked_until: record.locked_until || null }];
+  },
+
+  // 022_promo_reservations.sql
+  reserve_promo_redemption(client, { p_code, p_order_id, p_customer_email, p_discount_amount, p_amount_total, p_currency, p_now, p_hold_since }) {
+    const promo = client.rows('promo_codes').find(row => row.code === p_code);
+    if (!promo) return 'promo_not_found';
+    const holding = client.rows('promo_redemptions')
+      .filter(row => row.code === p_code && (row.status === 'redeemed' || row.created_at >= p_hold_since));
+    if (promo.max_redemptions && holding.length >= promo.max_redemptions) return 'promo_exhausted';
+    if (promo.max_per_email && holding.filter(row => row.customer_email === p_customer_email).length >= promo.max_per_email) {
+      return 'promo_email_limit';
+    }
+    client.rows('promo_redemptions').push({
+      id: crypto.randomUUID(),
+      code: p_code,
+      order_id: p_order_id,
+      customer_email: p_customer_email,
+      discount_amount: p_discount_amount,
+      amount_total: p_amount_total,
+      currency: p_currency,
+      status: 'pending',
+      created_at: p_now,
+      redeemed_at: null
+    });
+    return null;
+  }
+};
+
+function dbError(code, message) {
+  return { code, message, details: null, hint: null };
+}
+
+function project(row, columns) {
+  if (!columns || columns.trim() === '*') return { ...row };
+  const out = {};
+  columns.split(',').map(c => c.trim()).filter(Boolean).forEach(column => {
+    out[column] = row[column] === undefined ? null : row[column];
+  });
+  return out;
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1; // nulls last, like Postgres ascending
+  if (b === null || b === undefined) return -1;
+  return a < b ? -1 : 1;
+}
+
+class MemoryQuery {
+  constructor(client, table) {
+    this.client = client;
+    this.table = table;
+    this.action = 'select';
+    this.columns = '*';
+    this.returning = false;
+    this.filters = [];
+    this.orders = [];
+    this.rangeFrom = 0;
+    this.rangeTo = null;
+    this.countMode = null;
+    this.head = false;
+    this.mode = 'many';
+  }
+
+  select(columns = '*', options = {}) {
+    if (this.action === 'select') {
+      this.columns = columns;
+      this.countMode = options.count || null;
+      this.head = !!options.head;
+    } else {
+      this.returning = true;
+      this.columns = columns;
+    }
+    return this;
+  }
+
+  insert(rows) {
+    this.action = 'insert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  upsert(rows, options = {}) {
+    this.action = 'upsert';
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    this.onConflict = (options.onConflict || 'id').split(',').map(c => c.trim());
+    return this;
+  }
+
+  update(patch) {
+    this.action = 'update';
+    this.payload = patch;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  eq(column, value) { this.filters.push(row => row[column] === value); return this; }
+  neq(column, value) { this.filters.push(row => row[column] !== value); return this; }
+  gt(column, value) { this.filters.push(row => row[column] !== null && row[column] !== undefined && row[column] > value); return this; }
+  gte(column, value) { this.filters.push(row => row[column] !== null && row[column] !== undefined && row[column] >= value); return this; }
+  lt(column, value) { this.filters.push(row => row[column] !== null && row[column] !== undefined && row[column] < value); return this; }
+  lte(column, value) { this.filters.push(row => row[column] !== null && row[column] !== undefined && row[column] <= value); return this; }
+  in(column, values) { this.filters.push(row => values.includes(row[column])); return this; }
+
+  is(column, value) {
+    this.filters.push(row => (value === null ? row[column] === null || row[column] === undefined : row[column] === value));
+    return this;
+  }
+
+  not(column, operator, value) {
+    if (operator !== 'is') throw new Error(`MemoryQuery.not: unsupported operator ${operator}`);
+    this.filters.push(row => !(value === null ? row[column] === null || row[column] === undefined : row[column] === value));
+    return this;
+  }
+
+  contains(column, values) {
+    this.filters.push(row => Array.isArray(row[column]) && values.every(v => row[column].includes(v)));
+    return this;
+  }
+
+  order(column, options = {}) {
+    this.orders.push({ column, ascending: options.ascending !== false });
+    return this;
+  }
+
+  limit(count) {
+    this.rangeTo = this.rangeFrom + count - 1;
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeFrom = from;
+    this.rangeTo = to;
+    return this;
+  }
+
+  single() { this.mode = 'single'; return this; }
+  maybeSingle() { this.mode = 'maybeSingle'; return this; }
+
+  then(resolve, reject) {
+    let result;
+    try {
+      result = this.execute();
+    } catch (error) {
+      result = { data: null, error: dbError('MEMORY', error.message), count: null };
+    }
+    return Promise.resolve(result).then(resolve, reject);
+  }
+
+  matching() {
+    return this.client.rows(this.table).filter(row => this.filters.every(f => f(row)));
+  }
+
+  finish(rows, count = null) {
+    if (this.orders.length > 0) {
+      rows = rows.slice().sort((a, b) => {
+        for (const { column, ascending } of this.orders) {
+          const result = compare(a[column], b[column]);
+          if (result !== 0) return ascending ? result : -result;
+        }
+        return 0;
+      });
+    }
+    if (this.rangeTo !== null || this.rangeFrom > 0) {
+      rows = rows.slice(this.rangeFrom, this.rangeTo === null ? undefined : this.rangeTo + 1);
+    }
+    const data = rows.map(row => project(row, this.columns));
+    if (this.mode === 'single') {
+      if (data.length !== 1) {
+        return { data: null, error: dbError('PGRST116', `JSON object requested, multiple (or no) rows returned (${data.length})`), count };
+      }
+      return { data: data[0], error: null, count };
+    }
+    if (this.mode === 'maybeSingle') {
+      if (data.length > 1) return { data: null, error: dbError('PGRST116', 'Multiple rows returned'), count };
+      return { data: data[0] || null, error: null, count };
+    }
+    return { data, error: null, count };
+  }
+
+  conflictFor(row, ignore = null) {
+    const keys = UNIQUE_KEYS[this.table] || [];
+    return keys.find(key => row[key] !== undefined && row[key] !== null &&
+      this.client.rows(this.table).some(existing => existing !== ignore && existing[key] === row[key]));
+  }
+
+  execute() {
+    const table = this.client.rows(this.table);
+
+    if (this.action === 'select') {
+      const rows = this.matching();
+      const count = this.countMode ? rows.length : null;
+      if (this.head) return { data: null, error: null, count };
+      return this.finish(rows, count);
+    }
+
+    if (this.action === 'insert') {
+      const inserted = [];
+      for (const input of this.payload) {
+        const row = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...input };
+        const conflict = this.conflictFor(row);
+        if (conflict) {
+          table.splice(table.length - inserted.length, inserted.length);
+          return { data: null, error: dbError('23505', `duplicate key value violates unique constraint "${this.table}_${conflict}_key"`) };
+        }
+        table.push(row);
+        inserted.push(row);
+      }
+      this.client.persist();
+      return this.returning ? this.finish(inserted) : { data: null, error: null };
+    }
+
+    if (this.action === 'upsert') {
+      const written = [];
+      for (const input of this.payload) {
+        const existing = table.find(row => this.onConflict.every(key => row[key] === input[key]));
+        if (existing) {
+          Object.assign(existing, input);
+          written.push(existing);
+        } else {
+          const row = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...input };
+          table.push(row);
+          written.push(row);
+        }
+      }
+      this.client.persist();
+      return this.returning ? this.finish(written) : { data: null, error: null };
+    }
+
+    if (this.action === 'update') {
+      const rows = this.matching();
+      for (const row of rows) {
+        const conflict = this.conflictFor({ ...row, ...this.payload }, row);
+        if (conflict && this.payload[conflict] !== undefined) {
+          return { data: null, error: dbError('23505', `duplicate key value violates unique constraint "${this.table}_${conflict}_key"`) };
+        }
+      }
+      rows.forEach(row => Object.assign(row, this.payload));
+      this.client.persist();
+      return this.returning ? this.finish(rows) : { data: null, error: null };
+    }
+
+    if (this.action === 'delete') {
+      const rows = this.matching();
+      this.client.tables[this.table] = table.filter(row => !rows.includes(row));
+      this.client.persist();
+      return this.returning ? this.finish(rows) : { data: null, error: null };
+    }
+
+    throw new Error(`MemoryQuery: unknown action ${this.action}`);
+  }
+}
+
+class MemoryClient {
+  constructor({ dataFile = null } = {}) {
+    this.dataFile = dataFile;
+    this.tables = {};
+    if (dataFile && fs.existsSync(dataFile)) {
+      this.tables = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
+    }
+  }
+
+  from(table) {
+    return new MemoryQuery(this, table);
+  }
+
+  rows(table) {
+    if (!this.tables[table]) this.tables[table] = [];
+    return this.tables[table];
+  }
+
+  rpc(name, params = {}) {
+    const fn = FUNCTIONS[name];
+    if (!fn) return Promise.resolve({ data: null, error: dbError('PGRST202', `Could not find the function ${name}`) });
+    const data = fn(this, params);
+    this.persist();
+    return Promise.resolve({ data, error: null });
+  }
+
+  persist() {
+    if (!this.dataFile) return;
+    fs.mkdirSync(path.dirname(this.dataFile), { recursive: true });
+    fs.writeFileSync(this.dataFile, JSON.stringify(this.tables));
+  }
+}
+
+module.exports = { MemoryClient };
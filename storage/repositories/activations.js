@@ -0,0 +1,26 @@
+// ✅ card_activations - one row each time a card goes live, with where it happened
+const { run } = require('./run');
+
+function createActivationsRepository(db) {
+  return {
+    // Accepts one record or an array; returns the new rows' ids
+    record(records) {
+      return run(db.from('card_activations').insert(records).select('id')).then(rows => rows || []);
+    },
+
+    // Location columns filled in after the fact by services/geo-enrichment.js
+    setLocation(ids, location) {
+      return run(db.from('card_activations').update(location).in('id', ids));
+    },
+
+    list({ columns = '*', since, limit } = {}) {
+      let query = db.from('card_activations').select(columns);
+      if (since) query = query.gte('activated_at', since);
+      query = query.order('activated_at', { ascending: false });
+      if (limit) query = query.limit(limit);
+      return run(query).then(rows => rows || []);
+    }
+  };
+}
+
+module.exports = { createActivationsRepository };
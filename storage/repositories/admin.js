@@ -0,0 +1,47 @@
+// 🔐 admin_users and the append-only admin_audit_log
+const { run } = require('./run');
+
+function createAdminUsersRepository(db) {
+  return {
+    get(username) {
+      return run(db.from('admin_users').select('*').eq('username', username).maybeSingle());
+    },
+
+    list(columns = '*') {
+      return run(db.from('admin_users').select(columns).order('created_at', { ascending: true })).then(rows => rows || []);
+    },
+
+    create(user) {
+      return run(db.from('admin_users').insert(user).select().single());
+    },
+
+    update(username, patch) {
+      return run(db.from('admin_users').update(patch).eq('username', username).select().single());
+    }
+  };
+}
+
+function createAuditLogRepository(db) {
+  return {
+    append(entry) {
+      return run(db.from('admin_audit_log').insert(entry));
+    },
+
+    // Returns { entries, total } newest first
+    async list({ actor, action, cardId, since, limit = 50, offset = 0 } = {}) {
+      let query = db.from('admin_audit_log')
+        .select('*', { count: 'exact' })
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+      if (actor) query = query.eq('actor', actor);
+      if (action) query = query.eq('action', action);
+      if (cardId) query = query.contains('card_ids', [cardId]);
+      if (since) query = query.gte('created_at', since);
+      const { data, error, count } = await query;
+      if (error) throw error;
+      return { entries: data || [], total: count || 0 };
+    }
+  };
+}
+
+module.exports = { createAdminUsersRepository, createAuditLogRepository };
@@ -0,0 +1,52 @@
+// 📦 batches - multi-card orders sharing one design
+const { run } = require('./run');
+
+function createBatchesRepository(db) {
+  return {
+    get(batchId, columns = '*') {
+      return run(db.from('batches').select(columns).eq('batch_id', batchId).maybeSingle());
+    },
+
+    async exists(batchId) {
+      return !!(await this.get(batchId, 'batch_id'));
+    },
+
+    // Throws the database error on failure; code '23505' means the batch_id is taken
+    create(record) {
+      return run(db.from('batches').insert(record).select().single());
+    },
+
+    update(batchId, patch) {
+      return run(db.from('batches').update(patch).eq('batch_id', batchId).select()).then(rows => rows || []);
+    },
+
+    listByIds(batchIds, columns = '*') {
+      if (!batchIds || batchIds.length === 0) return Promise.resolve([]);
+      return run(db.from('batches').select(columns)
+        .in('batch_id', batchIds)
+        .order('created_at', { ascending: false })).then(rows => rows || []);
+    },
+
+    listByCustomer(customerId, columns = 'batch_id') {
+      return run(db.from('batches').select(columns).eq('customer_id', customerId)).then(rows => rows || []);
+    },
+
+    listCreatedBetween(from, to, columns = '*') {
+      return run(db.from('batches').select(columns)
+        .gte('created_at', from)
+        .lte('created_at', to)
+        .order('created_at', { ascending: false })).then(rows => rows || []);
+    },
+
+    // Only fills customer_id where no account owns the batch yet
+    claimForCustomer(batchIds, customerId) {
+      if (!batchIds || batchIds.length === 0) return Promise.resolve([]);
+      return run(db.from('batches').update({ customer_id: customerId })
+        .in('batch_id', batchIds)
+        .is('customer_id', null)
+        .select('batch_id')).then(rows => rows || []);
+    }
+  };
+}
+
+module.exports = { createBatchesRepository };
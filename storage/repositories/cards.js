@@ -0,0 +1,143 @@
+// 🃏 cards - one row per card (e-card, physical card, or a batch's design template)
+const { run, runCount } = require('./run');
+
+const RUN_PAGE_SIZE = 1000;
+
+function createCardsRepository(db) {
+  return {
+    get(cardId, columns = '*') {
+      return run(db.from('cards').select(columns).eq('card_id', cardId).maybeSingle());
+    },
+
+    // Filters: status, batchId, createdBefore, deadlineBefore (activation_deadline), withoutDeadline;
+    // order defaults to newest first
+    list({ columns = '*', status, batchId, createdBefore, deadlineBefore, withoutDeadline, limit, orderBy = 'created_at', ascending = false } = {}) {
+      let query = db.from('cards').select(columns);
+      if (status) query = query.eq('status', status);
+      if (batchId) query = query.eq('batch_id', batchId);
+      if (createdBefore) query = query.lt('created_at', createdBefore);
+      if (deadlineBefore) query = query.lt('activation_deadline', deadlineBefore);
+      if (withoutDeadline) query = query.is('activation_deadline', null);
+      query = query.order(orderBy, { ascending });
+      if (limit) query = query.limit(limit);
+      return run(query).then(rows => rows || []);
+    },
+
+    count({ status } = {}) {
+      let query = db.from('cards').select('*', { count: 'exact', head: true });
+      if (status) query = query.eq('status', status);
+      return runCount(query);
+    },
+
+    listByIds(cardIds, { columns = '*', excludeStatus } = {}) {
+      if (!cardIds || cardIds.length === 0) return Promise.resolve([]);
+      let query = db.from('cards').select(columns).in('card_id', cardIds);
+      if (excludeStatus) query = query.neq('status', excludeStatus);
+      return run(query.order('created_at', { ascending: false })).then(rows => rows || []);
+    },
+
+    // Cards of a batch in batch_order; templates: true = only, false = exclude
+    listByBatch(batchId, { columns = '*', status, excludeStatus, templates, ascending = true } = {}) {
+      let query = db.from('cards').select(columns).eq('batch_id', batchId);
+      if (status) query = query.eq('status', status);
+      if (excludeStatus) query = query.neq('status', excludeStatus);
+      if (templates !== undefined) query = query.eq('is_batch_template', templates);
+      return run(query.order('batch_order', { ascending })).then(rows => rows || []);
+    },
+
+    // Cards printed in a manufacturing run, oldest first. Runs outgrow PostgREST's
+    // 1000-row response cap, so they are read a page at a time.
+    async listByRun(runId, { columns = '*', status } = {}) {
+      const rows = [];
+      for (let from = 0; ; from += RUN_PAGE_SIZE) {
+        let query = db.from('cards').select(columns).eq('run_id', runId);
+        if (status) query = query.eq('status', status);
+        const page = await run(query.order('created_at', { ascending: true }).order('card_id', { ascending: true })
+          .range(from, from + RUN_PAGE_SIZE - 1)) || [];
+        rows.push(...page);
+        if (page.length < RUN_PAGE_SIZE) return rows;
+      }
+    },
+
+    // Single cards (no batch) attached to a customer account
+    listSinglesByCustomer(customerId, columns = 'card_id') {
+      return run(db.from('cards').select(columns).eq('customer_id', customerId).is('batch_id', null)).then(rows => rows || []);
+    },
+
+    // The unpaid design template saved for a batch at checkout
+    findDraftTemplate(batchId) {
+      return run(db.from('cards').select('*')
+        .eq('batch_id', batchId)
+        .eq('is_batch_template', true)
+        .eq('status', 'draft')
+        .limit(1)).then(rows => (rows && rows[0]) || null);
+    },
+
+    async hasActiveInBatch(batchId) {
+      const rows = await run(db.from('cards').select('card_id').eq('batch_id', batchId).eq('status', 'active').limit(1));
+      return !!(rows && rows.length > 0);
+    },
+
+    async maxBatchOrder(batchId) {
+      const rows = await run(db.from('cards').select('batch_order')
+        .eq('batch_id', batchId)
+        .eq('is_batch_template', false)
+        .order('batch_order', { ascending: false })
+        .limit(1));
+      return rows && rows[0] ? rows[0].batch_order || 0 : 0;
+    },
+
+    create(record) {
+      return run(db.from('cards').insert([record]).select().single());
+    },
+
+    createMany(records) {
+      if (!records || records.length === 0) return Promise.resolve([]);
+      return run(db.from('cards').insert(records).select()).then(rows => rows || []);
+    },
+
+    // Returns the updated rows; whereStatus guards against racing status changes
+    update(cardId, patch, { whereStatus } = {}) {
+      let query = db.from('cards').update(patch).eq('card_id', cardId);
+      if (whereStatus) query = query.eq('status', whereStatus);
+      return run(query.select()).then(rows => rows || []);
+    },
+
+    updateMany(cardIds, patch, { whereStatus, columns = '*' } = {}) {
+      if (!cardIds || cardIds.length === 0) return Promise.resolve([]);
+      let query = db.from('cards').update(patch).in('card_id', cardIds);
+      if (whereStatus) query = query.eq('status', whereStatus);
+      return run(query.select(columns)).then(rows => rows || []);
+    },
+
+    // Only fills customer_id where no account owns the card yet
+    claimForCustomer(cardIds, customerId) {
+      if (!cardIds || cardIds.length === 0) return Promise.resolve([]);
+      return run(db.from('cards').update({ customer_id: customerId })
+        .in('card_id', cardIds)
+        .is('customer_id', null)
+        .select('card_id')).then(rows => rows || []);
+    },
+
+    // Atomic in the database (increment_card_scans, 012); returns { total_scans, unique_scans } or null
+    async incrementScans(cardId, { unique = false } = {}) {
+      const rows = await run(db.rpc('increment_card_scans', { p_card_id: cardId, p_unique: unique }));
+      return (Array.isArray(rows) ? rows[0] : rows) || null;
+    },
+
+    // Atomic in the database (record_wrong_claim_pin, 020); only counts against pending cards.
+    // Returns { claim_failed_attempts, claim_lockout_count, claim_locked_until } or null
+    async recordWrongClaimPin(cardId, { maxAttempts, now, lockBaseMs, lockMaxMs }) {
+      const rows = await run(db.rpc('record_wrong_claim_pin', {
+        p_card_id: cardId,
+        p_max_attempts: maxAttempts,
+        p_now: now.toISOString(),
+        p_lock_base_ms: lockBaseMs,
+        p_lock_max_ms: lockMaxMs
+      }));
+      return (Array.isArray(rows) ? rows[0] : rows) || null;
+    }
+  };
+}
+
+module.exports = { createCardsRepository };
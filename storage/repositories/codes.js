@@ -0,0 +1,39 @@
+// 🔢 verification_codes - one row per email: current code hash, failed attempts and lockout
+const { run } = require('./run');
+
+function createCodesRepository(db) {
+  return {
+    get(email, columns = '*') {
+      return run(db.from('verification_codes').select(columns).eq('email', email).maybeSingle());
+    },
+
+    // Upsert by email; columns not in `fields` keep their stored values
+    save(email, fields) {
+      return run(db.from('verification_codes').upsert({ email, ...fields }, { onConflict: 'email' }));
+    },
+
+    update(email, patch) {
+      return run(db.from('verification_codes').update(patch).eq('email', email));
+    },
+
+    // Atomic in the database (record_wrong_verification_code, 021); only counts against the code that
+    // was checked. Returns { failed_attempts, lockout_count, locked_until }, or null if that code is gone
+    async recordWrongCode(email, { codeHash, maxAttempts, now, lockBaseMs, lockMaxMs }) {
+      const rows = await run(db.rpc('record_wrong_verification_code', {
+        p_email: email,
+        p_code_hash: codeHash,
+        p_max_attempts: maxAttempts,
+        p_now: now.toISOString(),
+        p_lock_base_ms: lockBaseMs,
+        p_lock_max_ms: lockMaxMs
+      }));
+      return (Array.isArray(rows) ? rows[0] : rows) || null;
+    },
+
+    remove(email) {
+      return run(db.from('verification_codes').delete().eq('email', email));
+    }
+  };
+}
+
+module.exports = { createCodesRepository };
@@ -0,0 +1,57 @@
+// 👤 customers, their sign-in links and sessions
+const { run, runCount } = require('./run');
+
+function createCustomersRepository(db) {
+  return {
+    getByEmail(email) {
+      return run(db.from('customers').select('*').eq('email', email).maybeSingle());
+    },
+
+    create(customer) {
+      return run(db.from('customers').insert(customer).select().single());
+    },
+
+    touchLogin(customerId) {
+      return run(db.from('customers').update({ last_login_at: new Date().toISOString() }).eq('id', customerId));
+    },
+
+    createSession(session) {
+      return run(db.from('customer_sessions').insert(session));
+    },
+
+    getSession(sid, columns = '*') {
+      return run(db.from('customer_sessions').select(columns).eq('sid', sid).maybeSingle());
+    },
+
+    revokeSession(sid) {
+      return run(db.from('customer_sessions').update({ revoked_at: new Date().toISOString() }).eq('sid', sid));
+    },
+
+    createLoginLink(link) {
+      return run(db.from('customer_login_links').insert(link));
+    },
+
+    countLoginLinksSince(email, since) {
+      return runCount(db.from('customer_login_links')
+        .select('*', { count: 'exact', head: true })
+        .eq('email', email)
+        .gte('created_at', since));
+    },
+
+    getLoginLink(tokenHash) {
+      return run(db.from('customer_login_links').select('*').eq('token_hash', tokenHash).maybeSingle());
+    },
+
+    // Marks the link used; returns false if another request used it first
+    async consumeLoginLink(tokenHash, ip) {
+      const rows = await run(db.from('customer_login_links')
+        .update({ used_at: new Date().toISOString(), used_ip: ip })
+        .eq('token_hash', tokenHash)
+        .is('used_at', null)
+        .select());
+      return !!(rows && rows.length > 0);
+    }
+  };
+}
+
+module.exports = { createCustomersRepository };
@@ -0,0 +1,18 @@
+// 🗒️ batch_events - append-only history of a batch (created, cards added, claimed...)
+const { run } = require('./run');
+
+function createEventsRepository(db) {
+  return {
+    record(event) {
+      return run(db.from('batch_events').insert({ timestamp: new Date().toISOString(), ...event }));
+    },
+
+    listForBatch(batchId) {
+      return run(db.from('batch_events').select('*')
+        .eq('batch_id', batchId)
+        .order('timestamp', { ascending: true })).then(rows => rows || []);
+    }
+  };
+}
+
+module.exports = { createEventsRepository };
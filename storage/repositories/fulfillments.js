@@ -0,0 +1,51 @@
+// 📦 fulfillments - one row per physical card order, and the append-only fulfillment_events
+const { run } = require('./run');
+
+function createFulfillmentsRepository(db) {
+  return {
+    get(fulfillmentId, columns = '*') {
+      return run(db.from('fulfillments').select(columns).eq('fulfillment_id', fulfillmentId).maybeSingle());
+    },
+
+    // The order already made for a Stripe payment, if any
+    findByPayment({ paymentIntentId, sessionId }) {
+      let query = db.from('fulfillments').select('*');
+      query = paymentIntentId ? query.eq('stripe_payment_intent_id', paymentIntentId) : query.eq('stripe_session_id', sessionId);
+      return run(query.maybeSingle());
+    },
+
+    // Throws the database error on failure; code '23505' means the ID or the payment is taken
+    create(record) {
+      return run(db.from('fulfillments').insert(record).select().single());
+    },
+
+    // whereStatus: only update if the order is still in that status (returns [] otherwise)
+    update(fulfillmentId, patch, { whereStatus } = {}) {
+      let query = db.from('fulfillments').update(patch).eq('fulfillment_id', fulfillmentId);
+      if (whereStatus) query = query.eq('status', whereStatus);
+      return run(query.select()).then(rows => rows || []);
+    },
+
+    list({ status, limit = 200 } = {}) {
+      let query = db.from('fulfillments').select('*');
+      if (status) query = query.eq('status', status);
+      return run(query.order('created_at', { ascending: false }).limit(limit)).then(rows => rows || []);
+    }
+  };
+}
+
+function createFulfillmentEventsRepository(db) {
+  return {
+    record(event) {
+      return run(db.from('fulfillment_events').insert(event));
+    },
+
+    listFor(fulfillmentId) {
+      return run(db.from('fulfillment_events').select('*')
+        .eq('fulfillment_id', fulfillmentId)
+        .order('created_at', { ascending: true })).then(rows => rows || []);
+    }
+  };
+}
+
+module.exports = { createFulfillmentsRepository, createFulfillmentEventsRepository };
@@ -0,0 +1,19 @@
+// 🔒 verification_lockouts - one row per email or IP lockout
+const { run } = require('./run');
+
+function createLockoutsRepository(db) {
+  return {
+    record(lockout) {
+      return run(db.from('verification_lockouts').insert(lockout));
+    },
+
+    listSince(since, limit = 200) {
+      return run(db.from('verification_lockouts').select('*')
+        .gte('created_at', since)
+        .order('created_at', { ascending: false })
+        .limit(limit)).then(rows => rows || []);
+    }
+  };
+}
+
+module.exports = { createLockoutsRepository };
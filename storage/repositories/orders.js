@@ -0,0 +1,85 @@
+// 🧾 orders - one row per purchase, with its priced order_items
+const { run } = require('./run');
+
+function createOrdersRepository(db) {
+  return {
+    get(orderId, columns = '*') {
+      return run(db.from('orders').select(columns).eq('order_id', orderId).maybeSingle());
+    },
+
+    findByPayment({ paymentIntentId, sessionId }) {
+      let query = db.from('orders').select('*');
+      query = paymentIntentId ? query.eq('stripe_payment_intent_id', paymentIntentId) : query.eq('stripe_session_id', sessionId);
+      return run(query.maybeSingle());
+    },
+
+    // The most recent order for a card or a batch
+    latestFor({ cardId, batchId }) {
+      let query = db.from('orders').select('*');
+      query = cardId ? query.eq('card_id', cardId) : query.eq('batch_id', batchId);
+      return run(query.order('created_at', { ascending: false }).limit(1)).then(rows => (rows || [])[0] || null);
+    },
+
+    listByIds(orderIds, columns = '*') {
+      if (!orderIds || orderIds.length === 0) return Promise.resolve([]);
+      return run(db.from('orders').select(columns).in('order_id', orderIds)).then(rows => rows || []);
+    },
+
+    create(record) {
+      return run(db.from('orders').insert(record).select().single());
+    },
+
+    // whereStatus / whereCardsRefunded: only update if the order still has that value (returns [] otherwise)
+    update(orderId, patch, { whereStatus, whereCardsRefunded } = {}) {
+      let query = db.from('orders').update({ ...patch, updated_at: new Date().toISOString() }).eq('order_id', orderId);
+      if (whereStatus) query = query.eq('status', whereStatus);
+      if (whereCardsRefunded !== undefined) query = query.eq('cards_refunded', whereCardsRefunded);
+      return run(query.select()).then(rows => rows || []);
+    },
+
+    // Marks a paid order as being fulfilled; [] if it isn't paid or someone else already started
+    claimFulfillment(orderId, at = new Date()) {
+      return run(db.from('orders')
+        .update({ fulfillment_started_at: at.toISOString(), updated_at: at.toISOString() })
+        .eq('order_id', orderId)
+        .eq('status', 'paid')
+        .is('fulfillment_started_at', null)
+        .select()).then(rows => rows || []);
+    },
+
+    // Orders that took money (paid, fulfilled or since refunded), paid at or after `since`
+    listPaid({ since, columns = '*' } = {}) {
+      let query = db.from('orders').select(columns).in('status', ['paid', 'fulfilled', 'refunded']);
+      if (since) query = query.gte('paid_at', since);
+      return run(query.order('paid_at', { ascending: false })).then(rows => rows || []);
+    },
+
+    listByEmail(email, { statuses, columns = '*' } = {}) {
+      let query = db.from('orders').select(columns).eq('customer_email', email);
+      if (statuses) query = query.in('status', statuses);
+      return run(query.order('created_at', { ascending: false })).then(rows => rows || []);
+    },
+
+    list({ status, limit = 200 } = {}) {
+      let query = db.from('orders').select('*');
+      if (status) query = query.eq('status', status);
+      return run(query.order('created_at', { ascending: false }).limit(limit)).then(rows => rows || []);
+    }
+  };
+}
+
+function createOrderItemsRepository(db) {
+  return {
+    record(items) {
+      return run(db.from('order_items').insert(items));
+    },
+
+    listFor(orderId) {
+      return run(db.from('order_items').select('*')
+        .eq('order_id', orderId)
+        .order('created_at', { ascending: true })).then(rows => rows || []);
+    }
+  };
+}
+
+module.exports = { createOrdersRepository, createOrderItemsRepository };
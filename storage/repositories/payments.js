@@ -0,0 +1,53 @@
+// 💳 payments - one row per Stripe payment intent
+const { run } = require('./run');
+
+function createPaymentsRepository(db) {
+  return {
+    create(payment) {
+      return run(db.from('payments').insert(payment));
+    },
+
+    getByIntent(paymentIntentId) {
+      return run(db.from('payments').select('*').eq('stripe_payment_intent_id', paymentIntentId).maybeSingle());
+    },
+
+    markCompletedByIntent(paymentIntentId) {
+      return run(db.from('payments')
+        .update({ status: 'completed', completed_at: new Date().toISOString() })
+        .eq('stripe_payment_intent_id', paymentIntentId));
+    },
+
+    // A declined attempt; the buyer can still pay the same intent with another card
+    markFailedByIntent(paymentIntentId) {
+      return run(db.from('payments')
+        .update({ status: 'failed' })
+        .eq('stripe_payment_intent_id', paymentIntentId)
+        .neq('status', 'completed'));
+    },
+
+    markRefundedByIntent(paymentIntentId, { full }) {
+      return run(db.from('payments')
+        .update({ status: full ? 'refunded' : 'partially_refunded' })
+        .eq('stripe_payment_intent_id', paymentIntentId));
+    },
+
+    list() {
+      return run(db.from('payments').select('*').order('created_at', { ascending: false })).then(rows => rows || []);
+    },
+
+    listForBatch(batchId) {
+      return run(db.from('payments').select('*')
+        .eq('batch_id', batchId)
+        .order('created_at', { ascending: false })).then(rows => rows || []);
+    },
+
+    listByEmail(email, { columns = '*', batchesOnly = false, statuses } = {}) {
+      let query = db.from('payments').select(columns).eq('customer_email', email);
+      if (batchesOnly) query = query.not('batch_id', 'is', null);
+      if (statuses) query = query.in('status', statuses);
+      return run(query.order('created_at', { ascending: false })).then(rows => rows || []);
+    }
+  };
+}
+
+module.exports = { createPaymentsRepository };
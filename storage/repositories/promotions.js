@@ -0,0 +1,82 @@
+// 🏷️ promo_codes and promo_redemptions - discount codes and the orders that used them
+// A fixed code's currency column is the currency its cents are in (null for percent codes).
+const { run, runCount } = require('./run');
+
+function createPromoCodesRepository(db) {
+  return {
+    get(code, columns = '*') {
+      return run(db.from('promo_codes').select(columns).eq('code', code).maybeSingle());
+    },
+
+    // Throws the database error on failure; code '23505' means the code is taken
+    create(record) {
+      return run(db.from('promo_codes').insert(record).select().single());
+    },
+
+    update(code, patch) {
+      return run(db.from('promo_codes')
+        .update({ ...patch, updated_at: new Date().toISOString() })
+        .eq('code', code)
+        .select()).then(rows => rows || []);
+    },
+
+    list() {
+      return run(db.from('promo_codes').select('*').order('created_at', { ascending: false })).then(rows => rows || []);
+    }
+  };
+}
+
+function createPromoRedemptionsRepository(db) {
+  return {
+    // Atomic in the database (reserve_promo_redemption, 022): a pending redemption for the order unless
+    // the code's limits are taken by paid uses and pending ones newer than holdSince. Returns null once
+    // reserved, else 'promo_exhausted' or 'promo_email_limit'
+    reserve(record, { holdSince }) {
+      return run(db.rpc('reserve_promo_redemption', {
+        p_code: record.code,
+        p_order_id: record.order_id,
+        p_customer_email: record.customer_email,
+        p_discount_amount: record.discount_amount,
+        p_amount_total: record.amount_total,
+        p_currency: record.currency,
+        p_now: record.created_at,
+        p_hold_since: holdSince
+      }));
+    },
+
+    markRedeemed(orderId, { customerEmail, at = new Date() }) {
+      const patch = { status: 'redeemed', redeemed_at: at.toISOString() };
+      if (customerEmail) patch.customer_email = customerEmail;
+      return run(db.from('promo_redemptions').update(patch).eq('order_id', orderId).eq('status', 'pending'));
+    },
+
+    // Paid uses of a code, optionally by one email
+    countRedeemed(code, { customerEmail } = {}) {
+      let query = db.from('promo_redemptions').select('*', { count: 'exact', head: true })
+        .eq('code', code)
+        .eq('status', 'redeemed');
+      if (customerEmail) query = query.eq('customer_email', customerEmail);
+      return runCount(query);
+    },
+
+    // Uses of a code taken so far: paid ones, and pending ones made at or after `holdSince`
+    async countHeld(code, { customerEmail, holdSince } = {}) {
+      let pending = db.from('promo_redemptions').select('*', { count: 'exact', head: true })
+        .eq('code', code)
+        .eq('status', 'pending')
+        .gte('created_at', holdSince);
+      if (customerEmail) pending = pending.eq('customer_email', customerEmail);
+      const [redeemed, held] = await Promise.all([this.countRedeemed(code, { customerEmail }), runCount(pending)]);
+      return redeemed + held;
+    },
+
+    list({ code, status } = {}) {
+      let query = db.from('promo_redemptions').select('*');
+      if (code) query = query.eq('code', code);
+      if (status) query = query.eq('status', status);
+      return run(query.order('created_at', { ascending: false })).then(rows => rows || []);
+    }
+  };
+}
+
+module.exports = { createPromoCodesRepository, createPromoRedemptionsRepository };
@@ -0,0 +1,14 @@
+// Supabase queries resolve to { data, error }; repositories throw the error and return the data
+async function run(query) {
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+}
+
+async function runCount(query) {
+  const { count, error } = await query;
+  if (error) throw error;
+  return count || 0;
+}
+
+module.exports = { run, runCount };
@@ -0,0 +1,29 @@
+// 🏭 manufacturing_runs - physical card print runs; cards.run_id points back here
+const { run } = require('./run');
+
+function createRunsRepository(db) {
+  return {
+    get(runId, columns = '*') {
+      return run(db.from('manufacturing_runs').select(columns).eq('run_id', runId).maybeSingle());
+    },
+
+    // Throws the database error on failure; code '23505' means the run_id is taken
+    create(record) {
+      return run(db.from('manufacturing_runs').insert(record).select().single());
+    },
+
+    update(runId, patch) {
+      return run(db.from('manufacturing_runs').update(patch).eq('run_id', runId).select()).then(rows => rows || []);
+    },
+
+    list({ columns = '*', status, limit } = {}) {
+      let query = db.from('manufacturing_runs').select(columns);
+      if (status) query = query.eq('status', status);
+      query = query.order('created_at', { ascending: false });
+      if (limit) query = query.limit(limit);
+      return run(query).then(rows => rows || []);
+    }
+  };
+}
+
+module.exports = { createRunsRepository };
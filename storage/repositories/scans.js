@@ -0,0 +1,47 @@
+// 📱 scan_logs - every QR scan / viewer open
+const { run, runCount } = require('./run');
+
+function createScansRepository(db) {
+  return {
+    record(scan) {
+      return run(db.from('scan_logs').insert(scan));
+    },
+
+    getBySession(scanSessionId, columns = '*') {
+      return run(db.from('scan_logs').select(columns).eq('scan_session_id', scanSessionId).maybeSingle());
+    },
+
+    setLocation(scanSessionId, location) {
+      return run(db.from('scan_logs').update(location).eq('scan_session_id', scanSessionId));
+    },
+
+    // First open only; returns the updated row, or null when it was already marked
+    markOpened(scanSessionId, openedAt) {
+      return run(db.from('scan_logs').update({ opened_at: openedAt })
+        .eq('scan_session_id', scanSessionId).is('opened_at', null).select().maybeSingle());
+    },
+
+    // The latest scan of this card from this fingerprint that was counted (not a bot or duplicate)
+    lastCounted(cardId, fingerprint) {
+      return run(db.from('scan_logs').select('scan_session_id, scanned_at')
+        .eq('card_id', cardId).eq('fingerprint', fingerprint).eq('is_bot', false).eq('is_duplicate', false)
+        .order('scanned_at', { ascending: false }).limit(1)).then(rows => (rows && rows[0]) || null);
+    },
+
+    // countedOnly leaves out bots and duplicates; rows logged before 012 have neither flag set
+    list({ columns = '*', since, limit, countedOnly = false } = {}) {
+      let query = db.from('scan_logs').select(columns);
+      if (since) query = query.gte('scanned_at', since);
+      if (countedOnly) query = query.neq('is_bot', true).neq('is_duplicate', true);
+      query = query.order('scanned_at', { ascending: false });
+      if (limit) query = query.limit(limit);
+      return run(query).then(rows => rows || []);
+    },
+
+    count() {
+      return runCount(db.from('scan_logs').select('*', { count: 'exact', head: true }));
+    }
+  };
+}
+
+module.exports = { createScansRepository };
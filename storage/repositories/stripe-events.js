@@ -0,0 +1,47 @@
+// 📨 stripe_events - every webhook event received, and how handling it went
+const { run } = require('./run');
+
+function createStripeEventsRepository(db) {
+  return {
+    // Throws the database error on failure; code '23505' means the event was already received
+    create(record) {
+      return run(db.from('stripe_events').insert(record).select().single());
+    },
+
+    get(eventId, columns = '*') {
+      return run(db.from('stripe_events').select(columns).eq('event_id', eventId).maybeSingle());
+    },
+
+    // Takes the event for handling if nobody has finished it or is working on it; [] otherwise.
+    // staleBefore: a claim older than this was abandoned and can be taken over.
+    async claim(eventId, { at = new Date(), staleBefore }) {
+      const patch = { status: 'processing', processing_started_at: at.toISOString(), updated_at: at.toISOString() };
+      const fresh = await run(db.from('stripe_events').update(patch)
+        .eq('event_id', eventId)
+        .in('status', ['received', 'failed'])
+        .select());
+      if (fresh && fresh.length) return fresh;
+      return run(db.from('stripe_events').update(patch)
+        .eq('event_id', eventId)
+        .eq('status', 'processing')
+        .lt('processing_started_at', staleBefore.toISOString())
+        .select()).then(rows => rows || []);
+    },
+
+    update(eventId, patch) {
+      return run(db.from('stripe_events')
+        .update({ ...patch, updated_at: new Date().toISOString() })
+        .eq('event_id', eventId)
+        .select()).then(rows => rows || []);
+    },
+
+    list({ status, type, limit = 200 } = {}) {
+      let query = db.from('stripe_events').select('*');
+      if (status) query = query.eq('status', status);
+      if (type) query = query.eq('type', type);
+      return run(query.order('received_at', { ascending: false }).limit(limit)).then(rows => rows || []);
+    }
+  };
+}
+
+module.exports = { createStripeEventsRepository };
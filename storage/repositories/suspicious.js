@@ -0,0 +1,24 @@
+// 🚩 suspicious_activations - activation attempts that were refused (unknown or dead card IDs)
+const { run } = require('./run');
+
+function createSuspiciousActivationsRepository(db) {
+  return {
+    // Returns the new row's id
+    record(attempt) {
+      return run(db.from('suspicious_activations').insert(attempt).select('id').single());
+    },
+
+    setLocation(id, location) {
+      return run(db.from('suspicious_activations').update(location).eq('id', id));
+    },
+
+    listSince(since, limit = 200) {
+      return run(db.from('suspicious_activations').select('*')
+        .gte('created_at', since)
+        .order('created_at', { ascending: false })
+        .limit(limit)).then(rows => rows || []);
+    }
+  };
+}
+
+module.exports = { createSuspiciousActivationsRepository };
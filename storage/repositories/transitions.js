@@ -0,0 +1,19 @@
+// 🔀 card_status_transitions - append-only history of every card status change, with why
+const { run } = require('./run');
+
+function createCardTransitionsRepository(db) {
+  return {
+    // Accepts one record or an array
+    record(records) {
+      return run(db.from('card_status_transitions').insert(records));
+    },
+
+    listForCard(cardId) {
+      return run(db.from('card_status_transitions').select('*')
+        .eq('card_id', cardId)
+        .order('created_at', { ascending: true })).then(rows => rows || []);
+    }
+  };
+}
+
+module.exports = { createCardTransitionsRepository };
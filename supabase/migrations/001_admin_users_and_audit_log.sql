@@ -0,0 +1,43 @@
+-- Named admin accounts with roles, and an append-only audit trail of admin actions
+
+create table if not exists admin_users (
+  username       text primary key,
+  password_hash  text not null,
+  role           text not null check (role in ('viewer', 'support', 'owner')),
+  disabled       boolean not null default false,
+  created_by     text,
+  created_at     timestamptz not null default now(),
+  updated_at     timestamptz,
+  last_login_at  timestamptz,
+  last_login_ip  text
+);
+
+create table if not exists admin_audit_log (
+  id            bigserial primary key,
+  created_at    timestamptz not null default now(),
+  actor         text not null,
+  actor_role    text,
+  action        text not null,
+  ip_address    text,
+  user_agent    text,
+  card_ids      text[] not null default '{}',
+  before_state  jsonb,
+  after_state   jsonb,
+  metadata      jsonb not null default '{}'
+);
+
+create index if not exists admin_audit_log_created_at_idx on admin_audit_log (created_at desc);
+create index if not exists admin_audit_log_actor_idx on admin_audit_log (actor);
+create index if not exists admin_audit_log_card_ids_idx on admin_audit_log using gin (card_ids);
+
+-- Append-only: rows can be inserted but never changed or removed
+create or replace function admin_audit_log_immutable() returns trigger as $$
+begin
+  raise exception 'admin_audit_log is append-only';
+end;
+$$ language plpgsql;
+
+drop trigger if exists admin_audit_log_no_update on admin_audit_log;
+create trigger admin_audit_log_no_update
+  before update or delete on admin_audit_log
+  for each row execute function admin_audit_log_immutable();
@@ -0,0 +1,4 @@
+-- Management tokens: only the SHA-256 hash of the token handed to the buyer is stored
+
+alter table cards add column if not exists manage_token_hash text;
+alter table batches add column if not exists manage_token_hash text;
@@ -0,0 +1,39 @@
+-- Customer accounts: passwordless sign-in by emailed magic link, server-side sessions
+
+create table if not exists customers (
+  id uuid primary key default gen_random_uuid(),
+  email text not null unique,
+  created_at timestamptz not null default now(),
+  last_login_at timestamptz
+);
+
+-- Only the SHA-256 hash of the emailed link token is stored
+create table if not exists customer_login_links (
+  token_hash text primary key,
+  email text not null,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  used_ip text,
+  created_ip text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists customer_login_links_email_idx on customer_login_links (email, created_at desc);
+
+create table if not exists customer_sessions (
+  sid uuid primary key,
+  customer_id uuid not null references customers (id) on delete cascade,
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  ip_address text,
+  user_agent text
+);
+
+create index if not exists customer_sessions_customer_idx on customer_sessions (customer_id);
+
+alter table batches add column if not exists customer_id uuid references customers (id);
+alter table cards add column if not exists customer_id uuid references customers (id);
+
+create index if not exists batches_customer_id_idx on batches (customer_id);
+create index if not exists cards_customer_id_idx on cards (customer_id);
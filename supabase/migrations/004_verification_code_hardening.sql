@@ -0,0 +1,25 @@
+-- Verification codes: store an HMAC of email + code instead of the code, and track failed attempts
+
+alter table verification_codes add column if not exists code_hash text;
+alter table verification_codes add column if not exists failed_attempts integer not null default 0;
+alter table verification_codes add column if not exists lockout_count integer not null default 0;
+alter table verification_codes add column if not exists locked_until timestamptz;
+
+-- Outstanding plaintext codes expire within 10 minutes anyway; drop them rather than hash them
+delete from verification_codes where code_hash is null;
+alter table verification_codes drop column if exists code;
+
+-- One row per lockout, shown to support in the admin dashboard
+create table if not exists verification_lockouts (
+  id bigint generated always as identity primary key,
+  scope text not null check (scope in ('email', 'ip')),
+  email text,
+  ip_address text,
+  user_agent text,
+  failed_attempts integer not null,
+  lockout_count integer not null,
+  locked_until timestamptz not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists verification_lockouts_created_idx on verification_lockouts (created_at desc);
@@ -0,0 +1,21 @@
+-- Card lifecycle: the legal status values, and one row per status change (see services/card-lifecycle.js)
+
+alter table cards drop constraint if exists cards_status_check;
+alter table cards add constraint cards_status_check
+  check (status in ('draft', 'pending', 'active', 'deleted', 'processed')) not valid;
+
+-- from_status is null for the row written when a card is created
+create table if not exists card_status_transitions (
+  id bigint generated always as identity primary key,
+  card_id text not null,
+  from_status text,
+  to_status text not null,
+  reason text not null,
+  actor text,
+  ip_address text,
+  user_agent text,
+  metadata jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists card_status_transitions_card_idx on card_status_transitions (card_id, created_at);
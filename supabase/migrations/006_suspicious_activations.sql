@@ -0,0 +1,20 @@
+-- Activation attempts refused by /api/activate-card, for admin review.
+-- Unknown IDs are no longer turned into new active cards; physical stock comes from manufacturing runs.
+
+create table if not exists suspicious_activations (
+  id bigint generated always as identity primary key,
+  card_id text,
+  reason text not null,
+  card_status text,
+  source text,
+  ip_address text,
+  user_agent text,
+  location_data jsonb,
+  city text,
+  country text,
+  region text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists suspicious_activations_created_idx on suspicious_activations (created_at desc);
+create index if not exists suspicious_activations_ip_idx on suspicious_activations (ip_address, created_at desc);
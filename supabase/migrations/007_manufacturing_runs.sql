@@ -0,0 +1,18 @@
+-- Manufacturing runs: every batch of physical cards printed for the manufacturer (see generate-cards.js)
+-- Cards carry the run that produced them, so a lost shipment can be voided and activation rates compared.
+
+create table if not exists manufacturing_runs (
+  run_id text primary key,
+  sku text not null,
+  card_count integer not null,
+  status text not null default 'created' check (status in ('created', 'voided')),
+  notes text,
+  created_by text,
+  created_at timestamptz not null default now(),
+  voided_at timestamptz,
+  void_reason text
+);
+
+alter table cards add column if not exists run_id text references manufacturing_runs (run_id);
+
+create index if not exists cards_run_idx on cards (run_id) where run_id is not null;
@@ -0,0 +1,11 @@
+-- Physical card claims: a buyer proves possession of a pre-printed card (scratch-off PIN) and
+-- attaches their own design, which activates it (see services/physical-claims.js).
+-- Unclaimed cards expire at activation_deadline.
+
+alter table cards add column if not exists claim_pin_hash text;
+alter table cards add column if not exists claim_failed_attempts integer not null default 0;
+alter table cards add column if not exists claim_lockout_count integer not null default 0;
+alter table cards add column if not exists claim_locked_until timestamptz;
+alter table cards add column if not exists claimed_at timestamptz;
+
+create index if not exists cards_pending_deadline_idx on cards (activation_deadline) where status = 'pending';
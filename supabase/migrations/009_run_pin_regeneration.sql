@@ -0,0 +1,4 @@
+-- Scratch-off PINs (cards.claim_pin_hash, 008) are issued by manufacturing runs. A voided run's
+-- PINs are regenerated as a replacement run that points back at the one it replaces.
+
+alter table manufacturing_runs add column if not exists replaces_run_id text references manufacturing_runs (run_id);
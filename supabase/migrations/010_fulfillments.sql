@@ -0,0 +1,43 @@
+-- Fulfillment of physical card orders: one row per paid order, with the shipping address captured
+-- at checkout, and one event per step (see services/fulfillment.js).
+
+create table if not exists fulfillments (
+  fulfillment_id text primary key,
+  status text not null default 'ordered'
+    check (status in ('ordered', 'sent_to_printer', 'printed', 'shipped', 'delivered', 'returned')),
+  card_id text,
+  batch_id text,
+  quantity integer not null default 1,
+  customer_email text,
+  shipping_address jsonb not null,
+  carrier text,
+  tracking_number text,
+  stripe_payment_intent_id text unique,
+  stripe_session_id text unique,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  shipped_at timestamptz,
+  delivered_at timestamptz,
+  returned_at timestamptz
+);
+
+create index if not exists fulfillments_status_idx on fulfillments (status, created_at desc);
+
+-- from_status is null for the row written when the order comes in
+create table if not exists fulfillment_events (
+  id bigint generated always as identity primary key,
+  fulfillment_id text not null references fulfillments (fulfillment_id),
+  from_status text,
+  to_status text not null,
+  source text not null,
+  actor text,
+  carrier text,
+  tracking_number text,
+  note text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists fulfillment_events_fulfillment_idx on fulfillment_events (fulfillment_id, created_at);
+
+-- The address typed on checkout.html waits here until the payment succeeds
+alter table payments add column if not exists shipping_address jsonb;
@@ -0,0 +1,10 @@
+-- Printed QRs point at /c/:card_id, which logs the scan server-side and redirects to viewer.html.
+-- Each logged scan gets a scan session (also set as a cookie); the viewer marks it opened instead
+-- of posting its own increment. source is 'redirect' for /c/ scans and 'viewer' for old viewer.html QRs.
+
+alter table scan_logs add column if not exists scan_session_id text unique;
+alter table scan_logs add column if not exists source text;
+alter table scan_logs add column if not exists referrer text;
+alter table scan_logs add column if not exists opened_at timestamptz;
+
+create index if not exists scan_logs_card_idx on scan_logs (card_id, scanned_at desc);
@@ -0,0 +1,30 @@
+-- Scan counters that don't lose increments, with duplicates and bots kept out of them.
+-- A scan from the same card + fingerprint (hash of IP and user agent) inside the dedup window is a
+-- duplicate; known bots and link-preview fetchers are flagged. Both are still logged, neither counts.
+-- total_scans counts every other scan, unique_scans the first one per fingerprint. scan_count stays
+-- equal to total_scans for the pages and exports that already read it.
+
+alter table cards add column if not exists total_scans integer not null default 0;
+alter table cards add column if not exists unique_scans integer not null default 0;
+update cards set total_scans = coalesce(scan_count, 0) where total_scans = 0 and coalesce(scan_count, 0) > 0;
+
+alter table scan_logs add column if not exists fingerprint text;
+alter table scan_logs add column if not exists is_bot boolean not null default false;
+alter table scan_logs add column if not exists bot_name text;
+alter table scan_logs add column if not exists is_duplicate boolean not null default false;
+alter table scan_logs add column if not exists is_unique boolean not null default false;
+
+create index if not exists scan_logs_fingerprint_idx on scan_logs (card_id, fingerprint, scanned_at desc);
+
+-- One statement, so concurrent scans can't read the same count and write back the same + 1
+create or replace function increment_card_scans(p_card_id text, p_unique boolean)
+returns table (total_scans integer, unique_scans integer)
+language sql
+as $$
+  update cards
+     set total_scans = cards.total_scans + 1,
+         unique_scans = cards.unique_scans + case when p_unique then 1 else 0 end,
+         scan_count = cards.total_scans + 1
+   where card_id = p_card_id
+  returning cards.total_scans, cards.unique_scans;
+$$;
@@ -0,0 +1,55 @@
+-- Orders: one per purchase, whichever Stripe path (payment intent or checkout session) takes the money.
+-- The order and its priced line items are written before the buyer pays; it only moves to paid from
+-- a verified Stripe payment, and fulfillment (activating or creating the cards, opening the print
+-- order) runs on the server right after (see services/orders.js).
+
+create table if not exists orders (
+  order_id text primary key,
+  status text not null default 'created'
+    check (status in ('created', 'paid', 'fulfilled', 'refunded')),
+  -- card: activate a saved draft card, batch: a saved batch template (or a bare batch),
+  -- add_cards: more cards for an existing batch, design: cards built from the checkout session's design
+  kind text not null check (kind in ('card', 'batch', 'add_cards', 'design')),
+  channel text not null check (channel in ('payment_intent', 'checkout_session')),
+  card_type text not null default 'ecard',
+  card_id text,
+  batch_id text,
+  quantity integer not null,
+  currency text not null default 'usd',
+  amount_total integer not null,
+  customer_email text,
+  customer_id uuid references customers (id),
+  -- Given to new cards and batches the order creates; the token itself went to the buyer at checkout
+  manage_token_hash text,
+  shipping_address jsonb,
+  design jsonb,
+  stripe_payment_intent_id text unique,
+  stripe_session_id text unique,
+  card_ids jsonb,
+  fulfillment_id text,
+  -- Set while one process fulfills the order, so the webhook and success.html can't both do it
+  fulfillment_started_at timestamptz,
+  fulfillment_error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  paid_at timestamptz,
+  fulfilled_at timestamptz,
+  refunded_at timestamptz
+);
+
+create index if not exists orders_status_idx on orders (status, created_at desc);
+create index if not exists orders_card_idx on orders (card_id, created_at desc);
+create index if not exists orders_batch_idx on orders (batch_id, created_at desc);
+
+create table if not exists order_items (
+  id bigint generated always as identity primary key,
+  order_id text not null references orders (order_id) on delete cascade,
+  code text not null,
+  description text not null,
+  amount integer not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists order_items_order_idx on order_items (order_id);
+
+alter table payments add column if not exists order_id text references orders (order_id);
@@ -0,0 +1,32 @@
+-- Every Stripe webhook event Papir receives, keyed by Stripe's event ID, so a redelivered event is
+-- recognised and each one is handled exactly once (see services/stripe-events.js). Failed events
+-- keep their error and can be run again from admin.
+
+create table if not exists stripe_events (
+  event_id text primary key,
+  type text not null,
+  livemode boolean not null default false,
+  status text not null default 'received'
+    check (status in ('received', 'processing', 'processed', 'failed', 'ignored')),
+  attempts integer not null default 0,
+  last_error text,
+  order_id text references orders (order_id),
+  payload jsonb not null,
+  stripe_created_at timestamptz,
+  received_at timestamptz not null default now(),
+  -- Set while one process handles the event; a stale one (crashed mid-way) can be taken over
+  processing_started_at timestamptz,
+  processed_at timestamptz,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists stripe_events_status_idx on stripe_events (status, received_at desc);
+create index if not exists stripe_events_order_idx on stripe_events (order_id);
+
+-- What the Stripe side did to an order after it was paid
+alter table orders add column if not exists amount_refunded integer not null default 0;
+alter table orders add column if not exists payment_error text;
+alter table orders add column if not exists dispute_id text;
+alter table orders add column if not exists dispute_status text;
+alter table orders add column if not exists dispute_reason text;
+alter table orders add column if not exists disputed_at timestamptz;
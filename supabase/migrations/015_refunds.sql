@@ -0,0 +1,9 @@
+-- Refunds: a refunded card was paid for and then refunded, and the viewer shows it as no longer
+-- available. Orders count the cards refunded so far, so a partial refund by card count knows what
+-- is left (see services/refunds.js).
+
+alter table cards drop constraint if exists cards_status_check;
+alter table cards add constraint cards_status_check
+  check (status in ('draft', 'pending', 'active', 'refunded', 'deleted', 'processed')) not valid;
+
+alter table orders add column if not exists cards_refunded integer not null default 0;
@@ -0,0 +1,44 @@
+-- Promo codes: percentage or fixed-amount discounts, optionally limited to some templates or
+-- template categories, a minimum quantity, a number of uses overall and per email, and a date range.
+-- Checkout prices them on the server (see services/promotions.js); each order that used a code gets
+-- a redemption, counted against the limits once the order is paid.
+
+create table if not exists promo_codes (
+  code text primary key check (code = upper(code)),
+  description text,
+  discount_type text not null check (discount_type in ('percent', 'fixed')),
+  -- percent: 1-100, fixed: cents off the order
+  discount_value integer not null check (discount_value > 0),
+  -- null: any template / category
+  template_ids jsonb,
+  categories jsonb,
+  min_quantity integer not null default 1,
+  max_redemptions integer,
+  max_per_email integer,
+  starts_at timestamptz,
+  expires_at timestamptz,
+  active boolean not null default true,
+  created_by text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists promo_redemptions (
+  id bigint generated always as identity primary key,
+  code text not null references promo_codes (code),
+  order_id text not null unique references orders (order_id) on delete cascade,
+  customer_email text,
+  discount_amount integer not null,
+  amount_total integer not null,
+  currency text not null default 'usd',
+  -- pending until the order is paid
+  status text not null default 'pending' check (status in ('pending', 'redeemed')),
+  created_at timestamptz not null default now(),
+  redeemed_at timestamptz
+);
+
+create index if not exists promo_redemptions_code_idx on promo_redemptions (code, status);
+create index if not exists promo_redemptions_email_idx on promo_redemptions (code, customer_email);
+
+alter table orders add column if not exists promo_code text references promo_codes (code);
+alter table orders add column if not exists discount_amount integer not null default 0;
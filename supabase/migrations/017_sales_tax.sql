@@ -0,0 +1,18 @@
+-- Sales tax and currencies: orders are priced in USD or CAD, and Canadian buyers pay GST/HST/PST
+-- for the province of their billing address (see services/sales-tax.js). The tax lines are also
+-- order_items (codes tax_gst, tax_hst, tax_pst); the totals here are what the revenue report sums.
+
+alter table orders drop constraint if exists orders_currency_check;
+alter table orders add constraint orders_currency_check check (currency in ('usd', 'cad')) not valid;
+alter table orders add column if not exists billing_address jsonb;
+alter table orders add column if not exists tax_amount integer not null default 0;
+-- CA-ON for a province, the country code outside Canada
+alter table orders add column if not exists tax_jurisdiction text;
+
+create index if not exists orders_paid_idx on orders (paid_at desc) where paid_at is not null;
+
+alter table payments add column if not exists billing_address jsonb;
+alter table payments add column if not exists tax_amount integer not null default 0;
+alter table payments add column if not exists tax_jurisdiction text;
+-- [{ code, name, rate, amount }] as charged
+alter table payments add column if not exists tax_lines jsonb;
@@ -0,0 +1,10 @@
+-- Fixed-amount promo codes take cents off in one currency, now that orders are priced in USD or CAD.
+-- Codes made before this were USD; percent codes have no currency and fit orders in either.
+
+alter table promo_codes add column if not exists currency text;
+update promo_codes set currency = 'usd' where discount_type = 'fixed' and currency is null;
+
+alter table promo_codes drop constraint if exists promo_codes_currency_check;
+alter table promo_codes add constraint promo_codes_currency_check check (
+  (discount_type = 'fixed' and currency in ('usd', 'cad')) or (discount_type = 'percent' and currency is null)
+);
@@ -0,0 +1,6 @@
+-- Orders Stripe charged the wrong amount for stay unpaid with the reason here, for an admin to look at
+-- (see flagAmountMismatch in services/orders.js).
+
+alter table orders add column if not exists review_reason text;
+
+create index if not exists orders_review_idx on orders (created_at desc) where review_reason is not null;
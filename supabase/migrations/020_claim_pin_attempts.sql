@@ -0,0 +1,26 @@
+-- Wrong claim PINs counted in one statement, so parallel guesses can't all read the same count and
+-- write back the same + 1. The fifth miss resets the count and locks the card; the lockout doubles
+-- from p_lock_base_ms with each lockout, capped at p_lock_max_ms (lockoutDuration in the app).
+
+create or replace function record_wrong_claim_pin(
+  p_card_id text,
+  p_max_attempts integer,
+  p_now timestamptz,
+  p_lock_base_ms bigint,
+  p_lock_max_ms bigint
+)
+returns table (claim_failed_attempts integer, claim_lockout_count integer, claim_locked_until timestamptz)
+language sql
+as $$
+  update cards
+     set claim_failed_attempts = case when coalesce(cards.claim_failed_attempts, 0) + 1 >= p_max_attempts
+                                      then 0 else coalesce(cards.claim_failed_attempts, 0) + 1 end,
+         claim_lockout_count = coalesce(cards.claim_lockout_count, 0)
+           + case when coalesce(cards.claim_failed_attempts, 0) + 1 >= p_max_attempts then 1 else 0 end,
+         claim_locked_until = case when coalesce(cards.claim_failed_attempts, 0) + 1 >= p_max_attempts
+           then p_now + least(p_lock_base_ms * power(2, coalesce(cards.claim_lockout_count, 0)), p_lock_max_ms) * interval '1 millisecond'
+           else cards.claim_locked_until end
+   where card_id = p_card_id
+     and status = 'pending'
+  returning cards.claim_failed_attempts, cards.claim_lockout_count, cards.claim_locked_until;
+$$;
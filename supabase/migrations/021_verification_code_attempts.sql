@@ -0,0 +1,29 @@
+-- Wrong verification codes counted in one statement, like claim PINs (020), so parallel guesses
+-- can't all read the same count and write back the same + 1. Only guesses at the code that was
+-- checked count: the fifth burns it and locks the email, the lockout doubling from p_lock_base_ms
+-- with each lockout, capped at p_lock_max_ms (lockoutDuration in the app).
+
+create or replace function record_wrong_verification_code(
+  p_email text,
+  p_code_hash text,
+  p_max_attempts integer,
+  p_now timestamptz,
+  p_lock_base_ms bigint,
+  p_lock_max_ms bigint
+)
+returns table (failed_attempts integer, lockout_count integer, locked_until timestamptz)
+language sql
+as $$
+  update verification_codes
+     set failed_attempts = verification_codes.failed_attempts + 1,
+         code_hash = case when verification_codes.failed_attempts + 1 >= p_max_attempts
+                          then null else verification_codes.code_hash end,
+         lockout_count = verification_codes.lockout_count
+           + case when verification_codes.failed_attempts + 1 >= p_max_attempts then 1 else 0 end,
+         locked_until = case when verification_codes.failed_attempts + 1 >= p_max_attempts
+           then p_now + least(p_lock_base_ms * power(2, verification_codes.lockout_count), p_lock_max_ms) * interval '1 millisecond'
+           else verification_codes.locked_until end
+   where email = p_email
+     and code_hash = p_code_hash
+  returning verification_codes.failed_attempts, verification_codes.lockout_count, verification_codes.locked_until;
+$$;
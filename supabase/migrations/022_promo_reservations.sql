@@ -0,0 +1,42 @@
+-- Promo code limits count the orders holding a use as well as the paid ones. A pending redemption
+-- holds its use while it's newer than p_hold_since; reserving locks the code's row first, so two
+-- orders can't both take a code's last use. Returns null once reserved, else the limit it hit.
+
+create or replace function reserve_promo_redemption(
+  p_code text,
+  p_order_id text,
+  p_customer_email text,
+  p_discount_amount integer,
+  p_amount_total integer,
+  p_currency text,
+  p_now timestamptz,
+  p_hold_since timestamptz
+)
+returns text
+language plpgsql
+as $$
+declare
+  promo promo_codes%rowtype;
+begin
+  select * into promo from promo_codes where code = p_code for update;
+  if not found then
+    return 'promo_not_found';
+  end if;
+  if promo.max_redemptions is not null and (
+    select count(*) from promo_redemptions r
+     where r.code = p_code and (r.status = 'redeemed' or r.created_at >= p_hold_since)
+  ) >= promo.max_redemptions then
+    return 'promo_exhausted';
+  end if;
+  if promo.max_per_email is not null and (
+    select count(*) from promo_redemptions r
+     where r.code = p_code and r.customer_email = p_customer_email
+       and (r.status = 'redeemed' or r.created_at >= p_hold_since)
+  ) >= promo.max_per_email then
+    return 'promo_email_limit';
+  end if;
+  insert into promo_redemptions (code, order_id, customer_email, discount_amount, amount_total, currency, status, created_at)
+  values (p_code, p_order_id, p_customer_email, p_discount_amount, p_amount_total, p_currency, 'pending', p_now);
+  return null;
+end;
+$$;
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { buildTestApp, buildStripeTestApp, payWithFakeStripe, saveBatchTemplate } = require('./helpers/app');
+const { generateCardId } = require('../lib/card-ids');
+const { createCustomerAccounts } = require('../services/customer-accounts');
+
+// Just enough of an Express request for getClientIp / getUserAgent
+const FAKE_REQ = { headers: {}, socket: { remoteAddress: '203.0.113.20' }, app: { get: () => 1 } };
+
+function codeFrom(email) {
+  return email.html.match(/>\s*(\d{6})\s*</)[1];
+}
+
+// Path and query of the magic link, so supertest sends it to the app under test
+function linkFrom(email) {
+  const url = new URL(email.html.match(/href="([^"]+)"/)[1]);
+  return url.pathname + url.search;
+}
+
+test('the sign-in email carries a one-time link that starts a session', async () => {
+  const { app, sentEmails } = buildTestApp();
+  const sent = await request(app).post('/api/account/magic-link').send({ email: 'Buyer@Example.com' });
+  assert.strictEqual(sent.body.success, true);
+  assert.strictEqual(sentEmails.length, 1);
+  assert.strictEqual(sentEmails[0].to, 'buyer@example.com');
+
+  const agent = request.agent(app);
+  const verify = await agent.get(linkFrom(sentEmails[0]));
+  assert.strictEqual(verify.status, 302);
+  assert.strictEqual(verify.headers.location, '/batch-manager?login=ok');
+
+  const me = await agent.get('/api/account/me');
+  assert.strictEqual(me.body.account.email, 'buyer@example.com');
+
+  const reused = await request(app).get(linkFrom(sentEmails[0]));
+  assert.strictEqual(reused.headers.location, '/batch-manager?login=expired');
+
+  await agent.post('/api/account/logout');
+  assert.strictEqual((await agent.get('/api/account/me')).status, 401);
+});
+
+test('signing in with the code claims batches paid with that email', async () => {
+  const built = buildStripeTestApp();
+  const { app, storage, sentEmails } = built;
+  const token = await saveBatchTemplate(app, { batchId: 'batch_email', quantity: 2 });
+  await payWithFakeStripe(built, { quantity: 2, batchId: 'batch_email', email: 'payer@example.com' }, { token });
+
+  await request(app).post('/api/account/magic-link').send({ email: 'payer@example.com' });
+  const agent = request.agent(app);
+  const res = await agent.post('/api/account/verify-code').send({ email: 'payer@example.com', code: codeFrom(sentEmails[0]) });
+  assert.strictEqual(res.body.success, true);
+  assert.deepStrictEqual(res.body.account.batches.map(b => b.batch_id), ['batch_email']);
+
+  const batch = await storage.batches.get('batch_email');
+  assert.ok(batch.customer_id);
+  assert.strictEqual((await agent.get('/api/batches/batch_email')).status, 200);
+});
+
+test('unpaid payments and emails typed onto a batch claim nothing', async () => {
+  const built = buildStripeTestApp();
+  const { app, storage, sentEmails } = built;
+  const cardId = generateCardId();
+  await request(app).post('/api/cards').send({ card_id: cardId, message_type: 'text', message_text: 'Hi' });
+  // Someone else opens payments naming the batch and the card before their buyers pay for them
+  await payWithFakeStripe(built, { quantity: 2, batchId: 'batch_contested', email: 'taker@example.com' }, { deliver: false });
+  await payWithFakeStripe(built, { quantity: 1, batchId: cardId, card_id: cardId, email: 'taker@example.com' }, { deliver: false });
+  await payWithFakeStripe(built, { quantity: 2, batchId: 'batch_contested', email: 'buyer@example.com' });
+  await payWithFakeStripe(built, { quantity: 1, batchId: cardId, card_id: cardId, email: 'buyer@example.com' });
+  await request(app).post('/api/batches').send({ batch_id: 'batch_typed', customer_email: 'taker@example.com' });
+
+  await request(app).post('/api/account/magic-link').send({ email: 'taker@example.com' });
+  const agent = request.agent(app);
+  const res = await agent.post('/api/account/verify-code').send({ email: 'taker@example.com', code: codeFrom(sentEmails[0]) });
+  assert.strictEqual(res.body.success, true);
+  assert.deepStrictEqual([res.body.account.batches, res.body.account.cards], [[], []]);
+  assert.ok(!(await storage.batches.get('batch_contested')).customer_id);
+  assert.ok(!(await storage.cards.get(cardId)).customer_id);
+  assert.strictEqual((await agent.get('/api/batches/batch_contested')).status, 403);
+});
+
+test('five wrong codes burn the code and lock the email', async () => {
+  const { app, sentEmails } = buildTestApp();
+  await request(app).post('/api/account/magic-link').send({ email: 'guess@example.com' });
+  const code = codeFrom(sentEmails[0]);
+  const wrong = code === '000000' ? '111111' : '000000';
+
+  for (let i = 0; i < 4; i++) {
+    const res = await request(app).post('/api/account/verify-code').send({ email: 'guess@example.com', code: wrong });
+    assert.strictEqual(res.status, 401);
+  }
+  const locked = await request(app).post('/api/account/verify-code').send({ email: 'guess@example.com', code: wrong });
+  assert.strictEqual(locked.status, 429);
+  assert.ok(locked.body.locked_until);
+
+  const right = await request(app).post('/api/account/verify-code').send({ email: 'guess@example.com', code });
+  assert.strictEqual(right.status, 429);
+});
+
+test('wrong codes checked in parallel all count towards burning the code', async () => {
+  const { app, storage, config, sentEmails } = buildTestApp();
+  await request(app).post('/api/account/magic-link').send({ email: 'rush@example.com' });
+  const code = codeFrom(sentEmails[0]);
+  const wrong = ['000000', '111111', '222222', '333333', '444444', '555555'].filter(guess => guess !== code).slice(0, 5);
+
+  // Called directly, every guess reads the code before any of them writes
+  const accounts = createCustomerAccounts({ storage, resend: null, config });
+  const guesses = await Promise.all(wrong.map(guess => accounts.consumeVerificationCode(FAKE_REQ, 'rush@example.com', guess)));
+  assert.deepStrictEqual(guesses.map(guess => guess.status).sort(), [401, 401, 401, 401, 429]);
+  const record = await storage.codes.get('rush@example.com');
+  assert.deepStrictEqual([record.failed_attempts, record.code_hash, record.lockout_count], [5, null, 1]);
+  assert.strictEqual((await storage.lockouts.listSince('1970-01-01')).filter(lockout => lockout.scope === 'email').length, 1);
+
+  const right = await request(app).post('/api/account/verify-code').send({ email: 'rush@example.com', code });
+  assert.strictEqual(right.status, 429);
+});
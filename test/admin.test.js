@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { buildTestApp, ownerAuth, supportAuth } = require('./helpers/app');
+
+test('admin routes need a session and login rejects bad passwords', async () => {
+  const { app } = buildTestApp();
+  assert.strictEqual((await request(app).get('/api/admin/session')).status, 401);
+  assert.strictEqual((await request(app).get('/api/cards')).status, 401);
+
+  const bad = await request(app).post('/api/admin/login').send({ username: 'owner', password: 'wrong' });
+  assert.strictEqual(bad.status, 401);
+
+  const auth = await ownerAuth(app);
+  const session = await request(app).get('/api/admin/session').set('Authorization', auth);
+  assert.strictEqual(session.body.role, 'owner');
+
+  await request(app).post('/api/admin/logout').set('Authorization', auth);
+  assert.strictEqual((await request(app).get('/api/admin/session').set('Authorization', auth)).status, 401);
+});
+
+test('named admin users get their role enforced', async () => {
+  const { app } = buildTestApp();
+  const owner = await ownerAuth(app);
+  const created = await request(app).post('/api/admin/users').set('Authorization', owner)
+    .send({ username: 'viewer1', password: 'viewer-password-1', role: 'viewer' });
+  assert.strictEqual(created.status, 201);
+  assert.strictEqual(created.body.user.password_hash, undefined);
+  // A password has to be text, whatever else has a length
+  const arrayPassword = await request(app).post('/api/admin/users').set('Authorization', owner)
+    .send({ username: 'viewer2', password: Array(12).fill('a'), role: 'viewer' });
+  assert.strictEqual(arrayPassword.status, 400);
+  const objectPassword = await request(app).put('/api/admin/users/viewer1').set('Authorization', owner)
+    .send({ password: { length: 12 } });
+  assert.strictEqual(objectPassword.status, 400);
+
+  const login = await request(app).post('/api/admin/login').send({ username: 'viewer1', password: 'viewer-password-1' });
+  const viewer = `Bearer ${login.body.token}`;
+  assert.strictEqual((await request(app).get('/api/admin/performance').set('Authorization', viewer)).status, 200);
+  assert.strictEqual((await request(app).post('/api/admin/bulk-delete').set('Authorization', viewer).send({ card_ids: ['X'] })).status, 403);
+});
+
+test('bulk actions change cards and write the audit log', async () => {
+  const { app, storage } = buildTestApp();
+  await storage.cards.create({ card_id: 'CARDBULK1', status: 'pending', message_type: 'text' });
+  await storage.cards.create({ card_id: 'CARDBULK2', status: 'active', message_type: 'text' });
+  const owner = await ownerAuth(app);
+
+  const activated = await request(app).post('/api/admin/bulk-activate').set('Authorization', owner)
+    .send({ card_ids: ['CARDBULK1', 'CARDBULK2'] });
+  assert.strictEqual(activated.body.count, 1);
+  const activations = await storage.activations.list();
+  assert.deepStrictEqual(activations.map(a => a.activation_source), ['admin_bulk_activate']);
+
+  await request(app).post('/api/admin/bulk-delete').set('Authorization', owner).send({ card_ids: ['CARDBULK2'] });
+  assert.strictEqual((await storage.cards.get('CARDBULK2')).status, 'deleted');
+
+  const log = await request(app).get('/api/admin/audit-log').set('Authorization', owner);
+  assert.deepStrictEqual(log.body.entries.map(e => e.action).sort(), ['bulk_activate', 'bulk_delete']);
+  assert.ok(log.body.entries.every(e => e.actor === 'owner'));
+});
+
+test('support lookups leave token and PIN hashes out of card and batch rows', async () => {
+  const { app, storage } = buildTestApp();
+  await storage.batches.create({ batch_id: 'batch_support', manage_token_hash: 'a'.repeat(64), cards_created: 1 });
+  await storage.cards.create({ card_id: 'CARDHASH1', status: 'pending', message_type: 'text', batch_id: 'batch_support', manage_token_hash: 'b'.repeat(64), claim_pin_hash: 'c'.repeat(64) });
+  const support = await supportAuth(app);
+
+  const all = await request(app).get('/api/admin/cards-all-details').set('Authorization', support);
+  assert.strictEqual(all.status, 200);
+  const detail = await request(app).get('/api/admin/batches/batch_support').set('Authorization', support);
+  assert.strictEqual(detail.status, 200);
+  for (const row of [...all.body.cards, detail.body.batch, ...detail.body.cards]) {
+    assert.deepStrictEqual([row.manage_token_hash, row.claim_pin_hash], [undefined, undefined]);
+  }
+  assert.strictEqual(detail.body.cards[0].card_id, 'CARDHASH1');
+});
+
+test('unlocking verification clears a lockout, and answers for emails that never asked for a code', async () => {
+  const { app, storage } = buildTestApp();
+  await storage.codes.save('locked@example.com', { failed_attempts: 3, lockout_count: 2, locked_until: new Date(Date.now() + 60000).toISOString() });
+  const owner = await ownerAuth(app);
+
+  const unlocked = await request(app).post('/api/admin/verification-lockouts/unlock').set('Authorization', owner)
+    .send({ email: 'Locked@example.com' });
+  assert.strictEqual(unlocked.status, 200, unlocked.body.error);
+  const code = await storage.codes.get('locked@example.com');
+  assert.deepStrictEqual([code.failed_attempts, code.lockout_count, code.locked_until], [0, 0, null]);
+
+  const unknown = await request(app).post('/api/admin/verification-lockouts/unlock').set('Authorization', owner)
+    .send({ email: 'nobody@example.com' });
+  assert.strictEqual(unknown.status, 200, unknown.body.error);
+  assert.strictEqual(await storage.codes.get('nobody@example.com'), null);
+});
+
+test('unknown routes get the JSON 404', async () => {
+  const { app } = buildTestApp();
+  const res = await request(app).get('/api/nope');
+  assert.strictEqual(res.status, 404);
+  assert.strictEqual(res.body.error, 'Endpoint not found');
+  // Nothing lists cards to anyone who asks
+  assert.strictEqual((await request(app).get('/api/test-supabase')).status, 404);
+  assert.ok(!res.body.availableEndpoints.some(endpoint => endpoint.endsWith('/api/test-supabase')));
+});
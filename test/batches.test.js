@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { buildTestApp, buildStripeTestApp, payWithFakeStripe, saveBatchTemplate, BILLING_ADDRESS } = require('./helpers/app');
+const { createFakeStripe } = require('../clients/stripe-fake');
+const pricing = require('../services/pricing');
+
+test('a paid batch template becomes card #1 plus clones, all activated and logged', async () => {
+  const built = buildStripeTestApp();
+  const { app, storage } = built;
+  const token = await saveBatchTemplate(app, { batchId: 'batch_paid', quantity: 3 });
+  assert.match(token, /^pmt_/);
+
+  // The webhook builds the batch; success.html only reads the result
+  await payWithFakeStripe(built, { quantity: 3, batchId: 'batch_paid' }, { token });
+  const cards = await storage.cards.listByBatch('batch_paid');
+  assert.strictEqual(cards.length, 3);
+  assert.deepStrictEqual(cards.map(c => c.batch_order).sort(), [1, 2, 3]);
+  assert.ok(cards.every(c => c.status === 'active' && !c.is_batch_template && c.media_url === 'https://example.com/card.png'));
+
+  const res = await request(app).post('/api/activate-after-payment')
+    .set('X-Papir-Manage-Token', token)
+    .send({ batch_id: 'batch_paid' });
+  assert.deepStrictEqual([res.body.success, res.body.status, res.body.cards_created, res.body.is_batch], [true, 'fulfilled', 3, true]);
+
+  const batch = await storage.batches.get('batch_paid');
+  assert.strictEqual(batch.cards_created, 3);
+  assert.strictEqual(batch.max_cards_allowed, 3);
+  assert.strictEqual((await storage.activations.list()).length, 3);
+  const events = await storage.events.listForBatch('batch_paid');
+  assert.ok(events.some(e => e.event_type === 'batch_paid_and_created'));
+
+  const again = await request(app).post('/api/activate-after-payment')
+    .set('X-Papir-Manage-Token', token)
+    .send({ batch_id: 'batch_paid' });
+  assert.strictEqual(again.body.order_id, res.body.order_id);
+  assert.strictEqual((await storage.cards.listByBatch('batch_paid')).length, 3);
+});
+
+test('batch routes refuse callers without the batch token', async () => {
+  const { app } = buildTestApp();
+  await saveBatchTemplate(app, { batchId: 'batch_locked', quantity: 2 });
+
+  assert.strictEqual((await request(app).get('/api/batches/batch_locked')).status, 403);
+  assert.strictEqual((await request(app).post('/api/activate-after-payment').send({ batch_id: 'batch_locked' })).status, 403);
+  assert.strictEqual((await request(app).post('/api/batches/batch_locked/add-cards').send({ quantity: 1 })).status, 403);
+});
+
+test('only the batch owner can pay to add cards to an existing batch', async () => {
+  const built = buildStripeTestApp();
+  const { app, storage } = built;
+  const token = await saveBatchTemplate(app, { batchId: 'batch_theirs', quantity: 2 });
+  await payWithFakeStripe(built, { quantity: 2, batchId: 'batch_theirs' }, { token });
+
+  for (const mode of ['add_to_existing', undefined]) {
+    const intent = await request(app).post('/api/create-payment-intent')
+      .send({ quantity: 5, batchId: 'batch_theirs', mode, email: 'stranger@example.com', billing_address: BILLING_ADDRESS });
+    assert.strictEqual(intent.status, 403);
+  }
+  const session = await request(app).post('/api/create-checkout-session')
+    .send({ quantity: 5, batch_id: 'batch_theirs', mode: 'add_to_existing', billing_address: BILLING_ADDRESS });
+  assert.strictEqual(session.status, 403);
+  assert.strictEqual((await storage.orders.list({})).length, 1);
+});
+
+test('a card order keeps no batch, whatever batch ID came with it', async () => {
+  const built = buildStripeTestApp();
+  const { app, storage, stripe } = built;
+  const token = await saveBatchTemplate(app, { batchId: 'batch_victim', quantity: 2 });
+  await payWithFakeStripe(built, { quantity: 2, batchId: 'batch_victim' }, { token });
+
+  const intent = await request(app).post('/api/create-payment-intent')
+    .send({ quantity: 1, card_id: 'CARDSTRANGE', batchId: 'batch_victim', email: 'stranger@example.com', billing_address: BILLING_ADDRESS });
+  assert.strictEqual(intent.status, 200, intent.body.error);
+  const order = await storage.orders.get(intent.body.order_id);
+  assert.deepStrictEqual([order.kind, order.batch_id], ['card', null]);
+  const intentId = intent.body.clientSecret.split('_secret_')[0];
+  assert.strictEqual((await storage.payments.getByIntent(intentId)).batch_id, null);
+  assert.strictEqual((await stripe.paymentIntents.retrieve(intentId)).metadata.batch_id, '');
+
+  const session = await request(app).post('/api/create-checkout-session')
+    .send({ quantity: 1, card_id: 'CARDSTRANGE', batch_id: 'batch_victim', billing_address: BILLING_ADDRESS });
+  assert.strictEqual(session.status, 200, session.body.error);
+  assert.strictEqual((await storage.orders.get(session.body.order_id)).batch_id, null);
+  assert.strictEqual((await stripe.checkout.sessions.retrieve(session.body.id)).metadata.batch_id, '');
+});
+
+test('add-cards copies the batch design and raises the counts', async () => {
+  const built = buildStripeTestApp();
+  const { app, storage } = built;
+  const token = await saveBatchTemplate(app, { batchId: 'batch_grow', quantity: 2 });
+  await payWithFakeStripe(built, { quantity: 2, batchId: 'batch_grow' }, { token });
+
+  // batch-manager.html gets there before the webhook: the order is confirmed with Stripe
+  const { intentId } = await payWithFakeStripe(built, { quantity: 2, batchId: 'batch_grow', mode: 'add_to_existing' }, { deliver: false, token });
+  const res = await request(app).post('/api/batches/batch_grow/add-cards')
+    .set('X-Papir-Manage-Token', token)
+    .send({ quantity: 2, payment_intent_id: intentId });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.new_total, 4);
+  assert.deepStrictEqual(res.body.cards.map(c => c.batch_order), [3, 4]);
+
+  // Calling again (or the webhook arriving late) adds nothing more
+  const again = await request(app).post('/api/batches/batch_grow/add-cards')
+    .set('X-Papir-Manage-Token', token)
+    .send({ payment_intent_id: intentId });
+  assert.strictEqual(again.body.new_total, 4);
+
+  const view = await request(app).get('/api/batches/batch_grow').set('X-Papir-Manage-Token', token);
+  assert.strictEqual(view.body.batch.cards_created, 4);
+  assert.strictEqual(view.body.batch.manage_token_hash, undefined);
+  assert.strictEqual(view.body.cards.length, 4);
+  assert.ok(view.body.events.some(e => e.event_type === 'cards_added_via_payment'));
+  assert.strictEqual((await storage.cards.listByBatch('batch_grow')).filter(c => c.message_text === 'Happy birthday').length, 4);
+
+  const unpaid = await request(app).post('/api/batches/batch_grow/add-cards')
+    .set('X-Papir-Manage-Token', token)
+    .send({ quantity: 5, payment_intent_id: 'pi_made_up' });
+  assert.strictEqual(unpaid.status, 404);
+});
+
+test('add-cards on a batch with no active cards is a client error', async () => {
+  const built = buildStripeTestApp();
+  const token = await saveBatchTemplate(built.app, { batchId: 'batch_unpaid', quantity: 2 });
+  const { intentId } = await payWithFakeStripe(built, { quantity: 1, batchId: 'batch_unpaid', mode: 'add_to_existing' }, { deliver: false, token });
+  const res = await request(built.app).post('/api/batches/batch_unpaid/add-cards')
+    .set('X-Papir-Manage-Token', token)
+    .send({ quantity: 1, payment_intent_id: intentId });
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(res.body.error, 'No active cards in batch');
+});
+
+test('creating the same batch twice is a conflict', async () => {
+  const { app } = buildTestApp();
+  const first = await request(app).post('/api/batches').send({ batch_id: 'BATCH-DUP', total_cards_purchased: 5 });
+  assert.strictEqual(first.body.success, true);
+  const second = await request(app).post('/api/batches').send({ batch_id: 'BATCH-DUP' });
+  assert.strictEqual(second.status, 409);
+});
+
+test('calculate-price quotes exactly what checkout sessions and payment intents charge', async () => {
+  const stripe = createFakeStripe({ webhookSecret: 'whsec_fake_local' });
+  const { app, storage } = buildTestApp({ stripe, env: { STRIPE_BACKEND: 'fake' } });
+  await storage.cards.create({ card_id: 'CARDPRICE1', status: 'draft', message_type: 'video', has_video_overlay: true, template_config: JSON.stringify({ id: 'gold-foil' }) });
+  pricing.TEMPLATE_PRICES_CENTS['gold-foil'] = 399;
+  pricing.ADDON_PRICES_CENTS.video = 50;
+  try {
+    const priced = await request(app).post('/api/batches/calculate-price').send({ quantity: 5, card_id: 'CARDPRICE1' });
+    assert.strictEqual(priced.body.quote.totalAmount, 1199 + 500 + 250);
+
+    // The stored design wins over a cheaper template the client names
+    const session = await request(app).post('/api/create-checkout-session').send({ quantity: 5, card_id: 'CARDPRICE1', template_id: 'blank', billing_address: BILLING_ADDRESS });
+    const charged = await stripe.checkout.sessions.retrieve(session.body.id);
+    assert.strictEqual(charged.amount_total, priced.body.quote.totalAmount);
+
+    const intent = await request(app).post('/api/create-payment-intent').send({ quantity: 5, card_id: 'CARDPRICE1', batchId: 'CARDPRICE1', email: 'buyer@example.com', billing_address: BILLING_ADDRESS });
+    assert.strictEqual(intent.body.amount, priced.body.quote.totalAmount);
+  } finally {
+    delete pricing.TEMPLATE_PRICES_CENTS['gold-foil'];
+    pricing.ADDON_PRICES_CENTS.video = 0;
+  }
+
+  const items = await request(app).post('/api/create-checkout-session').send({ items: [{ name: 'Card', amount: 1, quantity: 1 }] });
+  assert.strictEqual(items.status, 400);
+  const unknown = await request(app).post('/api/batches/calculate-price').send({ quantity: 1, addons: ['glitter'] });
+  assert.deepStrictEqual([unknown.status, unknown.body.success], [400, false]);
+});
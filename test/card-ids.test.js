@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const cardIds = require('../lib/card-ids');
+const { createCardLifecycle } = require('../services/card-lifecycle');
+const { buildTestApp } = require('./helpers/app');
+
+const fakeReq = { headers: {}, socket: { remoteAddress: '203.0.113.10' }, app: { get: () => 1 } };
+
+test('generated IDs use the unambiguous alphabet and pass their own check', () => {
+  for (let i = 0; i < 200; i++) {
+    const id = cardIds.generateCardId();
+    assert.match(id, /^CARD[2-9A-HJ-NP-Z]{9}$/);
+    assert.strictEqual(cardIds.isValidCardId(id), true);
+  }
+});
+
+test('the check character catches every single-character typo and swap', () => {
+  const id = cardIds.generateCardId();
+  const body = id.slice(4);
+  for (let i = 0; i < body.length; i++) {
+    for (const ch of cardIds.ALPHABET) {
+      if (ch === body[i]) continue;
+      const typo = 'CARD' + body.slice(0, i) + ch + body.slice(i + 1);
+      assert.strictEqual(cardIds.isValidCardId(typo), false, typo);
+    }
+    if (i < body.length - 1 && body[i] !== body[i + 1]) {
+      const swapped = 'CARD' + body.slice(0, i) + body[i + 1] + body[i] + body.slice(i + 2);
+      assert.strictEqual(cardIds.isValidCardId(swapped), false, swapped);
+    }
+  }
+});
+
+test('manual entry normalises input, keeps legacy IDs and rejects typos', () => {
+  const id = cardIds.generateCardId();
+  assert.deepStrictEqual(cardIds.checkCardInput(` ${id.slice(0, 8).toLowerCase()}-${id.slice(8)} `), { cardId: id });
+  assert.deepStrictEqual(cardIds.checkCardInput('CARD0O1IXYZ9'), { cardId: 'CARD0O1IXYZ9' });
+  assert.match(cardIds.checkCardInput(id.slice(0, -1) + (id.endsWith('Z') ? 'Y' : 'Z')).error, /typo/);
+  assert.ok(cardIds.checkCardInput('hello').error);
+});
+
+test('server-generated IDs are redrawn when they collide', async () => {
+  let attempts = 0;
+  const storage = {
+    cards: {
+      async createMany(records) {
+        attempts++;
+        if (attempts === 1) throw Object.assign(new Error('duplicate key'), { code: '23505' });
+        return records;
+      }
+    },
+    cardTransitions: { async record() {} }
+  };
+  const lifecycle = createCardLifecycle({ storage });
+  const records = [{ card_id: 'CARDTAKEN', status: 'active' }];
+  const created = await lifecycle.createCards(fakeReq, records, { reason: 'test', freshIds: true });
+  assert.strictEqual(attempts, 2);
+  assert.strictEqual(cardIds.isValidCardId(created[0].card_id), true);
+
+  // Caller-chosen IDs are never swapped behind the caller's back
+  attempts = 0;
+  await assert.rejects(lifecycle.createCards(fakeReq, [{ card_id: 'CARDTAKEN', status: 'draft' }], { reason: 'test' }),
+    (error) => error.code === '23505');
+});
+
+test('new cards must be saved under a well-formed ID', async () => {
+  const { app } = buildTestApp();
+  const res = await request(app).post('/api/cards').send({ card_id: 'CARDABCD1234', message_type: 'text' });
+  assert.strictEqual(res.status, 400);
+  const script = await request(app).get('/js/card-ids.js');
+  assert.strictEqual(script.status, 200);
+  assert.match(script.text, /PapirCardIds/);
+});
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { buildTestApp, buildStripeTestApp, payWithFakeStripe, ownerAuth } = require('./helpers/app');
+const { createCardLifecycle, canTransition, savedCardStatus } = require('../services/card-lifecycle');
+const { createLocalStorage } = require('../storage');
+const { generateCardId } = require('../lib/card-ids');
+
+const SAVED_CARD = generateCardId();
+const ACTIVE_CARD = generateCardId();
+
+// Just enough of an Express request for getClientIp / getUserAgent
+const fakeReq = { headers: {}, socket: { remoteAddress: '203.0.113.10' }, app: { get: () => 1 } };
+
+test('only the listed transitions are legal', () => {
+  assert.strictEqual(canTransition('draft', 'active'), true);
+  assert.strictEqual(canTransition('pending', 'active'), true);
+  assert.strictEqual(canTransition('active', 'deleted'), true);
+  assert.strictEqual(canTransition('processed', 'deleted'), true);
+  assert.strictEqual(canTransition('deleted', 'active'), false);
+  assert.strictEqual(canTransition('active', 'draft'), false);
+  assert.strictEqual(canTransition('processed', 'active'), false);
+
+  assert.deepStrictEqual(savedCardStatus('ecard'), { status: 'draft', physical_card_status: null });
+  assert.deepStrictEqual(savedCardStatus('physical'), { status: 'pending', physical_card_status: 'dormant' });
+  assert.throws(() => savedCardStatus('ecard', 'active'), (error) => error.status === 400);
+});
+
+test('transition refuses illegal moves and loses races quietly', async () => {
+  const storage = createLocalStorage({ mediaDir: '/tmp/papir-unused-media' });
+  const lifecycle = createCardLifecycle({ storage });
+  await lifecycle.createCards(fakeReq, [{ card_id: 'LIFE1', status: 'pending', card_type: 'physical', physical_card_status: 'dormant' }], { reason: 'test' });
+
+  await assert.rejects(lifecycle.transition(fakeReq, { card_id: 'LIFE1', status: 'deleted' }, 'active', { reason: 'test' }),
+    (error) => error.code === 'illegal_transition' && error.status === 409);
+  await assert.rejects(lifecycle.createCards(fakeReq, [{ card_id: 'LIFE2', status: 'deleted' }], { reason: 'test' }),
+    (error) => error.code === 'illegal_initial_status');
+
+  // Read as draft, but the row is pending - the guarded update matches nothing
+  assert.strictEqual(await lifecycle.transition(fakeReq, { card_id: 'LIFE1', status: 'draft' }, 'active', { reason: 'test' }), null);
+
+  const activated = await lifecycle.transition(fakeReq, { card_id: 'LIFE1', status: 'pending' }, 'active', { reason: 'scanned' });
+  assert.strictEqual(activated.status, 'active');
+  assert.strictEqual(activated.physical_card_status, null);
+  assert.deepStrictEqual((await lifecycle.history('LIFE1')).map(t => [t.from_status, t.to_status, t.reason]),
+    [[null, 'pending', 'test'], ['pending', 'active', 'scanned']]);
+});
+
+test('saving, activating and deleting a card records each transition', async () => {
+  const built = buildStripeTestApp();
+  const { app, storage } = built;
+  const saved = await request(app).post('/api/cards').send({ card_id: SAVED_CARD, message_type: 'text', message_text: 'Hi' });
+  const token = saved.body.manage_token;
+
+  await payWithFakeStripe(built, { quantity: 1, card_id: SAVED_CARD, batchId: SAVED_CARD }, { token });
+  const viewed = await request(app).post('/api/activate-card').send({ card_id: SAVED_CARD, source: 'viewer' });
+  assert.strictEqual(viewed.body.already_active, true);
+  const deleted = await request(app).delete(`/api/cards/${SAVED_CARD}`).set('X-Papir-Manage-Token', token);
+  assert.strictEqual(deleted.body.success, true);
+
+  const again = await request(app).post('/api/activate-card').send({ card_id: SAVED_CARD });
+  assert.strictEqual(again.body.success, false);
+  assert.match(again.body.error, /status: deleted/);
+
+  const owner = await ownerAuth(app);
+  const history = await request(app).get(`/api/admin/cards/${SAVED_CARD}/transitions`).set('Authorization', owner);
+  assert.deepStrictEqual(history.body.transitions.map(t => `${t.from_status}>${t.to_status}:${t.reason}`),
+    ['null>draft:saved', 'draft>active:paid_order', 'active>deleted:owner_deleted']);
+  assert.strictEqual((await storage.cards.get(SAVED_CARD)).status, 'deleted');
+});
+
+test('buyers cannot save a card straight into active', async () => {
+  const { app, storage } = buildTestApp();
+  const res = await request(app).post('/api/cards').send({ card_id: ACTIVE_CARD, message_type: 'text', status: 'active' });
+  assert.strictEqual(res.status, 400);
+  assert.strictEqual(await storage.cards.get(ACTIVE_CARD), null);
+});
+
+test('bulk activate follows the lifecycle and reports what it skipped', async () => {
+  const { app, storage } = buildTestApp();
+  await storage.cards.create({ card_id: 'LIFEBULK1', status: 'draft', message_type: 'text' });
+  await storage.cards.create({ card_id: 'LIFEBULK2', status: 'deleted', message_type: 'text' });
+  const owner = await ownerAuth(app);
+
+  const res = await request(app).post('/api/admin/bulk-activate').set('Authorization', owner)
+    .send({ card_ids: ['LIFEBULK1', 'LIFEBULK2', 'MISSING'] });
+  assert.strictEqual(res.body.count, 1);
+  assert.deepStrictEqual(res.body.skipped.map(s => s.card_id).sort(), ['LIFEBULK2', 'MISSING']);
+  assert.strictEqual((await storage.cards.get('LIFEBULK1')).status, 'active');
+  const [transition] = await storage.cardTransitions.listForCard('LIFEBULK1');
+  assert.strictEqual(transition.actor, 'admin:owner');
+  assert.strictEqual(transition.reason, 'admin_bulk_activate');
+});
+
+test('unknown card IDs are refused and logged for admins', async () => {
+  const { app, storage } = buildTestApp();
+  const res = await request(app).post('/api/activate-card').send({ card_id: 'CARDTYPED1', source: 'viewer' });
+  assert.strictEqual(res.status, 404);
+  assert.strictEqual(res.body.success, false);
+  assert.strictEqual(await storage.cards.get('CARDTYPED1'), null);
+
+  const owner = await ownerAuth(app);
+  const review = await request(app).get('/api/admin/suspicious-activations').set('Authorization', owner);
+  assert.deepStrictEqual(review.body.attempts.map(a => [a.card_id, a.reason, a.source]), [['CARDTYPED1', 'unknown_card', 'viewer']]);
+});
+
+test('scanning blank pre-printed stock sends the holder to claim it instead of activating it', async () => {
+  const { app, storage } = buildTestApp();
+  await storage.cards.create({ card_id: 'CARDSTOCK1', status: 'pending', card_type: 'physical', physical_card_status: 'dormant', message_type: 'pending' });
+  const res = await request(app).post('/api/activate-card').send({ card_id: 'CARDSTOCK1' });
+  assert.strictEqual(res.status, 409);
+  assert.strictEqual(res.body.claim_required, true);
+  assert.strictEqual(res.body.claim_url, '/maker.html?claim=CARDSTOCK1');
+  assert.strictEqual((await storage.cards.get('CARDSTOCK1')).status, 'pending');
+  assert.strictEqual((await request(app).get('/api/cards/CARDSTOCK1')).body.claim_required, true);
+  assert.strictEqual((await storage.suspiciousActivations.listSince('1970-01-01')).length, 0);
+});
+
+test('a saved printed card cannot be activated until it is paid for', async () => {
+  const built = buildStripeTestApp();
+  const { app, storage } = built;
+  const cardId = generateCardId();
+  const saved = await request(app).post('/api/cards').send({ card_id: cardId, card_type: 'physical', message_type: 'text', message_text: 'Hi' });
+  assert.deepStrictEqual([saved.status, (await storage.cards.get(cardId)).status], [201, 'pending']);
+
+  const refused = await request(app).post('/api/activate-card').send({ card_id: cardId, source: 'viewer' });
+  assert.deepStrictEqual([refused.status, refused.body.success, refused.body.code], [402, false, 'card_unpaid']);
+  assert.strictEqual((await storage.cards.get(cardId)).status, 'pending');
+  const [attempt] = await storage.suspiciousActivations.listSince('1970-01-01');
+  assert.deepStrictEqual([attempt.card_id, attempt.reason], [cardId, 'unpaid_card']);
+
+  await payWithFakeStripe(built, { quantity: 1, card_id: cardId, batchId: cardId, card_type: 'physical', shipping_address: { name: 'Sam Tremblay', line1: '100 King St W', city: 'Toronto', region: 'ON', postal_code: 'M5V 2T6', country: 'CA' } });
+  const activated = await request(app).post('/api/activate-card').send({ card_id: cardId, source: 'viewer' });
+  assert.strictEqual(activated.body.success, true);
+  assert.strictEqual((await storage.cards.get(cardId)).status, 'active');
+});
+
+test('a saved e-card draft cannot be activated until it is paid for', async () => {
+  const { app, storage } = buildTestApp();
+  const cardId = generateCardId();
+  const saved = await request(app).post('/api/cards').send({ card_id: cardId, message_type: 'text', message_text: 'Hi' });
+  assert.deepStrictEqual([saved.status, (await storage.cards.get(cardId)).status], [201, 'draft']);
+
+  const refused = await request(app).post('/api/activate-card').send({ card_id: cardId, source: 'viewer' });
+  assert.deepStrictEqual([refused.status, refused.body.code], [402, 'card_unpaid']);
+  assert.strictEqual((await storage.cards.get(cardId)).status, 'draft');
+  const [attempt] = await storage.suspiciousActivations.listSince('1970-01-01');
+  assert.deepStrictEqual([attempt.card_id, attempt.reason, attempt.card_status], [cardId, 'unpaid_card', 'draft']);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { buildTestApp, buildStripeTestApp, payWithFakeStripe } = require('./helpers/app');
+const { generateCardId } = require('../lib/card-ids');
+
+const CARD_ONE = generateCardId();
+const CARD_TWO = generateCardId();
+const CARD_PAY = generateCardId();
+
+test('saving a single card issues a management token and keeps the draft private', async () => {
+  const { app, storage } = buildTestApp();
+  const res = await request(app).post('/api/cards').send({ card_id: CARD_ONE, message_type: 'text', message_text: 'Hi' });
+  assert.strictEqual(res.status, 201);
+  assert.strictEqual(res.body.manage_scope, 'card');
+  assert.match(res.body.manage_token, /^pmt_/);
+  assert.strictEqual(res.body.card.manage_token_hash, undefined);
+  assert.strictEqual((await storage.cards.get(CARD_ONE)).status, 'draft');
+
+  const view = await request(app).get(`/api/cards/${CARD_ONE}`);
+  assert.strictEqual(view.status, 403);
+});
+
+test('editing or deleting a card needs its management token', async () => {
+  const { app, storage } = buildTestApp();
+  const { body } = await request(app).post('/api/cards').send({ card_id: CARD_TWO, message_type: 'text' });
+
+  const hijack = await request(app).post('/api/cards').send({ card_id: CARD_TWO, message_type: 'text', message_text: 'mine now' });
+  assert.strictEqual(hijack.status, 403);
+
+  const denied = await request(app).delete(`/api/cards/${CARD_TWO}`);
+  assert.strictEqual(denied.status, 403);
+
+  const deleted = await request(app).delete(`/api/cards/${CARD_TWO}`).set('X-Papir-Manage-Token', body.manage_token);
+  assert.strictEqual(deleted.status, 200);
+  assert.strictEqual((await storage.cards.get(CARD_TWO)).status, 'deleted');
+});
+
+test('activate-after-payment activates a draft card once it is paid, and logs the activation', async () => {
+  const built = buildStripeTestApp();
+  const { app, storage } = built;
+  const { body } = await request(app).post('/api/cards').send({ card_id: CARD_PAY, message_type: 'text' });
+
+  // Paid, but the webhook hasn't arrived: success.html's call confirms with Stripe and activates
+  const unpaid = await request(app).post('/api/activate-after-payment')
+    .set('X-Papir-Manage-Token', body.manage_token)
+    .send({ card_id: CARD_PAY });
+  assert.strictEqual(unpaid.status, 404);
+  await payWithFakeStripe(built, { quantity: 1, batchId: CARD_PAY, card_id: CARD_PAY }, { deliver: false });
+
+  const res = await request(app).post('/api/activate-after-payment')
+    .set('X-Papir-Manage-Token', body.manage_token)
+    .send({ card_id: CARD_PAY });
+  assert.deepStrictEqual([res.body.success, res.body.card_id, res.body.is_batch], [true, CARD_PAY, false]);
+  assert.strictEqual((await storage.cards.get(CARD_PAY)).status, 'active');
+
+  const again = await request(app).post('/api/activate-after-payment')
+    .set('X-Papir-Manage-Token', body.manage_token)
+    .send({ card_id: CARD_PAY });
+  assert.strictEqual(again.body.status, 'fulfilled');
+
+  const activations = await storage.activations.list();
+  assert.strictEqual(activations.length, 1);
+  assert.strictEqual(activations[0].activation_source, 'order_paid');
+
+  const view = await request(app).get(`/api/cards/${CARD_PAY}`);
+  assert.strictEqual(view.status, 200);
+});
+
+test('increment-scan logs every post but counts a repeat from the same browser once', async () => {
+  const { app, storage } = buildTestApp();
+  await storage.cards.create({ card_id: 'CARDSCAN', status: 'active', message_type: 'text', scan_count: 0 });
+  const post = userAgent => request(app).post('/api/increment-scan').set('User-Agent', userAgent).send({ card_id: 'CARDSCAN' });
+
+  assert.strictEqual((await post('Mozilla/5.0 (iPhone) Safari/604.1')).body.count, 1);
+  assert.strictEqual((await post('Mozilla/5.0 (iPhone) Safari/604.1')).body.count, 1);
+  assert.strictEqual((await post('Mozilla/5.0 (Linux; Android 14) Chrome/126.0')).body.count, 2);
+  assert.strictEqual((await storage.scans.list()).length, 3);
+});
+
+test('upload-media stores the file and serves it from the local media route', async () => {
+  const { app } = buildTestApp();
+  const png = Buffer.alloc(256, 1);
+  const res = await request(app).post('/api/upload-media')
+    .field('fileName', 'photo.png')
+    .field('fileType', 'image/png')
+    .field('cardId', 'CARDMEDIA')
+    .attach('file', png, 'photo.png');
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.file_size, 256);
+
+  const served = await request(app).get(new URL(res.body.url, 'http://localhost').pathname);
+  assert.strictEqual(served.status, 200);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const Stripe = require('stripe');
+const { buildTestApp, BILLING_ADDRESS } = require('./helpers/app');
+const { createFakeStripe, signWebhookPayload } = require('../clients/stripe-fake');
+const { createFixtureGeolocator, DEFAULT_FIXTURES } = require('../clients/geo-fixtures');
+
+const WEBHOOK_SECRET = 'whsec_fake_local';
+
+function fakeStripeApp() {
+  const stripe = createFakeStripe({ webhookSecret: WEBHOOK_SECRET });
+  return { stripe, ...buildTestApp({ stripe, env: { STRIPE_BACKEND: 'fake' } }) };
+}
+
+function deliver(app, entry) {
+  return request(app).post('/api/webhook')
+    .set('Content-Type', 'application/json')
+    .set('Stripe-Signature', entry.signature)
+    .send(entry.payload);
+}
+
+test('fake webhook signatures verify with the real Stripe library', () => {
+  const payload = JSON.stringify({ id: 'evt_1', type: 'payment_intent.succeeded' });
+  const event = Stripe('sk_test_x').webhooks.constructEvent(payload, signWebhookPayload(payload, WEBHOOK_SECRET), WEBHOOK_SECRET);
+  assert.strictEqual(event.id, 'evt_1');
+
+  const { webhooks } = createFakeStripe({ webhookSecret: WEBHOOK_SECRET });
+  assert.throws(() => webhooks.constructEvent(payload, signWebhookPayload(payload, 'whsec_other'), WEBHOOK_SECRET));
+});
+
+test('a card payment runs end to end against the fake Stripe', async () => {
+  const { app, stripe, storage } = fakeStripeApp();
+
+  const key = await request(app).get('/api/stripe-key');
+  assert.strictEqual(key.body.publishableKey, 'pk_test_fake');
+  assert.strictEqual(key.body.jsUrl, '/fake-stripe/stripe.js');
+  assert.strictEqual((await request(app).get(key.body.jsUrl)).status, 200);
+
+  const intent = await request(app).post('/api/create-payment-intent')
+    .send({ quantity: 1, email: 'buyer@example.com', batchId: 'FAKE-PAY-1', billing_address: BILLING_ADDRESS });
+  assert.strictEqual(intent.body.success, true);
+  const intentId = intent.body.clientSecret.split('_secret_')[0];
+
+  const confirm = await request(app).post(`/fake-stripe/payment_intents/${intentId}/confirm`)
+    .send({ client_secret: intent.body.clientSecret, card_number: '4242 4242 4242 4242' });
+  assert.strictEqual(confirm.body.paymentIntent.status, 'succeeded');
+
+  const [succeeded] = stripe.fake.events;
+  assert.strictEqual(succeeded.event.type, 'payment_intent.succeeded');
+  assert.strictEqual((await deliver(app, succeeded)).status, 200);
+
+  const [payment] = await storage.payments.listForBatch('FAKE-PAY-1');
+  assert.strictEqual(payment.status, 'completed');
+  assert.strictEqual(await storage.batches.exists('FAKE-PAY-1'), true);
+});
+
+test('the decline test card fails and tampered webhooks are rejected', async () => {
+  const { app, stripe } = fakeStripeApp();
+  const intent = await request(app).post('/api/create-payment-intent')
+    .send({ quantity: 1, email: 'buyer@example.com', batchId: 'FAKE-PAY-2', billing_address: BILLING_ADDRESS });
+  const intentId = intent.body.clientSecret.split('_secret_')[0];
+
+  const declined = await request(app).post(`/fake-stripe/payment_intents/${intentId}/confirm`)
+    .send({ client_secret: intent.body.clientSecret, card_number: '4000000000000002' });
+  assert.strictEqual(declined.status, 402);
+  assert.strictEqual(declined.body.code, 'card_declined');
+  assert.strictEqual(stripe.fake.events[0].event.type, 'payment_intent.payment_failed');
+
+  const forged = { ...stripe.fake.events[0], payload: stripe.fake.events[0].payload.replace('payment_failed', 'succeeded') };
+  assert.strictEqual((await deliver(app, forged)).status, 400);
+});
+
+test('hosted checkout sessions redirect back to success_url once paid', async () => {
+  const { app, stripe } = fakeStripeApp();
+  const session = await request(app).post('/api/create-checkout-session')
+    .send({ quantity: 1, email: 'buyer@example.com', billing_address: BILLING_ADDRESS });
+  const url = new URL(session.body.url, 'http://localhost');
+  assert.match(url.pathname, /^\/fake-stripe\/checkout\/cs_fake_/);
+
+  const paid = await request(app).get(url.pathname);
+  assert.strictEqual(paid.status, 302);
+  const sessionId = paid.headers.location.match(/session_id=(cs_fake_\w+)/)[1];
+  assert.strictEqual((await stripe.checkout.sessions.retrieve(sessionId)).payment_status, 'paid');
+  assert.deepStrictEqual(stripe.fake.events.map(entry => entry.event.type), ['payment_intent.succeeded', 'checkout.session.completed']);
+});
+
+test('the outbox keeps verification emails for inspection', async () => {
+  const { app } = buildTestApp({ env: { MAIL_BACKEND: 'outbox' } });
+  await request(app).post('/api/send-verification-code').send({ email: 'buyer@example.com' });
+
+  const outbox = await request(app).get('/fake-mail/outbox').query({ to: 'buyer@example.com' });
+  assert.strictEqual(outbox.body.messages.length, 1);
+  assert.match(outbox.body.messages[0].html, /\d{6}/);
+});
+
+test('fixture geolocation answers per IP with a catch-all', async () => {
+  const geolocate = createFixtureGeolocator();
+  assert.strictEqual((await geolocate('203.0.113.10')).city, 'Toronto');
+  assert.strictEqual((await geolocate('8.8.8.8')).city, DEFAULT_FIXTURES['*'].city);
+  assert.strictEqual(await createFixtureGeolocator({})('8.8.8.8'), null);
+});
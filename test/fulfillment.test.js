@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { buildTestApp, ownerAuth } = require('./helpers/app');
+const { createFakeStripe } = require('../clients/stripe-fake');
+
+const WEBHOOK_SECRET = 'whsec_fake_local';
+const ADDRESS = { name: 'Sam Tremblay', line1: '100 King St W', city: 'Toronto', region: 'on', postal_code: 'm5v2t6', country: 'ca' };
+
+function fakeStripeApp() {
+  const stripe = createFakeStripe({ webhookSecret: WEBHOOK_SECRET });
+  return { stripe, ...buildTestApp({ stripe, env: { STRIPE_BACKEND: 'fake' } }) };
+}
+
+// Pays for a printed card through the fake Stripe and delivers the success webhook
+async function buyPrintedCard({ app, stripe }, cardId) {
+  const intent = await request(app).post('/api/create-payment-intent')
+    .send({ quantity: 1, email: 'buyer@example.com', batchId: cardId, card_id: cardId, card_type: 'physical', shipping_address: ADDRESS });
+  assert.strictEqual(intent.body.success, true);
+  const intentId = intent.body.clientSecret.split('_secret_')[0];
+  await request(app).post(`/fake-stripe/payment_intents/${intentId}/confirm`)
+    .send({ client_secret: intent.body.clientSecret, card_number: '4242 4242 4242 4242' });
+  const succeeded = stripe.fake.events.find(entry => entry.event.type === 'payment_intent.succeeded');
+  await request(app).post('/api/webhook')
+    .set('Content-Type', 'application/json')
+    .set('Stripe-Signature', succeeded.signature)
+    .send(succeeded.payload);
+  return intentId;
+}
+
+test('a paid printed card opens one order with the normalized address and emails the buyer', async () => {
+  const built = fakeStripeApp();
+  const { app, storage, sentEmails } = built;
+  await storage.cards.create({ card_id: 'CARDPRINT1', status: 'pending', message_type: 'text', message_text: 'Hi', created_at: new Date().toISOString() });
+
+  const invalid = await request(app).post('/api/create-payment-intent')
+    .send({ quantity: 1, email: 'buyer@example.com', batchId: 'CARDPRINT1', card_type: 'physical', shipping_address: { ...ADDRESS, country: 'FR' } });
+  assert.deepStrictEqual([invalid.status, invalid.body.success], [400, false]);
+
+  const intentId = await buyPrintedCard(built, 'CARDPRINT1');
+  const [order] = await storage.fulfillments.list();
+  assert.strictEqual(order.status, 'ordered');
+  assert.strictEqual(order.stripe_payment_intent_id, intentId);
+  assert.deepStrictEqual([order.shipping_address.country, order.shipping_address.region, order.shipping_address.postal_code], ['CA', 'ON', 'M5V 2T6']);
+
+  const card = await storage.cards.get('CARDPRINT1');
+  assert.deepStrictEqual([card.card_type, card.physical_card_status], ['physical', 'ordered']);
+  assert.ok(sentEmails.some(email => email.to === 'buyer@example.com' && /received your Papir card order/.test(email.subject)));
+
+  // Stripe retrying the webhook does not open a second order
+  const succeeded = built.stripe.fake.events.find(entry => entry.event.type === 'payment_intent.succeeded');
+  await request(app).post('/api/webhook').set('Content-Type', 'application/json').set('Stripe-Signature', succeeded.signature).send(succeeded.payload);
+  assert.strictEqual((await storage.fulfillments.list()).length, 1);
+});
+
+test('support moves an order forward, shipping needs tracking, and the history is kept', async () => {
+  const built = fakeStripeApp();
+  const { app, storage, sentEmails } = built;
+  await storage.cards.create({ card_id: 'CARDPRINT2', status: 'pending', message_type: 'text', message_text: 'Hi', created_at: new Date().toISOString() });
+  await buyPrintedCard(built, 'CARDPRINT2');
+  const [{ fulfillment_id: id }] = await storage.fulfillments.list();
+  const auth = await ownerAuth(app);
+  const advance = body => request(app).post(`/api/admin/fulfillments/${id}/status`).set('Authorization', auth).send(body);
+
+  assert.strictEqual((await advance({ status: 'printed' })).body.fulfillment.status, 'printed');
+  const untracked = await advance({ status: 'shipped' });
+  assert.deepStrictEqual([untracked.status, untracked.body.code], [400, 'tracking_required']);
+  const shipped = await advance({ status: 'shipped', carrier: 'Canada Post', tracking_number: '1234567890123456' });
+  assert.strictEqual(shipped.body.fulfillment.carrier, 'canada_post');
+  assert.ok(shipped.body.fulfillment.shipped_at);
+
+  const backwards = await advance({ status: 'printed' });
+  assert.strictEqual(backwards.status, 409);
+  assert.strictEqual((await advance({ status: 'lost' })).status, 400);
+
+  const detail = await request(app).get(`/api/admin/fulfillments/${id}`).set('Authorization', auth);
+  assert.deepStrictEqual(detail.body.events.map(e => [e.from_status, e.to_status]), [[null, 'ordered'], ['ordered', 'printed'], ['printed', 'shipped']]);
+  assert.match(detail.body.tracking_url, /canadapost/);
+  assert.strictEqual((await storage.cards.get('CARDPRINT2')).physical_card_status, 'shipped');
+  assert.ok(sentEmails.some(email => /have shipped/.test(email.subject) && email.html.includes('1234567890123456')));
+
+  const unauthenticated = await request(app).get('/api/admin/fulfillments');
+  assert.strictEqual(unauthenticated.status, 401);
+});
+
+test('the printer CSV applies each row on its own and reports the rest', async () => {
+  const built = fakeStripeApp();
+  const { app, storage } = built;
+  await storage.cards.create({ card_id: 'CARDPRINT3', status: 'pending', message_type: 'text', message_text: 'Hi', created_at: new Date().toISOString() });
+  await buyPrintedCard(built, 'CARDPRINT3');
+  const [{ fulfillment_id: id }] = await storage.fulfillments.list();
+  const auth = await ownerAuth(app);
+
+  const csv = [
+    'fulfillment_id,status,carrier,tracking_number,note',
+    `${id},Sent to printer,,,"batch 7, press 2"`,
+    `${id},sent_to_printer,,,`,
+    'FUL-MISSING,printed,,,',
+    `${id},shipped,,,`
+  ].join('\n');
+  const res = await request(app).post('/api/admin/fulfillments/printer-csv').set('Authorization', auth).send({ csv });
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body.applied.map(row => row.line), [2]);
+  assert.deepStrictEqual(res.body.skipped.map(row => row.line), [3]);
+  assert.deepStrictEqual(res.body.errors.map(row => row.line), [4, 5]);
+  assert.strictEqual((await storage.fulfillments.get(id)).status, 'sent_to_printer');
+
+  const [event] = (await storage.fulfillmentEvents.listFor(id)).slice(-1);
+  assert.deepStrictEqual([event.source, event.note], ['printer_csv', 'batch 7, press 2']);
+
+  const headerless = await request(app).post('/api/admin/fulfillments/printer-csv').set('Authorization', auth).send({ csv: 'a,b\n1,2' });
+  assert.deepStrictEqual([headerless.status, headerless.body.code], [400, 'invalid_csv']);
+});
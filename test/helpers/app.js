@@ -0,0 +1,100 @@
+// Builds the real app over the local storage backend with the outbox mailer and no geolocation
+// unless a geolocate function is passed.
+// Nothing here talks to Supabase, Stripe or the network.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const adminAuth = require('../../lib/admin-auth');
+const { loadConfig } = require('../../lib/config');
+const { createLocalStorage } = require('../../storage');
+const { createOutboxMailer } = require('../../clients/outbox-mailer');
+const { createApp } = require('../../app');
+const { createGeoEnrichment } = require('../../services/geo-enrichment');
+const { createFakeStripe } = require('../../clients/stripe-fake');
+const { generateCardId } = require('../../lib/card-ids');
+
+// Request logging drowns the test reporter; TEST_LOGS=1 brings it back
+if (!process.env.TEST_LOGS) console.log = () => {};
+
+const ADMIN_PASSWORD = 'owner-password-for-tests';
+const ADMIN_PASSWORD_HASH = adminAuth.hashPassword(ADMIN_PASSWORD);
+
+// geolocate defaults to "no location"; geoEnrichment.idle() waits for the location backfill
+function buildTestApp({ stripe = null, env = {}, geolocate = async () => null } = {}) {
+  const storage = createLocalStorage({ mediaDir: fs.mkdtempSync(path.join(os.tmpdir(), 'papir-media-')) });
+  const resend = createOutboxMailer();
+  const config = loadConfig({
+    NODE_ENV: 'development',
+    ADMIN_USERNAME: 'owner',
+    ADMIN_PASSWORD_HASH,
+    ADMIN_SESSION_SECRET: 'test-admin-session-secret',
+    ...env
+  });
+  const geoEnrichment = createGeoEnrichment({ geolocate, retryDelaysMs: [] });
+  const app = createApp({ storage, stripe, resend, config, geolocate, geoEnrichment });
+  return { app, storage, sentEmails: resend.outbox, config, geoEnrichment };
+}
+
+// The same app with the fake Stripe, for tests that pay
+function buildStripeTestApp(options = {}) {
+  const stripe = createFakeStripe({ webhookSecret: 'whsec_fake_local' });
+  return { stripe, ...buildTestApp({ ...options, stripe, env: { STRIPE_BACKEND: 'fake', ...options.env } }) };
+}
+
+// Posts a fake Stripe event entry to the webhook, signed as Stripe would
+function deliverEvent(app, entry) {
+  return request(app).post('/api/webhook')
+    .set('Content-Type', 'application/json')
+    .set('Stripe-Signature', entry.signature)
+    .send(entry.payload);
+}
+
+// Checkout needs a billing address for sales tax; New York has none, so totals stay the untaxed quote
+const BILLING_ADDRESS = { country: 'US', region: 'NY', postal_code: '10001' };
+
+// Pays the way checkout.html does: payment intent, card confirmed, then (unless deliver is false)
+// the signed payment_intent.succeeded webhook. Returns the create-payment-intent body plus intentId.
+// Paying into a batch that already exists needs its manage token.
+async function payWithFakeStripe({ app, stripe }, body, { deliver = true, token } = {}) {
+  const intent = await request(app).post('/api/create-payment-intent').set(token ? { 'X-Papir-Manage-Token': token } : {}).send({ email: 'buyer@example.com', billing_address: BILLING_ADDRESS, ...body });
+  if (!intent.body.success) throw new Error(`create-payment-intent failed: ${intent.body.error}`);
+  const intentId = intent.body.clientSecret.split('_secret_')[0];
+  await request(app).post(`/fake-stripe/payment_intents/${intentId}/confirm`)
+    .send({ client_secret: intent.body.clientSecret, card_number: '4242 4242 4242 4242' });
+  if (deliver) {
+    const succeeded = stripe.fake.events.find(entry => entry.event.type === 'payment_intent.succeeded' && entry.event.data.object.id === intentId);
+    await deliverEvent(app, succeeded);
+  }
+  return { ...intent.body, intentId };
+}
+
+// Signs in as the bootstrap owner and returns an Authorization header value
+async function ownerAuth(app) {
+  const res = await request(app).post('/api/admin/login').send({ username: 'owner', password: ADMIN_PASSWORD });
+  return `Bearer ${res.body.token}`;
+}
+
+// Has the owner add a support admin, signs in as them and returns their Authorization header value
+async function supportAuth(app, username = 'support1') {
+  const password = 'support-password-1';
+  await request(app).post('/api/admin/users').set('Authorization', await ownerAuth(app)).send({ username, password, role: 'support' });
+  const res = await request(app).post('/api/admin/login').send({ username, password });
+  return `Bearer ${res.body.token}`;
+}
+
+// Saves a batch template the way customize.html does and returns the batch's manage token
+async function saveBatchTemplate(app, { batchId, quantity, cardId = generateCardId() }) {
+  const res = await request(app).post('/api/cards').send({
+    card_id: cardId,
+    message_type: 'image',
+    message_text: 'Happy birthday',
+    media_url: 'https://example.com/card.png',
+    batch_id: batchId,
+    is_batch_template: true,
+    quantity
+  });
+  return res.body.manage_token;
+}
+
+module.exports = { buildTestApp, buildStripeTestApp, deliverEvent, payWithFakeStripe, ownerAuth, supportAuth, saveBatchTemplate, ADMIN_PASSWORD, BILLING_ADDRESS };
@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { buildTestApp, ownerAuth } = require('./helpers/app');
+const { createCardLifecycle } = require('../services/card-lifecycle');
+const { createManufacturingRuns, cliRequest, formatExport } = require('../services/manufacturing-runs');
+const { isValidCardId } = require('../lib/card-ids');
+const { pinMatches } = require('../lib/claim-pins');
+const { parseArgs, storageEnv } = require('../lib/cli-args');
+
+function runsFor(storage, config) {
+  return createManufacturingRuns({ storage, cardLifecycle: createCardLifecycle({ storage }), claimPinSecret: config.claimPinSecret });
+}
+
+test('a run inserts dormant physical cards tagged with its ID; a dry run writes nothing', async () => {
+  const { storage, config } = buildTestApp();
+  const runs = runsFor(storage, config);
+  const req = cliRequest('test');
+
+  const preview = await runs.createRun(req, { count: 3, sku: 'pc-a6', dryRun: true });
+  assert.strictEqual(preview.cards.length, 3);
+  assert.strictEqual((await storage.runs.list()).length, 0);
+  assert.strictEqual(await storage.cards.get(preview.cards[0].card_id), null);
+
+  const { run, cards } = await runs.createRun(req, { count: 3, sku: 'pc-a6' });
+  assert.match(run.run_id, /^RUN-\d{8}-[2-9A-Z]{4}$/);
+  assert.strictEqual(run.sku, 'PC-A6');
+  const stored = await storage.cards.listByRun(run.run_id);
+  assert.strictEqual(stored.length, 3);
+  assert.ok(stored.every(c => c.status === 'pending' && c.physical_card_status === 'dormant' && c.card_type === 'physical' && isValidCardId(c.card_id)));
+  // Each card has its own PIN, kept only as a hash
+  const stock = await storage.cards.get(cards[0].card_id);
+  assert.match(cards[0].pin, /^\d{8}$/);
+  assert.ok(pinMatches(stock.card_id, cards[0].pin, stock.claim_pin_hash, config.claimPinSecret));
+  assert.ok(!pinMatches(cards[1].card_id, cards[0].pin, (await storage.cards.get(cards[1].card_id)).claim_pin_hash, config.claimPinSecret));
+
+  const history = await storage.cardTransitions.listForCard(cards[0].card_id);
+  assert.deepStrictEqual(history.map(t => [t.from_status, t.to_status, t.reason, t.actor]), [[null, 'pending', 'manufacturing_run', req.actor]]);
+
+  await assert.rejects(runs.createRun(req, { count: 0, sku: 'PC-A6' }), error => error.code === 'invalid_count');
+  await assert.rejects(runs.createRun(req, { count: 2, sku: 'no spaces' }), error => error.code === 'invalid_sku');
+});
+
+test('the creation file carries the PINs; later exports in CSV, JSON and NDJSON do not', async () => {
+  const { storage, config } = buildTestApp();
+  const runs = runsFor(storage, config);
+  const { run, cards } = await runs.createRun(cliRequest('test'), { count: 2, sku: 'PC-A6' });
+  const baseUrl = 'https://papir.ca';
+
+  const file = formatExport(runs.exportRows(run, cards, baseUrl), 'csv', run).trim().split('\n');
+  assert.match(file[1], new RegExp(`,${run.run_id},PC-A6,pending,\\d{4}-\\d{4},https://papir.ca/c/CARD`));
+
+  const csv = (await runs.exportRun(run.run_id, { format: 'csv', baseUrl })).body.trim().split('\n');
+  assert.strictEqual(csv[0], 'card_id,run_id,sku,status,pin,qr_url');
+  assert.strictEqual(csv.length, 3);
+  assert.match(csv[1], new RegExp(`,${run.run_id},PC-A6,pending,,https://papir.ca/c/CARD`));
+
+  const json = JSON.parse((await runs.exportRun(run.run_id, { format: 'json', baseUrl })).body);
+  assert.strictEqual(json.run.run_id, run.run_id);
+  assert.strictEqual(json.cards.length, 2);
+
+  const ndjson = (await runs.exportRun(run.run_id, { format: 'ndjson', baseUrl })).body.trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(ndjson.map(row => row.card_id), json.cards.map(row => row.card_id));
+
+  await assert.rejects(runs.exportRun(run.run_id, { format: 'xml', baseUrl }), error => error.status === 400);
+  await assert.rejects(runs.exportRun('RUN-MISSING', { baseUrl }), error => error.status === 404);
+});
+
+test('voiding a lost run kills its dormant cards but leaves activated ones, and stats show the rate', async () => {
+  const { app, storage, config } = buildTestApp();
+  const runs = runsFor(storage, config);
+  const req = cliRequest('test');
+  const { run, cards } = await runs.createRun(req, { count: 4, sku: 'PC-A6' });
+
+  await request(app).post(`/api/physical-cards/${cards[0].card_id}/activate`).send({ pin: cards[0].pin, terms_accepted: true, message_type: 'text', message_text: 'Found it' });
+  const [before] = await runs.runStats(run.run_id);
+  assert.deepStrictEqual([before.printed, before.active, before.pending, before.activation_rate], [4, 1, 3, 0.25]);
+
+  const preview = await runs.voidRun(req, run.run_id, { reason: 'lost in transit', dryRun: true });
+  assert.strictEqual(preview.voided.length, 3);
+  assert.strictEqual((await storage.runs.get(run.run_id)).status, 'created');
+
+  const result = await runs.voidRun(req, run.run_id, { reason: 'lost in transit' });
+  assert.strictEqual(result.voided.length, 3);
+  assert.deepStrictEqual(result.kept, [{ card_id: cards[0].card_id, status: 'active' }]);
+  assert.strictEqual(result.run.status, 'voided');
+  await assert.rejects(runs.voidRun(req, run.run_id, { reason: 'again' }), error => error.status === 409);
+
+  const refused = await request(app).post('/api/activate-card').send({ card_id: cards[1].card_id });
+  assert.strictEqual(refused.body.success, false);
+  const [after] = await runs.runStats();
+  assert.deepStrictEqual([after.active, after.deleted, after.status], [1, 3, 'voided']);
+});
+
+test('support regenerates PINs for a voided run as a replacement run with fresh cards', async () => {
+  const { app, storage, config } = buildTestApp();
+  const runs = runsFor(storage, config);
+  const { run, cards } = await runs.createRun(cliRequest('test'), { count: 3, sku: 'PC-A6' });
+  const auth = await ownerAuth(app);
+
+  const live = await request(app).post(`/api/admin/runs/${run.run_id}/regenerate-pins`).set('Authorization', auth);
+  assert.deepStrictEqual([live.status, live.body.code], [409, 'run_not_voided']);
+
+  await runs.voidRun(cliRequest('test'), run.run_id, { reason: 'PIN file leaked' });
+  const res = await request(app).post(`/api/admin/runs/${run.run_id}/regenerate-pins`).set('Authorization', auth);
+  assert.strictEqual(res.status, 200);
+  const rows = res.text.trim().split('\n').slice(1).map(line => line.split(','));
+  assert.strictEqual(rows.length, 3);
+  const [replacement] = await storage.runs.list({ status: 'created' });
+  assert.strictEqual(replacement.replaces_run_id, run.run_id);
+  assert.ok(rows.every(row => row[1] === replacement.run_id && /^\d{4}-\d{4}$/.test(row[4])));
+  assert.ok(!rows.some(row => cards.some(card => card.card_id === row[0])));
+
+  // The new PIN claims the new card; the old cards stay dead
+  const claimed = await request(app).post(`/api/physical-cards/${rows[0][0]}/activate`).send({ pin: rows[0][4], terms_accepted: true, message_type: 'text', message_text: 'Hi' });
+  assert.strictEqual(claimed.body.success, true);
+  const old = await request(app).post(`/api/physical-cards/${cards[0].card_id}/activate`).send({ pin: cards[0].pin, terms_accepted: true, message_type: 'text', message_text: 'Hi' });
+  assert.strictEqual(old.status, 409);
+
+  const again = await request(app).post(`/api/admin/runs/${run.run_id}/regenerate-pins`).set('Authorization', auth);
+  assert.strictEqual(again.body.code, 'run_replaced');
+});
+
+test('CLI arguments: subcommands, flags and the local backend', () => {
+  const args = parseArgs(['runs', 'create', '--count', '5', '--sku=PC-A6', '--dry-run', '--local'], { flags: ['dry-run', 'local'] });
+  assert.deepStrictEqual(args, { _: ['runs', 'create'], count: '5', sku: 'PC-A6', 'dry-run': true, local: true });
+  assert.strictEqual(storageEnv(args, {}).STORAGE_BACKEND, 'local');
+  assert.strictEqual(storageEnv({}, { STORAGE_BACKEND: 'supabase' }).STORAGE_BACKEND, 'supabase');
+});
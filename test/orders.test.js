@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { buildStripeTestApp, deliverEvent, payWithFakeStripe, ownerAuth, saveBatchTemplate, BILLING_ADDRESS } = require('./helpers/app');
+const { hashManageToken } = require('../lib/manage-tokens');
+const { generateCardId } = require('../lib/card-ids');
+
+test('the webhook alone activates a paid card, so closing the tab after paying is fine', async () => {
+  const built = buildStripeTestApp();
+  const { app, storage } = built;
+  const cardId = generateCardId();
+  await request(app).post('/api/cards').send({ card_id: cardId, message_type: 'text', message_text: 'Hi' });
+
+  const paid = await payWithFakeStripe(built, { quantity: 1, batchId: cardId, card_id: cardId });
+  assert.match(paid.order_id, /^ORD-\d{8}-[A-Z0-9]{4}$/);
+  assert.strictEqual((await storage.cards.get(cardId)).status, 'active');
+
+  const order = await storage.orders.get(paid.order_id);
+  assert.deepStrictEqual([order.status, order.kind, order.channel, order.amount_total, order.stripe_payment_intent_id], ['fulfilled', 'card', 'payment_intent', 299, paid.intentId]);
+  assert.deepStrictEqual(order.card_ids, [cardId]);
+  assert.ok(order.paid_at && order.fulfilled_at);
+  assert.deepStrictEqual((await storage.orderItems.listFor(paid.order_id)).map(item => [item.code, item.amount]), [['cards', 299]]);
+  const payment = await storage.payments.getByIntent(paid.intentId);
+  assert.strictEqual(payment.batch_id, null);
+  assert.deepStrictEqual([payment.order_id, payment.status], [paid.order_id, 'completed']);
+
+  // Stripe redelivering the event changes nothing
+  const succeeded = built.stripe.fake.events.find(entry => entry.event.type === 'payment_intent.succeeded');
+  assert.strictEqual((await deliverEvent(app, succeeded)).status, 200);
+  assert.strictEqual((await storage.activations.list()).length, 1);
+
+  const auth = await ownerAuth(app);
+  const list = await request(app).get('/api/admin/orders?status=fulfilled').set('Authorization', auth);
+  assert.deepStrictEqual(list.body.orders.map(o => o.order_id), [paid.order_id]);
+  assert.strictEqual(list.body.orders[0].manage_token_hash, undefined);
+  const detail = await request(app).get(`/api/admin/orders/${paid.order_id}`).set('Authorization', auth);
+  assert.strictEqual(detail.body.items.length, 1);
+  assert.strictEqual((await request(app).get('/api/admin/orders')).status, 401);
+});
+
+test('a paid checkout session builds its cards from the order, with the token handed out at checkout', async () => {
+  const built = buildStripeTestApp();
+  const { app, storage, stripe } = built;
+  const session = await request(app).post('/api/create-checkout-session')
+    .send({ quantity: 2, message_text: 'Congrats', media_type: 'image', media_url: 'https://example.com/a.png', customer_email: 'buyer@example.com', billing_address: BILLING_ADDRESS });
+  assert.match(session.body.manage_token, /^pmt_/);
+
+  const unpaid = await request(app).post('/api/activate-after-payment').send({ session_id: session.body.id });
+  assert.strictEqual(unpaid.status, 402);
+
+  stripe.fake.completeCheckoutSession(session.body.id);
+  const succeeded = stripe.fake.events.find(entry => entry.event.type === 'payment_intent.succeeded');
+  assert.strictEqual((await deliverEvent(app, succeeded)).status, 200);
+
+  const order = await storage.orders.get(session.body.order_id);
+  assert.deepStrictEqual([order.status, order.kind, order.channel, order.card_ids.length], ['fulfilled', 'design', 'checkout_session', 2]);
+  const batch = await storage.batches.get(order.batch_id);
+  assert.strictEqual(batch.manage_token_hash, hashManageToken(session.body.manage_token));
+  const cards = await storage.cards.listByBatch(order.batch_id);
+  assert.ok(cards.every(c => c.status === 'active' && c.message_text === 'Congrats'));
+
+  const result = await request(app).post('/api/activate-after-payment').send({ session_id: session.body.id });
+  assert.deepStrictEqual([result.body.is_batch, result.body.batch_id, result.body.cards_created], [true, order.batch_id, 2]);
+});
+
+test('a fulfillment that fails keeps the order paid with the error, and admin can run it again', async () => {
+  const built = buildStripeTestApp();
+  const { app, storage, stripe } = built;
+  const token = await saveBatchTemplate(app, { batchId: 'batch_stuck', quantity: 2 });
+
+  // Cards can't be added to a batch that was never activated
+  const paid = await payWithFakeStripe(built, { quantity: 1, batchId: 'batch_stuck', mode: 'add_to_existing' }, { deliver: false, token });
+  const succeeded = stripe.fake.events.find(entry => entry.event.data.object.id === paid.intentId && entry.event.type === 'payment_intent.succeeded');
+  assert.strictEqual((await deliverEvent(app, succeeded)).status, 500);
+  const stuck = await storage.orders.get(paid.order_id);
+  assert.deepStrictEqual([stuck.status, stuck.fulfillment_error, stuck.fulfillment_started_at], ['paid', 'No active cards in batch', null]);
+
+  const auth = await ownerAuth(app);
+  const retry = await request(app).post(`/api/admin/orders/${paid.order_id}/confirm`).set('Authorization', auth);
+  assert.strictEqual(retry.status, 400);
+  assert.strictEqual((await storage.orders.get(paid.order_id)).status, 'paid');
+});
+
+test('a fulfillment retried after failing part way carries on with the cards it already made', async () => {
+  const built = buildStripeTestApp();
+  const { app, storage, stripe } = built;
+  const session = await request(app).post('/api/create-checkout-session')
+    .send({ quantity: 2, message_text: 'Congrats', customer_email: 'buyer@example.com', billing_address: BILLING_ADDRESS });
+  stripe.fake.completeCheckoutSession(session.body.id);
+  const succeeded = stripe.fake.events.find(entry => entry.event.type === 'payment_intent.succeeded');
+
+  // The cards get made, then saving their batch fails once
+  const createBatch = storage.batches.create;
+  storage.batches.create = async () => { throw new Error('Connection reset'); };
+  assert.strictEqual((await deliverEvent(app, succeeded)).status, 500);
+  storage.batches.create = createBatch;
+  const stuck = await storage.orders.get(session.body.order_id);
+  assert.deepStrictEqual([stuck.status, stuck.card_ids.length], ['paid', 2]);
+
+  assert.strictEqual((await deliverEvent(app, succeeded)).status, 200);
+  const order = await storage.orders.get(session.body.order_id);
+  assert.deepStrictEqual([order.status, order.card_ids, order.batch_id], ['fulfilled', stuck.card_ids, stuck.batch_id]);
+  assert.strictEqual((await storage.batches.get(order.batch_id)).cards_created, 2);
+  assert.deepStrictEqual((await storage.cards.listByBatch(order.batch_id)).map(c => c.card_id).sort(), [...stuck.card_ids].sort());
+});
+
+test('a payment for the wrong amount leaves the order unpaid and flagged for review', async () => {
+  const built = buildStripeTestApp();
+  const { app, storage, stripe } = built;
+  const cardId = generateCardId();
+  await request(app).post('/api/cards').send({ card_id: cardId, message_type: 'text', message_text: 'Hi' });
+  const paid = await payWithFakeStripe(built, { quantity: 1, batchId: cardId, card_id: cardId }, { deliver: false });
+  // The order says more than the intent Stripe charged
+  await storage.orders.update(paid.order_id, { amount_total: paid.amount + 500 });
+
+  const succeeded = stripe.fake.events.find(entry => entry.event.data.object.id === paid.intentId && entry.event.type === 'payment_intent.succeeded');
+  assert.strictEqual((await deliverEvent(app, succeeded)).status, 200);
+  const order = await storage.orders.get(paid.order_id);
+  assert.deepStrictEqual([order.status, order.review_reason], ['created', `Stripe took ${paid.amount} usd, the order is for ${paid.amount + 500}`]);
+  assert.strictEqual((await storage.cards.get(cardId)).status, 'draft');
+
+  const auth = await ownerAuth(app);
+  const retry = await request(app).post(`/api/admin/orders/${paid.order_id}/confirm`).set('Authorization', auth);
+  assert.strictEqual(retry.body.order.status, 'created');
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { buildTestApp, ownerAuth } = require('./helpers/app');
+const { hashPin } = require('../lib/claim-pins');
+
+const PIN = '12345678';
+const DESIGN = { pin: PIN, terms_accepted: true, message_type: 'text', message_text: 'Happy birthday, Sam' };
+
+function inDays(days) {
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+async function createStock({ storage, config }, cardId, fields = {}) {
+  await storage.cards.create({
+    card_id: cardId,
+    status: 'pending',
+    card_type: 'physical',
+    physical_card_status: 'dormant',
+    message_type: 'pending',
+    activation_deadline: inDays(30),
+    claim_pin_hash: hashPin(cardId, PIN, config.claimPinSecret),
+    created_at: new Date().toISOString(),
+    ...fields
+  });
+}
+
+test('claiming blank stock activates it with the design and hands back a manage token', async () => {
+  const built = buildTestApp();
+  const { app, storage } = built;
+  await createStock(built, 'CARDCLAIM1');
+
+  const status = await request(app).get('/api/physical-cards/CARDCLAIM1');
+  assert.deepStrictEqual([status.body.claimable, status.body.pin_required], [true, true]);
+
+  const noTerms = await request(app).post('/api/physical-cards/CARDCLAIM1/activate').send({ ...DESIGN, terms_accepted: false });
+  assert.strictEqual(noTerms.body.code, 'terms_required');
+  const noDesign = await request(app).post('/api/physical-cards/CARDCLAIM1/activate').send({ pin: PIN, terms_accepted: true, message_type: 'image' });
+  assert.strictEqual(noDesign.status, 400);
+
+  const res = await request(app).post('/api/physical-cards/CARDCLAIM1/activate').send(DESIGN);
+  assert.strictEqual(res.status, 200);
+  assert.ok(res.body.manage_token);
+  assert.strictEqual(res.body.card.claim_pin_hash, undefined);
+
+  const card = await storage.cards.get('CARDCLAIM1');
+  assert.deepStrictEqual([card.status, card.physical_card_status, card.message_text], ['active', null, 'Happy birthday, Sam']);
+  assert.strictEqual((await request(app).get('/api/cards/CARDCLAIM1')).body.success, true);
+
+  const again = await request(app).post('/api/physical-cards/CARDCLAIM1/activate').send(DESIGN);
+  assert.deepStrictEqual([again.status, again.body.code], [409, 'not_claimable']);
+});
+
+test('claims need the right PIN and lock after repeated misses', async () => {
+  const built = buildTestApp();
+  const { app, storage } = built;
+  await createStock(built, 'CARDCLAIM2');
+  await createStock(built, 'CARDNOPIN1', { claim_pin_hash: null });
+
+  const missing = await request(app).post('/api/physical-cards/CARDCLAIM2/activate').send({ ...DESIGN, pin: undefined });
+  assert.strictEqual(missing.body.code, 'pin_required');
+  const noPinOnRecord = await request(app).post('/api/physical-cards/CARDNOPIN1/activate').send(DESIGN);
+  assert.deepStrictEqual([noPinOnRecord.status, noPinOnRecord.body.code], [409, 'pin_not_issued']);
+
+  for (let i = 0; i < 4; i++) {
+    const wrong = await request(app).post('/api/physical-cards/CARDCLAIM2/activate').send({ ...DESIGN, pin: '00000000' });
+    assert.deepStrictEqual([wrong.status, wrong.body.code], [401, 'wrong_pin']);
+  }
+  const fifth = await request(app).post('/api/physical-cards/CARDCLAIM2/activate').send({ ...DESIGN, pin: '00000000' });
+  assert.deepStrictEqual([fifth.status, fifth.body.code], [429, 'claim_locked']);
+
+  // Locked even with the right PIN until the lockout runs out
+  const locked = await request(app).post('/api/physical-cards/CARDCLAIM2/activate').send(DESIGN);
+  assert.strictEqual(locked.status, 429);
+  assert.ok((await request(app).get('/api/physical-cards/CARDCLAIM2')).body.locked_until);
+
+  await storage.cards.update('CARDCLAIM2', { claim_locked_until: null });
+  const ok = await request(app).post('/api/physical-cards/CARDCLAIM2/activate').send({ ...DESIGN, pin: '1234 5678' });
+  assert.strictEqual(ok.body.success, true);
+  const suspicious = await storage.suspiciousActivations.listSince('1970-01-01');
+  assert.strictEqual(suspicious.filter(s => s.reason === 'wrong_pin').length, 5);
+});
+
+test('wrong PINs sent in parallel all count towards the lockout', async () => {
+  const built = buildTestApp();
+  const { app, storage } = built;
+  await createStock(built, 'CARDCLAIM3');
+
+  const guesses = await Promise.all(['00000001', '00000002', '00000003', '00000004', '00000005']
+    .map(pin => request(app).post('/api/physical-cards/CARDCLAIM3/activate').send({ ...DESIGN, pin })));
+  assert.deepStrictEqual(guesses.map(guess => guess.status).sort(), [401, 401, 401, 401, 429]);
+  const card = await storage.cards.get('CARDCLAIM3');
+  assert.deepStrictEqual([card.claim_failed_attempts, card.claim_lockout_count], [0, 1]);
+  const locked = await request(app).post('/api/physical-cards/CARDCLAIM3/activate').send(DESIGN);
+  assert.strictEqual(locked.status, 429);
+});
+
+test('cards past their activation deadline expire instead of activating', async () => {
+  const built = buildTestApp();
+  const { app, storage } = built;
+  await createStock(built, 'CARDLATE01', { activation_deadline: inDays(-1) });
+  await createStock(built, 'CARDLATE02', { activation_deadline: inDays(-1) });
+  await createStock(built, 'CARDSHELF1', { activation_deadline: inDays(200), created_at: inDays(-90) });
+
+  const late = await request(app).post('/api/physical-cards/CARDLATE01/activate').send(DESIGN);
+  assert.deepStrictEqual([late.status, late.body.code], [410, 'claim_expired']);
+  const expired = await storage.cards.get('CARDLATE01');
+  assert.deepStrictEqual([expired.status, expired.physical_card_status], ['deleted', 'expired']);
+
+  // The owner's sweep takes overdue cards but leaves stock still inside its deadline on the shelf
+  const sweep = await request(app).post('/api/admin/expire-cards').set('Authorization', await ownerAuth(app));
+  assert.strictEqual(sweep.body.count, 1);
+  assert.strictEqual((await storage.cards.get('CARDLATE02')).status, 'deleted');
+  assert.strictEqual((await storage.cards.get('CARDSHELF1')).status, 'pending');
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { buildStripeTestApp, payWithFakeStripe, saveBatchTemplate } = require('./helpers/app');
+const { generateCardId } = require('../lib/card-ids');
+const { renderPrintSheet, parsePrintOptions } = require('../services/print-sheet');
+
+function binary(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+function pageCount(pdf) {
+  return (pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length;
+}
+
+test('print options default to Letter 3 x 4 with bleed and crop marks, and are range checked', () => {
+  const options = parsePrintOptions({});
+  assert.deepStrictEqual(
+    { paper: options.paper, columns: options.columns, rows: options.rows, bleed: options.bleed, marks: options.marks, skip: options.skip },
+    { paper: 'letter', columns: 3, rows: 4, bleed: 3, marks: true, skip: 0 }
+  );
+  assert.strictEqual(parsePrintOptions({ paper: 'A4', marks: '0', bleed: '1.5' }).paper, 'a4');
+  for (const query of [{ paper: 'tabloid' }, { columns: '9' }, { rows: '0' }, { bleed: '20' }, { skip: '12' }]) {
+    assert.throws(() => parsePrintOptions(query), error => error.status === 400, JSON.stringify(query));
+  }
+});
+
+test('cards are imposed after the cover, one sheet per full grid', async () => {
+  const cards = Array.from({ length: 5 }, () => ({ card_id: generateCardId() }));
+  const baseUrl = 'https://papir.ca';
+  const oneSheet = await renderPrintSheet({ title: 'Run 1', cards, baseUrl, options: parsePrintOptions({}) });
+  assert.strictEqual(oneSheet.subarray(0, 5).toString(), '%PDF-');
+  assert.strictEqual(pageCount(oneSheet), 2);
+
+  const twoUp = await renderPrintSheet({ title: 'Run 1', cards, baseUrl, options: parsePrintOptions({ paper: 'a4', columns: '2', rows: '1', skip: '1' }) });
+  assert.strictEqual(pageCount(twoUp), 4);
+
+  await assert.rejects(renderPrintSheet({ title: 'Empty', cards: [], baseUrl, options: parsePrintOptions({}) }), /no cards/);
+});
+
+test('batch owners can download the print sheet, others cannot', async () => {
+  const built = buildStripeTestApp();
+  const { app } = built;
+  const token = await saveBatchTemplate(app, { batchId: 'batch_print', quantity: 3 });
+  await payWithFakeStripe(built, { quantity: 3, batchId: 'batch_print' }, { token });
+
+  const pdf = await request(app).get('/api/batches/batch_print/print-sheet.pdf?paper=a4')
+    .set('X-Papir-Manage-Token', token)
+    .buffer(true).parse(binary);
+  assert.strictEqual(pdf.status, 200);
+  assert.strictEqual(pdf.headers['content-type'], 'application/pdf');
+  assert.strictEqual(pageCount(pdf.body), 2);
+
+  assert.strictEqual((await request(app).get('/api/batches/batch_print/print-sheet.pdf')).status, 403);
+  const bad = await request(app).get('/api/batches/batch_print/print-sheet.pdf?columns=40').set('X-Papir-Manage-Token', token);
+  assert.strictEqual(bad.status, 400);
+});
@@ -0,0 +1,196 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { buildStripeTestApp, payWithFakeStripe, ownerAuth, deliverEvent, BILLING_ADDRESS } = require('./helpers/app');
+const { createPromotions, PROMO_HOLD_MS } = require('../services/promotions');
+
+async function createCode(app, auth, body) {
+  const res = await request(app).post('/api/admin/promo-codes').set('Authorization', auth).send(body);
+  assert.strictEqual(res.status, 201, res.body.error);
+  return res.body.promo_code;
+}
+
+function price(app, body) {
+  return request(app).post('/api/batches/calculate-price').send(body);
+}
+
+test('only the owner creates and reads codes, and a bad or taken code is refused', async () => {
+  const { app, storage } = buildStripeTestApp();
+  const owner = await ownerAuth(app);
+  await request(app).post('/api/admin/users').set('Authorization', owner)
+    .send({ username: 'support1', password: 'support-password-1', role: 'support' });
+  const login = await request(app).post('/api/admin/login').send({ username: 'support1', password: 'support-password-1' });
+  const support = `Bearer ${login.body.token}`;
+
+  const denied = await request(app).post('/api/admin/promo-codes').set('Authorization', support)
+    .send({ code: 'SPRING', discount_type: 'percent', discount_value: 10 });
+  assert.strictEqual(denied.status, 403);
+
+  const promo = await createCode(app, owner, { code: ' spring ', discount_type: 'percent', discount_value: 10, categories: 'Birthday, wedding' });
+  assert.deepStrictEqual([promo.code, promo.categories, promo.active, promo.min_quantity], ['SPRING', ['birthday', 'wedding'], true, 1]);
+
+  const taken = await request(app).post('/api/admin/promo-codes').set('Authorization', owner)
+    .send({ code: 'spring', discount_type: 'fixed', discount_value: 100 });
+  assert.deepStrictEqual([taken.status, taken.body.code], [409, 'code_taken']);
+  for (const bad of [{ code: 'X', discount_type: 'fixed', discount_value: 100 }, { code: 'HALF', discount_type: 'percent', discount_value: 150 }]) {
+    assert.strictEqual((await request(app).post('/api/admin/promo-codes').set('Authorization', owner).send(bad)).status, 400);
+  }
+  // The report carries revenue and the redemptions buyers' emails, so reading them is owner-only too
+  assert.strictEqual((await request(app).get('/api/admin/promo-codes').set('Authorization', support)).status, 403);
+  assert.strictEqual((await request(app).get('/api/admin/promo-codes/SPRING/redemptions').set('Authorization', support)).status, 403);
+  assert.strictEqual((await request(app).get('/api/admin/promo-codes/SPRING/redemptions').set('Authorization', owner)).status, 200);
+  assert.strictEqual((await storage.auditLog.list({ action: 'promo_code_create' })).total, 1);
+});
+
+test('a code is priced by the server and charged, then counted once the order is paid', async () => {
+  const built = buildStripeTestApp();
+  const { app, storage } = built;
+  const owner = await ownerAuth(app);
+  await createCode(app, owner, { code: 'TENOFF', discount_type: 'percent', discount_value: 10, max_per_email: 1 });
+
+  const full = (await price(app, { quantity: 10 })).body.quote;
+  const discounted = await price(app, { quantity: 10, promo_code: 'tenoff', email: 'buyer@example.com' });
+  assert.strictEqual(discounted.status, 200);
+  const quote = discounted.body.quote;
+  assert.deepStrictEqual([quote.promoCode, quote.discountAmount, quote.totalAmount], ['TENOFF', Math.round(full.totalAmount / 10), full.totalAmount - Math.round(full.totalAmount / 10)]);
+  assert.strictEqual(quote.lines.find(line => line.code === 'discount').amount, -quote.discountAmount);
+
+  const needsEmail = await price(app, { quantity: 10, promo_code: 'TENOFF' });
+  assert.deepStrictEqual([needsEmail.status, needsEmail.body.code], [400, 'promo_email_required']);
+
+  const paid = await payWithFakeStripe(built, { quantity: 10, batchId: 'batch_promo', promo_code: 'TENOFF' });
+  assert.deepStrictEqual([paid.amount, paid.discount], [quote.totalAmount, quote.discountAmount]);
+  const order = await storage.orders.get(paid.order_id);
+  assert.deepStrictEqual([order.status, order.promo_code, order.discount_amount, order.amount_total], ['fulfilled', 'TENOFF', quote.discountAmount, quote.totalAmount]);
+  const [redemption] = await storage.promoRedemptions.list({ code: 'TENOFF' });
+  assert.deepStrictEqual([redemption.status, redemption.customer_email, redemption.order_id], ['redeemed', 'buyer@example.com', paid.order_id]);
+
+  // One use per email: the same buyer is turned away, another buyer still gets it
+  const again = await request(app).post('/api/create-payment-intent')
+    .send({ quantity: 10, batchId: 'batch_promo_2', email: 'Buyer@Example.com', promo_code: 'TENOFF', billing_address: BILLING_ADDRESS });
+  assert.deepStrictEqual([again.status, again.body.code], [400, 'promo_email_limit']);
+  assert.strictEqual((await price(app, { quantity: 10, promo_code: 'TENOFF', email: 'other@example.com' })).status, 200);
+
+  const report = await request(app).get('/api/admin/promo-codes').set('Authorization', owner);
+  const [row] = report.body.promo_codes;
+  assert.deepStrictEqual([row.redemptions, row.discount_total, row.revenue_total, row.refunded_total], [1, quote.discountAmount, quote.totalAmount, 0]);
+});
+
+test('an open order holds its use of a code until the hold runs out, and a paid one keeps it', async () => {
+  const built = buildStripeTestApp();
+  const { app, storage, stripe } = built;
+  const owner = await ownerAuth(app);
+  await createCode(app, owner, { code: 'ONCE', discount_type: 'fixed', discount_value: 200, max_redemptions: 1 });
+  await createCode(app, owner, { code: 'MINE', discount_type: 'fixed', discount_value: 200, max_per_email: 1 });
+
+  const unpaid = await payWithFakeStripe(built, { quantity: 1, batchId: 'batch_once_a', promo_code: 'ONCE' }, { deliver: false });
+  const second = await request(app).post('/api/create-payment-intent')
+    .send({ quantity: 1, batchId: 'batch_once_b', email: 'other@example.com', promo_code: 'ONCE', billing_address: BILLING_ADDRESS });
+  assert.deepStrictEqual([second.status, second.body.code], [400, 'promo_exhausted']);
+  assert.strictEqual((await price(app, { quantity: 1, promo_code: 'ONCE' })).body.code, 'promo_exhausted');
+
+  await payWithFakeStripe(built, { quantity: 1, batchId: 'batch_mine_a', promo_code: 'MINE' }, { deliver: false });
+  const again = await request(app).post('/api/create-checkout-session')
+    .send({ quantity: 1, customer_email: 'buyer@example.com', promo_code: 'MINE', billing_address: BILLING_ADDRESS });
+  assert.deepStrictEqual([again.status, again.body.code], [400, 'promo_email_limit']);
+  assert.strictEqual((await price(app, { quantity: 1, promo_code: 'MINE', email: 'other@example.com' })).status, 200);
+
+  // Abandoned orders give their use back once the hold runs out; paid ones keep it
+  const promotions = createPromotions({ storage });
+  const quote = (await price(app, { quantity: 1 })).body.quote;
+  const later = new Date(Date.now() + PROMO_HOLD_MS + 60 * 1000);
+  assert.strictEqual((await promotions.apply(quote, { code: 'ONCE', at: later })).discountAmount, 200);
+  const succeeded = stripe.fake.events.find(entry => entry.event.type === 'payment_intent.succeeded' && entry.event.data.object.id === unpaid.intentId);
+  await deliverEvent(app, succeeded);
+  await assert.rejects(promotions.apply(quote, { code: 'ONCE', at: later }), error => error.code === 'promo_exhausted');
+});
+
+test('orders opened together cannot both reserve a code\'s last use', async () => {
+  const { app, storage } = buildStripeTestApp();
+  const owner = await ownerAuth(app);
+  await createCode(app, owner, { code: 'LAST', discount_type: 'percent', discount_value: 10, max_redemptions: 1 });
+  const promotions = createPromotions({ storage });
+  const quote = await promotions.apply((await price(app, { quantity: 1 })).body.quote, { code: 'LAST' });
+
+  // Both were priced while the use was free
+  const reserved = await Promise.allSettled(['ORD-RACE-1', 'ORD-RACE-2'].map(orderId => promotions.reserve({ order_id: orderId }, quote)));
+  assert.deepStrictEqual(reserved.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.strictEqual(reserved.find(result => result.status === 'rejected').reason.code, 'promo_exhausted');
+  assert.strictEqual((await storage.promoRedemptions.list({ code: 'LAST' })).length, 1);
+});
+
+test('a code only applies within its dates, quantities, templates and categories', async () => {
+  const { app, storage } = buildStripeTestApp();
+  const owner = await ownerAuth(app);
+  const day = 24 * 60 * 60 * 1000;
+  await createCode(app, owner, { code: 'OLD', discount_type: 'percent', discount_value: 5, starts_at: new Date(Date.now() - 2 * day), expires_at: new Date(Date.now() - day) });
+  await createCode(app, owner, { code: 'SOON', discount_type: 'percent', discount_value: 5, starts_at: new Date(Date.now() + day) });
+  await createCode(app, owner, { code: 'BULK', discount_type: 'percent', discount_value: 20, min_quantity: 25 });
+  await createCode(app, owner, { code: 'BDAY', discount_type: 'fixed', discount_value: 300, categories: ['birthday'] });
+  await createCode(app, owner, { code: 'GOLD', discount_type: 'percent', discount_value: 15, template_ids: ['gold-foil'] });
+
+  const refused = async (body, code) => {
+    const res = await price(app, { quantity: 1, ...body });
+    assert.deepStrictEqual([res.status, res.body.code], [400, code]);
+  };
+  await refused({ promo_code: 'NOPE' }, 'promo_not_found');
+  await refused({ promo_code: 'OLD' }, 'promo_expired');
+  await refused({ promo_code: 'SOON' }, 'promo_not_started');
+  await refused({ promo_code: 'BULK', quantity: 10 }, 'promo_min_quantity');
+  await refused({ promo_code: 'BDAY', template_id: 'wedding-classic' }, 'promo_category');
+  await refused({ promo_code: 'GOLD', template_id: 'blank' }, 'promo_template');
+
+  assert.strictEqual((await price(app, { quantity: 25, promo_code: 'BULK' })).status, 200);
+  assert.strictEqual((await price(app, { quantity: 1, template_id: 'gold-foil', promo_code: 'GOLD' })).status, 200);
+  // A saved card's category comes from its template_config
+  await storage.cards.create({ card_id: 'CARDBDAY01', status: 'draft', message_type: 'text', template_config: JSON.stringify({ id: 'balloons', category: 'birthday' }) });
+  const birthday = await price(app, { quantity: 1, card_id: 'CARDBDAY01', promo_code: 'BDAY' });
+  // $3 off a single card stops at Stripe's minimum charge
+  const single = (await price(app, { quantity: 1, card_id: 'CARDBDAY01' })).body.quote;
+  assert.deepStrictEqual([birthday.body.quote.totalAmount, birthday.body.quote.discountAmount], [50, single.totalAmount - 50]);
+
+  const off = await request(app).post('/api/admin/promo-codes/bday/active').set('Authorization', owner).send({ active: false });
+  assert.strictEqual(off.body.promo_code.active, false);
+  await refused({ card_id: 'CARDBDAY01', promo_code: 'BDAY' }, 'promo_inactive');
+});
+
+test('checkout sessions charge the discounted quote', async () => {
+  const { app, stripe } = buildStripeTestApp();
+  const owner = await ownerAuth(app);
+  await createCode(app, owner, { code: 'FIVE', discount_type: 'fixed', discount_value: 500 });
+
+  const quote = (await price(app, { quantity: 10, promo_code: 'FIVE' })).body.quote;
+  const session = await request(app).post('/api/create-checkout-session')
+    .send({ quantity: 10, message_text: 'Hi', customer_email: 'buyer@example.com', promo_code: 'FIVE', billing_address: BILLING_ADDRESS });
+  assert.strictEqual(session.status, 200);
+  const created = await stripe.checkout.sessions.retrieve(session.body.id);
+  assert.strictEqual(created.amount_total, quote.totalAmount);
+  assert.strictEqual(created.metadata.promo_code, 'FIVE');
+
+  const bad = await request(app).post('/api/create-checkout-session').send({ quantity: 10, promo_code: 'MISSING', billing_address: BILLING_ADDRESS });
+  assert.deepStrictEqual([bad.status, bad.body.code], [400, 'promo_not_found']);
+});
+
+test('a cents-off code only applies to orders in its own currency', async () => {
+  const built = buildStripeTestApp();
+  const { app } = built;
+  const owner = await ownerAuth(app);
+  const usd = await createCode(app, owner, { code: 'TENUSD', discount_type: 'fixed', discount_value: 1000 });
+  const cad = await createCode(app, owner, { code: 'TENCAD', discount_type: 'fixed', discount_value: 1000, currency: 'CAD' });
+  const percent = await createCode(app, owner, { code: 'TENPCT', discount_type: 'percent', discount_value: 10, currency: 'cad' });
+  assert.deepStrictEqual([usd.currency, cad.currency, percent.currency], ['usd', 'cad', null]);
+  const bad = await request(app).post('/api/admin/promo-codes').set('Authorization', owner)
+    .send({ code: 'TENEUR', discount_type: 'fixed', discount_value: 1000, currency: 'eur' });
+  assert.deepStrictEqual([bad.status, bad.body.code], [400, 'invalid_currency']);
+
+  const wrong = await price(app, { quantity: 10, currency: 'cad', promo_code: 'TENUSD' });
+  assert.deepStrictEqual([wrong.status, wrong.body.code], [400, 'promo_currency']);
+  const charged = await request(app).post('/api/create-payment-intent')
+    .send({ quantity: 10, batchId: 'batch_promo_cad', email: 'buyer@example.com', currency: 'cad', promo_code: 'TENUSD', billing_address: BILLING_ADDRESS });
+  assert.deepStrictEqual([charged.status, charged.body.code], [400, 'promo_currency']);
+  assert.strictEqual((await price(app, { quantity: 10, currency: 'usd', promo_code: 'TENCAD' })).body.code, 'promo_currency');
+
+  assert.strictEqual((await price(app, { quantity: 10, currency: 'cad', promo_code: 'TENCAD' })).body.quote.discountAmount, 1000);
+  assert.strictEqual((await price(app, { quantity: 10, currency: 'usd', promo_code: 'TENUSD' })).body.quote.discountAmount, 1000);
+  assert.strictEqual((await price(app, { quantity: 10, currency: 'cad', promo_code: 'TENPCT' })).body.quote.discountAmount, 270);
+});
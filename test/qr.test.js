@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { buildTestApp } = require('./helpers/app');
+const { generateCardId } = require('../lib/card-ids');
+const { parseQrOptions, renderQr } = require('../services/qr');
+
+function binary(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+test('card QR codes render locally as PNG, SVG and PDF', async () => {
+  const { app } = buildTestApp();
+  const cardId = generateCardId();
+  await request(app).post('/api/cards').send({ card_id: cardId, message_type: 'text' });
+
+  const png = await request(app).get(`/api/cards/${cardId}/qr.png?size=256`).buffer(true).parse(binary);
+  assert.strictEqual(png.status, 200);
+  assert.strictEqual(png.headers['content-type'], 'image/png');
+  assert.deepStrictEqual(png.body.subarray(0, 8), Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]));
+  assert.strictEqual(png.body.readUInt32BE(16), 256);
+
+  const svg = await request(app).get(`/api/cards/${cardId}/qr.svg?fg=1a1a2e&bg=transparent`);
+  assert.strictEqual(svg.status, 200);
+  assert.match(svg.headers['content-type'], /^image\/svg\+xml/);
+  const markup = svg.text || svg.body.toString();
+  assert.match(markup, /fill="#1a1a2e"/);
+  assert.doesNotMatch(markup, /<rect/);
+
+  const pdf = await request(app).get(`/api/cards/${cardId}/qr.pdf?logo=1`).buffer(true).parse(binary);
+  assert.strictEqual(pdf.status, 200);
+  assert.strictEqual(pdf.body.subarray(0, 5).toString(), '%PDF-');
+});
+
+test('the save response points at the local QR endpoint', async () => {
+  const { app } = buildTestApp();
+  const cardId = generateCardId();
+  const res = await request(app).post('/api/cards').send({ card_id: cardId, message_type: 'text' });
+  assert.match(res.body.urls.qrCode, new RegExp(`/api/cards/${cardId}/qr\\.png`));
+  assert.doesNotMatch(res.body.urls.qrCode, /qrserver/);
+});
+
+test('unknown cards, formats and options are refused', async () => {
+  const { app } = buildTestApp();
+  const missing = await request(app).get(`/api/cards/${generateCardId()}/qr.png`);
+  assert.strictEqual(missing.status, 404);
+
+  const cardId = generateCardId();
+  await request(app).post('/api/cards').send({ card_id: cardId, message_type: 'text' });
+  for (const query of ['size=10', 'margin=40', 'ecc=X', 'fg=red', 'logo=1&ecc=L']) {
+    const res = await request(app).get(`/api/cards/${cardId}/qr.svg?${query}`);
+    assert.strictEqual(res.status, 400, query);
+    assert.strictEqual(res.body.success, false);
+  }
+  assert.strictEqual((await request(app).get(`/api/cards/${cardId}/qr.gif`)).status, 400);
+  assert.strictEqual((await request(app).get('/api/qr.svg')).status, 400);
+});
+
+test('the logo switches to high error correction and clears the middle of the code', async () => {
+  assert.strictEqual(parseQrOptions({ logo: '1' }).ecc, 'H');
+  assert.strictEqual(parseQrOptions({}).ecc, 'M');
+
+  const plain = await renderQr('https://papir.ca/viewer.html?card=CARDTEST', 'svg', parseQrOptions({ ecc: 'H' }));
+  const withLogo = await renderQr('https://papir.ca/viewer.html?card=CARDTEST', 'svg', parseQrOptions({ logo: '1' }));
+  assert.doesNotMatch(plain.body, /<g transform/);
+  assert.match(withLogo.body, /<g transform="translate\(/);
+  assert.ok(withLogo.body.length > plain.body.length);
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { buildStripeTestApp, deliverEvent, payWithFakeStripe, ownerAuth, supportAuth, saveBatchTemplate } = require('./helpers/app');
+const { generateCardId } = require('../lib/card-ids');
+const { refundAmount } = require('../services/refunds');
+
+test('refundAmount splits the total by card and gives back what is left with the last cards', () => {
+  const order = { quantity: 3, amount_total: 1000, amount_refunded: 0, cards_refunded: 0 };
+  assert.strictEqual(refundAmount(order, 1), 333);
+  assert.strictEqual(refundAmount({ ...order, amount_refunded: 333, cards_refunded: 1 }, 2), 667);
+  assert.strictEqual(refundAmount({ ...order, amount_refunded: 900 }, 1), 100);
+});
+
+test('the owner refunds some cards of a batch, then the rest of the order', async () => {
+  const built = buildStripeTestApp();
+  const { app, storage, stripe, sentEmails } = built;
+  const token = await saveBatchTemplate(app, { batchId: 'batch_refund', quantity: 4 });
+  const paid = await payWithFakeStripe(built, { quantity: 4, batchId: 'batch_refund' }, { token });
+  const order = await storage.orders.get(paid.order_id);
+  const auth = await ownerAuth(app);
+
+  const partial = await request(app).post(`/api/admin/orders/${paid.order_id}/refund`).set('Authorization', auth).send({ cards: 1 });
+  assert.strictEqual(partial.status, 200);
+  assert.deepStrictEqual([partial.body.refund.cards, partial.body.refund.amount, partial.body.refund.card_ids.length], [1, Math.round(order.amount_total / 4), 1]);
+  assert.match(partial.body.refund.refund_id, /^re_/);
+  assert.deepStrictEqual([partial.body.order.status, partial.body.order.cards_refunded], ['fulfilled', 1]);
+
+  const [refundedId] = partial.body.refund.card_ids;
+  assert.strictEqual((await storage.cards.get(refundedId)).status, 'refunded');
+  const view = await request(app).get(`/api/cards/${refundedId}`);
+  assert.deepStrictEqual([view.status, view.body.unavailable], [410, true]);
+  let batch = await storage.batches.get('batch_refund');
+  assert.deepStrictEqual([batch.cards_created, batch.max_cards_allowed], [3, 3]);
+  const [event] = (await storage.events.listForBatch('batch_refund')).filter(e => e.event_type === 'cards_refunded');
+  assert.deepStrictEqual([event.quantity, event.metadata.order_id, event.metadata.card_ids], [1, paid.order_id, [refundedId]]);
+  assert.ok(sentEmails.some(mail => mail.to === 'buyer@example.com' && mail.subject === 'Your Papir refund'));
+
+  for (const cards of [0, 4, 1.5]) {
+    const bad = await request(app).post(`/api/admin/orders/${paid.order_id}/refund`).set('Authorization', auth).send({ cards });
+    assert.deepStrictEqual([bad.status, bad.body.code], [400, 'invalid_card_count']);
+  }
+
+  const rest = await request(app).post(`/api/admin/orders/${paid.order_id}/refund`).set('Authorization', auth).send({});
+  assert.deepStrictEqual([rest.body.refund.cards, rest.body.order.status, rest.body.order.amount_refunded], [3, 'refunded', order.amount_total]);
+  assert.ok((await storage.cards.listByBatch('batch_refund')).every(card => card.status === 'refunded'));
+  batch = await storage.batches.get('batch_refund');
+  assert.deepStrictEqual([batch.cards_created, batch.max_cards_allowed], [0, 0]);
+
+  // The charge.refunded webhooks for both refunds change nothing more
+  for (const entry of stripe.fake.events.filter(e => e.event.type === 'charge.refunded')) {
+    assert.strictEqual((await deliverEvent(app, entry)).status, 200);
+  }
+  assert.strictEqual((await storage.orders.get(paid.order_id)).amount_refunded, order.amount_total);
+  assert.strictEqual(sentEmails.filter(mail => mail.subject === 'Your Papir refund').length, 2);
+
+  const again = await request(app).post(`/api/admin/orders/${paid.order_id}/refund`).set('Authorization', auth).send({});
+  assert.deepStrictEqual([again.status, again.body.code], [409, 'not_refundable']);
+  const audit = await storage.auditLog.list({ action: 'order_refund' });
+  assert.strictEqual(audit.total, 2);
+});
+
+test('support cannot refund or re-confirm orders', async () => {
+  const built = buildStripeTestApp();
+  const { app, storage } = built;
+  const paid = await payWithFakeStripe(built, { quantity: 10, batchId: 'batch_support_refund' });
+  const support = await supportAuth(app);
+
+  assert.strictEqual((await request(app).get(`/api/admin/orders/${paid.order_id}`).set('Authorization', support)).status, 200);
+  const refund = await request(app).post(`/api/admin/orders/${paid.order_id}/refund`).set('Authorization', support).send({});
+  const confirm = await request(app).post(`/api/admin/orders/${paid.order_id}/confirm`).set('Authorization', support);
+  assert.deepStrictEqual([refund.status, confirm.status], [403, 403]);
+  assert.strictEqual((await storage.orders.get(paid.order_id)).amount_refunded || 0, 0);
+});
+
+test('a full refund made in the Stripe dashboard takes the card out of use', async () => {
+  const built = buildStripeTestApp();
+  const { app, storage, stripe, sentEmails } = built;
+  const cardId = generateCardId();
+  await request(app).post('/api/cards').send({ card_id: cardId, message_type: 'text', message_text: 'Hi' });
+  const paid = await payWithFakeStripe(built, { quantity: 1, batchId: cardId, card_id: cardId });
+
+  await deliverEvent(app, stripe.fake.refundPaymentIntent(paid.intentId));
+  const order = await storage.orders.get(paid.order_id);
+  assert.deepStrictEqual([order.status, order.cards_refunded], ['refunded', 1]);
+  assert.strictEqual((await storage.cards.get(cardId)).status, 'refunded');
+  assert.strictEqual((await storage.cardTransitions.listForCard(cardId)).pop().reason, 'order_refunded');
+  assert.ok(sentEmails.some(mail => mail.subject === 'Your Papir refund'));
+});
+
+test('a refund Stripe refuses leaves the order and its cards as they were', async () => {
+  const built = buildStripeTestApp();
+  const { app, storage, stripe } = built;
+  const token = await saveBatchTemplate(app, { batchId: 'batch_refused', quantity: 2 });
+  const paid = await payWithFakeStripe(built, { quantity: 2, batchId: 'batch_refused' }, { token });
+  // Part of it was already given back in the dashboard, and that webhook hasn't arrived
+  stripe.fake.refundPaymentIntent(paid.intentId, { amount: 100 });
+
+  const auth = await ownerAuth(app);
+  const res = await request(app).post(`/api/admin/orders/${paid.order_id}/refund`).set('Authorization', auth).send({});
+  assert.strictEqual(res.status, 502);
+  assert.match(res.body.error, /^Stripe refused the refund/);
+  const order = await storage.orders.get(paid.order_id);
+  assert.deepStrictEqual([order.status, order.cards_refunded], ['fulfilled', 0]);
+  assert.ok((await storage.cards.listByBatch('batch_refused')).every(card => card.status === 'active'));
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { buildTestApp, buildStripeTestApp, payWithFakeStripe, ownerAuth, supportAuth, saveBatchTemplate, BILLING_ADDRESS } = require('./helpers/app');
+
+const ONTARIO = { country: 'CA', region: 'on', postal_code: 'M5V 2T6' };
+
+function price(app, body) {
+  return request(app).post('/api/batches/calculate-price').send(body);
+}
+
+test('calculate-price quotes CAD, and adds the province taxes once there is a billing address', async () => {
+  const { app } = buildTestApp();
+  const untaxed = (await price(app, { quantity: 10, currency: 'cad' })).body.quote;
+  assert.deepStrictEqual([untaxed.currency, untaxed.totalAmount, untaxed.taxAmount, untaxed.taxJurisdiction], ['cad', 2699, 0, null]);
+
+  const ontario = (await price(app, { quantity: 10, currency: 'cad', billing_address: ONTARIO })).body.quote;
+  assert.deepStrictEqual(ontario.lines.map(line => [line.code, line.amount]), [['cards', 2699], ['tax_hst', 351]]);
+  assert.deepStrictEqual([ontario.subtotalAmount, ontario.totalAmount, ontario.taxJurisdiction], [2699, 3050, 'CA-ON']);
+
+  const usd = (await price(app, { quantity: 10, billing_address: BILLING_ADDRESS })).body.quote;
+  assert.deepStrictEqual([usd.currency, usd.totalAmount, usd.taxJurisdiction], ['usd', 1999, 'US']);
+
+  const badProvince = await price(app, { quantity: 1, billing_address: { country: 'CA', region: 'XX' } });
+  assert.deepStrictEqual([badProvince.status, badProvince.body.code], [400, 'invalid_billing_address']);
+  const badCurrency = await price(app, { quantity: 1, currency: 'eur' });
+  assert.strictEqual(badCurrency.status, 400);
+});
+
+test('buyers located in Canada start in CAD unless they pick a currency', async () => {
+  const geolocate = async ip => (ip === '203.0.113.10' ? { ip, country_code: 'CA' } : null);
+  const { app } = buildTestApp({ geolocate });
+
+  const located = await request(app).get('/api/checkout/currency').set('X-Forwarded-For', '203.0.113.10');
+  assert.deepStrictEqual([located.body.currency, located.body.country], ['cad', 'CA']);
+  const elsewhere = await request(app).get('/api/checkout/currency').set('X-Forwarded-For', '192.0.2.30');
+  assert.deepStrictEqual([elsewhere.body.currency, elsewhere.body.country], ['usd', null]);
+
+  const fromCanada = await price(app, { quantity: 1 }).set('X-Forwarded-For', '203.0.113.10');
+  assert.deepStrictEqual([fromCanada.body.quote.currency, fromCanada.body.quote.totalAmount], ['cad', 399]);
+  const picked = await price(app, { quantity: 1, currency: 'usd' }).set('X-Forwarded-For', '203.0.113.10');
+  assert.strictEqual(picked.body.quote.currency, 'usd');
+});
+
+test('payments charge the tax, and keep it on the order, the payment record and the receipt', async () => {
+  const built = buildStripeTestApp();
+  const { app, storage, stripe } = built;
+
+  const missing = await request(app).post('/api/create-payment-intent').send({ quantity: 1, batchId: 'batch_no_address', email: 'buyer@example.com' });
+  assert.deepStrictEqual([missing.status, missing.body.code], [400, 'billing_address_required']);
+
+  const paid = await payWithFakeStripe(built, { quantity: 10, batchId: 'batch_tax', currency: 'cad', billing_address: ONTARIO });
+  assert.deepStrictEqual([paid.amount, paid.currency, paid.tax], [3050, 'cad', 351]);
+  const intent = await stripe.paymentIntents.retrieve(paid.intentId);
+  assert.deepStrictEqual([intent.amount, intent.currency, intent.metadata.tax_jurisdiction], [3050, 'cad', 'CA-ON']);
+  assert.match(intent.description, /HST 13% \(CA-ON\)/);
+
+  const payment = await storage.payments.getByIntent(paid.intentId);
+  assert.deepStrictEqual([payment.tax_amount, payment.tax_jurisdiction, payment.billing_address.region], [351, 'CA-ON', 'ON']);
+  assert.deepStrictEqual(payment.tax_lines.map(tax => [tax.code, tax.amount]), [['hst', 351]]);
+  const order = await storage.orders.get(paid.order_id);
+  assert.deepStrictEqual([order.currency, order.tax_amount, order.tax_jurisdiction, order.amount_total], ['cad', 351, 'CA-ON', 3050]);
+
+  const confirmed = await request(app).post('/api/activate-after-payment')
+    .set('X-Papir-Manage-Token', paid.manage_token).send({ batch_id: 'batch_tax' });
+  assert.strictEqual(confirmed.status, 200, confirmed.body.error);
+  assert.deepStrictEqual(confirmed.body.receipt.lines.map(line => line.code), ['cards', 'tax_hst']);
+  assert.deepStrictEqual([confirmed.body.receipt.currency, confirmed.body.receipt.amount_total], ['cad', 3050]);
+
+  // Cards added to the batch later are taxed where the batch was billed, for whoever manages it
+  const more = (await price(app, { quantity: 1, batch_id: 'batch_tax', currency: 'cad' }).set('X-Papir-Manage-Token', paid.manage_token)).body.quote;
+  assert.deepStrictEqual([more.taxJurisdiction, more.totalAmount], ['CA-ON', 399 + 52]);
+  // Anyone else has to say where they are; the batch's address is not theirs to see
+  const stranger = await price(app, { quantity: 1, batch_id: 'batch_tax', currency: 'cad' });
+  assert.deepStrictEqual([stranger.status, stranger.body.code], [400, 'billing_address_required']);
+  const own = (await price(app, { quantity: 1, batch_id: 'batch_tax', currency: 'cad', billing_address: BILLING_ADDRESS })).body.quote;
+  assert.deepStrictEqual([own.taxJurisdiction, own.totalAmount], ['US', 399]);
+});
+
+test('paying for a batch uses its billing address only for whoever manages the batch', async () => {
+  const built = buildStripeTestApp();
+  const { app } = built;
+  // Opened but not paid yet: the only record of the address is the order
+  await payWithFakeStripe(built, { quantity: 2, batchId: 'batch_unpaid_on', currency: 'cad', billing_address: ONTARIO }, { deliver: false });
+  const paid = await payWithFakeStripe(built, { quantity: 2, batchId: 'batch_paid_on', currency: 'cad', billing_address: ONTARIO });
+
+  for (const path of ['/api/create-payment-intent', '/api/create-checkout-session']) {
+    const unpaid = await request(app).post(path)
+      .send({ quantity: 2, batchId: 'batch_unpaid_on', batch_id: 'batch_unpaid_on', currency: 'cad', email: 'stranger@example.com' });
+    assert.deepStrictEqual([unpaid.status, unpaid.body.code], [400, 'billing_address_required']);
+  }
+  const stranger = await request(app).post('/api/create-payment-intent')
+    .send({ quantity: 1, batchId: 'batch_paid_on', mode: 'add_to_existing', currency: 'cad', email: 'stranger@example.com' });
+  assert.deepStrictEqual([stranger.status, stranger.body.code], [400, 'billing_address_required']);
+
+  const more = await payWithFakeStripe(built, { quantity: 1, batchId: 'batch_paid_on', mode: 'add_to_existing', currency: 'cad', billing_address: undefined }, { deliver: false, token: paid.manage_token });
+  assert.deepStrictEqual([more.amount, more.tax], [399 + 52, 52]);
+});
+
+test('checkout sessions charge the tax as its own line', async () => {
+  const { app, stripe } = buildStripeTestApp();
+  const session = await request(app).post('/api/create-checkout-session')
+    .send({ quantity: 5, currency: 'cad', message_text: 'Hi', customer_email: 'buyer@example.com', billing_address: { country: 'CA', region: 'QC' } });
+  assert.strictEqual(session.status, 200, session.body.error);
+  const created = await stripe.checkout.sessions.retrieve(session.body.id);
+  assert.deepStrictEqual([created.amount_total, created.currency, created.metadata.tax_jurisdiction], [1839, 'cad', 'CA-QC']);
+});
+
+test('revenue is reported by currency and jurisdiction, with refunds giving back their share of the tax', async () => {
+  const built = buildStripeTestApp();
+  const { app } = built;
+  const token = await saveBatchTemplate(app, { batchId: 'batch_revenue_on', quantity: 4 });
+  const ontario = await payWithFakeStripe(built, { quantity: 4, batchId: 'batch_revenue_on', currency: 'cad', billing_address: ONTARIO }, { token });
+  await payWithFakeStripe(built, { quantity: 10, batchId: 'batch_revenue_us' });
+  const auth = await ownerAuth(app);
+  const refund = await request(app).post(`/api/admin/orders/${ontario.order_id}/refund`).set('Authorization', auth).send({ cards: 1 });
+  assert.strictEqual(refund.status, 200, refund.body.error);
+
+  const report = await request(app).get('/api/admin/revenue?days=7').set('Authorization', auth);
+  assert.strictEqual(report.status, 200);
+  assert.deepStrictEqual(report.body.by_currency.map(row => [row.currency, row.orders, row.gross]), [['usd', 1, 1999], ['cad', 1, ontario.amount]]);
+  const cad = report.body.by_jurisdiction.find(row => row.tax_jurisdiction === 'CA-ON');
+  const taxRefunded = Math.round(ontario.tax * refund.body.refund.amount / ontario.amount);
+  assert.deepStrictEqual([cad.currency, cad.tax, cad.refunded, cad.tax_refunded], ['cad', ontario.tax, refund.body.refund.amount, taxRefunded]);
+  assert.strictEqual(cad.revenue, ontario.amount - refund.body.refund.amount - (ontario.tax - taxRefunded));
+  assert.strictEqual(report.body.by_jurisdiction.find(row => row.tax_jurisdiction === 'US').tax, 0);
+
+  const support = await supportAuth(app);
+  assert.strictEqual((await request(app).get('/api/admin/revenue').set('Authorization', support)).status, 403);
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { buildTestApp } = require('./helpers/app');
+const { cardScanUrl } = require('../services/qr');
+const { detectBot } = require('../lib/bot-agents');
+const { scanFingerprint, DEDUP_WINDOW_MS } = require('../services/scan-sessions');
+const { createFixtureGeolocator } = require('../clients/geo-fixtures');
+
+const IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+const ANDROID = 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Mobile Safari/537.36';
+
+async function createCard(storage, cardId) {
+  await storage.cards.create({ card_id: cardId, status: 'active', message_type: 'text', message_text: 'Hi', scan_count: 0 });
+}
+
+test('/c/:card_id logs the scan server-side and redirects to the viewer with a scan session', async () => {
+  const { app, storage } = buildTestApp();
+  await createCard(storage, 'CARDSCAN1');
+  const phone = request.agent(app);
+
+  const res = await phone.get('/c/cardscan1').set('User-Agent', 'PhoneCamera/1.0').set('Referer', 'https://example.com/post');
+  assert.strictEqual(res.status, 302);
+  assert.strictEqual(res.headers.location, '/viewer.html?card=CARDSCAN1');
+  assert.match(res.headers['set-cookie'][0], /^papir_scan=[0-9a-f]{32};.*HttpOnly/);
+  assert.strictEqual(res.headers['cache-control'], 'no-store');
+
+  const [scan] = await storage.scans.list();
+  assert.deepStrictEqual([scan.card_id, scan.source, scan.user_agent, scan.referrer], ['CARDSCAN1', 'redirect', 'PhoneCamera/1.0', 'https://example.com/post']);
+  assert.ok(!scan.opened_at);
+  assert.strictEqual((await storage.cards.get('CARDSCAN1')).scan_count, 1);
+
+  // The viewer's report marks the same session opened without counting the scan again
+  const opened = await phone.post('/api/scans/opened').send({ card_id: 'CARDSCAN1' });
+  assert.deepStrictEqual(opened.body, { success: true, counted: false });
+  assert.ok((await storage.scans.getBySession(scan.scan_session_id)).opened_at);
+  assert.strictEqual((await storage.cards.get('CARDSCAN1')).scan_count, 1);
+  assert.strictEqual((await storage.scans.list()).length, 1);
+});
+
+test('opening the viewer without a scan session counts once per session', async () => {
+  const { app, storage } = buildTestApp();
+  await createCard(storage, 'CARDSCAN2');
+  await createCard(storage, 'CARDSCAN3');
+  const browser = request.agent(app);
+
+  // An old QR that points straight at viewer.html: the open is the scan
+  const first = await browser.post('/api/scans/opened').set('User-Agent', IPHONE).send({ card_id: 'CARDSCAN2' });
+  assert.deepStrictEqual(first.body, { success: true, counted: true });
+  const reload = await browser.post('/api/increment-scan').set('User-Agent', IPHONE).send({ card_id: 'CARDSCAN2' });
+  assert.deepStrictEqual([reload.body.counted, reload.body.count], [false, 1]);
+
+  // A different card is a different scan
+  assert.strictEqual((await browser.post('/api/scans/opened').set('User-Agent', IPHONE).send({ card_id: 'CARDSCAN3' })).body.counted, true);
+  const scans = await storage.scans.list();
+  assert.deepStrictEqual(scans.map(s => s.source), ['viewer', 'viewer']);
+  assert.ok(scans.every(s => s.opened_at));
+
+  assert.strictEqual((await request(app).post('/api/scans/opened').send({ card_id: 'CARDNOPE' })).status, 404);
+});
+
+test('unknown card IDs are redirected but not logged, and printed QRs use the short URL', async () => {
+  const { app, storage } = buildTestApp();
+  const res = await request(app).get('/c/CARDMISSING');
+  assert.deepStrictEqual([res.status, res.headers.location, res.headers['set-cookie']], [302, '/viewer.html?card=CARDMISSING', undefined]);
+  assert.strictEqual((await storage.scans.list()).length, 0);
+
+  assert.strictEqual(cardScanUrl('https://papir.ca', 'CARDSCAN1'), 'https://papir.ca/c/CARDSCAN1');
+});
+
+test('repeat scans inside the dedup window and bots are logged but not counted', async () => {
+  const { app, storage } = buildTestApp();
+  await createCard(storage, 'CARDSCAN4');
+  const scan = userAgent => request(app).get('/c/CARDSCAN4').set('User-Agent', userAgent);
+
+  await scan(IPHONE);
+  await scan(IPHONE);
+  await scan(ANDROID);
+  await scan('facebookexternalhit/1.1 (+http://www.facebook.com/externalhit_uatext.php)');
+  await scan('Mozilla/5.0 (compatible; UptimeRobot/2.0; http://www.uptimerobot.com/)');
+
+  const card = await storage.cards.get('CARDSCAN4');
+  assert.deepStrictEqual([card.total_scans, card.unique_scans, card.scan_count], [2, 2, 2]);
+  const scans = await storage.scans.list();
+  assert.strictEqual(scans.length, 5);
+  assert.deepStrictEqual(scans.filter(s => s.is_bot).map(s => s.bot_name).sort(), ['facebook', 'uptimerobot']);
+  assert.strictEqual(scans.filter(s => s.is_duplicate).length, 1);
+  assert.strictEqual((await storage.scans.list({ countedOnly: true })).length, 2);
+
+  // Once the window has passed the same phone counts again, but not as a new unique scan
+  await createCard(storage, 'CARDSCAN5');
+  await storage.scans.record({
+    card_id: 'CARDSCAN5', fingerprint: scanFingerprint('203.0.113.7', IPHONE), is_bot: false, is_duplicate: false,
+    scanned_at: new Date(Date.now() - DEDUP_WINDOW_MS - 60 * 1000).toISOString()
+  });
+  await request(app).get('/c/CARDSCAN5').set('User-Agent', IPHONE).set('X-Forwarded-For', '203.0.113.7');
+  const later = await storage.cards.get('CARDSCAN5');
+  assert.deepStrictEqual([later.total_scans, later.unique_scans], [1, 0]);
+
+  assert.strictEqual(detectBot(IPHONE), null);
+  assert.strictEqual(detectBot('Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)'), 'slack');
+  assert.strictEqual(detectBot('curl/8.4.0'), 'http-client');
+  assert.strictEqual(detectBot(undefined), 'no_user_agent');
+});
+
+test('the redirect does not wait for geolocation; the location is backfilled afterwards', async () => {
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const fixtures = createFixtureGeolocator();
+  const { app, storage, geoEnrichment } = buildTestApp({ geolocate: async ip => { await gate; return fixtures(ip); } });
+  await createCard(storage, 'CARDSCAN6');
+
+  const res = await request(app).get('/c/CARDSCAN6').set('User-Agent', IPHONE).set('X-Forwarded-For', '203.0.113.10');
+  assert.strictEqual(res.status, 302);
+  const [before] = await storage.scans.list();
+  assert.ok(!before.city);
+
+  release();
+  await geoEnrichment.idle();
+  const [after] = await storage.scans.list();
+  assert.deepStrictEqual([after.city, after.country], ['Toronto', 'Canada']);
+});
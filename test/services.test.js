@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const pricing = require('../services/pricing');
+const cardFactory = require('../services/card-factory');
+const { createGeoEnrichment } = require('../services/geo-enrichment');
+const { createTtlCache } = require('../lib/ttl-cache');
+
+test('pricing: bundle tiers and in-between quantities', () => {
+  assert.deepStrictEqual(pricing.quoteQuantity(1), { quantity: 1, unitPrice: 299, totalAmount: 299 });
+  assert.deepStrictEqual(pricing.quoteQuantity(10), { quantity: 10, unitPrice: 200, totalAmount: 1999 });
+  // 7 cards pay the 5-pack per-card price
+  assert.deepStrictEqual(pricing.quoteQuantity('7'), { quantity: 7, unitPrice: 240, totalAmount: 1680 });
+  assert.throws(() => pricing.quoteQuantity(0), /Invalid quantity/);
+  assert.throws(() => pricing.quoteQuantity('abc'), /Invalid quantity/);
+  assert.strictEqual(pricing.centsToDollars(pricing.UNIT_PRICE_CENTS), 2.99);
+});
+
+test('pricing: quotes add the template premium and add-ons per card, one line each', () => {
+  pricing.TEMPLATE_PRICES_CENTS['gold-foil'] = 399;
+  pricing.ADDON_PRICES_CENTS.video = 50;
+  try {
+    const quote = pricing.quote({ quantity: 10, templateId: 'gold-foil', addons: ['video', 'video', 'audio'] });
+    assert.deepStrictEqual(quote.lines.map(line => [line.code, line.amount]), [['cards', 1999], ['template', 1000], ['video', 500]]);
+    assert.deepStrictEqual([quote.totalAmount, quote.unitPrice, quote.addons], [3499, 350, ['audio', 'video']]);
+    assert.strictEqual(pricing.quote({ quantity: 10 }).totalAmount, 1999);
+    assert.throws(() => pricing.quote({ quantity: 1, addons: ['glitter'] }), error => error.status === 400);
+  } finally {
+    delete pricing.TEMPLATE_PRICES_CENTS['gold-foil'];
+    pricing.ADDON_PRICES_CENTS.video = 0;
+  }
+  assert.deepStrictEqual(pricing.designOfCard({ template_config: '{"id":"blank","category":"blank"}', message_type: 'video', has_audio_overlay: true }), { templateId: 'blank', templateCategory: 'blank', addons: ['video', 'audio'] });
+});
+
+test('pricing: a discount is its own line, stops at the minimum charge, and comes off the lines Stripe charges', () => {
+  const quote = pricing.quote({ quantity: 5, templateId: 'congrats-modern' });
+  assert.strictEqual(quote.templateCategory, 'congratulations');
+  const discounted = pricing.withDiscount(quote, { code: 'SPRING', amount: 200 });
+  assert.deepStrictEqual(discounted.lines.map(line => [line.code, line.amount]), [['cards', 1199], ['discount', -200]]);
+  assert.deepStrictEqual([discounted.totalAmount, discounted.discountAmount], [999, 200]);
+  assert.deepStrictEqual(pricing.chargedLines(discounted).map(line => line.amount), [999]);
+  assert.strictEqual(pricing.withDiscount(quote, { code: 'FREE', amount: 5000 }).totalAmount, pricing.MIN_CHARGE_CENTS);
+});
+
+test('pricing: CAD tiers, and sales tax lines for the billing province after any discount', () => {
+  const cad = pricing.quote({ quantity: 5, currency: 'CAD' });
+  assert.deepStrictEqual([cad.currency, cad.totalAmount], ['cad', 1599]);
+  assert.throws(() => pricing.quote({ quantity: 1, currency: 'eur' }), error => error.status === 400);
+
+  const quebec = pricing.withTax(cad, { country: 'CA', region: 'QC' });
+  assert.deepStrictEqual(quebec.lines.map(line => [line.code, line.amount]), [['cards', 1599], ['tax_gst', 80], ['tax_pst', 160]]);
+  assert.deepStrictEqual([quebec.subtotalAmount, quebec.taxAmount, quebec.totalAmount, quebec.taxJurisdiction], [1599, 240, 1839, 'CA-QC']);
+  assert.strictEqual(quebec.lines[2].description, 'QST 9.975% (CA-QC)');
+
+  const ontario = pricing.withTax(pricing.withDiscount(cad, { code: 'SPRING', amount: 599 }), { country: 'CA', region: 'ON' });
+  assert.deepStrictEqual([ontario.taxAmount, ontario.totalAmount], [130, 1130]);
+  assert.deepStrictEqual(pricing.chargedLines(ontario).map(line => line.amount), [1000, 130]);
+
+  const abroad = pricing.withTax(cad, { country: 'US', region: 'NY' });
+  assert.deepStrictEqual([abroad.taxAmount, abroad.totalAmount, abroad.taxJurisdiction], [0, 1599, 'US']);
+  assert.strictEqual(pricing.formatAmount(1130, 'cad'), '$11.30 CAD');
+});
+
+test('card factory: clones carry the design, numbering and a one-year deadline', () => {
+  const now = new Date('2026-01-01T00:00:00Z');
+  const source = { message_type: 'image', message_text: 'Hi', media_url: 'https://example.com/a.png', template_config: { font: 'serif' } };
+  const cards = cardFactory.cloneCards(source, { batchId: 'b1', firstOrder: 3, count: 2, clientIp: '1.2.3.4', now });
+
+  assert.deepStrictEqual(cards.map(c => c.batch_order), [3, 4]);
+  assert.notStrictEqual(cards[0].card_id, cards[1].card_id);
+  for (const card of cards) {
+    assert.strictEqual(card.batch_id, 'b1');
+    assert.strictEqual(card.status, 'active');
+    assert.strictEqual(card.media_url, source.media_url);
+    assert.deepStrictEqual(card.template_config, source.template_config);
+    assert.strictEqual(card.activation_deadline, '2027-01-01T00:00:00.000Z');
+  }
+});
+
+test('geo enrichment: one lookup per IP, cached, retried when empty, never for private IPs', async () => {
+  const calls = [];
+  let failuresLeft = 1;
+  const geolocate = async ip => {
+    calls.push(ip);
+    if (ip === '198.51.100.20' && failuresLeft-- > 0) return null;
+    return { ip, city: ip === '203.0.113.10' ? 'Toronto' : 'Vancouver' };
+  };
+  const geo = createGeoEnrichment({ geolocate, retryDelaysMs: [1] });
+  const applied = [];
+  const apply = label => location => { applied.push([label, location.city]); };
+
+  geo.enrich('203.0.113.10', apply('first'));
+  geo.enrich('203.0.113.10', apply('same ip, same lookup'));
+  geo.enrich('198.51.100.20', apply('retried'));
+  geo.enrich('10.0.0.4', apply('private'));
+  assert.deepStrictEqual(applied, [], 'nothing runs before the caller moves on');
+  await geo.idle();
+  geo.enrich('203.0.113.10', apply('cached'));
+  await geo.idle();
+
+  assert.deepStrictEqual(calls, ['203.0.113.10', '198.51.100.20', '198.51.100.20']);
+  assert.deepStrictEqual(applied.sort(), [['cached', 'Toronto'], ['first', 'Toronto'], ['retried', 'Vancouver'], ['same ip, same lookup', 'Toronto']]);
+});
+
+test('ttl cache: least recently used goes first and entries expire', () => {
+  let now = 0;
+  const cache = createTtlCache({ maxEntries: 2, ttlMs: 100, now: () => now });
+  cache.set('a', 1);
+  cache.set('b', 2);
+  cache.get('a');
+  cache.set('c', 3);
+  assert.deepStrictEqual([cache.get('a'), cache.get('b'), cache.get('c')], [1, undefined, 3]);
+  now = 100;
+  assert.strictEqual(cache.get('a'), undefined);
+  assert.strictEqual(cache.size, 1);
+});
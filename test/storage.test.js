@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, createLocalStorage } = require('../storage');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'papir-storage-'));
+}
+
+test('createStorage picks the backend from the environment', () => {
+  assert.strictEqual(createStorage({ STORAGE_BACKEND: 'local' }).backend, 'local');
+  assert.strictEqual(createStorage({}), null);
+  assert.throws(() => createStorage({ STORAGE_BACKEND: 'mysql' }), /Unknown STORAGE_BACKEND/);
+});
+
+test('cards: create, read back and guarded status updates', async () => {
+  const storage = createLocalStorage();
+  await storage.cards.create({ card_id: 'CARD1', status: 'draft', message_type: 'text' });
+
+  const card = await storage.cards.get('CARD1');
+  assert.strictEqual(card.message_type, 'text');
+  assert.strictEqual(await storage.cards.get('MISSING'), null);
+
+  assert.strictEqual((await storage.cards.update('CARD1', { status: 'active' }, { whereStatus: 'pending' })).length, 0);
+  assert.strictEqual((await storage.cards.update('CARD1', { status: 'active' }, { whereStatus: 'draft' })).length, 1);
+  assert.strictEqual((await storage.cards.get('CARD1', 'status')).status, 'active');
+
+  assert.deepStrictEqual(await storage.cards.incrementScans('CARD1', { unique: true }), { total_scans: 1, unique_scans: 1 });
+  const concurrent = await Promise.all([1, 2, 3].map(() => storage.cards.incrementScans('CARD1')));
+  assert.deepStrictEqual(concurrent.map(c => c.total_scans).sort(), [2, 3, 4]);
+  assert.deepStrictEqual([(await storage.cards.get('CARD1')).scan_count, (await storage.cards.get('CARD1')).unique_scans], [4, 1]);
+  assert.strictEqual(await storage.cards.incrementScans('MISSING'), null);
+});
+
+test('batches: duplicate ids fail with the Postgres unique violation code', async () => {
+  const storage = createLocalStorage();
+  await storage.batches.create({ batch_id: 'BATCH-1', cards_created: 2 });
+  await assert.rejects(storage.batches.create({ batch_id: 'BATCH-1' }), err => err.code === '23505');
+  assert.strictEqual(await storage.batches.exists('BATCH-1'), true);
+  assert.strictEqual(await storage.batches.exists('BATCH-2'), false);
+});
+
+test('codes: saving a new code keeps the stored lockout', async () => {
+  const storage = createLocalStorage();
+  await storage.codes.save('a@example.com', { code_hash: 'one', lockout_count: 2, locked_until: '2099-01-01T00:00:00.000Z' });
+  await storage.codes.save('a@example.com', { code_hash: 'two', failed_attempts: 0 });
+  const record = await storage.codes.get('a@example.com');
+  assert.strictEqual(record.code_hash, 'two');
+  assert.strictEqual(record.lockout_count, 2);
+  await storage.codes.remove('a@example.com');
+  assert.strictEqual(await storage.codes.get('a@example.com'), null);
+});
+
+test('local data file survives a restart', async () => {
+  const dataFile = path.join(tempDir(), 'data.json');
+  await createLocalStorage({ dataFile }).scans.record({ card_id: 'CARD1', scanned_at: new Date().toISOString() });
+  assert.strictEqual(await createLocalStorage({ dataFile }).scans.count(), 1);
+});
+
+test('local media writes files and refuses paths outside its directory', async () => {
+  const mediaDir = tempDir();
+  const { media } = createLocalStorage({ mediaDir });
+  const url = await media.upload('CARD1/photo one.png', Buffer.from('png'), { contentType: 'image/png' });
+  assert.strictEqual(url, '/local-media/CARD1/photo%20one.png');
+  assert.strictEqual(fs.readFileSync(path.join(mediaDir, 'CARD1', 'photo one.png'), 'utf8'), 'png');
+  await assert.rejects(media.upload('CARD1/photo one.png', Buffer.from('again')), /already exists/);
+  await assert.rejects(media.upload('../escape.png', Buffer.from('x')), /Invalid media path/);
+});
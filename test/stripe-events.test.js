@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const request = require('supertest');
+const { buildStripeTestApp, deliverEvent, payWithFakeStripe, ownerAuth, saveBatchTemplate, BILLING_ADDRESS } = require('./helpers/app');
+const { generateCardId } = require('../lib/card-ids');
+const { signWebhookPayload } = require('../clients/stripe-fake');
+
+function eventOf(stripe, type, objectId) {
+  return stripe.fake.events.filter(entry => entry.event.type === type && (!objectId || entry.event.data.object.id === objectId)).pop();
+}
+
+test('every event is stored by ID and handled once, however often Stripe sends it', async () => {
+  const built = buildStripeTestApp();
+  const { app, storage, stripe } = built;
+  const cardId = generateCardId();
+  await request(app).post('/api/cards').send({ card_id: cardId, message_type: 'text', message_text: 'Hi' });
+  const paid = await payWithFakeStripe(built, { quantity: 1, batchId: cardId, card_id: cardId });
+
+  const succeeded = eventOf(stripe, 'payment_intent.succeeded', paid.intentId);
+  const stored = await storage.stripeEvents.get(succeeded.event.id);
+  assert.deepStrictEqual([stored.status, stored.type, stored.attempts, stored.order_id], ['processed', 'payment_intent.succeeded', 1, paid.order_id]);
+
+  const again = await deliverEvent(app, succeeded);
+  assert.deepStrictEqual(again.body, { received: true, duplicate: true });
+  assert.strictEqual((await storage.stripeEvents.get(succeeded.event.id)).attempts, 1);
+  assert.strictEqual((await storage.activations.list()).length, 1);
+
+  // Types Papir has no handler for are kept as ignored
+  const other = stripe.fake.events[0];
+  const unknown = { ...other.event, id: 'evt_fake_unknown', type: 'customer.created' };
+  const payload = JSON.stringify(unknown);
+  await deliverEvent(app, { payload, signature: signWebhookPayload(payload, 'whsec_fake_local') });
+  assert.strictEqual((await storage.stripeEvents.get('evt_fake_unknown')).status, 'ignored');
+});
+
+test('checkout.session.completed fulfills a checkout order on its own, with the shipping address from Stripe', async () => {
+  const built = buildStripeTestApp();
+  const { app, storage, stripe } = built;
+  const session = await request(app).post('/api/create-checkout-session')
+    .send({ quantity: 1, card_type: 'physical', message_text: 'Printed', customer_email: 'buyer@example.com', billing_address: BILLING_ADDRESS });
+  stripe.fake.completeCheckoutSession(session.body.id);
+
+  const completed = eventOf(stripe, 'checkout.session.completed');
+  assert.strictEqual((await deliverEvent(app, completed)).status, 200);
+  const order = await storage.orders.get(session.body.order_id);
+  assert.deepStrictEqual([order.status, order.card_ids.length, order.shipping_address.city], ['fulfilled', 1, 'Toronto']);
+  assert.ok(order.fulfillment_id);
+
+  // The payment intent's event arriving later finds the order already done
+  assert.strictEqual((await deliverEvent(app, eventOf(stripe, 'payment_intent.succeeded'))).status, 200);
+  assert.strictEqual((await storage.cards.list()).filter(c => c.status === 'active').length, 1);
+  assert.strictEqual((await storage.fulfillments.list()).length, 1);
+});
+
+test('a declined card is recorded on the order and the buyer can still pay', async () => {
+  const built = buildStripeTestApp();
+  const { app, storage, stripe } = built;
+  const cardId = generateCardId();
+  await request(app).post('/api/cards').send({ card_id: cardId, message_type: 'text', message_text: 'Hi' });
+  const intent = await request(app).post('/api/create-payment-intent').send({ quantity: 1, batchId: cardId, card_id: cardId, email: 'buyer@example.com', billing_address: BILLING_ADDRESS });
+  const intentId = intent.body.clientSecret.split('_secret_')[0];
+
+  const declined = await request(app).post(`/fake-stripe/payment_intents/${intentId}/confirm`)
+    .send({ client_secret: intent.body.clientSecret, card_number: '4000 0000 0000 0002' });
+  assert.strictEqual(declined.status, 402);
+  assert.strictEqual((await deliverEvent(app, eventOf(stripe, 'payment_intent.payment_failed'))).status, 200);
+  let order = await storage.orders.get(intent.body.order_id);
+  assert.deepStrictEqual([order.status, order.payment_error], ['created', 'Your card was declined.']);
+  assert.strictEqual((await storage.payments.getByIntent(intentId)).status, 'failed');
+
+  await request(app).post(`/fake-stripe/payment_intents/${intentId}/confirm`)
+    .send({ client_secret: intent.body.clientSecret, card_number: '4242 4242 4242 4242' });
+  await deliverEvent(app, eventOf(stripe, 'payment_intent.succeeded', intentId));
+  order = await storage.orders.get(intent.body.order_id);
+  assert.strictEqual(order.status, 'fulfilled');
+  assert.strictEqual((await storage.payments.getByIntent(intentId)).status, 'completed');
+});
+
+test('refunds and disputes made on the Stripe side are recorded on the order', async () => {
+  const built = buildStripeTestApp();
+  const { app, storage, stripe } = built;
+  const paid = await payWithFakeStripe(built, { quantity: 5, batchId: 'batch_refunds' });
+  const order = await storage.orders.get(paid.order_id);
+
+  await deliverEvent(app, stripe.fake.refundPaymentIntent(paid.intentId, { amount: 300 }));
+  let updated = await storage.orders.get(paid.order_id);
+  assert.deepStrictEqual([updated.status, updated.amount_refunded], ['fulfilled', 300]);
+  assert.strictEqual((await storage.payments.getByIntent(paid.intentId)).status, 'partially_refunded');
+
+  await deliverEvent(app, stripe.fake.refundPaymentIntent(paid.intentId));
+  updated = await storage.orders.get(paid.order_id);
+  assert.deepStrictEqual([updated.status, updated.amount_refunded], ['refunded', order.amount_total]);
+  assert.ok(updated.refunded_at);
+  assert.strictEqual((await storage.payments.getByIntent(paid.intentId)).status, 'refunded');
+
+  await deliverEvent(app, stripe.fake.disputePaymentIntent(paid.intentId, { reason: 'product_not_received' }));
+  updated = await storage.orders.get(paid.order_id);
+  assert.deepStrictEqual([updated.dispute_reason, updated.dispute_status], ['product_not_received', 'needs_response']);
+  assert.ok(updated.dispute_id && updated.disputed_at);
+});
+
+test('a redelivery while the first delivery is still working is refused, so Stripe sends it again', async () => {
+  const built = buildStripeTestApp();
+  const { app, storage, stripe } = built;
+  const cardId = generateCardId();
+  await request(app).post('/api/cards').send({ card_id: cardId, message_type: 'text', message_text: 'Hi' });
+  const paid = await payWithFakeStripe(built, { quantity: 1, batchId: cardId, card_id: cardId }, { deliver: false });
+  const succeeded = eventOf(stripe, 'payment_intent.succeeded', paid.intentId);
+
+  // The first delivery has claimed the event and not finished
+  const now = new Date().toISOString();
+  await storage.stripeEvents.create({
+    event_id: succeeded.event.id, type: succeeded.event.type, status: 'processing', attempts: 0,
+    payload: succeeded.event, processing_started_at: now, received_at: now, updated_at: now
+  });
+  const busy = await deliverEvent(app, succeeded);
+  assert.strictEqual(busy.status, 409);
+  assert.notStrictEqual(busy.body.duplicate, true);
+
+  // It failed; Stripe's next delivery handles it
+  await storage.stripeEvents.update(succeeded.event.id, { status: 'failed', attempts: 1, last_error: 'timeout' });
+  assert.deepStrictEqual((await deliverEvent(app, succeeded)).body, { received: true });
+  assert.strictEqual((await storage.orders.get(paid.order_id)).status, 'fulfilled');
+});
+
+test('a failed event answers 500 for Stripe to retry, and support can run it again once fixed', async () => {
+  const built = buildStripeTestApp();
+  const { app, storage, stripe } = built;
+  const token = await saveBatchTemplate(app, { batchId: 'batch_later', quantity: 2 });
+
+  // Cards can't be added before the batch itself is paid for and activated
+  const extra = await payWithFakeStripe(built, { quantity: 1, batchId: 'batch_later', mode: 'add_to_existing' }, { deliver: false, token });
+  const succeeded = eventOf(stripe, 'payment_intent.succeeded', extra.intentId);
+  assert.strictEqual((await deliverEvent(app, succeeded)).status, 500);
+  const failed = await storage.stripeEvents.get(succeeded.event.id);
+  assert.deepStrictEqual([failed.status, failed.attempts, failed.last_error], ['failed', 1, 'No active cards in batch']);
+
+  const auth = await ownerAuth(app);
+  const list = await request(app).get('/api/admin/stripe-events?status=failed').set('Authorization', auth);
+  assert.deepStrictEqual(list.body.events.map(e => e.event_id), [succeeded.event.id]);
+  assert.strictEqual(list.body.events[0].payload, undefined);
+
+  await payWithFakeStripe(built, { quantity: 2, batchId: 'batch_later' }, { token });
+  const retry = await request(app).post(`/api/admin/stripe-events/${succeeded.event.id}/retry`).set('Authorization', auth);
+  assert.strictEqual(retry.status, 200);
+  assert.deepStrictEqual([retry.body.event.status, retry.body.event.attempts, retry.body.event.order_id], ['processed', 2, extra.order_id]);
+  assert.strictEqual((await storage.orders.get(extra.order_id)).status, 'fulfilled');
+  assert.strictEqual((await storage.batches.get('batch_later')).cards_created, 3);
+
+  const again = await request(app).post(`/api/admin/stripe-events/${succeeded.event.id}/retry`).set('Authorization', auth);
+  assert.deepStrictEqual([again.status, again.body.code], [409, 'event_not_retryable']);
+  assert.strictEqual((await request(app).post('/api/admin/stripe-events/evt_missing/retry').set('Authorization', auth)).status, 404);
+  const audit = await storage.auditLog.list({ action: 'stripe_event_retry' });
+  assert.strictEqual(audit.total, 1);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const verificationCodes = require('../lib/verification-codes');
+
+const SECRET = 'test-secret';
+
+test('generateCode returns six digits', () => {
+  for (let i = 0; i < 50; i++) {
+    assert.match(verificationCodes.generateCode(), /^\d{6}$/);
+  }
+});
+
+test('hashCode never contains the code and is keyed by secret and email', () => {
+  const hash = verificationCodes.hashCode('a@example.com', '123456', SECRET);
+  assert.match(hash, /^[0-9a-f]{64}$/);
+  assert.ok(!hash.includes('123456'));
+  assert.notStrictEqual(hash, verificationCodes.hashCode('a@example.com', '123456', 'other-secret'));
+  assert.notStrictEqual(hash, verificationCodes.hashCode('b@example.com', '123456', SECRET));
+  assert.strictEqual(hash, verificationCodes.hashCode(' A@Example.com ', '123456', SECRET));
+});
+
+test('codeMatches accepts the right code and rejects others', () => {
+  const stored = verificationCodes.hashCode('a@example.com', '123456', SECRET);
+  assert.strictEqual(verificationCodes.codeMatches('a@example.com', '123456', stored, SECRET), true);
+  assert.strictEqual(verificationCodes.codeMatches('a@example.com', '123457', stored, SECRET), false);
+  assert.strictEqual(verificationCodes.codeMatches('b@example.com', '123456', stored, SECRET), false);
+  assert.strictEqual(verificationCodes.codeMatches('a@example.com', '123456', stored, 'other-secret'), false);
+});
+
+test('codeMatches rejects missing or malformed hashes without throwing', () => {
+  assert.strictEqual(verificationCodes.codeMatches('a@example.com', '123456', null, SECRET), false);
+  assert.strictEqual(verificationCodes.codeMatches('a@example.com', '123456', '', SECRET), false);
+  assert.strictEqual(verificationCodes.codeMatches('a@example.com', '123456', 'abcd', SECRET), false);
+  assert.strictEqual(verificationCodes.codeMatches('a@example.com', '123456', 'not-hex!', SECRET), false);
+  assert.strictEqual(verificationCodes.codeMatches('a@example.com', undefined, 'ab'.repeat(32), SECRET), false);
+});
+
+test('codeMatches compares with crypto.timingSafeEqual for matches and mismatches', (t) => {
+  const spy = t.mock.method(crypto, 'timingSafeEqual');
+  const stored = verificationCodes.hashCode('a@example.com', '123456', SECRET);
+  verificationCodes.codeMatches('a@example.com', '123456', stored, SECRET);
+  verificationCodes.codeMatches('a@example.com', '000000', stored, SECRET);
+  assert.strictEqual(spy.mock.callCount(), 2);
+  const [expected, actual] = spy.mock.calls[1].arguments;
+  assert.strictEqual(expected.length, 32);
+  assert.strictEqual(actual.length, 32);
+});
+
+test('lockoutDuration doubles per lockout and is capped', () => {
+  const base = verificationCodes.LOCKOUT_BASE_MS;
+  assert.strictEqual(verificationCodes.lockoutDuration(1), base);
+  assert.strictEqual(verificationCodes.lockoutDuration(2), base * 2);
+  assert.strictEqual(verificationCodes.lockoutDuration(3), base * 4);
+  assert.strictEqual(verificationCodes.lockoutDuration(50), verificationCodes.LOCKOUT_MAX_MS);
+});